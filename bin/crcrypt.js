@@ -0,0 +1,438 @@
+#!/usr/bin/env node
+// bin/crcrypt.js
+// Command-line CRCrypt for Node.js 20+. Runs the web app's own src/crypto.js on Node's Web Crypto, so both
+// produce and read exactly the same ciphertexts: envelopes, legacy salt:iv:ciphertext and .crcrypt files.
+
+import fs from "node:fs";
+import path from "node:path";
+import tty from "node:tty";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { parseArgs } from "node:util";
+
+import {
+  ALGORITHMS,
+  DEFAULTS,
+  ENCODINGS,
+  FORMATS,
+  KDFS,
+  encryptBytes,
+  decryptTextBytes,
+  encryptTextBatch,
+  decryptTextBatch,
+  hashKeyfile,
+  wipeBytes
+} from "../src/crypto.js";
+import { encryptStream, decryptStream, isStreamFormat } from "../src/stream.js";
+import { sanitizeFileName } from "../src/files.js";
+import { inspectCiphertext } from "../src/envelope.js";
+import { parseRawKey } from "../src/rawkey.js";
+import { BATCH_FORMATS, parseBatch, formatBatch, fitBatchResults } from "../src/batch.js";
+
+const USAGE = `Usage: crcrypt <encrypt|decrypt> [options] [file]
+
+Reads <file> or standard input and writes standard output or -o <file>.
+Decryption detects the format, encoding, algorithm and KDF of envelopes and .crcrypt files.
+
+Options:
+  -p, --password <password>   Password (prompted for on the terminal if omitted)
+  -o, --output <file>         Write to <file> instead of standard output
+  -a, --algorithm <name>      AES-<bits>-<mode> with bits 128, 192 or 256 and mode CBC, GCM, CTR or
+                              CBC-HMAC-SHA256, ChaCha20-Poly1305 or XChaCha20-Poly1305 (default AES-256-CBC)
+  -i, --iterations <n>        PBKDF2 iterations (default ${DEFAULTS.iterations}); also needed to decrypt legacy input
+  -s, --salt-length <bytes>   Salt length, 16-64 (default ${DEFAULTS.saltLength})
+  -k, --kdf <name>            PBKDF2-SHA256, Argon2id or scrypt (default PBKDF2-SHA256)
+  -f, --format <name>         envelope or legacy (default envelope)
+  -e, --encoding <name>       hex, base64, base64url, base32 or armor (default hex)
+  -l, --label <text>          Public label stored in clear and authenticated (GCM, CBC-HMAC-SHA256 or ChaCha20)
+      --keyfile <file>        Any file, mixed into the key derivation; decrypting then needs it too
+      --raw-key <file>        Use the key in <file> (hex or JWK) instead of a password; no KDF runs.
+                              Its length must match the algorithm's; not for --stream
+      --stream                Encrypt to the chunked .crcrypt format used by the web app's File mode
+  -b, --batch <format>        Treat the input as a list and encrypt or decrypt each value: lines, csv
+                              (value or name,value) or keyvalue (NAME=value). One key derivation per run
+  -h, --help                  Show this help`;
+
+const OPTIONS = {
+  password: { type: "string", short: "p" },
+  output: { type: "string", short: "o" },
+  algorithm: { type: "string", short: "a", default: "AES-256-CBC" },
+  iterations: { type: "string", short: "i" },
+  "salt-length": { type: "string", short: "s" },
+  kdf: { type: "string", short: "k", default: DEFAULTS.kdf },
+  format: { type: "string", short: "f", default: DEFAULTS.format },
+  encoding: { type: "string", short: "e", default: DEFAULTS.encoding },
+  label: { type: "string", short: "l" },
+  keyfile: { type: "string" },
+  "raw-key": { type: "string" },
+  stream: { type: "boolean" },
+  batch: { type: "string", short: "b" },
+  help: { type: "boolean", short: "h" }
+};
+
+// Exit codes: 1 for failed operations, 2 for bad usage
+class UsageError extends Error {}
+
+// ── Options ───────────────────────────────────────────────────
+
+function integerOption(value, name, min, max) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new UsageError(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return n;
+}
+
+// Cipher names: AES-<bits>-<mode>, or a ChaCha20 AEAD (256-bit keys only), with the IV length each requires
+const AES_MODES = {
+  "CBC": { algorithm: ALGORITHMS.AES_CBC, ivLength: 16 },
+  "GCM": { algorithm: ALGORITHMS.AES_GCM, ivLength: 12 },
+  "CBC-HMAC-SHA256": { algorithm: ALGORITHMS.AES_CBC_HMAC, ivLength: 16 },
+  "CTR": { algorithm: ALGORITHMS.AES_CTR, ivLength: 16 }
+};
+const CHACHA_CIPHERS = {
+  "CHACHA20-POLY1305": { algorithm: ALGORITHMS.CHACHA20_POLY1305, ivLength: 12 },
+  "XCHACHA20-POLY1305": { algorithm: ALGORITHMS.XCHACHA20_POLY1305, ivLength: 24 }
+};
+
+function readCipher(name) {
+  const upper = name.toUpperCase();
+  if (Object.hasOwn(CHACHA_CIPHERS, upper)) {
+    return { ...CHACHA_CIPHERS[upper], keyLength: 32 };
+  }
+  const match = /^AES-(128|192|256)-(.+)$/.exec(upper);
+  if (!match || !Object.hasOwn(AES_MODES, match[2])) {
+    throw new UsageError(`Unknown algorithm "${name}"`);
+  }
+  return { ...AES_MODES[match[2]], keyLength: Number(match[1]) / 8 };
+}
+
+// Same choices as the web app's Advanced Settings
+function readCryptoOptions(values) {
+  const { algorithm, keyLength, ivLength } = readCipher(values.algorithm);
+  const kdf = Object.values(KDFS).find((name) => name.toLowerCase() === values.kdf.toLowerCase());
+  if (!kdf) {
+    throw new UsageError(`Unknown KDF "${values.kdf}"`);
+  }
+  if (!Object.values(FORMATS).includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}"`);
+  }
+  if (!Object.values(ENCODINGS).includes(values.encoding)) {
+    throw new UsageError(`Unknown encoding "${values.encoding}"`);
+  }
+  return {
+    algorithm,
+    keyLength,
+    ivLength,
+    kdf,
+    iterations: integerOption(values.iterations, "Iterations", 10000, 10000000) ?? DEFAULTS.iterations,
+    saltLength: integerOption(values["salt-length"], "Salt length", 16, 64) ?? DEFAULTS.saltLength,
+    format: values.format,
+    encoding: values.encoding,
+    label: values.label
+  };
+}
+
+// ── Input and Output ──────────────────────────────────────────
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  const bytes = new Uint8Array(Buffer.concat(chunks));
+  // Hygiene: the concatenated copy is all we keep
+  chunks.forEach(wipeBytes);
+  return bytes;
+}
+
+function readHead(file, length) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const head = new Uint8Array(length);
+    const read = fs.readSync(fd, head, 0, length, 0);
+    return head.subarray(0, read);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+async function writeOutput(target, source) {
+  const out = target ? fs.createWriteStream(target, { mode: 0o600 }) : process.stdout;
+  try {
+    await pipeline(source, out, { end: Boolean(target) });
+  } catch (err) {
+    // Don't leave a truncated file behind when a later chunk fails to authenticate
+    if (target) fs.rmSync(target, { force: true });
+    throw err;
+  }
+}
+
+// The --keyfile digest, or undefined without one
+async function readKeyfile(values) {
+  if (values.keyfile === undefined) return undefined;
+  const bytes = new Uint8Array(fs.readFileSync(values.keyfile));
+  try {
+    return await hashKeyfile(bytes);
+  } finally {
+    // Hygiene: only the digest is kept
+    wipeBytes(bytes);
+  }
+}
+
+// ── Password Prompt ───────────────────────────────────────────
+
+// Read a line without echo from the controlling terminal, even when standard input carries the data
+function promptHidden(question) {
+  let input;
+  let output;
+  if (process.stdin.isTTY) {
+    input = process.stdin;
+    output = process.stderr;
+  } else {
+    let fd;
+    try {
+      fd = fs.openSync("/dev/tty", "r+");
+    } catch {
+      return Promise.reject(new UsageError("No terminal to prompt for a password; pass -p"));
+    }
+    input = new tty.ReadStream(fd);
+    output = new tty.WriteStream(fd);
+  }
+
+  return new Promise((resolve, reject) => {
+    let answer = "";
+    const finish = (err) => {
+      input.setRawMode(false);
+      input.removeListener("data", onData);
+      input.pause();
+      if (input !== process.stdin) input.destroy();
+      output.write("\n");
+      if (err) reject(err);
+      else resolve(answer);
+    };
+    const onData = (data) => {
+      for (const ch of data.toString("utf8")) {
+        if (ch === "\r" || ch === "\n") return finish();
+        if (ch === "\u0003") return finish(new Error("Cancelled"));
+        if (ch === "\u007f" || ch === "\b") answer = answer.slice(0, -1);
+        else answer += ch;
+      }
+    };
+    output.write(question);
+    input.setRawMode(true);
+    input.resume();
+    input.on("data", onData);
+  });
+}
+
+// The --raw-key key, or the password when there is none
+async function getSecret(values, confirm) {
+  if (values["raw-key"] === undefined) return getPassword(values, confirm);
+  if (values.password !== undefined) {
+    throw new UsageError("--raw-key replaces the password; give one or the other");
+  }
+  if (values.keyfile !== undefined) {
+    throw new UsageError("--keyfile goes with a password, not --raw-key");
+  }
+  const text = fs.readFileSync(values["raw-key"], "utf8");
+  try {
+    return parseRawKey(text);
+  } catch (err) {
+    throw new UsageError(`--raw-key: ${err.message}`);
+  }
+}
+
+async function getPassword(values, confirm) {
+  if (values.password !== undefined) return values.password;
+  const password = await promptHidden("Password: ");
+  if (confirm && (await promptHidden("Confirm password: ")) !== password) {
+    throw new Error("Passwords do not match");
+  }
+  return password;
+}
+
+// ── Commands ──────────────────────────────────────────────────
+
+async function encrypt(values, file) {
+  const opts = readCryptoOptions(values);
+  if (values.stream && (opts.format !== FORMATS.ENVELOPE || opts.encoding !== ENCODINGS.HEX)) {
+    throw new UsageError("--stream writes the binary .crcrypt format; it takes no --format or --encoding");
+  }
+  if (values.stream && opts.label) {
+    throw new UsageError("--stream writes the binary .crcrypt format; it takes no --label");
+  }
+  if (values.stream && values.batch !== undefined) {
+    throw new UsageError("--stream encrypts one file; it takes no --batch");
+  }
+  if (values.stream && values["raw-key"] !== undefined) {
+    throw new UsageError("--stream takes a password, not --raw-key");
+  }
+  const keyfile = await readKeyfile(values);
+  const secret = await getSecret(values, true);
+  if (secret instanceof Uint8Array && secret.length !== opts.keyLength) {
+    const bits = secret.length * 8;
+    throw new UsageError(`The key is ${bits}-bit; choose a ${bits}-bit --algorithm`);
+  }
+
+  if (values.batch !== undefined) {
+    await encryptList(values, file, secret, { ...opts, keyfile });
+    return;
+  }
+
+  if (values.stream) {
+    // The chunked format is AES-256-GCM by design and records the file name
+    const source = Readable.toWeb(file ? fs.createReadStream(file) : process.stdin);
+    const stream = await encryptStream(source, secret, {
+      ...opts,
+      name: file ? path.basename(file) : "",
+      keyLength: DEFAULTS.keyLength,
+      keyfile
+    });
+    await writeOutput(values.output, Readable.fromWeb(stream));
+    return;
+  }
+
+  const data = file ? new Uint8Array(fs.readFileSync(file)) : await readAll(process.stdin);
+  try {
+    const ciphertext = await encryptBytes(data, secret, { ...opts, keyfile });
+    await writeOutput(values.output, Readable.from([`${ciphertext}\n`]));
+  } finally {
+    // Hygiene: zeroize plaintext
+    wipeBytes(data);
+  }
+}
+
+async function decrypt(values, file) {
+  const opts = readCryptoOptions(values);
+  const keyfile = await readKeyfile(values);
+  const secret = await getSecret(values, false);
+
+  if (values.batch !== undefined) {
+    await decryptList(values, file, secret, { iterations: opts.iterations, keyLength: opts.keyLength, keyfile });
+    return;
+  }
+
+  // .crcrypt files from File mode (or --stream) are decrypted chunk by chunk straight from disk
+  if (file && isStreamFormat(readHead(file, 4))) {
+    const { name, stream } = await decryptStream(Readable.toWeb(fs.createReadStream(file)), secret, { keyfile });
+    reportName(name, values.output);
+    await writeOutput(values.output, Readable.fromWeb(stream));
+    return;
+  }
+
+  const input = file ? new Uint8Array(fs.readFileSync(file)) : await readAll(process.stdin);
+  if (isStreamFormat(input)) {
+    const { name, stream } = await decryptStream(new Blob([input]).stream(), secret, { keyfile });
+    wipeBytes(input);
+    reportName(name, values.output);
+    await writeOutput(values.output, Readable.fromWeb(stream));
+    return;
+  }
+
+  const text = new TextDecoder("utf-8").decode(input);
+  wipeBytes(input);
+  // Legacy input doesn't record its iterations; the key length is a hint, others are tried too. Legacy CBC
+  // text from earlier web builds loses its extra padding block here as it does in the web app
+  const plaintext = await decryptTextBytes(text.trim(), secret, { iterations: opts.iterations, keyLength: opts.keyLength, keyfile });
+  // Decryption checked the label along with the ciphertext
+  const { label } = inspectCiphertext(text);
+  if (label) {
+    process.stderr.write(`crcrypt: label: ${label}\n`);
+  }
+  try {
+    await writeOutput(values.output, Readable.from([Buffer.from(plaintext)]));
+  } finally {
+    // Hygiene: zeroize plaintext
+    wipeBytes(plaintext);
+  }
+}
+
+// --batch: the input is a list in the given format, and the output the same list with each value replaced
+async function readList(values, file) {
+  if (!Object.values(BATCH_FORMATS).includes(values.batch)) {
+    throw new UsageError(`Unknown batch format "${values.batch}"`);
+  }
+  const input = file ? new Uint8Array(fs.readFileSync(file)) : await readAll(process.stdin);
+  const text = new TextDecoder("utf-8").decode(input);
+  wipeBytes(input);
+  const entries = parseBatch(text, values.batch);
+  const blank = entries.find((entry) => entry.value.trim() === "");
+  if (blank) {
+    throw new Error(`Line ${blank.line} has no value`);
+  }
+  return entries;
+}
+
+async function encryptList(values, file, secret, opts) {
+  if (opts.encoding === ENCODINGS.ARMOR && values.batch !== BATCH_FORMATS.CSV) {
+    throw new UsageError("Armored ciphertexts span several lines; use --batch csv or another --encoding");
+  }
+  const entries = await readList(values, file);
+  const ciphertexts = await encryptTextBatch(entries.map((entry) => entry.value), secret, opts);
+  const list = formatBatch(entries.map(({ name }, i) => ({ name, value: ciphertexts[i] })), values.batch);
+  await writeOutput(values.output, Readable.from([`${list}\n`]));
+}
+
+// Failed entries are left empty in the output and reported on standard error; the exit code is then 1
+async function decryptList(values, file, secret, opts) {
+  const entries = await readList(values, file);
+  // A plaintext with a line break can't go in a lines or key=value list: it fails like a wrong password would
+  const results = fitBatchResults(await decryptTextBatch(entries.map((entry) => entry.value), secret, opts), values.batch);
+  const list = formatBatch(entries.map(({ name }, i) => ({ name, value: results[i].plaintext ?? "" })), values.batch);
+  await writeOutput(values.output, Readable.from([`${list}\n`]));
+
+  const failed = results.filter((result) => result.error).length;
+  results.forEach(({ error }, i) => {
+    if (!error) return;
+    const { line, name } = entries[i];
+    process.stderr.write(`crcrypt: line ${line}${name ? ` (${name})` : ""}: ${error.message}\n`);
+  });
+  if (failed > 0) {
+    process.stderr.write(`crcrypt: ${failed} of ${results.length} entries failed to decrypt\n`);
+    process.exitCode = 1;
+  }
+}
+
+function reportName(name, output) {
+  const original = sanitizeFileName(name);
+  if (original && !output) {
+    process.stderr.write(`crcrypt: original file name: ${original}\n`);
+  }
+}
+
+// ── Main ──────────────────────────────────────────────────────
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  const [command, file, ...extra] = positionals;
+  if (extra.length > 0) {
+    throw new UsageError("Only one input file can be given");
+  }
+  if (values.output && file && path.resolve(values.output) === path.resolve(file)) {
+    throw new UsageError("The output file must differ from the input file");
+  }
+
+  if (command === "encrypt") {
+    await encrypt(values, file);
+  } else if (command === "decrypt") {
+    await decrypt(values, file);
+  } else {
+    throw new UsageError(command ? `Unknown command "${command}"` : "Missing command");
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  process.stderr.write(`crcrypt: ${err?.message || err}\n`);
+  if (err instanceof UsageError) process.stderr.write(`\n${USAGE}\n`);
+  process.exitCode = err instanceof UsageError ? 2 : 1;
+});
@@ -0,0 +1,136 @@
+// src/armor.js
+// ASCII armor for pasting ciphertexts into email, chat and tickets: BEGIN/END lines, optional headers,
+// Base64 wrapped at 64 columns and a CRC-24 checksum line (the OpenPGP layout, RFC 4880 §6).
+// Damage picked up in transit is reported as such, before any password is tried.
+
+import { toBase64, fromBase64 } from "./utils/codec.js";
+import { EncodingError } from "./errors.js";
+
+export const ARMOR_LABEL = "CRCRYPT MESSAGE";
+const LINE_LENGTH = 64;
+const MAX_HEADER_LENGTH = 200;
+
+const CRC24_INIT = 0xb704ce;
+const CRC24_POLY = 0x1864cfb;
+
+/**
+ * CRC-24 as used by OpenPGP armor.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc24(bytes) {
+  let crc = CRC24_INIT;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i] << 16;
+    for (let j = 0; j < 8; j++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= CRC24_POLY;
+    }
+  }
+  return crc & 0xffffff;
+}
+
+function checksumLine(bytes) {
+  const crc = crc24(bytes);
+  return "=" + toBase64(Uint8Array.from([crc >>> 16, (crc >>> 8) & 0xff, crc & 0xff]));
+}
+
+/**
+ * True if the text contains an armor BEGIN line.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isArmored(text) {
+  return String(text || "").includes(`-----BEGIN ${ARMOR_LABEL}-----`);
+}
+
+/**
+ * Armor bytes. Header values are single-line text; they are not encrypted or authenticated.
+ * @param {Uint8Array} bytes
+ * @param {{headers?:Record<string, string>}} opts
+ * @returns {string}
+ */
+export function armor(bytes, opts = {}) {
+  const lines = [`-----BEGIN ${ARMOR_LABEL}-----`];
+  const headers = Object.entries(opts.headers || {}).filter(([, value]) => String(value || "").trim() !== "");
+  for (const [key, value] of headers) {
+    const clean = String(value).replace(/[\r\n]+/g, " ").trim().slice(0, MAX_HEADER_LENGTH);
+    if (!/^[A-Za-z][A-Za-z0-9-]*$/.test(key)) {
+      throw new Error(`Invalid armor header name: ${key}`);
+    }
+    lines.push(`${key}: ${clean}`);
+  }
+  lines.push("");
+
+  const body = toBase64(bytes);
+  for (let i = 0; i < body.length; i += LINE_LENGTH) {
+    lines.push(body.slice(i, i + LINE_LENGTH));
+  }
+  lines.push(checksumLine(bytes));
+  lines.push(`-----END ${ARMOR_LABEL}-----`);
+  return lines.join("\n");
+}
+
+/**
+ * Parse an armored block back to bytes. Tolerates surrounding text, CRLF line endings, trailing spaces,
+ * quoting (">") and a missing blank line after the headers; anything else that changed in transit is
+ * reported as damage.
+ * @param {string} text
+ * @returns {{bytes:Uint8Array, headers:Record<string, string>}}
+ * @throws {EncodingError} "Armored message is damaged: …" or "… is truncated: …"
+ */
+export function dearmor(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^(\s*>)+/, "").trim());
+
+  const begin = lines.indexOf(`-----BEGIN ${ARMOR_LABEL}-----`);
+  if (begin === -1) {
+    throw new EncodingError("Not an armored CRCrypt message");
+  }
+  const end = lines.indexOf(`-----END ${ARMOR_LABEL}-----`, begin + 1);
+  if (end === -1) {
+    throw new EncodingError("Armored message is truncated: the END line is missing");
+  }
+
+  let i = begin + 1;
+  const headers = {};
+  while (i < end && /^[A-Za-z][A-Za-z0-9-]*: /.test(lines[i])) {
+    const colon = lines[i].indexOf(": ");
+    headers[lines[i].slice(0, colon)] = lines[i].slice(colon + 2);
+    i++;
+  }
+
+  let body = "";
+  let checksum = null;
+  for (; i < end; i++) {
+    const line = lines[i];
+    if (line === "") continue;
+    // Base64 lines never start with "=", so this is the checksum line; it must be the last one
+    if (line.startsWith("=")) {
+      if (!/^=[A-Za-z0-9+/]{4}$/.test(line) || lines.slice(i + 1, end).some(Boolean)) {
+        throw new EncodingError("Armored message is damaged: the checksum line is malformed or not last");
+      }
+      checksum = line;
+      break;
+    }
+    if (!/^[A-Za-z0-9+/=]+$/.test(line)) {
+      throw new EncodingError(`Armored message is damaged: unexpected characters on line ${i - begin + 1}`);
+    }
+    body += line;
+  }
+  if (checksum === null) {
+    throw new EncodingError("Armored message is damaged: the checksum line is missing");
+  }
+
+  let bytes;
+  try {
+    bytes = fromBase64(body);
+  } catch {
+    throw new EncodingError("Armored message is damaged: characters were added or dropped in transit");
+  }
+  if (checksumLine(bytes) !== checksum) {
+    throw new EncodingError("Armored message is damaged: checksum mismatch (the text changed in transit)");
+  }
+  return { bytes, headers };
+}
@@ -0,0 +1,161 @@
+// src/batch.js
+// Lists of secrets for batch encryption and decryption: one value per line, CSV (RFC 4180) rows of
+// "value" or "name,value", or NAME=value pairs as in .env files. Parsing and formatting only; crypto.js
+// encrypts and decrypts the values.
+
+export const BATCH_FORMATS = Object.freeze({
+  LINES: "lines",
+  CSV: "csv",
+  KEY_VALUE: "keyvalue"
+});
+
+/**
+ * Split a list into entries. Blank lines are skipped, and in key=value lists so are # comments. Each entry
+ * keeps the line it started on, for reporting.
+ * @param {string} text
+ * @param {string} [format] - one of BATCH_FORMATS (default lines)
+ * @returns {{line:number, name:string, value:string}[]} name is "" for lines and one-column CSV
+ */
+export function parseBatch(text, format = BATCH_FORMATS.LINES) {
+  const source = String(text || "");
+  let entries;
+  if (format === BATCH_FORMATS.LINES) {
+    entries = splitLines(source)
+      .filter(({ text: line }) => line.trim() !== "")
+      .map(({ line, text: value }) => ({ line, name: "", value }));
+  } else if (format === BATCH_FORMATS.KEY_VALUE) {
+    entries = parseKeyValue(source);
+  } else if (format === BATCH_FORMATS.CSV) {
+    entries = parseCsv(source);
+  } else {
+    throw new Error(`Unsupported list format: ${format}`);
+  }
+  if (entries.length === 0) {
+    throw new Error("The list is empty");
+  }
+  return entries;
+}
+
+/**
+ * Write entries back out in a list format. Lines and key=value lists can't hold a line break in a value;
+ * CSV quotes it.
+ * @param {{name?:string, value:string}[]} entries
+ * @param {string} [format] - one of BATCH_FORMATS (default lines)
+ * @returns {string}
+ */
+export function formatBatch(entries, format = BATCH_FORMATS.LINES) {
+  if (format === BATCH_FORMATS.CSV) {
+    const named = entries.some((entry) => entry.name);
+    return entries
+      .map(({ name = "", value }) => (named ? `${csvField(name)},${csvField(value)}` : csvField(value)))
+      .join("\n");
+  }
+  if (format !== BATCH_FORMATS.LINES && format !== BATCH_FORMATS.KEY_VALUE) {
+    throw new Error(`Unsupported list format: ${format}`);
+  }
+  return entries
+    .map(({ name = "", value }, i) => {
+      if (!fitsBatchFormat(value, format)) {
+        throw new Error(`Entry ${i + 1} has a line break; use CSV for multi-line values`);
+      }
+      return format === BATCH_FORMATS.KEY_VALUE ? `${name}=${value}` : value;
+    })
+    .join("\n");
+}
+
+/**
+ * Turn decryptTextBatch results that formatBatch can't write in `format` (a plaintext with a line break in a
+ * lines or key=value list) into failures, so one such entry doesn't cost the rest of the run.
+ * @param {Array<{plaintext:string}|{error:{code?:string, message:string}}>} results
+ * @param {string} format - one of BATCH_FORMATS
+ * @returns {Array<{plaintext:string}|{error:{code?:string, message:string}}>}
+ */
+export function fitBatchResults(results, format) {
+  return results.map((result) => (result.error || fitsBatchFormat(result.plaintext, format)
+    ? result
+    : { error: { message: "The plaintext has a line break; decrypt the list as CSV to keep multi-line values" } }));
+}
+
+function fitsBatchFormat(value, format) {
+  return format === BATCH_FORMATS.CSV || !/[\r\n]/.test(value);
+}
+
+function splitLines(text) {
+  return text.split("\n").map((line, i) => ({ line: i + 1, text: line.replace(/\r$/, "") }));
+}
+
+function parseKeyValue(text) {
+  const entries = [];
+  for (const { line, text: row } of splitLines(text)) {
+    const trimmed = row.trim();
+    if (trimmed === "" || trimmed.startsWith("#")) continue;
+    const eq = row.indexOf("=");
+    const name = eq === -1 ? "" : row.slice(0, eq).trim();
+    if (name === "") {
+      throw new Error(`Line ${line}: expected NAME=value`);
+    }
+    entries.push({ line, name, value: row.slice(eq + 1) });
+  }
+  return entries;
+}
+
+// RFC 4180: comma-separated fields, double quotes around fields holding commas, quotes or line breaks,
+// and "" for a quote inside them
+function parseCsv(text) {
+  const entries = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 2) {
+      throw new Error(`Line ${rowLine}: expected value or name,value, found ${row.length} fields`);
+    }
+    if (row.length === 2) {
+      entries.push({ line: rowLine, name: row[0], value: row[1] });
+    } else if (row[0].trim() !== "") {
+      entries.push({ line: rowLine, name: "", value: row[0] });
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || (ch === "\r" && text[i + 1] === "\n")) {
+      if (ch === "\r") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Line ${rowLine}: unterminated quoted field`);
+  }
+  if (field !== "" || row.length > 0) endRow();
+  return entries;
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
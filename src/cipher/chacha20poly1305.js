@@ -0,0 +1,374 @@
+// src/cipher/chacha20poly1305.js
+// Pure-JS ChaCha20-Poly1305 (RFC 8439) and XChaCha20-Poly1305 (draft-irtf-cfrg-xchacha), for devices where
+// AES without hardware support is slow. Poly1305 runs on 13-bit limbs so every product stays exact in a double.
+// One-time keys, subkeys and keystream blocks are zeroized after use.
+
+import { AuthenticationError, ParameterError } from "../errors.js";
+
+export const KEY_LENGTH = 32;
+export const NONCE_LENGTH = 12;
+export const XNONCE_LENGTH = 24;
+export const TAG_LENGTH = 16;
+
+// "expand 32-byte k"
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+// ── ChaCha20 ──────────────────────────────────────────────────
+
+function readU32LE(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function writeU32LE(out, offset, value) {
+  out[offset] = value & 0xff;
+  out[offset + 1] = (value >>> 8) & 0xff;
+  out[offset + 2] = (value >>> 16) & 0xff;
+  out[offset + 3] = (value >>> 24) & 0xff;
+}
+
+// Initial state: constants | key (8 words) | the last four words (counter and nonce, or HChaCha20's 16-byte nonce)
+function initialState(key, tail) {
+  const state = new Uint32Array(16);
+  for (let i = 0; i < 4; i++) state[i] = SIGMA[i];
+  for (let i = 0; i < 8; i++) state[4 + i] = readU32LE(key, i * 4);
+  for (let i = 0; i < 4; i++) state[12 + i] = tail[i];
+  return state;
+}
+
+// 20 rounds of `state` into `x`; ChaCha20 adds the input back afterwards, HChaCha20 doesn't
+function chachaRounds(state, x, addInput) {
+  for (let i = 0; i < 16; i++) x[i] = state[i];
+  const qr = (a, b, c, d) => {
+    x[a] = (x[a] + x[b]) >>> 0; x[d] ^= x[a]; x[d] = (x[d] << 16) | (x[d] >>> 16);
+    x[c] = (x[c] + x[d]) >>> 0; x[b] ^= x[c]; x[b] = (x[b] << 12) | (x[b] >>> 20);
+    x[a] = (x[a] + x[b]) >>> 0; x[d] ^= x[a]; x[d] = (x[d] << 8) | (x[d] >>> 24);
+    x[c] = (x[c] + x[d]) >>> 0; x[b] ^= x[c]; x[b] = (x[b] << 7) | (x[b] >>> 25);
+  };
+  for (let round = 0; round < 20; round += 2) {
+    qr(0, 4, 8, 12); qr(1, 5, 9, 13); qr(2, 6, 10, 14); qr(3, 7, 11, 15);
+    qr(0, 5, 10, 15); qr(1, 6, 11, 12); qr(2, 7, 8, 13); qr(3, 4, 9, 14);
+  }
+  if (addInput) {
+    for (let i = 0; i < 16; i++) x[i] = (x[i] + state[i]) >>> 0;
+  }
+}
+
+function nonceWords(nonce) {
+  return [readU32LE(nonce, 0), readU32LE(nonce, 4), readU32LE(nonce, 8)];
+}
+
+/**
+ * XOR `input` with the ChaCha20 keystream starting at block `counter`.
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 12 bytes
+ * @param {number} counter
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+function chacha20Xor(key, nonce, counter, input) {
+  if (input.length > (0x100000000 - counter) * 64) {
+    throw new ParameterError("ChaCha20 can't encrypt more than 256 GiB under one nonce");
+  }
+  const state = initialState(key, [counter, ...nonceWords(nonce)]);
+  const x = new Uint32Array(16);
+  const block = new Uint8Array(64);
+  const out = new Uint8Array(input.length);
+  for (let offset = 0; offset < input.length; offset += 64) {
+    chachaRounds(state, x, true);
+    for (let i = 0; i < 16; i++) writeU32LE(block, i * 4, x[i]);
+    const end = Math.min(64, input.length - offset);
+    for (let i = 0; i < end; i++) out[offset + i] = input[offset + i] ^ block[i];
+    state[12] = (state[12] + 1) >>> 0;
+  }
+  // Hygiene: zeroize key schedule and keystream
+  state.fill(0);
+  x.fill(0);
+  block.fill(0);
+  return out;
+}
+
+/**
+ * HChaCha20: a 32-byte subkey from a key and the first 16 bytes of an XChaCha20 nonce.
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce16
+ * @returns {Uint8Array}
+ */
+function hchacha20(key, nonce16) {
+  const state = initialState(key, [readU32LE(nonce16, 0), readU32LE(nonce16, 4), readU32LE(nonce16, 8), readU32LE(nonce16, 12)]);
+  const x = new Uint32Array(16);
+  chachaRounds(state, x, false);
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 4; i++) {
+    writeU32LE(out, i * 4, x[i]);
+    writeU32LE(out, 16 + i * 4, x[12 + i]);
+  }
+  // Hygiene: zeroize key schedule
+  state.fill(0);
+  x.fill(0);
+  return out;
+}
+
+// ── Poly1305 ──────────────────────────────────────────────────
+
+// Ten 13-bit limbs of a 16-byte little-endian block; `hibit` is 2^128 for full message blocks
+function loadLimbs(bytes, offset, limbs, hibit) {
+  const t = new Array(8);
+  for (let i = 0; i < 8; i++) t[i] = bytes[offset + 2 * i] | (bytes[offset + 2 * i + 1] << 8);
+  limbs[0] = t[0] & 0x1fff;
+  limbs[1] = ((t[0] >>> 13) | (t[1] << 3)) & 0x1fff;
+  limbs[2] = ((t[1] >>> 10) | (t[2] << 6)) & 0x1fff;
+  limbs[3] = ((t[2] >>> 7) | (t[3] << 9)) & 0x1fff;
+  limbs[4] = ((t[3] >>> 4) | (t[4] << 12)) & 0x1fff;
+  limbs[5] = (t[4] >>> 1) & 0x1fff;
+  limbs[6] = ((t[4] >>> 14) | (t[5] << 2)) & 0x1fff;
+  limbs[7] = ((t[5] >>> 11) | (t[6] << 5)) & 0x1fff;
+  limbs[8] = ((t[6] >>> 8) | (t[7] << 8)) & 0x1fff;
+  limbs[9] = (t[7] >>> 5) | (hibit ? 1 << 11 : 0);
+}
+
+/**
+ * Incremental Poly1305 under a one-time 32-byte key (r | s).
+ * @param {Uint8Array} oneTimeKey
+ * @returns {{update:(bytes:Uint8Array)=>void, finish:()=>Uint8Array}}
+ */
+function createPoly1305(oneTimeKey) {
+  const rBytes = oneTimeKey.slice(0, 16);
+  // Clamp r as RFC 8439 §2.5 requires
+  rBytes[3] &= 15; rBytes[7] &= 15; rBytes[11] &= 15; rBytes[15] &= 15;
+  rBytes[4] &= 252; rBytes[8] &= 252; rBytes[12] &= 252;
+  const r = new Array(10);
+  loadLimbs(rBytes, 0, r, false);
+  rBytes.fill(0);
+  const s = oneTimeKey.slice(16, 32);
+
+  const h = new Array(10).fill(0);
+  const m = new Array(10);
+  const d = new Array(10);
+  const pending = new Uint8Array(16);
+  let pendingLength = 0;
+
+  // h = (h + block) * r mod 2^130 - 5; limbs at or past 2^130 fold back in times 5
+  const block = (bytes, offset, hibit) => {
+    loadLimbs(bytes, offset, m, hibit);
+    for (let i = 0; i < 10; i++) h[i] += m[i];
+    let carry = 0;
+    for (let i = 0; i < 10; i++) {
+      let sum = carry;
+      for (let j = 0; j < 10; j++) {
+        sum += h[j] * (j <= i ? r[i - j] : 5 * r[i + 10 - j]);
+      }
+      carry = Math.floor(sum / 8192);
+      d[i] = sum - carry * 8192;
+    }
+    d[0] += carry * 5;
+    d[1] += d[0] >>> 13;
+    d[0] &= 0x1fff;
+    for (let i = 0; i < 10; i++) h[i] = d[i];
+  };
+
+  const update = (bytes) => {
+    let offset = 0;
+    if (pendingLength > 0) {
+      const take = Math.min(16 - pendingLength, bytes.length);
+      pending.set(bytes.subarray(0, take), pendingLength);
+      pendingLength += take;
+      offset = take;
+      if (pendingLength < 16) return;
+      block(pending, 0, true);
+      pendingLength = 0;
+    }
+    for (; offset + 16 <= bytes.length; offset += 16) block(bytes, offset, true);
+    pending.set(bytes.subarray(offset), 0);
+    pendingLength = bytes.length - offset;
+  };
+
+  const finish = () => {
+    if (pendingLength > 0) {
+      // A short final block gets a 1 byte after it instead of the 2^128 bit
+      pending[pendingLength] = 1;
+      pending.fill(0, pendingLength + 1);
+      block(pending, 0, false);
+    }
+    // Fully carry h, then take h - p instead when h >= p = 2^130 - 5
+    let carry = 0;
+    for (let i = 0; i < 10; i++) {
+      h[i] += carry;
+      carry = h[i] >>> 13;
+      h[i] &= 0x1fff;
+    }
+    h[0] += carry * 5;
+    for (let i = 0; i < 9; i++) {
+      h[i + 1] += h[i] >>> 13;
+      h[i] &= 0x1fff;
+    }
+    const g = new Array(10);
+    carry = 5;
+    for (let i = 0; i < 10; i++) {
+      g[i] = h[i] + carry;
+      carry = g[i] >>> 13;
+      g[i] &= 0x1fff;
+    }
+    const mask = -carry; // all ones when h + 5 reached 2^130
+    for (let i = 0; i < 10; i++) h[i] = (h[i] & ~mask) | (g[i] & mask);
+
+    // Pack into 16-bit words and add s mod 2^128
+    const words = [
+      h[0] | (h[1] << 13),
+      (h[1] >>> 3) | (h[2] << 10),
+      (h[2] >>> 6) | (h[3] << 7),
+      (h[3] >>> 9) | (h[4] << 4),
+      (h[4] >>> 12) | (h[5] << 1) | (h[6] << 14),
+      (h[6] >>> 2) | (h[7] << 11),
+      (h[7] >>> 5) | (h[8] << 8),
+      (h[8] >>> 8) | (h[9] << 5)
+    ];
+    const tag = new Uint8Array(TAG_LENGTH);
+    let sum = 0;
+    for (let i = 0; i < 8; i++) {
+      sum = (words[i] & 0xffff) + (s[2 * i] | (s[2 * i + 1] << 8)) + (sum >>> 16);
+      tag[2 * i] = sum & 0xff;
+      tag[2 * i + 1] = (sum >>> 8) & 0xff;
+    }
+    // Hygiene: zeroize key and accumulator
+    r.fill(0);
+    s.fill(0);
+    h.fill(0);
+    g.fill(0);
+    pending.fill(0);
+    return tag;
+  };
+
+  return { update, finish };
+}
+
+// ── AEAD ──────────────────────────────────────────────────────
+
+// Poly1305 over aad | pad16 | ciphertext | pad16 | len(aad) u64le | len(ciphertext) u64le
+function aeadTag(oneTimeKey, aad, ciphertext) {
+  const mac = createPoly1305(oneTimeKey);
+  const zeros = new Uint8Array(16);
+  mac.update(aad);
+  mac.update(zeros.subarray(0, (16 - (aad.length % 16)) % 16));
+  mac.update(ciphertext);
+  mac.update(zeros.subarray(0, (16 - (ciphertext.length % 16)) % 16));
+  const lengths = new Uint8Array(16);
+  writeU32LE(lengths, 0, aad.length);
+  writeU32LE(lengths, 4, Math.floor(aad.length / 0x100000000));
+  writeU32LE(lengths, 8, ciphertext.length);
+  writeU32LE(lengths, 12, Math.floor(ciphertext.length / 0x100000000));
+  mac.update(lengths);
+  return mac.finish();
+}
+
+// The Poly1305 key is the first half of keystream block 0; the message starts at block 1
+function oneTimeKey(key, nonce) {
+  return chacha20Xor(key, nonce, 0, new Uint8Array(32));
+}
+
+// Length-only timing: every byte is compared whatever the first difference
+function tagsEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+function checkLengths(key, nonce, nonceLength, name) {
+  if (!(key instanceof Uint8Array) || key.length !== KEY_LENGTH) {
+    throw new ParameterError(`${name} requires a 32-byte key`);
+  }
+  if (!(nonce instanceof Uint8Array) || nonce.length !== nonceLength) {
+    throw new ParameterError(`${name} requires a ${nonceLength}-byte nonce`);
+  }
+}
+
+/**
+ * ChaCha20-Poly1305 encryption (RFC 8439 §2.8).
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 12 bytes; never reuse one under the same key
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} [aad] - authenticated, not encrypted
+ * @returns {Uint8Array} ciphertext followed by the 16-byte tag
+ */
+export function chacha20Poly1305Seal(key, nonce, plaintext, aad = new Uint8Array(0)) {
+  checkLengths(key, nonce, NONCE_LENGTH, "ChaCha20-Poly1305");
+  const otk = oneTimeKey(key, nonce);
+  const ciphertext = chacha20Xor(key, nonce, 1, plaintext);
+  const tag = aeadTag(otk, aad, ciphertext);
+  const out = new Uint8Array(ciphertext.length + TAG_LENGTH);
+  out.set(ciphertext, 0);
+  out.set(tag, ciphertext.length);
+  // Hygiene: zeroize intermediates
+  otk.fill(0);
+  ciphertext.fill(0);
+  return out;
+}
+
+/**
+ * ChaCha20-Poly1305 decryption. The tag is checked before any plaintext is produced.
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 12 bytes
+ * @param {Uint8Array} sealed - ciphertext followed by the 16-byte tag
+ * @param {Uint8Array} [aad]
+ * @returns {Uint8Array}
+ * @throws {AuthenticationError} if the tag doesn't match
+ */
+export function chacha20Poly1305Open(key, nonce, sealed, aad = new Uint8Array(0)) {
+  checkLengths(key, nonce, NONCE_LENGTH, "ChaCha20-Poly1305");
+  if (sealed.length < TAG_LENGTH) {
+    throw new AuthenticationError();
+  }
+  const ciphertext = sealed.subarray(0, sealed.length - TAG_LENGTH);
+  const otk = oneTimeKey(key, nonce);
+  const expected = aeadTag(otk, aad, ciphertext);
+  const valid = tagsEqual(expected, sealed.subarray(sealed.length - TAG_LENGTH));
+  otk.fill(0);
+  if (!valid) {
+    throw new AuthenticationError();
+  }
+  return chacha20Xor(key, nonce, 1, ciphertext);
+}
+
+// XChaCha20: HChaCha20 subkey from the first 16 nonce bytes, then ChaCha20 with 0000 | the last 8
+function xchachaSubkey(key, nonce) {
+  checkLengths(key, nonce, XNONCE_LENGTH, "XChaCha20-Poly1305");
+  const subkey = hchacha20(key, nonce.subarray(0, 16));
+  const subnonce = new Uint8Array(NONCE_LENGTH);
+  subnonce.set(nonce.subarray(16), 4);
+  return { subkey, subnonce };
+}
+
+/**
+ * XChaCha20-Poly1305 encryption. The 24-byte nonce is long enough to pick at random for every message.
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 24 bytes
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} [aad]
+ * @returns {Uint8Array} ciphertext followed by the 16-byte tag
+ */
+export function xchacha20Poly1305Seal(key, nonce, plaintext, aad) {
+  const { subkey, subnonce } = xchachaSubkey(key, nonce);
+  try {
+    return chacha20Poly1305Seal(subkey, subnonce, plaintext, aad);
+  } finally {
+    subkey.fill(0);
+  }
+}
+
+/**
+ * XChaCha20-Poly1305 decryption.
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 24 bytes
+ * @param {Uint8Array} sealed - ciphertext followed by the 16-byte tag
+ * @param {Uint8Array} [aad]
+ * @returns {Uint8Array}
+ * @throws {AuthenticationError} if the tag doesn't match
+ */
+export function xchacha20Poly1305Open(key, nonce, sealed, aad) {
+  const { subkey, subnonce } = xchachaSubkey(key, nonce);
+  try {
+    return chacha20Poly1305Open(subkey, subnonce, sealed, aad);
+  } finally {
+    subkey.fill(0);
+  }
+}
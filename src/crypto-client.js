@@ -0,0 +1,361 @@
+// src/crypto-client.js
+// Main-thread facade over src/crypto-worker.js. Mirrors the crypto/files API but returns promises that
+// settle when the worker finishes, so PBKDF2 and cipher work never block the UI thread.
+// Falls back to running in-thread when module workers are unavailable (e.g. file:// or older browsers).
+
+import * as cryptoApi from "./crypto.js";
+import * as filesApi from "./files.js";
+import * as pubkeyApi from "./pubkey.js";
+import * as signApi from "./sign.js";
+import * as shamirApi from "./shamir.js";
+import { restoreError } from "./errors.js";
+
+const LOCAL_OPERATIONS = {
+  encryptText: cryptoApi.encryptText,
+  decryptText: cryptoApi.decryptText,
+  encryptBytes: cryptoApi.encryptBytes,
+  decryptBytes: cryptoApi.decryptBytes,
+  encryptTextBatch: cryptoApi.encryptTextBatch,
+  decryptTextBatch: cryptoApi.decryptTextBatch,
+  recoverLegacyParams: cryptoApi.recoverLegacyParams,
+  addPasswordSlot: cryptoApi.addPasswordSlot,
+  removePasswordSlot: cryptoApi.removePasswordSlot,
+  encryptFile: filesApi.encryptFile,
+  decryptFile: filesApi.decryptFile,
+  generateKeyPair: pubkeyApi.generateKeyPair,
+  encryptTextForRecipients: pubkeyApi.encryptTextForRecipients,
+  decryptTextWithKey: pubkeyApi.decryptTextWithKey,
+  generateSigningKeyPair: signApi.generateSigningKeyPair,
+  signText: signApi.signText,
+  verifyText: signApi.verifyText,
+  signFile: signApi.signFile,
+  verifyFile: signApi.verifyFile,
+  splitText: shamirApi.splitText,
+  combineText: shamirApi.combineText,
+};
+
+let worker = null;
+let workerBroken = false;
+let workerReady = false;
+let nextId = 1;
+
+// Pending jobs by id: { op, args, opts, resolve, reject, stream? }
+const jobs = new Map();
+
+function getWorker() {
+  if (workerBroken) return null;
+  if (worker) return worker;
+  if (typeof Worker !== "function") {
+    workerBroken = true;
+    return null;
+  }
+  try {
+    worker = new Worker(new URL("./crypto-worker.js", import.meta.url), { type: "module" });
+  } catch {
+    workerBroken = true;
+    return null;
+  }
+  worker.addEventListener("message", onWorkerMessage);
+  worker.addEventListener("error", onWorkerError);
+  return worker;
+}
+
+function onWorkerError(e) {
+  if (e && typeof e.preventDefault === "function") e.preventDefault();
+  if (worker) worker.terminate();
+  worker = null;
+  const pending = Array.from(jobs.values());
+  jobs.clear();
+
+  if (!workerReady) {
+    // The worker never started (module workers unsupported or script blocked): run pending jobs locally
+    workerBroken = true;
+    for (const job of pending) {
+      runLocal(job.op, job.args, job.opts).then(job.resolve, job.reject);
+    }
+    return;
+  }
+
+  // The worker crashed mid-job: its jobs fail, and the next call starts a fresh worker
+  workerReady = false;
+  const err = new Error("The crypto worker stopped unexpectedly. Try again");
+  for (const job of pending) {
+    if (job.controller) {
+      job.controller.error(err);
+      settlePull(job);
+    } else {
+      job.reject(err);
+    }
+  }
+}
+
+function onWorkerMessage(e) {
+  workerReady = true;
+  const msg = e.data || {};
+  const job = jobs.get(msg.id);
+  if (!job) return;
+
+  switch (msg.type) {
+    case "progress":
+      if (typeof job.opts.onProgress === "function") job.opts.onProgress(msg.done, msg.total);
+      break;
+    case "result":
+      if (job.streamed) {
+        job.resolve({ name: msg.result.name, stream: createPullStream(msg.id, job) });
+      } else {
+        jobs.delete(msg.id);
+        job.resolve(msg.result);
+      }
+      break;
+    case "chunk":
+      if (job.controller) job.controller.enqueue(msg.chunk);
+      settlePull(job);
+      break;
+    case "end":
+      jobs.delete(msg.id);
+      if (job.controller) job.controller.close();
+      settlePull(job);
+      break;
+    case "error":
+      jobs.delete(msg.id);
+      if (job.controller) {
+        job.controller.error(restoreError(msg.error));
+        settlePull(job);
+      } else {
+        job.reject(restoreError(msg.error));
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function settlePull(job) {
+  const done = job.pullDone;
+  job.pullDone = null;
+  if (done) done();
+}
+
+/**
+ * ReadableStream backed by worker chunks; each pull() requests exactly one chunk (backpressure).
+ */
+function createPullStream(id, job) {
+  return new ReadableStream({
+    start(controller) {
+      job.controller = controller;
+    },
+    pull() {
+      return new Promise((resolve) => {
+        job.pullDone = resolve;
+        worker.postMessage({ id, type: "pull" });
+      });
+    },
+    cancel() {
+      jobs.delete(id);
+      if (worker) worker.postMessage({ id, type: "cancel" });
+    },
+  });
+}
+
+async function runLocal(op, args, opts) {
+  return LOCAL_OPERATIONS[op](...args, opts);
+}
+
+function call(op, args, opts = {}, streamed = false) {
+  const w = getWorker();
+  if (!w) return runLocal(op, args, opts);
+
+  const id = nextId++;
+  const { onProgress: _onProgress, signal, ...cloneable } = opts;
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    // The worker stops at its next check of the signal; the caller hears at once
+    const onAbort = () => {
+      if (!jobs.delete(id)) return;
+      if (worker) worker.postMessage({ id, type: "cancel" });
+      reject(signal.reason);
+    };
+    // Settling removes the abort listener, so a reused signal doesn't collect one per finished job
+    const settle = (fn) => (value) => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    jobs.set(id, { op, args, opts, resolve: settle(resolve), reject: settle(reject), streamed });
+    w.postMessage({ id, op, args: [...args, cloneable] });
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Worker-backed encryptText. Same signature as crypto.js; opts.onProgress is called with (done, total).
+ * @returns {Promise<string>}
+ */
+export function encryptText(plaintext, password, opts = {}) {
+  return call("encryptText", [plaintext, password], opts);
+}
+
+/**
+ * Worker-backed decryptText.
+ * @returns {Promise<string>}
+ */
+export function decryptText(encString, password, opts = {}) {
+  return call("decryptText", [encString, password], opts);
+}
+
+/**
+ * Worker-backed encryptBytes.
+ * @returns {Promise<string>}
+ */
+export function encryptBytes(data, password, opts = {}) {
+  return call("encryptBytes", [data, password], opts);
+}
+
+/**
+ * Worker-backed decryptBytes.
+ * @returns {Promise<Uint8Array>}
+ */
+export function decryptBytes(encString, password, opts = {}) {
+  return call("decryptBytes", [encString, password], opts);
+}
+
+/**
+ * Worker-backed encryptTextBatch. Progress covers the one key derivation.
+ * @returns {Promise<string[]>}
+ */
+export function encryptTextBatch(plaintexts, password, opts = {}) {
+  return call("encryptTextBatch", [plaintexts, password], opts);
+}
+
+/**
+ * Worker-backed decryptTextBatch. Progress counts entries.
+ * @returns {Promise<Array<{plaintext:string}|{error:{code?:string, message:string}}>>}
+ */
+export function decryptTextBatch(encStrings, password, opts = {}) {
+  return call("decryptTextBatch", [encStrings, password], opts);
+}
+
+/**
+ * Worker-backed recoverLegacyParams; aborting opts.signal cancels the search.
+ * @returns {Promise<{plaintext:string, iterations:number, keyLength:number, algorithm:string}>}
+ */
+export function recoverLegacyParams(encString, password, opts = {}) {
+  return call("recoverLegacyParams", [encString, password], opts);
+}
+
+/**
+ * Worker-backed addPasswordSlot.
+ * @returns {Promise<string>}
+ */
+export function addPasswordSlot(encString, password, newPassword, opts = {}) {
+  return call("addPasswordSlot", [encString, password, newPassword], opts);
+}
+
+/**
+ * Worker-backed removePasswordSlot.
+ * @returns {Promise<string>}
+ */
+export function removePasswordSlot(encString, password, opts = {}) {
+  return call("removePasswordSlot", [encString, password], opts);
+}
+
+/**
+ * Worker-backed encryptFile; the output stream is pulled from the worker chunk by chunk.
+ * @returns {Promise<{name:string, stream:ReadableStream<Uint8Array>}>}
+ */
+export function encryptFile(file, password, opts = {}) {
+  return call("encryptFile", [file, password], opts, true);
+}
+
+/**
+ * Worker-backed decryptFile.
+ * @returns {Promise<{name:string, stream:ReadableStream<Uint8Array>}>}
+ */
+export function decryptFile(file, password, opts = {}) {
+  return call("decryptFile", [file, password], opts, true);
+}
+
+/**
+ * Worker-backed generateKeyPair. Takes an options object so the worker protocol stays uniform.
+ * @param {{curve?:string}} opts
+ * @returns {Promise<{curve:string, publicKey:string, privateKey:string, fingerprint:string}>}
+ */
+export function generateKeyPair(opts = {}) {
+  return call("generateKeyPair", [], opts);
+}
+
+/**
+ * Worker-backed encryptTextForRecipients.
+ * @returns {Promise<string>}
+ */
+export function encryptTextForRecipients(plaintext, recipients, opts = {}) {
+  return call("encryptTextForRecipients", [plaintext, recipients], opts);
+}
+
+/**
+ * Worker-backed decryptTextWithKey.
+ * @returns {Promise<string>}
+ */
+export function decryptTextWithKey(encString, privateKey, opts = {}) {
+  return call("decryptTextWithKey", [encString, privateKey], opts);
+}
+
+/**
+ * Worker-backed generateSigningKeyPair.
+ * @param {{scheme?:string}} opts
+ * @returns {Promise<{scheme:string, publicKey:string, privateKey:string, fingerprint:string}>}
+ */
+export function generateSigningKeyPair(opts = {}) {
+  return call("generateSigningKeyPair", [], opts);
+}
+
+/**
+ * Worker-backed signText.
+ * @returns {Promise<string>}
+ */
+export function signText(text, privateKey, opts = {}) {
+  return call("signText", [text, privateKey], opts);
+}
+
+/**
+ * Worker-backed verifyText.
+ * @returns {Promise<{valid:boolean, scheme:string, fingerprint:string}>}
+ */
+export function verifyText(text, signature, publicKey, opts = {}) {
+  return call("verifyText", [text, signature, publicKey], opts);
+}
+
+/**
+ * Worker-backed signFile.
+ * @returns {Promise<string>}
+ */
+export function signFile(file, privateKey, opts = {}) {
+  return call("signFile", [file, privateKey], opts);
+}
+
+/**
+ * Worker-backed verifyFile.
+ * @returns {Promise<{valid:boolean, scheme:string, fingerprint:string}>}
+ */
+export function verifyFile(file, signature, publicKey, opts = {}) {
+  return call("verifyFile", [file, signature, publicKey], opts);
+}
+
+/**
+ * Worker-backed splitText.
+ * @param {{threshold:number, shares:number}} opts
+ * @returns {Promise<string[]>}
+ */
+export function splitText(text, opts = {}) {
+  return call("splitText", [text], opts);
+}
+
+/**
+ * Worker-backed combineText.
+ * @returns {Promise<string>}
+ */
+export function combineText(shares, opts = {}) {
+  return call("combineText", [shares], opts);
+}
@@ -0,0 +1,144 @@
+// src/crypto-worker.js
+// Dedicated module worker that runs all key derivation and cipher work off the main thread.
+// Stateless between jobs apart from open output streams; nothing is persisted.
+//
+// Protocol (main → worker):
+//   { id, op, args }          run OPERATIONS[op](...args); the last arg is the options object
+//   { id, type: "pull" }      request the next chunk of a streamed result
+//   { id, type: "cancel" }    abandon a streamed result, or abort a running job through its opts.signal
+// Protocol (worker → main):
+//   { id, type: "progress", done, total }
+//   { id, type: "result", result }    (streamed ops: result = { name }, then chunks on pull)
+//   { id, type: "chunk", chunk } | { id, type: "end" }
+//   { id, type: "error", error: { name, message, code? } }   (code: see errors.js)
+
+import {
+  encryptText,
+  decryptText,
+  encryptBytes,
+  decryptBytes,
+  encryptTextBatch,
+  decryptTextBatch,
+  recoverLegacyParams,
+  addPasswordSlot,
+  removePasswordSlot,
+} from "./crypto.js";
+import { encryptFile, decryptFile } from "./files.js";
+import { generateKeyPair, encryptTextForRecipients, decryptTextWithKey } from "./pubkey.js";
+import { generateSigningKeyPair, signText, verifyText, signFile, verifyFile } from "./sign.js";
+import { splitText, combineText } from "./shamir.js";
+
+const OPERATIONS = {
+  encryptText,
+  decryptText,
+  encryptBytes,
+  decryptBytes,
+  encryptTextBatch,
+  decryptTextBatch,
+  recoverLegacyParams,
+  addPasswordSlot,
+  removePasswordSlot,
+  encryptFile,
+  decryptFile,
+  generateKeyPair,
+  encryptTextForRecipients,
+  decryptTextWithKey,
+  generateSigningKeyPair,
+  signText,
+  verifyText,
+  signFile,
+  verifyFile,
+  splitText,
+  combineText,
+};
+
+// Operations that resolve to { name, stream }; the stream is handed out chunk by chunk
+const STREAM_OPERATIONS = new Set(["encryptFile", "decryptFile"]);
+
+// Open stream readers by job id
+const readers = new Map();
+
+// Abort controllers of running jobs by id
+const running = new Map();
+
+function serializeError(err) {
+  return {
+    name: (err && err.name) || "Error",
+    message: (err && err.message) || "Operation failed",
+    code: err && typeof err.code === "string" ? err.code : undefined,
+  };
+}
+
+async function runJob({ id, op, args }) {
+  const fn = OPERATIONS[op];
+  if (typeof fn !== "function") {
+    self.postMessage({ id, type: "error", error: { name: "Error", message: `Unknown operation: ${op}` } });
+    return;
+  }
+
+  const callArgs = Array.isArray(args) ? args.slice() : [];
+  const controller = new AbortController();
+  running.set(id, controller);
+  const opts = {
+    ...(callArgs.pop() || {}),
+    onProgress: (done, total) => self.postMessage({ id, type: "progress", done, total }),
+    signal: controller.signal,
+  };
+
+  try {
+    const result = await fn(...callArgs, opts);
+    if (STREAM_OPERATIONS.has(op)) {
+      readers.set(id, result.stream.getReader());
+      self.postMessage({ id, type: "result", result: { name: result.name } });
+    } else if (result instanceof Uint8Array) {
+      self.postMessage({ id, type: "result", result }, [result.buffer]);
+    } else {
+      self.postMessage({ id, type: "result", result });
+    }
+  } catch (err) {
+    self.postMessage({ id, type: "error", error: serializeError(err) });
+  } finally {
+    running.delete(id);
+  }
+}
+
+async function pullChunk(id) {
+  const reader = readers.get(id);
+  if (!reader) {
+    self.postMessage({ id, type: "error", error: { name: "Error", message: "Stream is no longer available" } });
+    return;
+  }
+  try {
+    const { value, done } = await reader.read();
+    if (done) {
+      readers.delete(id);
+      self.postMessage({ id, type: "end" });
+    } else {
+      self.postMessage({ id, type: "chunk", chunk: value }, [value.buffer]);
+    }
+  } catch (err) {
+    readers.delete(id);
+    self.postMessage({ id, type: "error", error: serializeError(err) });
+  }
+}
+
+function cancelJob(id) {
+  const controller = running.get(id);
+  if (controller) controller.abort();
+  const reader = readers.get(id);
+  if (reader) {
+    readers.delete(id);
+    reader.cancel().catch(() => {});
+  }
+}
+
+self.addEventListener("message", (e) => {
+  const msg = e.data || {};
+  if (msg.type === "pull") {
+    pullChunk(msg.id);
+  } else if (msg.type === "cancel") {
+    cancelJob(msg.id);
+  } else {
+    runJob(msg);
+  }
+});
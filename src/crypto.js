@@ -1,25 +1,142 @@
 // src/crypto.js
-// Offline-only crypto utilities supporting AES-CBC and AES-GCM (128/192/256) via Web Crypto with PBKDF2-SHA256.
+// Offline-only crypto utilities supporting AES-CBC, AES-GCM, AES-CTR and AES-CBC + HMAC-SHA256 (128/192/256) via
+// Web Crypto, ChaCha20-Poly1305 and XChaCha20-Poly1305 in pure JS (cipher/chacha20poly1305.js),
+// with PBKDF2-SHA256 (Web Crypto), Argon2id or scrypt (bundled pure JS) key derivation, optionally
+// bound to a keyfile, or with a raw key and no key derivation at all.
 // No persistence, no network, no side effects beyond returned values.
 
 import { toHex, fromHex } from "./utils/hex.js";
+import { argon2id } from "./kdf/argon2.js";
+import { scrypt } from "./kdf/scrypt.js";
+import {
+  chacha20Poly1305Seal,
+  chacha20Poly1305Open,
+  xchacha20Poly1305Seal,
+  xchacha20Poly1305Open
+} from "./cipher/chacha20poly1305.js";
+import {
+  encodeEnvelopeHeader,
+  encodeSlotEnvelopeAad,
+  ENVELOPE_ENCODINGS,
+  encodeEnvelopeString,
+  decodeEnvelopeString,
+  decodeEnvelopeText,
+  parseEnvelope,
+  replaceEnvelopeSlots,
+  encodePasswordSlot,
+  decodePasswordSlot,
+} from "./envelope.js";
+import { CryptoError, FormatError, ParameterError, KeyfileError, AuthenticationError } from "./errors.js";
+
+export {
+  ERROR_CODES,
+  CryptoError,
+  FormatError,
+  EncodingError,
+  ParameterError,
+  KeyfileError,
+  AuthenticationError
+} from "./errors.js";
 
 const enc = new TextEncoder();
 const dec = new TextDecoder("utf-8");
+const strictDec = new TextDecoder("utf-8", { fatal: true });
 
 export const ALGORITHMS = Object.freeze({
   AES_GCM: "AES-GCM",
-  AES_CBC: "AES-CBC"
+  AES_CBC: "AES-CBC",
+  AES_CBC_HMAC: "AES-CBC-HMAC-SHA256", // encrypt-then-MAC; envelope format only
+  AES_CTR: "AES-CTR",                  // unauthenticated; envelope format only
+  CHACHA20_POLY1305: "ChaCha20-Poly1305",
+  XCHACHA20_POLY1305: "XChaCha20-Poly1305"
+});
+
+// Algorithms the legacy salt:iv:ciphertext[:tag] format can express (by its part count)
+const LEGACY_ALGORITHMS = [ALGORITHMS.AES_CBC, ALGORITHMS.AES_GCM];
+
+// Pure-JS ciphers: keys stay raw bytes instead of becoming CryptoKeys
+const CHACHA_ALGORITHMS = {
+  [ALGORITHMS.CHACHA20_POLY1305]: { ivLength: 12, seal: chacha20Poly1305Seal, open: chacha20Poly1305Open },
+  [ALGORITHMS.XCHACHA20_POLY1305]: { ivLength: 24, seal: xchacha20Poly1305Seal, open: xchacha20Poly1305Open }
+};
+
+export const KDFS = Object.freeze({
+  PBKDF2: "PBKDF2-SHA256",
+  ARGON2ID: "Argon2id",
+  SCRYPT: "scrypt"
+});
+
+export const FORMATS = Object.freeze({
+  ENVELOPE: "envelope", // versioned, self-describing (default)
+  LEGACY: "legacy"      // salt:iv:ciphertext[:tag], CRCrypt CLI compatible
 });
 
+export const ENCODINGS = ENVELOPE_ENCODINGS;
+
+// Upper bounds for KDF costs (also applied to values read from a ciphertext, so a tampered header
+// can't hang the tab or exhaust memory)
+const MAX_ITERATIONS = 10000000;
+const ARGON2_MAX_MEMORY = 1024 * 1024; // KiB (1 GiB)
+const ARGON2_MAX_TIME = 64;
+const ARGON2_MAX_PARALLELISM = 16;
+const SCRYPT_MAX_MEMORY = 1024 * 1024 * 1024; // bytes (128 * N * r)
+const SCRYPT_MAX_R = 32;
+const SCRYPT_MAX_P = 16;
+
+// Key-slot envelopes: content is always AES-GCM under a random key; each password slot wraps that key
+// with AES-256-GCM under its own salt and KDF run
+const SLOT_CONTENT_ALGORITHM = "AES-GCM";
+const SLOT_IV_LENGTH = 12;
+const PASSWORD_SLOT = "PASSWORD";
+const MAX_SLOTS = 255;
+
+// AES-CBC-HMAC-SHA256: HKDF-SHA256 info strings that separate the cipher and MAC keys, and the tag length
+const ETM_ENC_INFO = enc.encode("CRCrypt AES-CBC-HMAC-SHA256 encryption key");
+const ETM_MAC_INFO = enc.encode("CRCrypt AES-CBC-HMAC-SHA256 MAC key");
+const ETM_TAG_LENGTH = 32;
+
+// KDF recorded for raw keys (see isRawKey): the key is used as is and the envelope's salt is empty
+const RAW_KDF = Object.freeze({ name: "raw" });
+
+// Keyfiles: options carry a keyfile as its SHA-256 digest; generated keyfiles are 64 random bytes
+const KEYFILE_DIGEST_LENGTH = 32;
+export const KEYFILE_LENGTH = 64;
+
+// Most iteration counts one recoverLegacyParams call will try
+export const MAX_RECOVERY_CANDIDATES = 1000;
+
+// Most entries one encryptTextBatch or decryptTextBatch call takes
+export const MAX_BATCH_ENTRIES = 1000;
+
+// Options key the batch functions use to share derived keys between entries: a Map from the salt and KDF
+// parameters to the derived key. Module-private, so only a batch run can hand keys from one call to the next.
+const BATCH_KEYS = Symbol("CRCrypt batch keys");
+const BATCH_ENCRYPT_KEY = "encrypt";
+
 export const DEFAULTS = Object.freeze({
   algorithm: ALGORITHMS.AES_CBC,
+  format: FORMATS.ENVELOPE,
+  encoding: ENCODINGS.HEX, // envelope text encoding; legacy output is always hex
   saltLength: 32,
   ivLength: 16,        // AES-CBC requires 128-bit IV
   iterations: 100000,  // PBKDF2 iterations
-  keyLength: 32        // 32 bytes = 256 bits
+  keyLength: 32,       // 32 bytes = 256 bits
+  kdf: KDFS.PBKDF2,
+  memory: 19 * 1024,   // Argon2id memory cost in KiB (19 MiB)
+  time: 2,             // Argon2id passes
+  parallelism: 1,      // Argon2id lanes
+  N: 32768,            // scrypt CPU/memory cost (2^15)
+  r: 8,                // scrypt block size
+  p: 1                 // scrypt parallelization
 });
 
+/**
+ * Options key for known-answer tests: `opts[TEST_MODE] = {salt, iv}` makes encryptBytes and encryptText use
+ * that salt and IV instead of fresh random ones. It is a Symbol, so form values, JSON and worker messages
+ * can't carry it; a fixed IV reused under one key breaks AES-GCM, so only selftest.js passes it.
+ */
+export const TEST_MODE = Symbol("CRCrypt test mode");
+
 function ensureWebCrypto() {
   if (!globalThis.crypto || !globalThis.crypto.subtle) {
     throw new Error("Web Crypto API not available in this environment");
@@ -50,64 +167,135 @@ export function randomBytes(length) {
 }
 
 /**
- * Validate AES-GCM parameter constraints for interoperability and security.
- * @param {{keyLength:number, ivLength:number}} params
+ * SHA-256 digest of a keyfile's contents, the form `opts.keyfile` takes. Any file will do; only its
+ * exact bytes matter, so a keyfile must be kept unchanged.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function hashKeyfile(bytes) {
+  ensureWebCrypto();
+  if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+    throw new Error("The keyfile is empty");
+  }
+  return new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", bytes));
+}
+
+/**
+ * Random contents for a new keyfile.
+ * @returns {Uint8Array}
+ */
+export function generateKeyfile() {
+  return randomBytes(KEYFILE_LENGTH);
+}
+
+// A Uint8Array in place of the password is a raw key (see rawkey.js): it goes straight to the cipher
+function isRawKey(secret) {
+  return secret instanceof Uint8Array;
+}
+
+function validateKeyfile(keyfile) {
+  if (!(keyfile instanceof Uint8Array) || keyfile.length !== KEYFILE_DIGEST_LENGTH) {
+    throw new Error("A keyfile must be given as its 32-byte SHA-256 digest (see hashKeyfile)");
+  }
+}
+
+/**
+ * The secret a KDF stretches: the password's UTF-8 bytes, or with a keyfile HMAC-SHA256(keyfile digest,
+ * password), so neither the password nor the keyfile alone derives the key. The caller wipes the result.
+ * @param {string} password
+ * @param {Uint8Array} [keyfile] - digest from hashKeyfile
+ * @returns {Promise<Uint8Array>}
+ */
+async function kdfSecret(password, keyfile) {
+  const passwordBytes = utf8Encode(password);
+  if (!keyfile) return passwordBytes;
+  try {
+    validateKeyfile(keyfile);
+    const macKey = await globalThis.crypto.subtle.importKey(
+      "raw",
+      keyfile,
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    );
+    return new Uint8Array(await globalThis.crypto.subtle.sign("HMAC", macKey, passwordBytes));
+  } finally {
+    // Hygiene: zeroize password copy
+    wipeBytes(passwordBytes);
+  }
+}
+
+/**
+ * Validate cipher parameter constraints for interoperability and security.
+ * @param {{algorithm:string, keyLength:number, ivLength:number}} params
  */
 function validateCipherParams({ algorithm, keyLength, ivLength }) {
+  if (Object.hasOwn(CHACHA_ALGORITHMS, algorithm)) {
+    if (Number(keyLength) !== 32) {
+      throw new ParameterError(`${algorithm} requires a 32-byte key length`);
+    }
+    const nonceLength = CHACHA_ALGORITHMS[algorithm].ivLength;
+    if (ivLength !== nonceLength) {
+      throw new ParameterError(`${algorithm} requires a ${nonceLength}-byte nonce length`);
+    }
+    return;
+  }
   const validKeyLens = [16, 24, 32]; // AES-128/192/256
   if (!validKeyLens.includes(Number(keyLength))) {
-    throw new Error("AES requires a 16, 24, or 32-byte key length");
+    throw new ParameterError("AES requires a 16, 24, or 32-byte key length");
   }
   if (algorithm === "AES-GCM") {
     if (ivLength !== 12) {
-      throw new Error("AES-GCM requires a 12-byte IV length");
+      throw new ParameterError("AES-GCM requires a 12-byte IV length");
     }
-  } else if (algorithm === "AES-CBC") {
+  } else if (algorithm === "AES-CBC" || algorithm === ALGORITHMS.AES_CBC_HMAC || algorithm === ALGORITHMS.AES_CTR) {
     if (ivLength !== 16) {
-      throw new Error("AES-CBC requires a 16-byte IV length");
+      throw new ParameterError(`${algorithm} requires a 16-byte IV length`);
     }
   } else {
-    throw new Error("Unsupported algorithm");
+    throw new ParameterError("Unsupported algorithm");
   }
 }
 
 /**
- * PKCS#7 padding for AES block size (16 bytes).
- * Creates a new Uint8Array with appropriate padding applied.
- * @param {Uint8Array} data
- * @param {number} blockSize
- * @returns {Uint8Array}
+ * Check a ciphertext's length before any key is derived, so a truncated input is reported as such
+ * rather than as a wrong password. AES-GCM and the ChaCha20 modes need room for their 16-byte tag; AES-CBC is
+ * whole blocks, and AES-CBC-HMAC-SHA256 is whole blocks plus its 32-byte tag. AES-CTR can be any length.
+ * @param {string} algorithm
+ * @param {number} length - ciphertext bytes, including the AES-GCM or HMAC tag
  */
-function pkcs7Pad(data, blockSize = 16) {
-  const rem = data.length % blockSize;
-  const padLen = rem === 0 ? blockSize : (blockSize - rem);
-  const out = new Uint8Array(data.length + padLen);
-  out.set(data, 0);
-  out.fill(padLen, data.length);
-  return out;
+function validateCiphertextLength(algorithm, length) {
+  if ((algorithm === "AES-GCM" || Object.hasOwn(CHACHA_ALGORITHMS, algorithm)) && length < 16) {
+    throw new FormatError(`Invalid ciphertext: the ${algorithm} tag is missing or truncated`);
+  }
+  if (algorithm === "AES-CBC" && (length === 0 || length % 16 !== 0)) {
+    throw new FormatError("Invalid ciphertext: AES-CBC ciphertext must be whole 16-byte blocks");
+  }
+  if (algorithm === ALGORITHMS.AES_CBC_HMAC && (length < 16 + ETM_TAG_LENGTH || (length - ETM_TAG_LENGTH) % 16 !== 0)) {
+    throw new FormatError("Invalid ciphertext: the HMAC tag is missing or the ciphertext is truncated");
+  }
 }
 
 /**
- * Remove PKCS#7 padding. Throws on invalid padding.
- * @param {Uint8Array} data
- * @param {number} blockSize
- * @returns {Uint8Array}
+ * Resolve and validate the text encoding for envelope output.
+ * @param {{encoding?:string}} opts
+ * @returns {string}
  */
-function pkcs7Unpad(data, blockSize = 16) {
-  if (!data || data.length === 0) {
-    throw new Error("Invalid padding");
-  }
-  const padLen = data[data.length - 1];
-  if (padLen <= 0 || padLen > blockSize || padLen > data.length) {
-    throw new Error("Invalid padding");
+function resolveEncoding(opts = {}) {
+  const encoding = opts.encoding || DEFAULTS.encoding;
+  if (!Object.values(ENCODINGS).includes(encoding)) {
+    throw new Error("Unsupported output encoding");
   }
-  const start = data.length - padLen;
-  for (let i = start; i < data.length; i++) {
-    if (data[i] !== padLen) {
-      throw new Error("Invalid padding");
-    }
-  }
-  return data.slice(0, start);
+  return encoding;
+}
+
+/**
+ * Armor headers for opts.comment (shown in the clear above armored output; not authenticated).
+ * @param {{comment?:string}} opts
+ * @returns {Record<string, string>}
+ */
+function armorHeaders(opts = {}) {
+  return opts.comment ? { Comment: String(opts.comment) } : {};
 }
 
 /**
@@ -116,14 +304,18 @@ function pkcs7Unpad(data, blockSize = 16) {
  * @param {Uint8Array} salt
  * @param {number} iterations
  * @param {number} keyLength - bytes (must be 32 for AES-256-GCM)
- * @returns {Promise<CryptoKey>}
+ * @param {string} algorithm
+ * @param {Uint8Array} [keyfile] - SHA-256 digest of a keyfile to mix in (see hashKeyfile)
+ * @returns {Promise<CryptoKey|object>} a CryptoKey, or the key pair / raw bytes importCipherKey gives
+ *   AES-CBC-HMAC-SHA256 and the ChaCha20 modes
  */
 export async function deriveKeyPBKDF2(
   password,
   salt,
   iterations = DEFAULTS.iterations,
   keyLength = DEFAULTS.keyLength,
-  algorithm = DEFAULTS.algorithm
+  algorithm = DEFAULTS.algorithm,
+  keyfile
 ) {
   ensureWebCrypto();
   if (typeof password !== "string" || password.trim() === "") {
@@ -140,14 +332,16 @@ export async function deriveKeyPBKDF2(
     throw new Error("AES requires a 16, 24, or 32-byte key length");
   }
 
-  // Import password for PBKDF2 deriveBits
+  // Import password (with the keyfile mixed in) for PBKDF2 deriveBits
+  const secret = await kdfSecret(password, keyfile);
   const baseKey = await globalThis.crypto.subtle.importKey(
     "raw",
-    utf8Encode(password),
+    secret,
     { name: "PBKDF2" },
     false,
     ["deriveBits"]
   );
+  wipeBytes(secret);
 
   // Derive raw key material (bytes) for AES-256
   const bits = await globalThis.crypto.subtle.deriveBits(
@@ -159,13 +353,7 @@ export async function deriveKeyPBKDF2(
   const keyMaterial = new Uint8Array(bits);
 
   // Import raw key material as AES key (CBC by default via DEFAULTS)
-  const cryptoKey = await globalThis.crypto.subtle.importKey(
-    "raw",
-    keyMaterial,
-    { name: algorithm },
-    false, // non-extractable
-    ["encrypt", "decrypt"]
-  );
+  const cryptoKey = await importCipherKey(keyMaterial, algorithm);
 
   // Hygiene: zeroize key material buffer
   wipeBytes(keyMaterial);
@@ -174,50 +362,375 @@ export async function deriveKeyPBKDF2(
 }
 
 /**
- * Encrypt plaintext with AES-GCM 256. Returns hex format: salt:iv:ciphertext:tag
- * @param {string} plaintext
+ * Build a KDF descriptor ({name, ...params}) from encrypt options, filling in defaults.
+ * @param {{kdf?:string, iterations?:number, memory?:number, time?:number, parallelism?:number,
+ *          N?:number, r?:number, p?:number}} opts
+ * @returns {{name:string, iterations?:number, memory?:number, time?:number, parallelism?:number,
+ *           N?:number, r?:number, p?:number}}
+ */
+export function resolveKdf(opts = {}) {
+  const name = opts.kdf || DEFAULTS.kdf;
+  if (name === KDFS.ARGON2ID) {
+    return {
+      name,
+      memory: Number(opts.memory || DEFAULTS.memory),
+      time: Number(opts.time || DEFAULTS.time),
+      parallelism: Number(opts.parallelism || DEFAULTS.parallelism)
+    };
+  }
+  if (name === KDFS.SCRYPT) {
+    return {
+      name,
+      N: Number(opts.N || DEFAULTS.N),
+      r: Number(opts.r || DEFAULTS.r),
+      p: Number(opts.p || DEFAULTS.p)
+    };
+  }
+  return { name, iterations: Number(opts.iterations || DEFAULTS.iterations) };
+}
+
+/**
+ * Check KDF parameters against the supported bounds. Throws on unsupported or out-of-range values.
+ * @param {object} kdf - descriptor from resolveKdf or a ciphertext header
+ */
+function validateKdf(kdf) {
+  if (kdf && kdf.name === KDFS.PBKDF2) {
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations <= 0) {
+      throw new ParameterError("Iterations must be a positive integer");
+    }
+    if (kdf.iterations > MAX_ITERATIONS) {
+      throw new ParameterError("Iteration count exceeds the supported maximum");
+    }
+  } else if (kdf && kdf.name === KDFS.ARGON2ID) {
+    const { memory, time, parallelism } = kdf;
+    if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > ARGON2_MAX_PARALLELISM) {
+      throw new ParameterError(`Argon2id parallelism must be between 1 and ${ARGON2_MAX_PARALLELISM}`);
+    }
+    if (!Number.isInteger(time) || time < 1 || time > ARGON2_MAX_TIME) {
+      throw new ParameterError(`Argon2id time cost must be between 1 and ${ARGON2_MAX_TIME}`);
+    }
+    if (!Number.isInteger(memory) || memory < 8 * parallelism || memory > ARGON2_MAX_MEMORY) {
+      throw new ParameterError("Argon2id memory cost must be between 8 KiB per lane and 1 GiB");
+    }
+  } else if (kdf && kdf.name === KDFS.SCRYPT) {
+    const { N, r, p } = kdf;
+    if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+      throw new ParameterError("scrypt N must be a power of two");
+    }
+    if (!Number.isInteger(r) || r < 1 || r > SCRYPT_MAX_R) {
+      throw new ParameterError(`scrypt r must be between 1 and ${SCRYPT_MAX_R}`);
+    }
+    if (!Number.isInteger(p) || p < 1 || p > SCRYPT_MAX_P) {
+      throw new ParameterError(`scrypt p must be between 1 and ${SCRYPT_MAX_P}`);
+    }
+    if (128 * N * r > SCRYPT_MAX_MEMORY) {
+      throw new ParameterError("scrypt memory cost (128 * N * r) must not exceed 1 GiB");
+    }
+  } else {
+    throw new ParameterError("Unsupported key derivation function");
+  }
+}
+
+/**
+ * Derive an AES CryptoKey with the given KDF. PBKDF2 runs in Web Crypto; Argon2id and scrypt run
+ * in bundled pure JS and block the calling thread (the worker, in the app).
  * @param {string} password
- * @param {{saltLength?:number, ivLength?:number, iterations?:number, keyLength?:number}} opts
+ * @param {Uint8Array} salt
+ * @param {object} kdf - descriptor from resolveKdf or a ciphertext header
+ * @param {number} keyLength - bytes
+ * @param {string} algorithm
+ * @param {(done:number, total:number)=>void} [onProgress] - Argon2id and scrypt report progress
+ * @param {Uint8Array} [keyfile] - SHA-256 digest of a keyfile to mix in (see hashKeyfile)
+ * @returns {Promise<CryptoKey|object>} see deriveKeyPBKDF2
+ */
+export async function deriveKey(
+  password,
+  salt,
+  kdf,
+  keyLength = DEFAULTS.keyLength,
+  algorithm = DEFAULTS.algorithm,
+  onProgress,
+  keyfile
+) {
+  validateKdf(kdf);
+  if (kdf.name === KDFS.PBKDF2) {
+    return deriveKeyPBKDF2(password, salt, kdf.iterations, keyLength, algorithm, keyfile);
+  }
+
+  ensureWebCrypto();
+  if (typeof password !== "string" || password.trim() === "") {
+    throw new Error("Password must not be empty");
+  }
+  if (!(salt instanceof Uint8Array)) {
+    throw new Error("Salt must be a Uint8Array");
+  }
+  const validKeyLens = [16, 24, 32];
+  if (!validKeyLens.includes(Number(keyLength))) {
+    throw new Error("AES requires a 16, 24, or 32-byte key length");
+  }
+
+  const passwordBytes = await kdfSecret(password, keyfile);
+  let keyMaterial;
+  try {
+    keyMaterial = kdf.name === KDFS.SCRYPT
+      ? await scrypt(passwordBytes, salt, { N: kdf.N, r: kdf.r, p: kdf.p, dkLength: Number(keyLength), onProgress })
+      : argon2id(passwordBytes, salt, {
+        memory: kdf.memory,
+        time: kdf.time,
+        parallelism: kdf.parallelism,
+        hashLength: Number(keyLength),
+        onProgress
+      });
+
+    return await importCipherKey(keyMaterial, algorithm);
+  } finally {
+    // Hygiene: zeroize password (and keyfile) secret and key material
+    wipeBytes(passwordBytes);
+    wipeBytes(keyMaterial);
+  }
+}
+
+/**
+ * Web Crypto parameters for the given cipher. AEAD modes bind additionalData when provided.
+ * @param {string} algorithm
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} [additionalData]
+ * @returns {object}
+ */
+function cipherParams(algorithm, iv, additionalData) {
+  if (algorithm === "AES-GCM") {
+    return additionalData
+      ? { name: "AES-GCM", iv, additionalData, tagLength: 128 }
+      : { name: "AES-GCM", iv, tagLength: 128 };
+  }
+  if (algorithm === "AES-CTR") {
+    // The IV is the whole initial counter block; the low 64 bits count blocks
+    return { name: "AES-CTR", counter: iv, length: 64 };
+  }
+  return { name: "AES-CBC", iv };
+}
+
+/**
+ * Import derived key material for a cipher. AES-CBC-HMAC-SHA256 expands it with HKDF-SHA256 into an AES-CBC key
+ * of the same length and a 256-bit HMAC-SHA256 key, so no key serves both purposes. The ChaCha20 modes keep a
+ * copy of the raw bytes, which sealBytes / openBytes wipe after use; other ciphers import it as is.
+ * @param {Uint8Array} keyMaterial
+ * @param {string} algorithm
+ * @returns {Promise<CryptoKey|{encKey:CryptoKey, macKey:CryptoKey}|{raw:Uint8Array}>}
+ */
+async function importCipherKey(keyMaterial, algorithm) {
+  if (Object.hasOwn(CHACHA_ALGORITHMS, algorithm)) {
+    return { raw: keyMaterial.slice() };
+  }
+  if (algorithm !== ALGORITHMS.AES_CBC_HMAC) {
+    return globalThis.crypto.subtle.importKey("raw", keyMaterial, { name: algorithm }, false, ["encrypt", "decrypt"]);
+  }
+  const ikm = await globalThis.crypto.subtle.importKey("raw", keyMaterial, "HKDF", false, ["deriveKey"]);
+  const hkdf = (info) => ({ name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info });
+  const encKey = await globalThis.crypto.subtle.deriveKey(
+    hkdf(ETM_ENC_INFO), ikm, { name: "AES-CBC", length: keyMaterial.length * 8 }, false, ["encrypt", "decrypt"]
+  );
+  const macKey = await globalThis.crypto.subtle.deriveKey(
+    hkdf(ETM_MAC_INFO), ikm, { name: "HMAC", hash: "SHA-256", length: 256 }, false, ["sign"]
+  );
+  return { encKey, macKey };
+}
+
+// HMAC-SHA256 over the additional data (the envelope header, IV included) followed by the ciphertext
+async function etmTag(macKey, additionalData, ciphertext) {
+  const aad = additionalData || new Uint8Array(0);
+  const input = new Uint8Array(aad.length + ciphertext.length);
+  input.set(aad, 0);
+  input.set(ciphertext, aad.length);
+  const tag = new Uint8Array(await globalThis.crypto.subtle.sign("HMAC", macKey, input));
+  // Hygiene: zeroize intermediates
+  wipeBytes(input);
+  return tag;
+}
+
+/**
+ * Compare two byte arrays in time that depends only on their lengths.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * Encrypt with a key from deriveKey. AES-GCM and the ChaCha20 modes authenticate `additionalData`;
+ * AES-CBC-HMAC-SHA256 encrypts, then appends an HMAC-SHA256 tag over `additionalData` and the ciphertext.
+ * AES-CTR authenticates nothing.
+ * @param {string} algorithm
+ * @param {CryptoKey|{encKey:CryptoKey, macKey:CryptoKey}|{raw:Uint8Array}} key
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data
+ * @param {Uint8Array} [additionalData]
+ * @returns {Promise<Uint8Array>}
+ */
+async function sealBytes(algorithm, key, iv, data, additionalData) {
+  if (Object.hasOwn(CHACHA_ALGORITHMS, algorithm)) {
+    try {
+      return CHACHA_ALGORITHMS[algorithm].seal(key.raw, iv, data, additionalData);
+    } finally {
+      wipeBytes(key.raw);
+    }
+  }
+  if (algorithm !== ALGORITHMS.AES_CBC_HMAC) {
+    return new Uint8Array(await globalThis.crypto.subtle.encrypt(cipherParams(algorithm, iv, additionalData), key, data));
+  }
+  const ciphertext = new Uint8Array(await globalThis.crypto.subtle.encrypt({ name: "AES-CBC", iv }, key.encKey, data));
+  const tag = await etmTag(key.macKey, additionalData, ciphertext);
+  const out = new Uint8Array(ciphertext.length + tag.length);
+  out.set(ciphertext, 0);
+  out.set(tag, ciphertext.length);
+  // Hygiene: zeroize intermediates
+  wipeBytes(ciphertext);
+  return out;
+}
+
+/**
+ * Reverse of sealBytes. For AES-CBC-HMAC-SHA256 the tag is checked in constant time before anything is
+ * decrypted, so a padding failure can never be observed.
+ * @returns {Promise<Uint8Array>}
+ * @throws {AuthenticationError} if the HMAC or ChaCha20 tag doesn't match; Web Crypto's OperationError for
+ *   the AES ciphers
+ */
+async function openBytes(algorithm, key, iv, data, additionalData) {
+  if (Object.hasOwn(CHACHA_ALGORITHMS, algorithm)) {
+    try {
+      return CHACHA_ALGORITHMS[algorithm].open(key.raw, iv, data, additionalData);
+    } finally {
+      wipeBytes(key.raw);
+    }
+  }
+  if (algorithm !== ALGORITHMS.AES_CBC_HMAC) {
+    return new Uint8Array(await globalThis.crypto.subtle.decrypt(cipherParams(algorithm, iv, additionalData), key, data));
+  }
+  const ciphertext = data.subarray(0, data.length - ETM_TAG_LENGTH);
+  const expected = await etmTag(key.macKey, additionalData, ciphertext);
+  const valid = constantTimeEqual(expected, data.subarray(data.length - ETM_TAG_LENGTH));
+  wipeBytes(expected);
+  if (!valid) {
+    throw new AuthenticationError();
+  }
+  return new Uint8Array(await globalThis.crypto.subtle.decrypt({ name: "AES-CBC", iv }, key.encKey, ciphertext));
+}
+
+/**
+ * Encrypt raw bytes. By default returns a versioned envelope (hex) recording the algorithm, KDF and
+ * its parameters, key length, salt and IV; with `format: "legacy"` returns salt:iv:ciphertext (CBC)
+ * or salt:iv:ciphertext:tag (GCM) for the CRCrypt CLI (PBKDF2 only). The caller's buffer is not modified or wiped.
+ * Pass several passwords to get a key-slot envelope that any one of them opens (see encryptBytesWithPasswords).
+ * `encoding` picks the envelope's text encoding (hex, base64, base64url, base32 or armor, with an optional
+ * `comment` header); legacy output is hex only. A `label` is stored in clear in the envelope header and
+ * authenticated with it, so only algorithms that authenticate the header accept one. A `keyfile` digest
+ * (see hashKeyfile) is mixed into the key derivation and recorded in the envelope, which then needs the
+ * same keyfile to decrypt. Pass a raw key (Uint8Array of 16, 24 or 32 bytes) instead of a password to skip
+ * key derivation: the envelope then records no KDF and an empty salt, and keyLength is the key's length.
+ * @param {Uint8Array} data
+ * @param {string|string[]|Uint8Array} password - password, several passwords, or a raw key
+ * @param {{algorithm?:string, format?:string, encoding?:string, comment?:string, label?:string, keyfile?:Uint8Array,
+ *          saltLength?:number, ivLength?:number, keyLength?:number,
+ *          kdf?:string, iterations?:number, memory?:number, time?:number, parallelism?:number,
+ *          onProgress?:(done:number, total:number)=>void}} opts
  * @returns {Promise<string>}
  */
-export async function encryptText(plaintext, password, opts = {}) {
+export async function encryptBytes(data, password, opts = {}) {
   ensureWebCrypto();
+  if (Array.isArray(password)) {
+    return encryptBytesWithPasswords(data, password, opts);
+  }
 
   // Use provided options or defaults
   const algorithm = opts.algorithm || DEFAULTS.algorithm;
+  const format = opts.format || DEFAULTS.format;
   const saltLength = opts.saltLength || DEFAULTS.saltLength;
   const ivLength = opts.ivLength || DEFAULTS.ivLength;
-  const iterations = opts.iterations || DEFAULTS.iterations;
-  const keyLength = opts.keyLength || DEFAULTS.keyLength;
+  const rawKey = isRawKey(password) ? password : null;
+  const keyLength = rawKey ? rawKey.length : opts.keyLength || DEFAULTS.keyLength;
+  const kdf = rawKey ? RAW_KDF : resolveKdf(opts);
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : undefined;
 
   validateCipherParams({ algorithm, keyLength, ivLength });
+  if (!rawKey) validateKdf(kdf);
+  if (format !== FORMATS.ENVELOPE && format !== FORMATS.LEGACY) {
+    throw new Error("Unsupported output format");
+  }
+  if (format === FORMATS.LEGACY && rawKey) {
+    throw new Error("The legacy format is for passwords; use the envelope format with a raw key");
+  }
+  if (format === FORMATS.LEGACY && kdf.name !== KDFS.PBKDF2) {
+    throw new Error("The legacy format only supports PBKDF2-SHA256; use the envelope format");
+  }
+  if (format === FORMATS.LEGACY && !LEGACY_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`The legacy format only supports AES-CBC and AES-GCM; use the envelope format for ${algorithm}`);
+  }
+  const encoding = resolveEncoding(opts);
+  if (format === FORMATS.LEGACY && encoding !== ENCODINGS.HEX) {
+    throw new Error("The legacy format is hex only; use the envelope format for other encodings");
+  }
+  if (format === FORMATS.LEGACY && opts.label) {
+    throw new Error("The legacy format can't carry a label; use the envelope format");
+  }
+  const keyfile = opts.keyfile || null;
+  if (keyfile) {
+    validateKeyfile(keyfile);
+    if (rawKey) {
+      throw new Error("A keyfile goes with a password, not a raw key");
+    }
+    if (format === FORMATS.LEGACY) {
+      throw new Error("The legacy format can't record a keyfile; use the envelope format");
+    }
+  }
 
-  if (typeof plaintext !== "string" || plaintext.trim() === "") {
-    throw new Error("Plaintext cannot be empty");
+  if (!(data instanceof Uint8Array) || data.length === 0) {
+    throw new Error("Input cannot be empty");
   }
-  if (typeof password !== "string" || password.trim() === "") {
+  if (!rawKey && (typeof password !== "string" || password.trim() === "")) {
     throw new Error("Password cannot be empty");
   }
 
-  const salt = randomBytes(Number(saltLength));
-  const iv = randomBytes(Number(ivLength));
-  const key = await deriveKeyPBKDF2(password, salt, Number(iterations), Number(keyLength), algorithm);
+  const fixed = opts[TEST_MODE];
+  // In a batch every entry after the first reuses the first one's salt and key
+  const batchKeys = opts[BATCH_KEYS];
+  const reused = batchKeys?.get(BATCH_ENCRYPT_KEY);
+  const salt = reused ? reused.salt : rawKey
+    ? new Uint8Array(0)
+    : fixed ? fixedBytes(fixed.salt, Number(saltLength), "salt") : randomBytes(Number(saltLength));
+  const iv = fixed ? fixedBytes(fixed.iv, Number(ivLength), "IV") : randomBytes(Number(ivLength));
+  // Built before the KDF runs, so a label the algorithm can't authenticate fails fast
+  const header = format === FORMATS.ENVELOPE
+    ? encodeEnvelopeHeader({ algorithm, kdf, keyLength: Number(keyLength), salt, iv, label: opts.label, keyfile: Boolean(keyfile) })
+    : null;
+  const key = reused ? reused.key : rawKey
+    ? await importCipherKey(rawKey, algorithm)
+    : await deriveKey(password, salt, kdf, Number(keyLength), algorithm, onProgress, keyfile);
+  if (batchKeys && !reused) batchKeys.set(BATCH_ENCRYPT_KEY, { salt, key });
+
+  if (header) {
+    // AES-CBC: Web Crypto applies PKCS#7 padding itself; the AEAD modes and the HMAC tag authenticate the header
+    const ciphertext = await sealBytes(algorithm, batchKeys ? keyForUse(key) : key, iv, data, header);
+    const envelope = new Uint8Array(header.length + ciphertext.length);
+    envelope.set(header, 0);
+    envelope.set(ciphertext, header.length);
+    const out = encodeEnvelopeString(envelope, encoding, armorHeaders(opts));
+
+    // Hygiene: zeroize intermediates
+    wipeBytes(ciphertext);
+    wipeBytes(envelope);
+
+    return out;
+  }
 
-  const ptBytes = utf8Encode(plaintext);
   let out;
 
   if (algorithm === "AES-GCM") {
-    let cipherBuf;
-    try {
-      cipherBuf = await globalThis.crypto.subtle.encrypt(
-        { name: "AES-GCM", iv, tagLength: 128 },
-        key,
-        ptBytes
-      );
-    } finally {
-      // Zeroize plaintext bytes ASAP
-      wipeBytes(ptBytes);
-    }
+    const cipherBuf = await globalThis.crypto.subtle.encrypt(cipherParams(algorithm, iv), key, data);
 
     const all = new Uint8Array(cipherBuf);
     const TAG_LEN = 16; // bytes (128-bit tag)
@@ -237,19 +750,8 @@ export async function encryptText(plaintext, password, opts = {}) {
     wipeBytes(ciphertext);
     wipeBytes(tag);
   } else {
-    // AES-CBC with PKCS#7 padding
-    let padded = pkcs7Pad(ptBytes, 16);
-    // Zeroize plaintext ASAP
-    wipeBytes(ptBytes);
-
-    const cipherBuf = await globalThis.crypto.subtle.encrypt(
-      { name: "AES-CBC", iv },
-      key,
-      padded
-    );
-
-    // Hygiene: zeroize padded bytes
-    wipeBytes(padded);
+    // AES-CBC: Web Crypto applies PKCS#7 padding itself
+    const cipherBuf = await globalThis.crypto.subtle.encrypt(cipherParams(algorithm, iv), key, data);
 
     const ciphertext = new Uint8Array(cipherBuf);
     out = `${toHex(salt)}:${toHex(iv)}:${toHex(ciphertext)}`;
@@ -263,123 +765,386 @@ export async function encryptText(plaintext, password, opts = {}) {
   return out;
 }
 
+// A copy of a TEST_MODE salt or IV, checked against the length the options ask for
+function fixedBytes(bytes, length, what) {
+  if (!(bytes instanceof Uint8Array) || bytes.length !== length) {
+    throw new Error(`Test ${what} must be a Uint8Array of ${length} bytes`);
+  }
+  return bytes.slice();
+}
+
+/**
+ * Encrypt plaintext. Output format as for encryptBytes (versioned envelope by default).
+ * @param {string} plaintext
+ * @param {string|string[]|Uint8Array} password - several passwords produce a key-slot envelope; a Uint8Array is a raw key
+ * @param {object} opts - see encryptBytes
+ * @returns {Promise<string>}
+ */
+export async function encryptText(plaintext, password, opts = {}) {
+  if (typeof plaintext !== "string" || plaintext.trim() === "") {
+    throw new Error("Plaintext cannot be empty");
+  }
+
+  const ptBytes = utf8Encode(plaintext);
+  try {
+    return await encryptBytes(ptBytes, password, opts);
+  } finally {
+    // Zeroize plaintext bytes ASAP
+    wipeBytes(ptBytes);
+  }
+}
+
+/**
+ * Decrypt a versioned envelope using the parameters recorded in it.
+ * @param {Uint8Array} bytes
+ * @param {string|Uint8Array} password - password, or the raw key for envelopes that record no KDF
+ * @param {(done:number, total:number)=>void} onProgress
+ * @param {Uint8Array} [keyfile] - keyfile digest; only used when the envelope records one
+ * @param {Map} [batchKeys] - keys derived earlier in the same batch (see decryptTextBatch)
+ * @returns {Promise<{bytes:Uint8Array, algorithm:string, format:string}>}
+ */
+async function decryptEnvelope(bytes, password, onProgress, keyfile, batchKeys) {
+  const parsed = parseEnvelope(bytes);
+  const rawKey = isRawKey(password) ? password : null;
+  const recordsRawKey = parsed.kdf?.name === RAW_KDF.name;
+  if (rawKey && !recordsRawKey) {
+    throw new Error("This ciphertext was encrypted with a password, not a raw key");
+  }
+  if (!rawKey && recordsRawKey) {
+    throw new Error("This ciphertext was encrypted with a raw key; decrypt it with that key");
+  }
+  if (parsed.keyfile && !keyfile) {
+    throw new KeyfileError();
+  }
+  if (parsed.slots) {
+    const { contentKey } = await unlockPasswordSlot(parsed, password, onProgress);
+    const out = await decryptWithContentKey(parsed, contentKey);
+    onProgress(1, 1);
+    return { bytes: out, algorithm: parsed.algorithm, format: FORMATS.ENVELOPE };
+  }
+  const { algorithm, kdf, keyLength, salt, iv, header, ciphertext } = parsed;
+  validateCipherParams({ algorithm, keyLength, ivLength: iv.length });
+  validateCiphertextLength(algorithm, ciphertext.length);
+  if (rawKey && rawKey.length !== keyLength) {
+    throw new Error(`This ciphertext needs a ${keyLength * 8}-bit key; the key given is ${rawKey.length * 8}-bit`);
+  }
+  if (!rawKey) validateKdf(kdf);
+
+  onProgress(0, 1);
+  try {
+    const key = rawKey
+      ? await importCipherKey(rawKey, algorithm)
+      : await batchKey(batchKeys, [algorithm, keyLength, JSON.stringify(kdf), toHex(salt), parsed.keyfile], () =>
+        deriveKey(password, salt, kdf, keyLength, algorithm, onProgress, parsed.keyfile ? keyfile : undefined));
+    const bytes = await openBytes(algorithm, key, iv, ciphertext, header);
+    onProgress(1, 1);
+    return { bytes, algorithm, format: FORMATS.ENVELOPE };
+  } catch (err) {
+    // Keep error generic to avoid leaking specifics
+    if (err && (err.name === "OperationError" || err instanceof DOMException)) {
+      throw new AuthenticationError();
+    }
+    throw err;
+  } finally {
+    // Hygiene: zeroize intermediates
+    wipeBytes(salt);
+    wipeBytes(iv);
+    wipeBytes(ciphertext);
+  }
+}
+
 /**
- * Decrypt ciphertext string in format salt:iv:ciphertext:tag with AES-GCM 256.
+ * Encrypt bytes under a fresh random content key kept in key slots. `sealSlots` receives the content key and
+ * the envelope's additional data and returns the slots that wrap it. Content is always AES-GCM.
+ * @param {Uint8Array} data
+ * @param {number} keyLength
+ * @param {(contentKey:Uint8Array, aad:Uint8Array)=>Promise<{type:string, data:Uint8Array}[]>} sealSlots
+ * @param {{encoding?:string, comment?:string, label?:string}} [opts] - text encoding (default hex), armor comment
+ *   and public label of the result
+ * @returns {Promise<string>}
+ */
+export async function encryptWithKeySlots(data, keyLength, sealSlots, opts = {}) {
+  ensureWebCrypto();
+  const encoding = resolveEncoding(opts);
+  validateCipherParams({ algorithm: SLOT_CONTENT_ALGORITHM, keyLength, ivLength: SLOT_IV_LENGTH });
+  if (!(data instanceof Uint8Array) || data.length === 0) {
+    throw new Error("Input cannot be empty");
+  }
+
+  const contentKeyBytes = randomBytes(keyLength);
+  try {
+    const iv = randomBytes(SLOT_IV_LENGTH);
+    const aad = encodeSlotEnvelopeAad({ algorithm: SLOT_CONTENT_ALGORITHM, keyLength, iv, label: opts.label });
+    const slots = await sealSlots(contentKeyBytes, aad);
+    const header = encodeEnvelopeHeader({ algorithm: SLOT_CONTENT_ALGORITHM, keyLength, iv, slots, label: opts.label });
+
+    const contentKey = await globalThis.crypto.subtle.importKey("raw", contentKeyBytes, SLOT_CONTENT_ALGORITHM, false, ["encrypt"]);
+    const ciphertext = new Uint8Array(await globalThis.crypto.subtle.encrypt(cipherParams(SLOT_CONTENT_ALGORITHM, iv, aad), contentKey, data));
+    const envelope = new Uint8Array(header.length + ciphertext.length);
+    envelope.set(header, 0);
+    envelope.set(ciphertext, header.length);
+    const out = encodeEnvelopeString(envelope, encoding, armorHeaders(opts));
+
+    // Hygiene: zeroize intermediates
+    wipeBytes(ciphertext);
+    wipeBytes(envelope);
+
+    return out;
+  } finally {
+    wipeBytes(contentKeyBytes);
+  }
+}
+
+/**
+ * Decrypt a parsed key-slot envelope with the content key recovered from one of its slots.
+ * The content key is wiped afterwards.
+ * @param {{algorithm:string, keyLength:number, iv:Uint8Array, header:Uint8Array, ciphertext:Uint8Array}} parsed
+ * @param {Uint8Array} contentKeyBytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function decryptWithContentKey(parsed, contentKeyBytes) {
+  const { algorithm, keyLength, iv, header, ciphertext } = parsed;
+  try {
+    if (algorithm !== SLOT_CONTENT_ALGORITHM || iv.length !== SLOT_IV_LENGTH || contentKeyBytes.length !== keyLength) {
+      throw new ParameterError("Unsupported parameters in ciphertext");
+    }
+    validateCiphertextLength(algorithm, ciphertext.length);
+    const contentKey = await globalThis.crypto.subtle.importKey("raw", contentKeyBytes, SLOT_CONTENT_ALGORITHM, false, ["decrypt"]);
+    const buf = await globalThis.crypto.subtle.decrypt(cipherParams(SLOT_CONTENT_ALGORITHM, iv, header), contentKey, ciphertext);
+    return new Uint8Array(buf);
+  } catch (err) {
+    // Keep error generic to avoid leaking specifics
+    if (err && (err.name === "OperationError" || err instanceof DOMException)) {
+      throw new AuthenticationError("Decryption failed: corrupted input");
+    }
+    throw err;
+  } finally {
+    // Hygiene: zeroize intermediates
+    wipeBytes(contentKeyBytes);
+    wipeBytes(ciphertext);
+  }
+}
+
+// Wrap the content key under one password, with its own salt and KDF run, bound to the envelope's AAD
+async function sealPasswordSlot(password, contentKey, kdf, saltLength, aad, onProgress) {
+  if (typeof password !== "string" || password.trim() === "") {
+    throw new Error("Password cannot be empty");
+  }
+  const salt = randomBytes(saltLength);
+  const iv = randomBytes(SLOT_IV_LENGTH);
+  const key = await deriveKey(password, salt, kdf, 32, "AES-GCM", onProgress);
+  const wrapped = new Uint8Array(await globalThis.crypto.subtle.encrypt(cipherParams("AES-GCM", iv, aad), key, contentKey));
+  return { type: PASSWORD_SLOT, data: encodePasswordSlot({ kdf, salt, iv, wrapped }) };
+}
+
+// Content key from a password slot, or null if the password does not open it
+async function openPasswordSlot(password, slot, aad, onProgress) {
+  const { kdf, salt, iv, wrapped } = decodePasswordSlot(slot.data);
+  validateKdf(kdf);
+  const key = await deriveKey(password, salt, kdf, 32, "AES-GCM", onProgress);
+  try {
+    return new Uint8Array(await globalThis.crypto.subtle.decrypt(cipherParams("AES-GCM", iv, aad), key, wrapped));
+  } catch {
+    return null;
+  } finally {
+    wipeBytes(wrapped);
+  }
+}
+
+/**
+ * Try a password against each password slot of a parsed key-slot envelope. Every slot costs a KDF run.
+ * @returns {Promise<{contentKey:Uint8Array, index:number}>}
+ */
+async function unlockPasswordSlot(parsed, password, onProgress) {
+  const candidates = parsed.slots
+    .map((slot, index) => ({ slot, index }))
+    .filter(({ slot }) => slot.type === PASSWORD_SLOT);
+  if (candidates.length === 0) {
+    throw new Error("This message is encrypted to public keys; decrypt it with a private key");
+  }
+
+  for (const [i, { slot, index }] of candidates.entries()) {
+    onProgress(i, candidates.length);
+    const scaled = (done, total) => onProgress(i + done / total, candidates.length);
+    const contentKey = await openPasswordSlot(password, slot, parsed.header, scaled);
+    if (contentKey) {
+      if (contentKey.length !== parsed.keyLength) {
+        wipeBytes(contentKey);
+        break;
+      }
+      return { contentKey, index };
+    }
+  }
+  throw new AuthenticationError();
+}
+
+/**
+ * Encrypt bytes once under a random content key and wrap that key separately under each password, so any
+ * one of them decrypts. Each slot has its own salt and KDF run with the configured KDF. Content is always
+ * AES-GCM; the legacy format cannot hold key slots.
+ * @param {Uint8Array} data
+ * @param {string[]} passwords
+ * @param {object} opts - see encryptBytes (algorithm and ivLength are ignored)
+ * @returns {Promise<string>}
+ */
+export async function encryptBytesWithPasswords(data, passwords, opts = {}) {
+  const format = opts.format || DEFAULTS.format;
+  const saltLength = Number(opts.saltLength || DEFAULTS.saltLength);
+  const keyLength = Number(opts.keyLength || DEFAULTS.keyLength);
+  const kdf = resolveKdf(opts);
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+
+  validateKdf(kdf);
+  resolveEncoding(opts);
+  if (format !== FORMATS.ENVELOPE) {
+    throw new Error("Several passwords need the envelope format");
+  }
+  if (!Array.isArray(passwords) || passwords.length === 0) {
+    throw new Error("Password cannot be empty");
+  }
+  if (passwords.length > MAX_SLOTS) {
+    throw new Error(`At most ${MAX_SLOTS} passwords are supported`);
+  }
+  if (new Set(passwords).size !== passwords.length) {
+    throw new Error("Each password must be different");
+  }
+  if (opts.keyfile) {
+    throw new Error("A keyfile can only be used with a single password");
+  }
+
+  return encryptWithKeySlots(data, keyLength, async (contentKey, aad) => {
+    const slots = [];
+    for (const [i, password] of passwords.entries()) {
+      const scaled = (done, total) => onProgress(i + done / total, passwords.length);
+      slots.push(await sealPasswordSlot(password, contentKey, kdf, saltLength, aad, scaled));
+    }
+    onProgress(passwords.length, passwords.length);
+    return slots;
+  }, opts);
+}
+
+// Parse a key-slot envelope string and unlock it with a password
+async function unlockSlotEnvelope(encString, password, onProgress) {
+  ensureWebCrypto();
+  if (typeof password !== "string" || password.trim() === "") {
+    throw new Error("Password cannot be empty");
+  }
+  const decoded = decodeEnvelopeText(encString);
+  const parsed = decoded ? parseEnvelope(decoded.bytes) : null;
+  if (!parsed || !parsed.slots) {
+    throw new Error("Only messages encrypted with several passwords have key slots; re-encrypt it to add passwords");
+  }
+  const { contentKey, index } = await unlockPasswordSlot(parsed, password, onProgress);
+  return { bytes: decoded.bytes, encoding: decoded.encoding, headers: decoded.headers, parsed, contentKey, index };
+}
+
+/**
+ * Add a password to a key-slot envelope without re-encrypting its content. Needs a password that already
+ * opens it; the new slot uses the KDF settings in opts. The result keeps the input's text encoding (and armor
+ * headers).
  * @param {string} encString
- * @param {string} password
- * @param {{iterations?:number, keyLength?:number}} opts
+ * @param {string} password - an existing password
+ * @param {string} newPassword
+ * @param {object} opts - kdf, iterations, memory, time, parallelism, N, r, p, saltLength, onProgress
  * @returns {Promise<string>}
  */
-export async function decryptText(encString, password, opts = {}) {
+export async function addPasswordSlot(encString, password, newPassword, opts = {}) {
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+  const kdf = resolveKdf(opts);
+  validateKdf(kdf);
+
+  const { bytes, encoding, headers, parsed, contentKey } = await unlockSlotEnvelope(encString, password, (done, total) => onProgress(done, total * 2));
+  try {
+    if (parsed.slots.length >= MAX_SLOTS) {
+      throw new Error(`An envelope holds at most ${MAX_SLOTS} key slots`);
+    }
+    const slot = await sealPasswordSlot(
+      newPassword,
+      contentKey,
+      kdf,
+      Number(opts.saltLength || DEFAULTS.saltLength),
+      parsed.header,
+      (done, total) => onProgress(total + done, total * 2)
+    );
+    return encodeEnvelopeString(replaceEnvelopeSlots(bytes, [...parsed.slots, slot]), encoding, headers);
+  } finally {
+    wipeBytes(contentKey);
+  }
+}
+
+/**
+ * Remove the slot a password opens from a key-slot envelope, without re-encrypting its content.
+ * The last remaining slot cannot be removed. The result keeps the input's text encoding (and armor headers).
+ * @param {string} encString
+ * @param {string} password - the password to remove
+ * @param {{onProgress?:(done:number, total:number)=>void}} opts
+ * @returns {Promise<string>}
+ */
+export async function removePasswordSlot(encString, password, opts = {}) {
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+  const { bytes, encoding, headers, parsed, contentKey, index } = await unlockSlotEnvelope(encString, password, onProgress);
+  wipeBytes(contentKey);
+  if (parsed.slots.length === 1) {
+    throw new Error("Cannot remove the only key slot");
+  }
+  return encodeEnvelopeString(replaceEnvelopeSlots(bytes, parsed.slots.filter((_, i) => i !== index)), encoding, headers);
+}
+
+/**
+ * Decrypt a ciphertext string to raw bytes. Accepts the versioned envelope and the legacy
+ * salt:iv:ciphertext[:tag] format. Shared by decryptBytes and decryptText; also reports
+ * which algorithm and format were detected.
+ * @param {string} encString
+ * @param {string|Uint8Array} password - password, or a raw key (see encryptBytes)
+ * @param {{iterations?:number, keyLength?:number, keyfile?:Uint8Array, onProgress?:(done:number, total:number)=>void}} opts
+ * @returns {Promise<{bytes:Uint8Array, algorithm:string, format:string}>}
+ * @throws {CryptoError} FormatError, EncodingError or ParameterError for input that can't be a valid
+ *   ciphertext (found before any key is derived), KeyfileError when an envelope needs a keyfile that wasn't
+ *   given; AuthenticationError for everything the password (and keyfile) decides
+ */
+async function decryptPayload(encString, password, opts = {}) {
   ensureWebCrypto();
   const iterations = Number.isInteger(opts.iterations) ? Number(opts.iterations) : DEFAULTS.iterations;
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
   // keyLength hint is optional; auto-detection will try 32, 24, then 16 if not provided
 
   if (typeof encString !== "string" || encString.trim() === "") {
     throw new Error("Encrypted input cannot be empty");
   }
-  if (typeof password !== "string" || password.trim() === "") {
+  if (!isRawKey(password) && (typeof password !== "string" || password.trim() === "")) {
     throw new Error("Password cannot be empty");
   }
 
-  const parts = encString.split(":");
-  if (parts.length !== 3 && parts.length !== 4) {
-    throw new Error("Invalid format. Expected salt:iv:ciphertext or salt:iv:ciphertext:tag");
+  // Versioned envelope: every parameter is recorded, nothing to guess
+  const envelope = decodeEnvelopeString(encString);
+  if (envelope) {
+    return decryptEnvelope(envelope, password, onProgress, opts.keyfile, opts[BATCH_KEYS]);
+  }
+  if (isRawKey(password)) {
+    throw new Error("Legacy ciphertexts are password-based; a raw key can't open them");
   }
 
-  const [saltHex, ivHex, cipherHex, tagHex] = parts.map(s => s.trim());
-  const salt = fromHex(saltHex);
-  const iv = fromHex(ivHex);
-
-  // Auto-detect algorithm: 4 parts => AES-GCM (ciphertext + tag), 3 parts => AES-CBC
-  const algorithm = (parts.length === 4) ? "AES-GCM" : "AES-CBC";
+  // Legacy format: algorithm from part count, iterations from opts, key length by trial
+  const { algorithm, salt, iv, ciphertext } = parseLegacy(encString);
 
   // Build candidate key lengths (use hint first if provided)
   const keyHint = Number(opts.keyLength);
   const keyCandidates = [32, 24, 16].filter((k) => k !== keyHint);
   const keyOrder = Number.isInteger(keyHint) ? [keyHint, ...keyCandidates] : [32, 24, 16];
 
-  // Validate IV length against algorithm using first candidate key length
-  validateCipherParams({ algorithm, keyLength: keyOrder[0], ivLength: iv.length });
-
   try {
-    // Pre-parse ciphertext (and tag if present) once
-    const ciphertext = fromHex(cipherHex);
-    const tag = algorithm === "AES-GCM" ? fromHex(tagHex) : undefined;
-
-    for (const klen of keyOrder) {
+    for (const [attempt, klen] of keyOrder.entries()) {
+      // Each candidate costs a full PBKDF2 run; report it so the UI can show progress
+      onProgress(attempt, keyOrder.length);
       try {
         validateCipherParams({ algorithm, keyLength: Number(klen), ivLength: iv.length });
 
-        const key = await deriveKeyPBKDF2(
-          password,
-          salt,
-          Number(iterations),
-          Number(klen),
-          algorithm
-        );
-
-        if (algorithm === "AES-GCM") {
-          const joined = new Uint8Array(ciphertext.length + (tag ? tag.length : 0));
-          joined.set(ciphertext, 0);
-          if (tag) joined.set(tag, ciphertext.length);
-
-          const buf = await globalThis.crypto.subtle.decrypt(
-            { name: "AES-GCM", iv, tagLength: 128 },
-            key,
-            joined
-          );
-          const ptBytes = new Uint8Array(buf);
-          const plaintext = utf8Decode(ptBytes);
-
-          // Hygiene: zeroize intermediates
-          wipeBytes(ptBytes);
-          wipeBytes(salt);
-          wipeBytes(iv);
-          wipeBytes(ciphertext);
-          if (tag) wipeBytes(tag);
-          wipeBytes(joined);
-
-          return plaintext;
-        } else {
-          // AES-CBC - try without unpadding first (CLI doesn't use PKCS#7)
-          try {
-            const buf = await globalThis.crypto.subtle.decrypt(
-              { name: "AES-CBC", iv },
-              key,
-              ciphertext
-            );
-            const ptBytes = new Uint8Array(buf);
-            const plaintext = utf8Decode(ptBytes);
-
-            // Hygiene: zeroize intermediates
-            wipeBytes(ptBytes);
-            wipeBytes(salt);
-            wipeBytes(iv);
-            wipeBytes(ciphertext);
-
-            return plaintext;
-          } catch (e) {
-            // If that fails, try with PKCS#7 unpadding
-            const buf = await globalThis.crypto.subtle.decrypt(
-              { name: "AES-CBC", iv },
-              key,
-              ciphertext
-            );
-            const padded = new Uint8Array(buf);
-            const ptBytes = pkcs7Unpad(padded, 16);
-            const plaintext = utf8Decode(ptBytes);
-
-            // Hygiene: zeroize intermediates
-            wipeBytes(ptBytes);
-            wipeBytes(padded);
-            wipeBytes(salt);
-            wipeBytes(iv);
-            wipeBytes(ciphertext);
-
-            return plaintext;
-          }
-        }
+        const key = await batchKey(opts[BATCH_KEYS], [FORMATS.LEGACY, algorithm, klen, iterations, toHex(salt)], () =>
+          deriveKeyPBKDF2(password, salt, Number(iterations), Number(klen), algorithm));
+
+        // AES-CBC: Web Crypto verifies and removes PKCS#7 padding; AES-GCM: verifies the appended tag
+        const buf = await globalThis.crypto.subtle.decrypt(cipherParams(algorithm, iv), key, ciphertext);
+        return { bytes: new Uint8Array(buf), algorithm, format: FORMATS.LEGACY };
       } catch (_inner) {
         // Try next candidate key length
         continue;
@@ -387,23 +1152,341 @@ export async function decryptText(encString, password, opts = {}) {
     }
 
     // If all candidates failed
-    // Hygiene on failure
-    wipeBytes(salt);
-    wipeBytes(iv);
-    wipeBytes(ciphertext);
-    if (tag) wipeBytes(tag);
-
-    throw new Error("Decryption failed: wrong password or mismatched parameters");
+    throw new AuthenticationError("Decryption failed: wrong password or mismatched parameters");
   } catch (err) {
+    // Typed errors say nothing about the password
+    if (err instanceof CryptoError) {
+      throw err;
+    }
     // Keep error generic to avoid leaking specifics
     if (err && (err.name === "OperationError" || err instanceof DOMException)) {
-      throw new Error("Decryption failed: wrong password or corrupted input");
+      throw new AuthenticationError();
     }
     if (err instanceof Error) {
       throw new Error(err.message);
     }
     throw new Error("Decryption failed");
+  } finally {
+    // Hygiene: zeroize intermediates
+    wipeBytes(salt);
+    wipeBytes(iv);
+    wipeBytes(ciphertext);
+  }
+}
+
+/**
+ * Split and check a legacy salt:iv:ciphertext[:tag] string before any key is derived. The algorithm follows
+ * from the part count (3 = AES-CBC, 4 = AES-GCM); a GCM tag is appended to the ciphertext, as Web Crypto expects.
+ * @param {string} encString
+ * @returns {{algorithm:string, salt:Uint8Array, iv:Uint8Array, ciphertext:Uint8Array}}
+ * @throws {CryptoError} FormatError, EncodingError or ParameterError
+ */
+function parseLegacy(encString) {
+  const parts = encString.split(":");
+  if (parts.length !== 3 && parts.length !== 4) {
+    throw new FormatError("Invalid format. Expected a CRCrypt envelope, salt:iv:ciphertext or salt:iv:ciphertext:tag");
+  }
+
+  const [saltHex, ivHex, cipherHex, tagHex] = parts.map(s => s.trim());
+  const algorithm = parts.length === 4 ? "AES-GCM" : "AES-CBC";
+  const salt = fromHex(saltHex);
+  const iv = fromHex(ivHex);
+  validateCipherParams({ algorithm, keyLength: 32, ivLength: iv.length });
+
+  const body = fromHex(cipherHex);
+  if (algorithm === "AES-CBC") {
+    validateCiphertextLength(algorithm, body.length);
+    return { algorithm, salt, iv, ciphertext: body };
+  }
+  const tag = fromHex(tagHex);
+  if (tag.length !== 16) {
+    throw new FormatError("Invalid ciphertext: the AES-GCM tag must be 16 bytes");
+  }
+  const ciphertext = new Uint8Array(body.length + tag.length);
+  ciphertext.set(body, 0);
+  ciphertext.set(tag, body.length);
+  // Hygiene: zeroize intermediates
+  wipeBytes(body);
+  wipeBytes(tag);
+  return { algorithm, salt, iv, ciphertext };
+}
+
+/**
+ * Find the iteration count and key length of a legacy ciphertext by trial, for input whose parameters
+ * weren't recorded. Iteration counts are tried in the given order, each with every key length; one PBKDF2
+ * run serves all key lengths, since PBKDF2-SHA256 output of 16 or 24 bytes is the start of the 32-byte output.
+ * @param {string} encString - legacy salt:iv:ciphertext[:tag]
+ * @param {string} password
+ * @param {{iterations:number[], keyLengths?:number[], signal?:AbortSignal,
+ *          onProgress?:(done:number, total:number)=>void}} opts - progress counts PBKDF2 iterations
+ * @returns {Promise<{plaintext:string, iterations:number, keyLength:number, algorithm:string}>}
+ * @throws {CryptoError} AuthenticationError if nothing tried decrypts; the signal's reason once aborted
+ */
+export async function recoverLegacyParams(encString, password, opts = {}) {
+  ensureWebCrypto();
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+  const candidates = Array.isArray(opts.iterations) ? opts.iterations : [];
+  const keyLengths = Array.isArray(opts.keyLengths) ? opts.keyLengths : [32, 24, 16];
+
+  if (typeof encString !== "string" || encString.trim() === "") {
+    throw new Error("Encrypted input cannot be empty");
+  }
+  if (typeof password !== "string" || password.trim() === "") {
+    throw new Error("Password cannot be empty");
+  }
+  if (candidates.length === 0 || candidates.length > MAX_RECOVERY_CANDIDATES) {
+    throw new ParameterError(`Give between 1 and ${MAX_RECOVERY_CANDIDATES} iteration counts to try`);
+  }
+  if (candidates.some((n) => !Number.isInteger(n) || n <= 0 || n > MAX_ITERATIONS)) {
+    throw new ParameterError("Iteration counts must be positive integers within the supported maximum");
+  }
+  if (keyLengths.length === 0 || keyLengths.some((k) => ![16, 24, 32].includes(k))) {
+    throw new ParameterError("Key lengths to try must be 16, 24 or 32 bytes");
+  }
+  if (decodeEnvelopeString(encString)) {
+    throw new ParameterError("Envelopes record their parameters; decrypt them directly");
+  }
+
+  const { algorithm, salt, iv, ciphertext } = parseLegacy(encString);
+  const baseKey = await globalThis.crypto.subtle.importKey("raw", utf8Encode(password), { name: "PBKDF2" }, false, ["deriveBits"]);
+  const total = candidates.reduce((sum, n) => sum + n, 0);
+  let done = 0;
+  try {
+    for (const iterations of candidates) {
+      if (opts.signal) opts.signal.throwIfAborted();
+      onProgress(done, total);
+      const bits = new Uint8Array(await globalThis.crypto.subtle.deriveBits(
+        { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+        baseKey,
+        256
+      ));
+      try {
+        for (const keyLength of keyLengths) {
+          const plaintext = await openLegacy(algorithm, bits.subarray(0, keyLength), iv, ciphertext);
+          if (plaintext !== null) {
+            onProgress(total, total);
+            return { plaintext, iterations, keyLength, algorithm };
+          }
+        }
+      } finally {
+        // Hygiene: zeroize key material
+        wipeBytes(bits);
+      }
+      done += iterations;
+    }
+  } finally {
+    // Hygiene: zeroize intermediates
+    wipeBytes(salt);
+    wipeBytes(iv);
+    wipeBytes(ciphertext);
+  }
+  throw new AuthenticationError("Decryption failed: wrong password, or none of the iterations and key lengths tried");
+}
+
+// Plaintext of a legacy ciphertext under one candidate key, or null. A wrong key passes CBC's padding check
+// about once in 256 tries, so across many candidates CBC plaintext must also be valid UTF-8 to count.
+async function openLegacy(algorithm, keyBytes, iv, ciphertext) {
+  let bytes;
+  try {
+    const key = await globalThis.crypto.subtle.importKey("raw", keyBytes, { name: algorithm }, false, ["decrypt"]);
+    bytes = new Uint8Array(await globalThis.crypto.subtle.decrypt(cipherParams(algorithm, iv), key, ciphertext));
+  } catch {
+    return null;
+  }
+  const ptBytes = algorithm === "AES-CBC" ? stripLegacyPadding(bytes) : bytes;
+  try {
+    return strictDec.decode(ptBytes);
+  } catch {
+    return null;
+  } finally {
+    // Hygiene: zeroize intermediates
+    wipeBytes(ptBytes);
+    wipeBytes(bytes);
+  }
+}
+
+/**
+ * Decrypt a ciphertext string (envelope or legacy salt:iv:ciphertext[:tag]) to raw bytes. AES-CTR has no tag,
+ * so under a wrong password it returns wrong bytes instead of failing.
+ * @param {string} encString
+ * @param {string|Uint8Array} password - password, or a raw key (see encryptBytes)
+ * @param {{iterations?:number, keyLength?:number, keyfile?:Uint8Array}} opts
+ * @returns {Promise<Uint8Array>}
+ * @throws {CryptoError} see decryptPayload; `code` is one of ERROR_CODES
+ */
+export async function decryptBytes(encString, password, opts = {}) {
+  const { bytes } = await decryptPayload(encString, password, opts);
+  return bytes;
+}
+
+/**
+ * Decrypt a ciphertext string (envelope or legacy salt:iv:ciphertext[:tag]) to UTF-8 text.
+ * @param {string} encString
+ * @param {string|Uint8Array} password - password, or a raw key (see encryptBytes)
+ * @param {{iterations?:number, keyLength?:number, keyfile?:Uint8Array}} opts
+ * @returns {Promise<string>}
+ * @throws {CryptoError} see decryptPayload; `code` is one of ERROR_CODES
+ */
+export async function decryptText(encString, password, opts = {}) {
+  const { bytes, algorithm } = await decryptTextPayload(encString, password, opts);
+  let plaintext;
+  if (algorithm === ALGORITHMS.AES_CTR) {
+    // AES-CTR has no tag or padding: a wrong key only shows as text that isn't UTF-8
+    try {
+      plaintext = strictDec.decode(bytes);
+    } catch {
+      wipeBytes(bytes);
+      throw new AuthenticationError();
+    }
+  } else {
+    plaintext = utf8Decode(bytes);
+  }
+
+  // Hygiene: zeroize intermediates
+  wipeBytes(bytes);
+
+  return plaintext;
+}
+
+/**
+ * Decrypt a ciphertext string made by encryptText to its UTF-8 bytes: decryptBytes, plus the extra padding
+ * block of legacy AES-CBC text from earlier web builds removed as decryptText removes it. For callers that
+ * write the text out as bytes, like the command-line tool.
+ * @param {string} encString
+ * @param {string|Uint8Array} password - password, or a raw key (see encryptBytes)
+ * @param {{iterations?:number, keyLength?:number, keyfile?:Uint8Array}} opts
+ * @returns {Promise<Uint8Array>}
+ * @throws {CryptoError} see decryptPayload; `code` is one of ERROR_CODES
+ */
+export async function decryptTextBytes(encString, password, opts = {}) {
+  const { bytes } = await decryptTextPayload(encString, password, opts);
+  return bytes;
+}
+
+async function decryptTextPayload(encString, password, opts) {
+  const payload = await decryptPayload(encString, password, opts);
+  if (payload.format !== FORMATS.LEGACY || payload.algorithm !== "AES-CBC") {
+    return payload;
+  }
+  const bytes = stripLegacyPadding(payload.bytes);
+  // Hygiene: the padded copy is no longer needed
+  if (bytes !== payload.bytes) wipeBytes(payload.bytes);
+  return { ...payload, bytes };
+}
+
+/**
+ * Encrypt many plaintexts with one password (or raw key) and one set of options, running the KDF once:
+ * the entries share a salt and key and each gets its own random IV. Every result is a complete ciphertext
+ * that decryptText opens on its own, in the same order as the input.
+ * @param {string[]} plaintexts
+ * @param {string|Uint8Array} password - a single password or a raw key; key slots aren't batched
+ * @param {object} opts - see encryptBytes; onProgress reports the one key derivation
+ * @returns {Promise<string[]>}
+ */
+export async function encryptTextBatch(plaintexts, password, opts = {}) {
+  validateBatch(plaintexts);
+  if (Array.isArray(password)) {
+    throw new Error("A batch is encrypted with a single password");
+  }
+  const empty = plaintexts.findIndex((p) => typeof p !== "string" || p.trim() === "");
+  if (empty !== -1) {
+    throw new Error(`Entry ${empty + 1} is empty`);
+  }
+
+  const batchKeys = new Map();
+  const out = [];
+  try {
+    for (const [i, plaintext] of plaintexts.entries()) {
+      const onProgress = i === 0 ? opts.onProgress : undefined;
+      out.push(await encryptText(plaintext, password, { ...opts, onProgress, [BATCH_KEYS]: batchKeys }));
+    }
+  } finally {
+    await wipeBatchKeys(batchKeys);
+  }
+  return out;
+}
+
+/**
+ * Decrypt many ciphertexts with one password (or raw key). Entries that record the same salt and KDF
+ * parameters, as an encryptTextBatch run's do, share one key derivation. A failed entry doesn't stop the
+ * run: each result is { plaintext } or { error: { code, message } }, with code as in ERROR_CODES (undefined
+ * for errors that have none), in the same order as the input.
+ * @param {string[]} encStrings
+ * @param {string|Uint8Array} password
+ * @param {{iterations?:number, keyLength?:number, keyfile?:Uint8Array, signal?:AbortSignal,
+ *          onProgress?:(done:number, total:number)=>void}} opts - progress counts entries
+ * @returns {Promise<Array<{plaintext:string}|{error:{code?:string, message:string}}>>}
+ */
+export async function decryptTextBatch(encStrings, password, opts = {}) {
+  validateBatch(encStrings);
+  if (!isRawKey(password) && (typeof password !== "string" || password.trim() === "")) {
+    throw new Error("Password cannot be empty");
+  }
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+
+  const batchKeys = new Map();
+  const results = [];
+  try {
+    for (const [i, encString] of encStrings.entries()) {
+      if (opts.signal) opts.signal.throwIfAborted();
+      onProgress(i, encStrings.length);
+      try {
+        const plaintext = await decryptText(encString, password, { ...opts, onProgress: undefined, [BATCH_KEYS]: batchKeys });
+        results.push({ plaintext });
+      } catch (err) {
+        results.push({ error: { code: err?.code, message: err?.message || "Decryption failed" } });
+      }
+    }
+  } finally {
+    await wipeBatchKeys(batchKeys);
+  }
+  onProgress(encStrings.length, encStrings.length);
+  return results;
+}
+
+function validateBatch(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error("The batch is empty");
+  }
+  if (entries.length > MAX_BATCH_ENTRIES) {
+    throw new Error(`A batch holds at most ${MAX_BATCH_ENTRIES} entries`);
+  }
+}
+
+// The key for `parts` (salt and KDF parameters) from earlier in the batch, or a new derivation remembered
+// for later entries. Outside a batch it just derives.
+async function batchKey(batchKeys, parts, derive) {
+  if (!batchKeys) return derive();
+  const id = parts.join("|");
+  if (!batchKeys.has(id)) batchKeys.set(id, derive());
+  return keyForUse(await batchKeys.get(id));
+}
+
+// sealBytes / openBytes wipe a ChaCha20 key's raw bytes after use, so a key kept for a whole batch hands
+// each entry its own copy; wipeBatchKeys wipes the kept ones when the batch ends
+function keyForUse(key) {
+  return key.raw ? { raw: key.raw.slice() } : key;
+}
+
+async function wipeBatchKeys(batchKeys) {
+  for (const cached of batchKeys.values()) {
+    const key = await Promise.resolve(cached).then((value) => value.key || value, () => null);
+    if (key?.raw) wipeBytes(key.raw);
   }
+  batchKeys.clear();
+}
+
+/**
+ * Earlier web builds PKCS#7-padded CBC plaintext by hand before Web Crypto padded it again, so some of
+ * their ciphertexts decrypt with a whole extra padding block. Only that block (sixteen 0x10 bytes) is
+ * stripped: shorter padding-like endings are just as likely to be the plaintext's own bytes.
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function stripLegacyPadding(bytes) {
+  if (bytes.length === 0 || bytes.length % 16 !== 0) return bytes;
+  if (!bytes.subarray(-16).every((byte) => byte === 16)) return bytes;
+  return bytes.slice(0, -16);
 }
 
 /**
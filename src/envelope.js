@@ -0,0 +1,583 @@
+// src/envelope.js
+// Self-describing, versioned ciphertext envelope. Records everything decryption needs
+// (algorithm, KDF and its parameters, key length, salt, IV) so nothing has to be guessed or re-entered.
+//
+// Layout (integers big-endian):
+//   magic "CRCR" | version u8 | flags u8 | algorithm id u8 | kdf id u8 | kdf params length u8 | kdf params
+//   | key length u8 | salt length u8 | salt | iv length u8 | iv | [label length u16 | label] | ciphertext
+//   (+ tag for AEAD and MAC modes)
+// With the KEY_SLOTS flag the content key is random and stored wrapped in one or more key slots instead:
+//   magic "CRCR" | version u8 | flags u8 | algorithm id u8 | slot count u8
+//   | (slot type u8 | slot length u16 | slot data)* | key length u8 | iv length u8 | iv | [label length u16 | label]
+//   | ciphertext + tag
+// The label is present with the LABEL flag: public UTF-8 text, readable without the password, that only
+// algorithms which authenticate the header may carry. The KEYFILE flag (password envelopes only) records that
+// a keyfile was mixed into the key derivation and is needed to decrypt.
+// Everything before the ciphertext is the header; AEAD modes authenticate it as additional data and
+// AES-CBC-HMAC-SHA256 includes it in the MAC (AES-CBC and AES-CTR leave it unauthenticated). Key-slot
+// envelopes leave the slot list out of the additional data so slots can be added or removed without
+// re-encrypting; each slot authenticates its own wrapped key.
+// As text, an envelope is hex by default, Base64 / Base64url / Base32 (see utils/codec.js) or ASCII armor
+// (see armor.js); the magic bytes or the armor lines identify the encoding when decoding.
+
+import { ENCODINGS, encodeBytes, decodeBytes } from "./utils/codec.js";
+import { armor, dearmor, isArmored } from "./armor.js";
+import { FormatError, ParameterError } from "./errors.js";
+
+const ENVELOPE_MAGIC = Uint8Array.from([0x43, 0x52, 0x43, 0x52]); // "CRCR"
+
+export const ENVELOPE_VERSION = 1;
+
+// Text encodings an envelope can be written in
+export const ENVELOPE_ENCODINGS = Object.freeze({
+  ...ENCODINGS,
+  ARMOR: "armor" // BEGIN/END block, wrapped Base64 and CRC-24 (armor.js)
+});
+
+// Wire ids. Never renumber: they are stored in ciphertexts.
+export const ALGORITHM_IDS = Object.freeze({
+  "AES-CBC": 1,
+  "AES-GCM": 2,
+  "AES-CBC-HMAC-SHA256": 3,
+  "AES-CTR": 4,
+  "ChaCha20-Poly1305": 5,
+  "XChaCha20-Poly1305": 6
+});
+
+export const KDF_IDS = Object.freeze({
+  "PBKDF2-SHA256": 1,
+  "Argon2id": 2,
+  "scrypt": 3,
+  "raw": 4 // no KDF: a raw key was given instead of a password, and the salt is empty
+});
+
+export const ENVELOPE_FLAGS = Object.freeze({
+  KEY_SLOTS: 0x01,
+  LABEL: 0x02,
+  KEYFILE: 0x04
+});
+
+const KNOWN_FLAGS = ENVELOPE_FLAGS.KEY_SLOTS | ENVELOPE_FLAGS.LABEL | ENVELOPE_FLAGS.KEYFILE;
+
+// Algorithms whose tag covers the header, and so can carry a label that can't be altered unnoticed
+export const AUTHENTICATED_ALGORITHMS = Object.freeze([
+  "AES-GCM",
+  "AES-CBC-HMAC-SHA256",
+  "ChaCha20-Poly1305",
+  "XChaCha20-Poly1305"
+]);
+
+export const MAX_LABEL_BYTES = 1024;
+
+const labelEncoder = new TextEncoder();
+const labelDecoder = new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }); // keep a leading BOM: the bytes are authenticated
+
+export const SLOT_TYPES = Object.freeze({
+  "ECDH-P256": 1,
+  "ECDH-X25519": 2,
+  "PASSWORD": 3
+});
+
+const ALGORITHM_NAMES = invert(ALGORITHM_IDS);
+const KDF_NAMES = invert(KDF_IDS);
+const SLOT_NAMES = invert(SLOT_TYPES);
+
+function invert(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) out[v] = k;
+  return out;
+}
+
+function writeU32(out, offset, value) {
+  out[offset] = (value >>> 24) & 0xff;
+  out[offset + 1] = (value >>> 16) & 0xff;
+  out[offset + 2] = (value >>> 8) & 0xff;
+  out[offset + 3] = value & 0xff;
+}
+
+function readU32(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+// The label field (u16 length | UTF-8), or null for no label
+function encodeLabel(label, algorithm) {
+  if (!label) return null;
+  if (!AUTHENTICATED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`A label needs an algorithm that authenticates it; ${algorithm} would leave it open to changes`);
+  }
+  const bytes = labelEncoder.encode(label);
+  if (bytes.length > MAX_LABEL_BYTES) {
+    throw new Error(`Labels are limited to ${MAX_LABEL_BYTES} bytes of UTF-8`);
+  }
+  const out = new Uint8Array(2 + bytes.length);
+  out[0] = (bytes.length >>> 8) & 0xff;
+  out[1] = bytes.length & 0xff;
+  out.set(bytes, 2);
+  return out;
+}
+
+/**
+ * Serialize KDF parameters for the envelope.
+ *   PBKDF2-SHA256: iterations u32
+ *   Argon2id:      memory (KiB) u32 | time u32 | parallelism u8
+ *   scrypt:        N u32 | r u32 | p u32
+ *   raw:           (none)
+ * @param {{name:string, iterations?:number, memory?:number, time?:number, parallelism?:number,
+ *          N?:number, r?:number, p?:number}} kdf
+ * @returns {{id:number, params:Uint8Array}}
+ */
+export function encodeKdfParams(kdf) {
+  const id = KDF_IDS[kdf && kdf.name];
+  if (!id) {
+    throw new Error(`Unsupported KDF: ${kdf && kdf.name}`);
+  }
+  if (kdf.name === "Argon2id") {
+    const params = new Uint8Array(9);
+    writeU32(params, 0, kdf.memory);
+    writeU32(params, 4, kdf.time);
+    params[8] = kdf.parallelism;
+    return { id, params };
+  }
+  if (kdf.name === "scrypt") {
+    const params = new Uint8Array(12);
+    writeU32(params, 0, kdf.N);
+    writeU32(params, 4, kdf.r);
+    writeU32(params, 8, kdf.p);
+    return { id, params };
+  }
+  if (kdf.name === "raw") {
+    return { id, params: new Uint8Array(0) };
+  }
+  const params = new Uint8Array(4);
+  writeU32(params, 0, kdf.iterations);
+  return { id, params };
+}
+
+/**
+ * Parse KDF parameters from the envelope.
+ * @param {number} id
+ * @param {Uint8Array} params
+ * @returns {{name:string, iterations?:number, memory?:number, time?:number, parallelism?:number,
+ *           N?:number, r?:number, p?:number}}
+ */
+export function decodeKdfParams(id, params) {
+  const name = KDF_NAMES[id];
+  if (!name) {
+    throw new ParameterError("Unsupported key derivation function in ciphertext");
+  }
+  if (name === "Argon2id") {
+    if (params.length !== 9) {
+      throw new FormatError("Invalid KDF parameters in ciphertext");
+    }
+    return { name, memory: readU32(params, 0), time: readU32(params, 4), parallelism: params[8] };
+  }
+  if (name === "scrypt") {
+    if (params.length !== 12) {
+      throw new FormatError("Invalid KDF parameters in ciphertext");
+    }
+    return { name, N: readU32(params, 0), r: readU32(params, 4), p: readU32(params, 8) };
+  }
+  if (name === "raw") {
+    if (params.length !== 0) {
+      throw new FormatError("Invalid KDF parameters in ciphertext");
+    }
+    return { name };
+  }
+  if (params.length !== 4) {
+    throw new FormatError("Invalid KDF parameters in ciphertext");
+  }
+  return { name, iterations: readU32(params, 0) };
+}
+
+/**
+ * True if the bytes start with the envelope magic.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isEnvelope(bytes) {
+  return bytes instanceof Uint8Array &&
+    bytes.length >= ENVELOPE_MAGIC.length &&
+    ENVELOPE_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Serialize the envelope header (everything before the ciphertext). Pass `slots` instead of
+ * `kdf`/`salt` for a key-slot envelope, a non-empty `label` to store one, and `keyfile: true` when the key
+ * was derived with a keyfile.
+ * @param {{algorithm:string, kdf?:object, keyLength:number, salt?:Uint8Array, iv:Uint8Array,
+ *          slots?:{type:string, data:Uint8Array}[], label?:string, keyfile?:boolean}} fields
+ * @returns {Uint8Array}
+ */
+export function encodeEnvelopeHeader({ algorithm, kdf, keyLength, salt, iv, slots, label, keyfile }) {
+  const algorithmId = ALGORITHM_IDS[algorithm];
+  if (!algorithmId) {
+    throw new Error("Unsupported algorithm");
+  }
+  const labelField = encodeLabel(label, algorithm);
+  if (slots) {
+    if (keyfile) {
+      throw new Error("A keyfile can only be used with a single password");
+    }
+    return encodeSlotHeader(algorithmId, keyLength, iv, slots, labelField);
+  }
+  const { id: kdfId, params } = encodeKdfParams(kdf);
+
+  const labelLength = labelField ? labelField.length : 0;
+  const out = new Uint8Array(4 + 5 + params.length + 2 + salt.length + 1 + iv.length + labelLength);
+  let o = 0;
+  out.set(ENVELOPE_MAGIC, o); o += 4;
+  out[o++] = ENVELOPE_VERSION;
+  out[o++] = (labelField ? ENVELOPE_FLAGS.LABEL : 0) | (keyfile ? ENVELOPE_FLAGS.KEYFILE : 0);
+  out[o++] = algorithmId;
+  out[o++] = kdfId;
+  out[o++] = params.length;
+  out.set(params, o); o += params.length;
+  out[o++] = keyLength;
+  out[o++] = salt.length;
+  out.set(salt, o); o += salt.length;
+  out[o++] = iv.length;
+  out.set(iv, o); o += iv.length;
+  if (labelField) out.set(labelField, o);
+  return out;
+}
+
+function encodeSlotHeader(algorithmId, keyLength, iv, slots, labelField) {
+  if (slots.length === 0 || slots.length > 255) {
+    throw new Error("An envelope holds between 1 and 255 key slots");
+  }
+  const encoded = slots.map(({ type, typeId: rawId, data }) => {
+    // Unknown types parsed from a newer envelope keep their raw id
+    const typeId = type === null ? rawId : SLOT_TYPES[type];
+    if (!typeId) {
+      throw new Error(`Unsupported key slot type: ${type}`);
+    }
+    if (data.length > 0xffff) {
+      throw new Error("Key slot too large");
+    }
+    return { typeId, data };
+  });
+  const slotBytes = encoded.reduce((n, slot) => n + 3 + slot.data.length, 0);
+
+  const labelLength = labelField ? labelField.length : 0;
+  const out = new Uint8Array(4 + 4 + slotBytes + 2 + iv.length + labelLength);
+  let o = 0;
+  out.set(ENVELOPE_MAGIC, o); o += 4;
+  out[o++] = ENVELOPE_VERSION;
+  out[o++] = ENVELOPE_FLAGS.KEY_SLOTS | (labelField ? ENVELOPE_FLAGS.LABEL : 0);
+  out[o++] = algorithmId;
+  out[o++] = encoded.length;
+  for (const { typeId, data } of encoded) {
+    out[o++] = typeId;
+    out[o++] = (data.length >>> 8) & 0xff;
+    out[o++] = data.length & 0xff;
+    out.set(data, o); o += data.length;
+  }
+  out[o++] = keyLength;
+  out[o++] = iv.length;
+  out.set(iv, o); o += iv.length;
+  if (labelField) out.set(labelField, o);
+  return out;
+}
+
+/**
+ * Additional data for a key-slot envelope's content: the header without its slot list (label included).
+ * @param {{algorithm:string, keyLength:number, iv:Uint8Array, label?:string}} fields
+ * @returns {Uint8Array}
+ */
+export function encodeSlotEnvelopeAad({ algorithm, keyLength, iv, label }) {
+  const algorithmId = ALGORITHM_IDS[algorithm];
+  if (!algorithmId) {
+    throw new Error("Unsupported algorithm");
+  }
+  const labelField = encodeLabel(label, algorithm);
+  const labelLength = labelField ? labelField.length : 0;
+  const out = new Uint8Array(4 + 3 + 2 + iv.length + labelLength);
+  let o = 0;
+  out.set(ENVELOPE_MAGIC, o); o += 4;
+  out[o++] = ENVELOPE_VERSION;
+  out[o++] = ENVELOPE_FLAGS.KEY_SLOTS | (labelField ? ENVELOPE_FLAGS.LABEL : 0);
+  out[o++] = algorithmId;
+  out[o++] = keyLength;
+  out[o++] = iv.length;
+  out.set(iv, o); o += iv.length;
+  if (labelField) out.set(labelField, o);
+  return out;
+}
+
+/**
+ * Rebuild a key-slot envelope with a new slot list, keeping its ciphertext as is.
+ * @param {Uint8Array} bytes
+ * @param {{type:string, data:Uint8Array}[]} slots
+ * @returns {Uint8Array}
+ */
+export function replaceEnvelopeSlots(bytes, slots) {
+  const { algorithm, slots: current, keyLength, iv, label, ciphertext } = parseEnvelope(bytes);
+  if (!current) {
+    throw new Error("Not a key-slot envelope");
+  }
+  const header = encodeSlotHeader(ALGORITHM_IDS[algorithm], keyLength, iv, slots, encodeLabel(label, algorithm));
+  const out = new Uint8Array(header.length + ciphertext.length);
+  out.set(header, 0);
+  out.set(ciphertext, header.length);
+  return out;
+}
+
+/**
+ * Serialize a password slot's data:
+ *   kdf id u8 | kdf params length u8 | kdf params | salt length u8 | salt | iv length u8 | iv | wrapped key + tag
+ * @param {{kdf:object, salt:Uint8Array, iv:Uint8Array, wrapped:Uint8Array}} fields
+ * @returns {Uint8Array}
+ */
+export function encodePasswordSlot({ kdf, salt, iv, wrapped }) {
+  const { id, params } = encodeKdfParams(kdf);
+  const out = new Uint8Array(2 + params.length + 1 + salt.length + 1 + iv.length + wrapped.length);
+  let o = 0;
+  out[o++] = id;
+  out[o++] = params.length;
+  out.set(params, o); o += params.length;
+  out[o++] = salt.length;
+  out.set(salt, o); o += salt.length;
+  out[o++] = iv.length;
+  out.set(iv, o); o += iv.length;
+  out.set(wrapped, o);
+  return out;
+}
+
+/**
+ * Parse a password slot's data. Throws on malformed input.
+ * @param {Uint8Array} data
+ * @returns {{kdf:object, salt:Uint8Array, iv:Uint8Array, wrapped:Uint8Array}}
+ */
+export function decodePasswordSlot(data) {
+  let o = 0;
+  const need = (n) => {
+    if (o + n > data.length) {
+      throw new FormatError("Invalid password slot");
+    }
+  };
+  need(2);
+  const kdfId = data[o++];
+  const kdfLen = data[o++];
+  need(kdfLen);
+  const kdf = decodeKdfParams(kdfId, data.subarray(o, o + kdfLen));
+  o += kdfLen;
+  need(1);
+  const saltLen = data[o++];
+  need(saltLen);
+  const salt = data.slice(o, o + saltLen);
+  o += saltLen;
+  need(1);
+  const ivLen = data[o++];
+  need(ivLen);
+  const iv = data.slice(o, o + ivLen);
+  o += ivLen;
+  return { kdf, salt, iv, wrapped: data.slice(o) };
+}
+
+/**
+ * Parse an envelope. Throws on malformed input. Key-slot envelopes carry `slots` and no kdf/salt, and their
+ * `header` is the additional data (see encodeSlotEnvelopeAad) rather than the raw header bytes. `label` is
+ * null unless the envelope has one; it is only verified when the ciphertext is decrypted. `keyfile` is true
+ * when decryption needs a keyfile.
+ * @param {Uint8Array} bytes
+ * @returns {{version:number, flags:number, algorithm:string, kdf?:object,
+ *           slots?:{type:string|null, typeId:number, data:Uint8Array}[], keyLength:number, salt?:Uint8Array,
+ *           iv:Uint8Array, label:string|null, keyfile:boolean, header:Uint8Array, ciphertext:Uint8Array}}
+ */
+export function parseEnvelope(bytes) {
+  if (!isEnvelope(bytes)) {
+    throw new FormatError("Not a CRCrypt envelope");
+  }
+  let o = 4;
+  const need = (n) => {
+    if (o + n > bytes.length) {
+      throw new FormatError("Invalid envelope: truncated header");
+    }
+  };
+
+  need(5);
+  const version = bytes[o++];
+  if (version !== ENVELOPE_VERSION) {
+    throw new ParameterError(`Unsupported envelope version ${version}`);
+  }
+  const flags = bytes[o++];
+  if (flags & ~KNOWN_FLAGS) {
+    throw new ParameterError("The ciphertext uses envelope features this version doesn't support");
+  }
+  const algorithm = ALGORITHM_NAMES[bytes[o++]];
+  if (!algorithm) {
+    throw new ParameterError("Unsupported algorithm in ciphertext");
+  }
+  if ((flags & ENVELOPE_FLAGS.LABEL) && !AUTHENTICATED_ALGORITHMS.includes(algorithm)) {
+    throw new FormatError(`Invalid envelope: ${algorithm} can't carry an authenticated label`);
+  }
+  if ((flags & ENVELOPE_FLAGS.KEYFILE) && (flags & ENVELOPE_FLAGS.KEY_SLOTS)) {
+    throw new FormatError("Invalid envelope: key slots don't take a keyfile");
+  }
+  const keyfile = Boolean(flags & ENVELOPE_FLAGS.KEYFILE);
+  const readLabel = () => {
+    if (!(flags & ENVELOPE_FLAGS.LABEL)) return null;
+    need(2);
+    const len = (bytes[o] << 8) | bytes[o + 1];
+    o += 2;
+    need(len);
+    let label;
+    try {
+      label = labelDecoder.decode(bytes.subarray(o, o + len));
+    } catch {
+      throw new FormatError("Invalid envelope: the label is not UTF-8 text");
+    }
+    o += len;
+    return label;
+  };
+
+  if (flags & ENVELOPE_FLAGS.KEY_SLOTS) {
+    const count = bytes[o++];
+    const slots = [];
+    for (let i = 0; i < count; i++) {
+      need(3);
+      const typeId = bytes[o];
+      const type = SLOT_NAMES[typeId] || null; // unknown types are kept so other slots still work
+      const len = (bytes[o + 1] << 8) | bytes[o + 2];
+      o += 3;
+      need(len);
+      slots.push({ type, typeId, data: bytes.slice(o, o + len) });
+      o += len;
+    }
+    need(2);
+    const keyLength = bytes[o++];
+    const ivLen = bytes[o++];
+    need(ivLen);
+    const iv = bytes.slice(o, o + ivLen);
+    o += ivLen;
+    const label = readLabel();
+    const header = encodeSlotEnvelopeAad({ algorithm, keyLength, iv, label });
+    return { version, flags, algorithm, slots, keyLength, iv, label, keyfile, header, ciphertext: bytes.slice(o) };
+  }
+
+  const kdfId = bytes[o++];
+  const kdfLen = bytes[o++];
+  need(kdfLen);
+  const kdf = decodeKdfParams(kdfId, bytes.subarray(o, o + kdfLen));
+  o += kdfLen;
+
+  need(2);
+  const keyLength = bytes[o++];
+  const saltLen = bytes[o++];
+  need(saltLen);
+  const salt = bytes.slice(o, o + saltLen);
+  o += saltLen;
+
+  need(1);
+  const ivLen = bytes[o++];
+  need(ivLen);
+  const iv = bytes.slice(o, o + ivLen);
+  o += ivLen;
+  const label = readLabel();
+
+  return {
+    version,
+    flags,
+    algorithm,
+    kdf,
+    keyLength,
+    salt,
+    iv,
+    label,
+    keyfile,
+    header: bytes.slice(0, o),
+    ciphertext: bytes.slice(o)
+  };
+}
+
+/**
+ * Encode envelope bytes as text.
+ * @param {Uint8Array} bytes
+ * @param {string} [encoding] - one of ENVELOPE_ENCODINGS (default hex)
+ * @param {Record<string, string>} [headers] - armor headers (armor only)
+ * @returns {string}
+ */
+export function encodeEnvelopeString(bytes, encoding = ENCODINGS.HEX, headers = {}) {
+  if (encoding === ENVELOPE_ENCODINGS.ARMOR) {
+    return armor(bytes, { headers });
+  }
+  return encodeBytes(bytes, encoding);
+}
+
+/**
+ * Decode envelope text in any supported encoding, or return null if the text is not an envelope
+ * (e.g. the legacy salt:iv:ciphertext[:tag] format). Whitespace inside the text is ignored.
+ * @param {string} text
+ * @returns {{bytes:Uint8Array, encoding:string, headers?:Record<string, string>}|null}
+ * @throws {EncodingError} if the text is armored but damaged in transit
+ */
+export function decodeEnvelopeText(text) {
+  const trimmed = String(text || "").trim();
+  if (isArmored(trimmed)) {
+    const { bytes, headers } = dearmor(trimmed);
+    if (!isEnvelope(bytes)) {
+      throw new FormatError("The armored block does not contain a CRCrypt envelope");
+    }
+    return { bytes, encoding: ENVELOPE_ENCODINGS.ARMOR, headers };
+  }
+  if (trimmed === "" || trimmed.includes(":")) {
+    return null;
+  }
+  // Hex first: it is the default, and its alphabet overlaps Base64's. Text without "+", "/" or "=" is valid
+  // as either Base64 flavour (same bytes); call it Base64url so re-encoded output stays URL safe.
+  for (const encoding of [ENCODINGS.HEX, ENCODINGS.BASE32, ENCODINGS.BASE64URL, ENCODINGS.BASE64]) {
+    let bytes;
+    try {
+      bytes = decodeBytes(trimmed, encoding);
+    } catch {
+      continue;
+    }
+    if (isEnvelope(bytes)) return { bytes, encoding };
+  }
+  return null;
+}
+
+/**
+ * Decode envelope text to bytes, or return null if the text is not an envelope.
+ * @param {string} text
+ * @returns {Uint8Array|null}
+ */
+export function decodeEnvelopeString(text) {
+  const decoded = decodeEnvelopeText(text);
+  return decoded ? decoded.bytes : null;
+}
+
+/**
+ * Describe a ciphertext's public parameters without decrypting it.
+ * @param {string} text
+ * Armored text that was damaged in transit is reported as "damaged" with the reason.
+ * @returns {{format:"envelope"|"legacy"|"damaged"|"unknown", encoding?:string, algorithm?:string, kdf?:object,
+ *            slots?:string[], keyLength?:number, label?:string|null, keyfile?:boolean, message?:string}}
+ */
+export function inspectCiphertext(text) {
+  const trimmed = String(text || "").trim();
+  if (isArmored(trimmed)) {
+    try {
+      dearmor(trimmed);
+    } catch (err) {
+      return { format: "damaged", message: err.message };
+    }
+  }
+  try {
+    const decoded = decodeEnvelopeText(trimmed);
+    if (decoded) {
+      const { encoding } = decoded;
+      const { version, algorithm, kdf, slots, keyLength, label, keyfile } = parseEnvelope(decoded.bytes);
+      return slots
+        ? { format: "envelope", encoding, version, algorithm, slots: slots.map((slot) => slot.type), keyLength, label, keyfile }
+        : { format: "envelope", encoding, version, algorithm, kdf, keyLength, label, keyfile };
+    }
+  } catch {
+    return { format: "unknown" };
+  }
+  const parts = trimmed.split(":");
+  if (parts.length === 3 || parts.length === 4) {
+    return { format: "legacy", algorithm: parts.length === 4 ? "AES-GCM" : "AES-CBC" };
+  }
+  return { format: "unknown" };
+}
@@ -0,0 +1,82 @@
+// src/errors.js
+// Typed errors for reading ciphertexts, each with a stable `code` the UI and CLI can branch on.
+// Every check that doesn't need the password gets its own code; everything that does (a wrong password,
+// a failed tag, bad padding) is one AuthenticationError, so a failure says nothing about a guess.
+
+export const ERROR_CODES = Object.freeze({
+  FORMAT: "format",                 // not a ciphertext, or its structure is wrong (parts, lengths, truncation)
+  ENCODING: "encoding",             // hex, Base64, Base32 or armor text that doesn't decode
+  PARAMETER: "parameter",           // well-formed, but with an algorithm, IV or KDF setting that isn't supported
+  KEYFILE: "keyfile",               // the ciphertext records that it needs a keyfile, and none was given
+  AUTHENTICATION: "authentication"  // the key didn't open it: wrong password or modified ciphertext
+});
+
+/**
+ * Base class of the typed errors. `code` is one of ERROR_CODES.
+ */
+export class CryptoError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "CryptoError";
+    this.code = code;
+  }
+}
+
+export class FormatError extends CryptoError {
+  constructor(message) {
+    super(message, ERROR_CODES.FORMAT);
+    this.name = "FormatError";
+  }
+}
+
+export class EncodingError extends CryptoError {
+  constructor(message) {
+    super(message, ERROR_CODES.ENCODING);
+    this.name = "EncodingError";
+  }
+}
+
+export class ParameterError extends CryptoError {
+  constructor(message) {
+    super(message, ERROR_CODES.PARAMETER);
+    this.name = "ParameterError";
+  }
+}
+
+// Only a missing keyfile is reported: the header says one is needed. A wrong keyfile is an AuthenticationError.
+export class KeyfileError extends CryptoError {
+  constructor(message = "This ciphertext needs its keyfile as well as the password") {
+    super(message, ERROR_CODES.KEYFILE);
+    this.name = "KeyfileError";
+  }
+}
+
+export class AuthenticationError extends CryptoError {
+  constructor(message = "Decryption failed: wrong password or corrupted input") {
+    super(message, ERROR_CODES.AUTHENTICATION);
+    this.name = "AuthenticationError";
+  }
+}
+
+const ERROR_CLASSES = {
+  [ERROR_CODES.FORMAT]: FormatError,
+  [ERROR_CODES.ENCODING]: EncodingError,
+  [ERROR_CODES.PARAMETER]: ParameterError,
+  [ERROR_CODES.KEYFILE]: KeyfileError,
+  [ERROR_CODES.AUTHENTICATION]: AuthenticationError
+};
+
+/**
+ * Rebuild an error from its { name, message, code } copy, e.g. after it crossed the worker boundary.
+ * Unknown or missing codes give a plain Error.
+ * @param {{name?:string, message?:string, code?:string}} info
+ * @returns {Error}
+ */
+export function restoreError(info) {
+  const message = (info && info.message) || "Operation failed";
+  const ErrorClass = info && Object.hasOwn(ERROR_CLASSES, info.code) ? ERROR_CLASSES[info.code] : null;
+  if (ErrorClass) return new ErrorClass(message);
+  const err = new Error(message);
+  if (info && info.name) err.name = info.name;
+  return err;
+}
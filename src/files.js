@@ -0,0 +1,67 @@
+// src/files.js
+// File mode for CRCrypt Web: encrypts files with the chunked streaming format and restores them by name.
+// Files are read with File.stream() and results are returned as streams for download. Nothing is persisted.
+
+import { encryptStream, decryptStream, isStreamFormat } from "./stream.js";
+import { FormatError } from "./errors.js";
+
+export const FILE_EXTENSION = ".crcrypt";
+
+/**
+ * Strip path separators and control characters from a restored file name.
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeFileName(name) {
+  const cleaned = String(name || "")
+    .replace(/[\u0000-\u001f\u007f/\\]/g, "_")
+    .replace(/^\.+/, "")
+    .trim();
+  return cleaned || "decrypted.bin";
+}
+
+/**
+ * Encrypt a File into a streamed .crcrypt download (chunked AES-GCM).
+ * @param {File} file
+ * @param {string} password
+ * @param {{iterations?:number, keyLength?:number, saltLength?:number, chunkSize?:number,
+ *          keyfile?:Uint8Array, onProgress?:(done:number, total:number)=>void}} opts
+ * @returns {Promise<{name:string, stream:ReadableStream<Uint8Array>}>}
+ */
+export async function encryptFile(file, password, opts = {}) {
+  if (!file || typeof file.stream !== "function") {
+    throw new Error("No file selected");
+  }
+
+  const stream = await encryptStream(file.stream(), password, {
+    ...opts,
+    name: file.name,
+    size: file.size,
+  });
+
+  return { name: `${sanitizeFileName(file.name)}${FILE_EXTENSION}`, stream };
+}
+
+/**
+ * Decrypt a .crcrypt File back to its original name and contents, streamed chunk by chunk.
+ * @param {File} file
+ * @param {string} password
+ * @param {{keyfile?:Uint8Array, onProgress?:(done:number, total:number)=>void}} opts
+ * @returns {Promise<{name:string, stream:ReadableStream<Uint8Array>}>}
+ */
+export async function decryptFile(file, password, opts = {}) {
+  if (!file || typeof file.stream !== "function") {
+    throw new Error("No file selected");
+  }
+
+  const magic = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  if (!isStreamFormat(magic)) {
+    throw new FormatError("Not a .crcrypt file. Use text mode for text ciphertexts");
+  }
+  const { name, stream } = await decryptStream(file.stream(), password, {
+    size: file.size,
+    keyfile: opts.keyfile,
+    onProgress: opts.onProgress,
+  });
+  return { name: sanitizeFileName(name), stream };
+}
@@ -0,0 +1,344 @@
+// src/kdf/argon2.js
+// Pure-JS Argon2id (RFC 9106, version 0x13). Memory-hard password hashing for key derivation.
+// Self-contained (BLAKE2b from ./blake2b.js), no WASM, no network. Memory is zeroized after use.
+
+import { blake2b } from "./blake2b.js";
+
+const ARGON2_VERSION = 0x13;
+const ARGON2_TYPE_ID = 2;
+const SYNC_POINTS = 4;
+const BLOCK_WORDS = 256; // 1024-byte block as 32-bit words (128 little-endian 64-bit words)
+const ADDRESSES_IN_BLOCK = 128;
+
+// Scratch blocks for the compression function
+const R = new Uint32Array(BLOCK_WORDS);
+const T = new Uint32Array(BLOCK_WORDS);
+
+function le32(n) {
+  return Uint8Array.of(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff);
+}
+
+/**
+ * High 32 bits of the 64-bit product of two uint32 values.
+ */
+function mulHi(a, b) {
+  const a0 = a & 0xffff;
+  const a1 = a >>> 16;
+  const b0 = b & 0xffff;
+  const b1 = b >>> 16;
+  const mid = a0 * b1 + a1 * b0;
+  const low = (mid % 65536) * 65536 + a0 * b0;
+  return a1 * b1 + Math.floor(mid / 65536) + Math.floor(low / 4294967296);
+}
+
+// R[x] = R[x] + R[y] + 2 * lo32(R[x]) * lo32(R[y])   (64-bit, x/y are 32-bit word offsets)
+function fBlaMka(x, y) {
+  const xl = R[x];
+  const yl = R[y];
+  let pl = Math.imul(xl, yl) >>> 0;
+  let ph = mulHi(xl, yl);
+  ph = ((ph << 1) | (pl >>> 31)) >>> 0;
+  pl = (pl << 1) >>> 0;
+
+  const lo = xl + yl + pl;
+  R[x] = lo;
+  R[x + 1] = R[x + 1] + R[y + 1] + ph + Math.floor(lo / 4294967296);
+}
+
+function gb(a, b, c, d) {
+  let t0;
+  let t1;
+
+  fBlaMka(a, b);
+  // d = rotr64(d ^ a, 32)
+  t0 = R[d] ^ R[a];
+  t1 = R[d + 1] ^ R[a + 1];
+  R[d] = t1;
+  R[d + 1] = t0;
+
+  fBlaMka(c, d);
+  // b = rotr64(b ^ c, 24)
+  t0 = R[b] ^ R[c];
+  t1 = R[b + 1] ^ R[c + 1];
+  R[b] = (t0 >>> 24) | (t1 << 8);
+  R[b + 1] = (t1 >>> 24) | (t0 << 8);
+
+  fBlaMka(a, b);
+  // d = rotr64(d ^ a, 16)
+  t0 = R[d] ^ R[a];
+  t1 = R[d + 1] ^ R[a + 1];
+  R[d] = (t0 >>> 16) | (t1 << 16);
+  R[d + 1] = (t1 >>> 16) | (t0 << 16);
+
+  fBlaMka(c, d);
+  // b = rotr64(b ^ c, 63)
+  t0 = R[b] ^ R[c];
+  t1 = R[b + 1] ^ R[c + 1];
+  R[b] = (t0 << 1) | (t1 >>> 31);
+  R[b + 1] = (t1 << 1) | (t0 >>> 31);
+}
+
+// BLAKE2 round without message on sixteen 64-bit words (given as 64-bit word indices)
+function roundNoMsg(w0, w1, w2, w3, w4, w5, w6, w7, w8, w9, w10, w11, w12, w13, w14, w15) {
+  gb(2 * w0, 2 * w4, 2 * w8, 2 * w12);
+  gb(2 * w1, 2 * w5, 2 * w9, 2 * w13);
+  gb(2 * w2, 2 * w6, 2 * w10, 2 * w14);
+  gb(2 * w3, 2 * w7, 2 * w11, 2 * w15);
+  gb(2 * w0, 2 * w5, 2 * w10, 2 * w15);
+  gb(2 * w1, 2 * w6, 2 * w11, 2 * w12);
+  gb(2 * w2, 2 * w7, 2 * w8, 2 * w13);
+  gb(2 * w3, 2 * w4, 2 * w9, 2 * w14);
+}
+
+/**
+ * Compression function G: next = P(prev ^ ref) ^ (prev ^ ref) [^ next when withXor].
+ */
+function fillBlock(prev, prevOff, ref, refOff, next, nextOff, withXor) {
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    R[i] = ref[refOff + i] ^ prev[prevOff + i];
+  }
+  if (withXor) {
+    for (let i = 0; i < BLOCK_WORDS; i++) T[i] = R[i] ^ next[nextOff + i];
+  } else {
+    T.set(R);
+  }
+
+  // Rows: (0..15), (16..31), ... (112..127)
+  for (let i = 0; i < 8; i++) {
+    const b = 16 * i;
+    roundNoMsg(b, b + 1, b + 2, b + 3, b + 4, b + 5, b + 6, b + 7,
+      b + 8, b + 9, b + 10, b + 11, b + 12, b + 13, b + 14, b + 15);
+  }
+  // Columns: (0,1,16,17,...,112,113), (2,3,18,19,...), ...
+  for (let i = 0; i < 8; i++) {
+    const b = 2 * i;
+    roundNoMsg(b, b + 1, b + 16, b + 17, b + 32, b + 33, b + 48, b + 49,
+      b + 64, b + 65, b + 80, b + 81, b + 96, b + 97, b + 112, b + 113);
+  }
+
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    next[nextOff + i] = T[i] ^ R[i];
+  }
+}
+
+/**
+ * Variable-length hash H' from RFC 9106 section 3.3.
+ * @param {number} outLength
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function hPrime(outLength, parts) {
+  const input = [le32(outLength), ...parts];
+  if (outLength <= 64) {
+    return blake2b(input, outLength);
+  }
+  const out = new Uint8Array(outLength);
+  let v = blake2b(input, 64);
+  out.set(v.subarray(0, 32), 0);
+  let o = 32;
+  while (outLength - o > 64) {
+    v = blake2b(v, 64);
+    out.set(v.subarray(0, 32), o);
+    o += 32;
+  }
+  out.set(blake2b(v, outLength - o), o);
+  return out;
+}
+
+function bytesToBlock(bytes, mem, off) {
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    const b = 4 * i;
+    mem[off + i] = bytes[b] | (bytes[b + 1] << 8) | (bytes[b + 2] << 16) | (bytes[b + 3] << 24);
+  }
+}
+
+function blockToBytes(mem, off) {
+  const out = new Uint8Array(1024);
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    const w = mem[off + i];
+    const b = 4 * i;
+    out[b] = w & 0xff;
+    out[b + 1] = (w >>> 8) & 0xff;
+    out[b + 2] = (w >>> 16) & 0xff;
+    out[b + 3] = (w >>> 24) & 0xff;
+  }
+  return out;
+}
+
+/**
+ * Argon2id.
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt - at least 8 bytes
+ * @param {{memory:number, time:number, parallelism:number, hashLength?:number,
+ *          secret?:Uint8Array, associatedData?:Uint8Array,
+ *          onProgress?:(done:number, total:number)=>void}} params - memory in KiB
+ * @returns {Uint8Array}
+ */
+export function argon2id(password, salt, params) {
+  const { memory, time, parallelism } = params;
+  const hashLength = params.hashLength || 32;
+  const secret = params.secret || new Uint8Array(0);
+  const associatedData = params.associatedData || new Uint8Array(0);
+  const onProgress = typeof params.onProgress === "function" ? params.onProgress : () => {};
+
+  if (!(password instanceof Uint8Array) || !(salt instanceof Uint8Array)) {
+    throw new Error("Argon2id password and salt must be Uint8Arrays");
+  }
+  if (salt.length < 8) {
+    throw new Error("Argon2id salt must be at least 8 bytes");
+  }
+  if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > 0xffffff) {
+    throw new Error("Argon2id parallelism must be a positive integer");
+  }
+  if (!Number.isInteger(time) || time < 1) {
+    throw new Error("Argon2id time cost must be a positive integer");
+  }
+  if (!Number.isInteger(memory) || memory < 8 * parallelism) {
+    throw new Error("Argon2id memory must be at least 8 KiB per lane");
+  }
+  if (!Number.isInteger(hashLength) || hashLength < 4) {
+    throw new Error("Argon2id hash length must be at least 4 bytes");
+  }
+
+  const lanes = parallelism;
+  const segmentLength = Math.floor(memory / (SYNC_POINTS * lanes));
+  const laneLength = segmentLength * SYNC_POINTS;
+  const blockCount = laneLength * lanes;
+
+  const h0 = blake2b([
+    le32(lanes), le32(hashLength), le32(memory), le32(time), le32(ARGON2_VERSION), le32(ARGON2_TYPE_ID),
+    le32(password.length), password,
+    le32(salt.length), salt,
+    le32(secret.length), secret,
+    le32(associatedData.length), associatedData
+  ], 64);
+
+  let mem;
+  try {
+    mem = new Uint32Array(blockCount * BLOCK_WORDS);
+  } catch {
+    throw new Error("Not enough memory for the requested Argon2id memory cost");
+  }
+
+  // First two blocks of each lane
+  for (let lane = 0; lane < lanes; lane++) {
+    for (let j = 0; j < 2; j++) {
+      const block = hPrime(1024, [h0, le32(j), le32(lane)]);
+      bytesToBlock(block, mem, (lane * laneLength + j) * BLOCK_WORDS);
+      block.fill(0);
+    }
+  }
+  h0.fill(0);
+
+  const zeroBlock = new Uint32Array(BLOCK_WORDS);
+  const inputBlock = new Uint32Array(BLOCK_WORDS);
+  const addressBlock = new Uint32Array(BLOCK_WORDS);
+
+  function nextAddresses() {
+    inputBlock[12]++; // 64-bit word 6: counter
+    fillBlock(zeroBlock, 0, inputBlock, 0, addressBlock, 0, false);
+    fillBlock(zeroBlock, 0, addressBlock, 0, addressBlock, 0, false);
+  }
+
+  function fillSegment(pass, lane, slice) {
+    const dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+    if (dataIndependent) {
+      inputBlock.fill(0);
+      inputBlock[0] = pass;
+      inputBlock[2] = lane;
+      inputBlock[4] = slice;
+      inputBlock[6] = blockCount;
+      inputBlock[8] = time;
+      inputBlock[10] = ARGON2_TYPE_ID;
+    }
+
+    let startIndex = 0;
+    if (pass === 0 && slice === 0) {
+      startIndex = 2;
+      if (dataIndependent) nextAddresses();
+    }
+
+    let currOffset = lane * laneLength + slice * segmentLength + startIndex;
+    let prevOffset = currOffset % laneLength === 0 ? currOffset + laneLength - 1 : currOffset - 1;
+
+    for (let i = startIndex; i < segmentLength; i++, currOffset++, prevOffset++) {
+      if (currOffset % laneLength === 1) prevOffset = currOffset - 1;
+
+      let j1;
+      let j2;
+      if (dataIndependent) {
+        if (i % ADDRESSES_IN_BLOCK === 0) nextAddresses();
+        const a = 2 * (i % ADDRESSES_IN_BLOCK);
+        j1 = addressBlock[a];
+        j2 = addressBlock[a + 1];
+      } else {
+        j1 = mem[prevOffset * BLOCK_WORDS];
+        j2 = mem[prevOffset * BLOCK_WORDS + 1];
+      }
+
+      const refLane = pass === 0 && slice === 0 ? lane : j2 % lanes;
+      const sameLane = refLane === lane;
+
+      // Reference area (RFC 9106 section 3.4.1.2)
+      let refAreaSize;
+      if (pass === 0) {
+        if (slice === 0) {
+          refAreaSize = i - 1;
+        } else if (sameLane) {
+          refAreaSize = slice * segmentLength + i - 1;
+        } else {
+          refAreaSize = slice * segmentLength + (i === 0 ? -1 : 0);
+        }
+      } else if (sameLane) {
+        refAreaSize = laneLength - segmentLength + i - 1;
+      } else {
+        refAreaSize = laneLength - segmentLength + (i === 0 ? -1 : 0);
+      }
+
+      const x = mulHi(j1, j1);
+      const relative = refAreaSize - 1 - mulHi(refAreaSize, x);
+      const start = pass !== 0 && slice !== SYNC_POINTS - 1 ? (slice + 1) * segmentLength : 0;
+      const refIndex = (start + relative) % laneLength;
+      const refOffset = refLane * laneLength + refIndex;
+
+      fillBlock(
+        mem, prevOffset * BLOCK_WORDS,
+        mem, refOffset * BLOCK_WORDS,
+        mem, currOffset * BLOCK_WORDS,
+        pass !== 0
+      );
+    }
+  }
+
+  try {
+    const totalSlices = time * SYNC_POINTS;
+    for (let pass = 0; pass < time; pass++) {
+      for (let slice = 0; slice < SYNC_POINTS; slice++) {
+        for (let lane = 0; lane < lanes; lane++) {
+          fillSegment(pass, lane, slice);
+        }
+        onProgress(pass * SYNC_POINTS + slice + 1, totalSlices);
+      }
+    }
+
+    // Final block: XOR of the last block in each lane
+    const final = new Uint32Array(BLOCK_WORDS);
+    for (let lane = 0; lane < lanes; lane++) {
+      const off = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+      for (let i = 0; i < BLOCK_WORDS; i++) final[i] ^= mem[off + i];
+    }
+    const finalBytes = blockToBytes(final, 0);
+    const tag = hPrime(hashLength, [finalBytes]);
+
+    final.fill(0);
+    finalBytes.fill(0);
+    return tag;
+  } finally {
+    // Hygiene: zeroize all working memory
+    mem.fill(0);
+    R.fill(0);
+    T.fill(0);
+    addressBlock.fill(0);
+    inputBlock.fill(0);
+  }
+}
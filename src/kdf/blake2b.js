@@ -0,0 +1,175 @@
+// src/kdf/blake2b.js
+// Pure-JS BLAKE2b (RFC 7693) used by Argon2id. 64-bit words are held as little-endian
+// pairs of 32-bit halves in Uint32Arrays. No persistence or side effects.
+
+// Initialization vector (same as SHA-512), as [lo, hi] pairs
+const IV32 = new Uint32Array([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+  0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+  0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+const SIGMA8 = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+  11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+  7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+  9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+  2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+  12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+  13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+  6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+  10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+];
+
+// Message word offsets into the 32-bit view
+const SIGMA82 = new Uint8Array(SIGMA8.map((x) => x * 2));
+
+const v = new Uint32Array(32);
+const m = new Uint32Array(32);
+
+// v[a] += v[b] (64-bit)
+function add64AA(a, b) {
+  const o0 = v[a] + v[b];
+  let o1 = v[a + 1] + v[b + 1];
+  if (o0 >= 0x100000000) o1++;
+  v[a] = o0;
+  v[a + 1] = o1;
+}
+
+// v[a] += (b1:b0) (64-bit)
+function add64AC(a, b0, b1) {
+  const o0 = v[a] + b0;
+  let o1 = v[a + 1] + b1;
+  if (o0 >= 0x100000000) o1++;
+  v[a] = o0;
+  v[a + 1] = o1;
+}
+
+function g(a, b, c, d, ix, iy) {
+  const x0 = m[ix];
+  const x1 = m[ix + 1];
+  const y0 = m[iy];
+  const y1 = m[iy + 1];
+
+  add64AA(a, b);
+  add64AC(a, x0, x1);
+
+  // d = (d ^ a) >>> 32
+  let xor0 = v[d] ^ v[a];
+  let xor1 = v[d + 1] ^ v[a + 1];
+  v[d] = xor1;
+  v[d + 1] = xor0;
+
+  add64AA(c, d);
+
+  // b = (b ^ c) >>> 24
+  xor0 = v[b] ^ v[c];
+  xor1 = v[b + 1] ^ v[c + 1];
+  v[b] = (xor0 >>> 24) ^ (xor1 << 8);
+  v[b + 1] = (xor1 >>> 24) ^ (xor0 << 8);
+
+  add64AA(a, b);
+  add64AC(a, y0, y1);
+
+  // d = (d ^ a) >>> 16
+  xor0 = v[d] ^ v[a];
+  xor1 = v[d + 1] ^ v[a + 1];
+  v[d] = (xor0 >>> 16) ^ (xor1 << 16);
+  v[d + 1] = (xor1 >>> 16) ^ (xor0 << 16);
+
+  add64AA(c, d);
+
+  // b = (b ^ c) >>> 63
+  xor0 = v[b] ^ v[c];
+  xor1 = v[b + 1] ^ v[c + 1];
+  v[b] = (xor1 >>> 31) ^ (xor0 << 1);
+  v[b + 1] = (xor0 >>> 31) ^ (xor1 << 1);
+}
+
+function compress(h, block, counter, last) {
+  for (let i = 0; i < 16; i++) {
+    v[i] = h[i];
+    v[i + 16] = IV32[i];
+  }
+
+  // 128-bit counter; inputs here never exceed 2^53 bytes
+  v[24] ^= counter;
+  v[25] ^= counter / 0x100000000;
+  if (last) {
+    v[28] = ~v[28];
+    v[29] = ~v[29];
+  }
+
+  for (let i = 0; i < 32; i++) {
+    const o = i * 4;
+    m[i] = block[o] ^ (block[o + 1] << 8) ^ (block[o + 2] << 16) ^ (block[o + 3] << 24);
+  }
+
+  for (let i = 0; i < 12; i++) {
+    const s = i * 16;
+    g(0, 8, 16, 24, SIGMA82[s], SIGMA82[s + 1]);
+    g(2, 10, 18, 26, SIGMA82[s + 2], SIGMA82[s + 3]);
+    g(4, 12, 20, 28, SIGMA82[s + 4], SIGMA82[s + 5]);
+    g(6, 14, 22, 30, SIGMA82[s + 6], SIGMA82[s + 7]);
+    g(0, 10, 20, 30, SIGMA82[s + 8], SIGMA82[s + 9]);
+    g(2, 12, 22, 24, SIGMA82[s + 10], SIGMA82[s + 11]);
+    g(4, 14, 16, 26, SIGMA82[s + 12], SIGMA82[s + 13]);
+    g(6, 8, 18, 28, SIGMA82[s + 14], SIGMA82[s + 15]);
+  }
+
+  for (let i = 0; i < 16; i++) {
+    h[i] = h[i] ^ v[i] ^ v[i + 16];
+  }
+}
+
+/**
+ * BLAKE2b hash (unkeyed) of one or more byte arrays, as if concatenated.
+ * @param {Uint8Array|Uint8Array[]} input
+ * @param {number} outLength - 1..64 bytes
+ * @returns {Uint8Array}
+ */
+export function blake2b(input, outLength = 64) {
+  if (!Number.isInteger(outLength) || outLength < 1 || outLength > 64) {
+    throw new Error("BLAKE2b output length must be 1..64 bytes");
+  }
+  const parts = Array.isArray(input) ? input : [input];
+
+  const h = new Uint32Array(16);
+  for (let i = 0; i < 16; i++) h[i] = IV32[i];
+  h[0] ^= 0x01010000 ^ outLength; // parameter block: fanout 1, depth 1, no key
+
+  const block = new Uint8Array(128);
+  let filled = 0;
+  let counter = 0;
+
+  for (const part of parts) {
+    for (let i = 0; i < part.length; i++) {
+      if (filled === 128) {
+        counter += 128;
+        compress(h, block, counter, false);
+        filled = 0;
+      }
+      block[filled++] = part[i];
+    }
+  }
+
+  counter += filled;
+  block.fill(0, filled);
+  compress(h, block, counter, true);
+
+  const out = new Uint8Array(outLength);
+  for (let i = 0; i < outLength; i++) {
+    out[i] = h[i >> 2] >>> (8 * (i & 3));
+  }
+
+  // Hygiene: zeroize working state
+  h.fill(0);
+  block.fill(0);
+  v.fill(0);
+  m.fill(0);
+  return out;
+}
@@ -0,0 +1,169 @@
+// src/kdf/scrypt.js
+// scrypt (RFC 7914): PBKDF2-HMAC-SHA256 from Web Crypto around a pure-JS ROMix / Salsa20/8 core.
+// Compatible with scrypt-based tools given the same N, r, p. Working memory is zeroized after use.
+
+const PROGRESS_STEP = 4096; // ROMix steps between progress reports
+
+/**
+ * One-iteration PBKDF2-HMAC-SHA256 (the scrypt outer layers).
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} length - bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function pbkdf2Sha256(password, salt, length) {
+  const baseKey = await globalThis.crypto.subtle.importKey("raw", password, { name: "PBKDF2" }, false, ["deriveBits"]);
+  const bits = await globalThis.crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt, iterations: 1, hash: "SHA-256" },
+    baseKey,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+// Salsa20/8 core: B = B + Salsa20/8(B), on 16 words at offset o
+function salsa208(B, o, x) {
+  for (let i = 0; i < 16; i++) x[i] = B[o + i];
+
+  for (let i = 0; i < 8; i += 2) {
+    let u;
+    u = x[0] + x[12]; x[4] ^= (u << 7) | (u >>> 25);
+    u = x[4] + x[0]; x[8] ^= (u << 9) | (u >>> 23);
+    u = x[8] + x[4]; x[12] ^= (u << 13) | (u >>> 19);
+    u = x[12] + x[8]; x[0] ^= (u << 18) | (u >>> 14);
+    u = x[5] + x[1]; x[9] ^= (u << 7) | (u >>> 25);
+    u = x[9] + x[5]; x[13] ^= (u << 9) | (u >>> 23);
+    u = x[13] + x[9]; x[1] ^= (u << 13) | (u >>> 19);
+    u = x[1] + x[13]; x[5] ^= (u << 18) | (u >>> 14);
+    u = x[10] + x[6]; x[14] ^= (u << 7) | (u >>> 25);
+    u = x[14] + x[10]; x[2] ^= (u << 9) | (u >>> 23);
+    u = x[2] + x[14]; x[6] ^= (u << 13) | (u >>> 19);
+    u = x[6] + x[2]; x[10] ^= (u << 18) | (u >>> 14);
+    u = x[15] + x[11]; x[3] ^= (u << 7) | (u >>> 25);
+    u = x[3] + x[15]; x[7] ^= (u << 9) | (u >>> 23);
+    u = x[7] + x[3]; x[11] ^= (u << 13) | (u >>> 19);
+    u = x[11] + x[7]; x[15] ^= (u << 18) | (u >>> 14);
+    u = x[0] + x[3]; x[1] ^= (u << 7) | (u >>> 25);
+    u = x[1] + x[0]; x[2] ^= (u << 9) | (u >>> 23);
+    u = x[2] + x[1]; x[3] ^= (u << 13) | (u >>> 19);
+    u = x[3] + x[2]; x[0] ^= (u << 18) | (u >>> 14);
+    u = x[5] + x[4]; x[6] ^= (u << 7) | (u >>> 25);
+    u = x[6] + x[5]; x[7] ^= (u << 9) | (u >>> 23);
+    u = x[7] + x[6]; x[4] ^= (u << 13) | (u >>> 19);
+    u = x[4] + x[7]; x[5] ^= (u << 18) | (u >>> 14);
+    u = x[10] + x[9]; x[11] ^= (u << 7) | (u >>> 25);
+    u = x[11] + x[10]; x[8] ^= (u << 9) | (u >>> 23);
+    u = x[8] + x[11]; x[9] ^= (u << 13) | (u >>> 19);
+    u = x[9] + x[8]; x[10] ^= (u << 18) | (u >>> 14);
+    u = x[15] + x[14]; x[12] ^= (u << 7) | (u >>> 25);
+    u = x[12] + x[15]; x[13] ^= (u << 9) | (u >>> 23);
+    u = x[13] + x[12]; x[14] ^= (u << 13) | (u >>> 19);
+    u = x[14] + x[13]; x[15] ^= (u << 18) | (u >>> 14);
+  }
+
+  for (let i = 0; i < 16; i++) B[o + i] += x[i];
+}
+
+/**
+ * BlockMix with Salsa20/8 over 2r 64-byte blocks of B (32r words), using Y as scratch.
+ */
+function blockMix(B, Y, X, x, r) {
+  const blocks = 2 * r;
+  X.set(B.subarray((blocks - 1) * 16, blocks * 16));
+  for (let i = 0; i < blocks; i++) {
+    for (let k = 0; k < 16; k++) X[k] ^= B[i * 16 + k];
+    salsa208(X, 0, x);
+    // Even blocks to the first half, odd blocks to the second
+    const dst = (i % 2 === 0 ? i / 2 : r + (i - 1) / 2) * 16;
+    Y.set(X, dst);
+  }
+  B.set(Y);
+}
+
+/**
+ * scrypt.
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {{N:number, r:number, p:number, dkLength?:number,
+ *          onProgress?:(done:number, total:number)=>void}} params
+ * @returns {Promise<Uint8Array>}
+ */
+export async function scrypt(password, salt, params) {
+  const { N, r, p } = params;
+  const dkLength = params.dkLength || 32;
+  const onProgress = typeof params.onProgress === "function" ? params.onProgress : () => {};
+
+  if (!(password instanceof Uint8Array) || !(salt instanceof Uint8Array)) {
+    throw new Error("scrypt password and salt must be Uint8Arrays");
+  }
+  if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0 || N > 0x80000000) {
+    throw new Error("scrypt N must be a power of two greater than 1");
+  }
+  if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1 || r * p >= 0x40000000) {
+    throw new Error("scrypt r and p must be positive integers with r * p < 2^30");
+  }
+
+  const blockWords = 32 * r;
+  const B = await pbkdf2Sha256(password, salt, p * 128 * r);
+  const B32 = new Uint32Array(p * blockWords);
+  for (let i = 0; i < B32.length; i++) {
+    const o = 4 * i;
+    B32[i] = B[o] | (B[o + 1] << 8) | (B[o + 2] << 16) | (B[o + 3] << 24);
+  }
+
+  let V;
+  try {
+    V = new Uint32Array(N * blockWords);
+  } catch {
+    throw new Error("Not enough memory for the requested scrypt parameters");
+  }
+  const XY = new Uint32Array(blockWords);
+  const Y = new Uint32Array(blockWords);
+  const X = new Uint32Array(16);
+  const x = new Uint32Array(16);
+  const total = p * 2 * N;
+  let done = 0;
+
+  try {
+    for (let lane = 0; lane < p; lane++) {
+      const off = lane * blockWords;
+      XY.set(B32.subarray(off, off + blockWords));
+
+      // ROMix: fill V sequentially, then read it back in data-dependent order
+      for (let i = 0; i < N; i++) {
+        V.set(XY, i * blockWords);
+        blockMix(XY, Y, X, x, r);
+        if (++done % PROGRESS_STEP === 0) onProgress(done, total);
+      }
+      for (let i = 0; i < N; i++) {
+        const j = XY[(2 * r - 1) * 16] & (N - 1);
+        const vo = j * blockWords;
+        for (let k = 0; k < blockWords; k++) XY[k] ^= V[vo + k];
+        blockMix(XY, Y, X, x, r);
+        if (++done % PROGRESS_STEP === 0) onProgress(done, total);
+      }
+
+      B32.set(XY, off);
+    }
+    onProgress(total, total);
+
+    for (let i = 0; i < B32.length; i++) {
+      const w = B32[i];
+      const o = 4 * i;
+      B[o] = w & 0xff;
+      B[o + 1] = (w >>> 8) & 0xff;
+      B[o + 2] = (w >>> 16) & 0xff;
+      B[o + 3] = (w >>> 24) & 0xff;
+    }
+    return await pbkdf2Sha256(password, B, dkLength);
+  } finally {
+    // Hygiene: zeroize all working memory
+    V.fill(0);
+    B.fill(0);
+    B32.fill(0);
+    XY.fill(0);
+    Y.fill(0);
+    X.fill(0);
+    x.fill(0);
+  }
+}
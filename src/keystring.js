@@ -0,0 +1,132 @@
+// src/keystring.js
+// Compact, checksummed key strings shared by the public-key and signing modules:
+// "<prefix>-<tag>-<hex(payload | 4-byte checksum)>", plus P-256 point compression.
+
+import { toHex, fromHex } from "./utils/hex.js";
+
+const enc = new TextEncoder();
+
+const CHECKSUM_LEN = 4;
+
+// P-256 field prime and curve coefficient b (y^2 = x^3 - 3x + b), for point compression
+const P256_P = BigInt("0xffffffff00000001000000000000000000000000ffffffffffffffffffffffff");
+const P256_B = BigInt("0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604b");
+
+function bytesToBigInt(bytes) {
+  return BigInt("0x" + (toHex(bytes) || "0"));
+}
+
+function bigIntToBytes(n, length) {
+  return fromHex(n.toString(16).padStart(length * 2, "0"));
+}
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  let b = base % mod;
+  let e = exp;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % mod;
+    b = (b * b) % mod;
+    e >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Compress an uncompressed P-256 point (0x04 | x | y) to 33 bytes.
+ * @param {Uint8Array} raw
+ * @returns {Uint8Array}
+ */
+export function compressP256(raw) {
+  const out = new Uint8Array(33);
+  out[0] = 0x02 | (raw[64] & 1);
+  out.set(raw.subarray(1, 33), 1);
+  return out;
+}
+
+/**
+ * Decompress a 33-byte P-256 point to 0x04 | x | y. Throws if x is not on the curve.
+ * @param {Uint8Array} compressed
+ * @returns {Uint8Array}
+ */
+export function decompressP256(compressed) {
+  if (compressed.length !== 33 || (compressed[0] !== 0x02 && compressed[0] !== 0x03)) {
+    throw new Error("Invalid P-256 public key");
+  }
+  const x = bytesToBigInt(compressed.subarray(1));
+  if (x >= P256_P) {
+    throw new Error("Invalid P-256 public key");
+  }
+  const rhs = (((x * x * x) - 3n * x + P256_B) % P256_P + P256_P) % P256_P;
+  // p ≡ 3 (mod 4), so a square root is rhs^((p + 1) / 4)
+  let y = modPow(rhs, (P256_P + 1n) / 4n, P256_P);
+  if ((y * y) % P256_P !== rhs) {
+    throw new Error("Invalid P-256 public key");
+  }
+  if (Number(y & 1n) !== (compressed[0] & 1)) {
+    y = P256_P - y;
+  }
+  const out = new Uint8Array(65);
+  out[0] = 0x04;
+  out.set(compressed.subarray(1), 1);
+  out.set(bigIntToBytes(y, 32), 33);
+  return out;
+}
+
+// First bytes of SHA-256(label | payload); the label binds the checksum to the key kind and curve
+async function checksum(label, payload) {
+  const labelBytes = enc.encode(label);
+  const input = new Uint8Array(labelBytes.length + payload.length);
+  input.set(labelBytes, 0);
+  input.set(payload, labelBytes.length);
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", input));
+  return digest.slice(0, CHECKSUM_LEN);
+}
+
+/**
+ * Encode bytes as "<prefix>-<tag>-<hex(payload | checksum)>".
+ * @param {string} prefix - e.g. "crpub"
+ * @param {string} tag - curve or scheme tag, e.g. "p256"
+ * @param {Uint8Array} payload
+ * @returns {Promise<string>}
+ */
+export async function encodeKeyString(prefix, tag, payload) {
+  const label = `${prefix}-${tag}-`;
+  return label + toHex(payload) + toHex(await checksum(label, payload));
+}
+
+/**
+ * Decode and checksum-verify a key string. The caller maps the tag to a curve or scheme.
+ * @param {string} prefix - expected prefix
+ * @param {string} text
+ * @param {string} what - noun for error messages, e.g. "public key"
+ * @returns {Promise<{tag:string, payload:Uint8Array}>}
+ */
+export async function decodeKeyString(prefix, text, what) {
+  const match = /^([a-z]+)-([a-z0-9]+)-([0-9a-f]+)$/.exec(String(text || "").trim().toLowerCase());
+  if (!match || match[1] !== prefix) {
+    throw new Error(`Not a CRCrypt ${what} (expected ${prefix}-…)`);
+  }
+  const all = fromHex(match[3]);
+  if (all.length <= CHECKSUM_LEN) {
+    throw new Error(`Invalid ${what}`);
+  }
+  const payload = all.slice(0, all.length - CHECKSUM_LEN);
+  const expected = await checksum(`${prefix}-${match[2]}-`, payload);
+  if (!expected.every((b, i) => b === all[payload.length + i])) {
+    throw new Error(`Invalid ${what}: checksum mismatch (typo or truncated copy?)`);
+  }
+  return { tag: match[2], payload };
+}
+
+/**
+ * Short fingerprint of public key bytes for out-of-band comparison.
+ * @param {string} tag
+ * @param {Uint8Array} publicBytes
+ * @returns {Promise<string>} e.g. "p256:3f2a 91c0 7b4e d815"
+ */
+export async function fingerprintKey(tag, publicBytes) {
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", publicBytes));
+  const hex = toHex(digest.subarray(0, 8));
+  return `${tag}:${hex.match(/.{4}/g).join(" ")}`;
+}
@@ -0,0 +1,99 @@
+// src/passphrase.js
+// Password generator: diceware passphrases from the embedded EFF wordlist, or random character passwords.
+// Every choice is an unbiased draw from randomBytes, so the reported entropy is what an attacker who knows
+// the settings (but not the draws) faces.
+
+import { randomBytes } from "./crypto.js";
+import { WORDLIST } from "./wordlist.js";
+
+export const PASSPHRASE_SEPARATORS = Object.freeze(["-", " ", ".", "_"]);
+export const MIN_WORDS = 3;
+export const MAX_WORDS = 12;
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 64;
+
+export const CHARACTER_SETS = Object.freeze({
+  lower: "abcdefghijklmnopqrstuvwxyz",
+  upper: "ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  digits: "0123456789",
+  symbols: "!#$%&*+-=?@^_~"
+});
+
+const RANGE = 2 ** 32;
+
+/**
+ * Uniform random integer in [0, n). Draws at or above the largest multiple of n below 2^32 are rejected, so
+ * no value is more likely than another (plain modulo would favour the low ones).
+ * @param {number} n
+ * @returns {number}
+ */
+export function randomIndex(n) {
+  if (!Number.isInteger(n) || n < 1 || n > RANGE) {
+    throw new Error("randomIndex bound must be an integer between 1 and 2^32");
+  }
+  const limit = RANGE - (RANGE % n);
+  for (;;) {
+    const b = randomBytes(4);
+    const value = ((b[0] << 24) | (b[1] << 16) | (b[2] << 8) | b[3]) >>> 0;
+    if (value < limit) return value % n;
+  }
+}
+
+function pick(list) {
+  return list[randomIndex(list.length)];
+}
+
+/**
+ * Diceware passphrase: `words` words from the EFF list joined by `separator`. A digit and/or a symbol can be
+ * appended to randomly chosen words for sites that insist on them.
+ * @param {{words?:number, separator?:string, digit?:boolean, symbol?:boolean}} opts
+ * @returns {{password:string, entropy:number}} entropy in bits
+ */
+export function generatePassphrase(opts = {}) {
+  const count = opts.words === undefined ? 6 : Number(opts.words);
+  const separator = opts.separator === undefined ? "-" : opts.separator;
+  if (!Number.isInteger(count) || count < MIN_WORDS || count > MAX_WORDS) {
+    throw new Error(`Word count must be between ${MIN_WORDS} and ${MAX_WORDS}`);
+  }
+  if (!PASSPHRASE_SEPARATORS.includes(separator)) {
+    throw new Error("Unsupported separator");
+  }
+
+  const words = [];
+  for (let i = 0; i < count; i++) words.push(pick(WORDLIST));
+  let entropy = count * Math.log2(WORDLIST.length);
+
+  if (opts.digit) {
+    words[randomIndex(count)] += pick(CHARACTER_SETS.digits);
+    entropy += Math.log2(CHARACTER_SETS.digits.length * count);
+  }
+  if (opts.symbol) {
+    words[randomIndex(count)] += pick(CHARACTER_SETS.symbols);
+    entropy += Math.log2(CHARACTER_SETS.symbols.length * count);
+  }
+  return { password: words.join(separator), entropy };
+}
+
+/**
+ * Random character password drawn uniformly from the union of the chosen character sets.
+ * @param {{length?:number, lower?:boolean, upper?:boolean, digits?:boolean, symbols?:boolean}} opts
+ *   sets default to on
+ * @returns {{password:string, entropy:number}} entropy in bits
+ */
+export function generatePassword(opts = {}) {
+  const length = opts.length === undefined ? 20 : Number(opts.length);
+  if (!Number.isInteger(length) || length < MIN_PASSWORD_LENGTH || length > MAX_PASSWORD_LENGTH) {
+    throw new Error(`Length must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH}`);
+  }
+  const alphabet = Object.keys(CHARACTER_SETS)
+    .filter((set) => opts[set] !== false)
+    .map((set) => CHARACTER_SETS[set])
+    .join("");
+  if (alphabet === "") {
+    throw new Error("Choose at least one character set");
+  }
+
+  let password = "";
+  for (let i = 0; i < length; i++) password += pick(alphabet);
+  return { password, entropy: length * Math.log2(alphabet.length) };
+}
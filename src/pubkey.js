@@ -0,0 +1,362 @@
+// src/pubkey.js
+// Public-key (recipient) encryption: ECDH P-256 / X25519 keypairs as compact strings, and hybrid
+// encryption to one or more recipients (ephemeral ECDH + HKDF-SHA256 wraps a random AES-GCM content key).
+// Keys live only in memory and in the strings handed back to the caller; nothing is stored.
+
+import { DEFAULTS, encryptWithKeySlots, decryptWithContentKey, wipeBytes } from "./crypto.js";
+import { decodeEnvelopeString, parseEnvelope } from "./envelope.js";
+import {
+  encodeKeyString,
+  decodeKeyString,
+  fingerprintKey,
+  compressP256,
+  decompressP256,
+} from "./keystring.js";
+import { toBase64Url, fromBase64Url } from "./utils/codec.js";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder("utf-8");
+
+export const CURVES = Object.freeze({
+  P256: "P-256",
+  X25519: "X25519"
+});
+
+// Key strings (see keystring.js): "<prefix>-<curve tag>-<hex(key bytes | 4-byte checksum)>"
+const PUBLIC_PREFIX = "crpub";
+const PRIVATE_PREFIX = "crsec";
+
+const CURVE_INFO = Object.freeze({
+  "P-256": { tag: "p256", slotType: "ECDH-P256", publicLength: 33, scalarLength: 32 },
+  X25519: { tag: "x25519", slotType: "ECDH-X25519", publicLength: 32, scalarLength: 32 }
+});
+
+const SLOT_INFO = enc.encode("CRCrypt key slot v1");
+
+function ensureWebCrypto() {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error("Web Crypto API not available in this environment");
+  }
+}
+
+function curveInfo(curve) {
+  const info = CURVE_INFO[curve];
+  if (!info) {
+    throw new Error(`Unsupported curve: ${curve}`);
+  }
+  return info;
+}
+
+function curveByTag(tag) {
+  return Object.keys(CURVE_INFO).find((curve) => CURVE_INFO[curve].tag === tag) || null;
+}
+
+// Decode a key string and resolve its curve tag
+async function decodeCurveKey(prefix, text, what) {
+  const { tag, payload } = await decodeKeyString(prefix, text, what);
+  const curve = curveByTag(tag);
+  if (!curve) {
+    throw new Error(`Unsupported curve in ${what}`);
+  }
+  return { curve, payload };
+}
+
+function ecdhAlgorithm(curve) {
+  return curve === CURVES.X25519 ? { name: "X25519" } : { name: "ECDH", namedCurve: "P-256" };
+}
+
+async function importPublic(curve, publicBytes) {
+  const raw = curve === CURVES.P256 ? decompressP256(publicBytes) : publicBytes;
+  try {
+    return await globalThis.crypto.subtle.importKey("raw", raw, ecdhAlgorithm(curve), true, []);
+  } catch {
+    throw new Error(`Invalid ${curve} public key`);
+  }
+}
+
+async function exportPublic(curve, key) {
+  const raw = new Uint8Array(await globalThis.crypto.subtle.exportKey("raw", key));
+  return curve === CURVES.P256 ? compressP256(raw) : raw;
+}
+
+async function generateEcdh(curve) {
+  try {
+    return await globalThis.crypto.subtle.generateKey(ecdhAlgorithm(curve), true, ["deriveBits"]);
+  } catch {
+    throw new Error(`${curve} is not supported by this browser`);
+  }
+}
+
+/**
+ * Parse and verify a public key string.
+ * @param {string} text
+ * @returns {Promise<{curve:string, publicBytes:Uint8Array, key:CryptoKey}>}
+ */
+export async function parsePublicKey(text) {
+  ensureWebCrypto();
+  const { curve, payload } = await decodeCurveKey(PUBLIC_PREFIX, text, "public key");
+  if (payload.length !== curveInfo(curve).publicLength) {
+    throw new Error("Invalid public key length");
+  }
+  return { curve, publicBytes: payload, key: await importPublic(curve, payload) };
+}
+
+/**
+ * Parse and verify a private key string. The string embeds the public key, which ECDH needs.
+ * @param {string} text
+ * @returns {Promise<{curve:string, publicBytes:Uint8Array, key:CryptoKey}>}
+ */
+export async function parsePrivateKey(text) {
+  ensureWebCrypto();
+  const { curve, payload } = await decodeCurveKey(PRIVATE_PREFIX, text, "private key");
+  const info = curveInfo(curve);
+  if (payload.length !== info.scalarLength + info.publicLength) {
+    throw new Error("Invalid private key length");
+  }
+  const d = payload.subarray(0, info.scalarLength);
+  const publicBytes = payload.slice(info.scalarLength);
+
+  let jwk;
+  if (curve === CURVES.P256) {
+    const raw = decompressP256(publicBytes);
+    jwk = { kty: "EC", crv: "P-256", x: toBase64Url(raw.subarray(1, 33)), y: toBase64Url(raw.subarray(33)), d: toBase64Url(d) };
+  } else {
+    jwk = { kty: "OKP", crv: "X25519", x: toBase64Url(publicBytes), d: toBase64Url(d) };
+  }
+
+  try {
+    const key = await globalThis.crypto.subtle.importKey("jwk", jwk, ecdhAlgorithm(curve), false, ["deriveBits"]);
+    return { curve, publicBytes, key };
+  } catch {
+    throw new Error(`Invalid ${curve} private key, or ${curve} is not supported by this browser`);
+  } finally {
+    // Hygiene: zeroize decoded key material
+    jwk.d = "";
+    wipeBytes(payload);
+  }
+}
+
+/**
+ * Short fingerprint of a public key for out-of-band comparison.
+ * @param {string} publicKey
+ * @returns {Promise<string>} e.g. "3f2a 91c0 7b4e d815"
+ */
+export async function keyFingerprint(publicKey) {
+  const { curve, publicBytes } = await parsePublicKey(publicKey);
+  return fingerprintKey(curveInfo(curve).tag, publicBytes);
+}
+
+/**
+ * Generate an ECDH keypair. The private key string must be kept secret; the app never stores it.
+ * @param {{curve?:string}} opts - curve "P-256" (default) or "X25519"
+ * @returns {Promise<{curve:string, publicKey:string, privateKey:string, fingerprint:string}>}
+ */
+export async function generateKeyPair(opts = {}) {
+  ensureWebCrypto();
+  const curve = opts.curve || CURVES.P256;
+  const info = curveInfo(curve);
+  const pair = await generateEcdh(curve);
+
+  const publicBytes = await exportPublic(curve, pair.publicKey);
+  const jwk = await globalThis.crypto.subtle.exportKey("jwk", pair.privateKey);
+  const d = fromBase64Url(jwk.d);
+  jwk.d = "";
+
+  const payload = new Uint8Array(info.scalarLength + info.publicLength);
+  payload.set(d, 0);
+  payload.set(publicBytes, info.scalarLength);
+
+  const publicKey = await encodeKeyString(PUBLIC_PREFIX, info.tag, publicBytes);
+  const privateKey = await encodeKeyString(PRIVATE_PREFIX, info.tag, payload);
+
+  // Hygiene: zeroize private scalar copies
+  wipeBytes(d);
+  wipeBytes(payload);
+
+  return { curve, publicKey, privateKey, fingerprint: await keyFingerprint(publicKey) };
+}
+
+/**
+ * Key and nonce that wrap the content key for one slot: HKDF-SHA256 over the ECDH shared secret,
+ * salted with both public keys so a slot is bound to its ephemeral and recipient keys.
+ */
+async function slotWrapKey(curve, privateKey, publicKey, ephemeralBytes, recipientBytes) {
+  const shared = new Uint8Array(await globalThis.crypto.subtle.deriveBits(
+    { name: ecdhAlgorithm(curve).name, public: publicKey },
+    privateKey,
+    256
+  ));
+  if (shared.every((b) => b === 0)) {
+    wipeBytes(shared);
+    throw new Error("Invalid public key (low-order point)");
+  }
+
+  const salt = new Uint8Array(ephemeralBytes.length + recipientBytes.length);
+  salt.set(ephemeralBytes, 0);
+  salt.set(recipientBytes, ephemeralBytes.length);
+
+  const ikm = await globalThis.crypto.subtle.importKey("raw", shared, "HKDF", false, ["deriveBits"]);
+  const okm = new Uint8Array(await globalThis.crypto.subtle.deriveBits(
+    { name: "HKDF", hash: "SHA-256", salt, info: SLOT_INFO },
+    ikm,
+    (32 + 12) * 8
+  ));
+  const key = await globalThis.crypto.subtle.importKey("raw", okm.subarray(0, 32), "AES-GCM", false, ["encrypt", "decrypt"]);
+  const iv = okm.slice(32);
+
+  // Hygiene: zeroize shared secret and key material
+  wipeBytes(shared);
+  wipeBytes(okm);
+
+  return { key, iv };
+}
+
+async function sealSlot(recipient, contentKey) {
+  const ephemeral = await generateEcdh(recipient.curve);
+  const ephemeralBytes = await exportPublic(recipient.curve, ephemeral.publicKey);
+  const { key, iv } = await slotWrapKey(recipient.curve, ephemeral.privateKey, recipient.key, ephemeralBytes, recipient.publicBytes);
+  const wrapped = new Uint8Array(await globalThis.crypto.subtle.encrypt({ name: "AES-GCM", iv, tagLength: 128 }, key, contentKey));
+
+  const data = new Uint8Array(ephemeralBytes.length + wrapped.length);
+  data.set(ephemeralBytes, 0);
+  data.set(wrapped, ephemeralBytes.length);
+  return { type: curveInfo(recipient.curve).slotType, data };
+}
+
+async function openSlot(identity, slot) {
+  const info = curveInfo(identity.curve);
+  if (slot.type !== info.slotType || slot.data.length <= info.publicLength) return null;
+  const ephemeralBytes = slot.data.subarray(0, info.publicLength);
+  try {
+    const ephemeral = await importPublic(identity.curve, ephemeralBytes);
+    const { key, iv } = await slotWrapKey(identity.curve, identity.key, ephemeral, ephemeralBytes, identity.publicBytes);
+    const buf = await globalThis.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv, tagLength: 128 },
+      key,
+      slot.data.subarray(info.publicLength)
+    );
+    return new Uint8Array(buf);
+  } catch {
+    // Not this recipient's slot
+    return null;
+  }
+}
+
+/**
+ * Encrypt bytes to one or more recipient public keys. Returns a key-slot envelope (hex unless opts.encoding
+ * says otherwise) with one slot per recipient; any one of the matching private keys can decrypt it. The content
+ * is always AES-GCM.
+ * @param {Uint8Array} data
+ * @param {string[]} recipients - public key strings
+ * @param {{keyLength?:number, encoding?:string, comment?:string}} opts
+ * @returns {Promise<string>}
+ */
+export async function encryptBytesForRecipients(data, recipients, opts = {}) {
+  ensureWebCrypto();
+  const keyLength = Number(opts.keyLength || DEFAULTS.keyLength);
+  if (![16, 24, 32].includes(keyLength)) {
+    throw new Error("AES requires a 16, 24, or 32-byte key length");
+  }
+  if (!(data instanceof Uint8Array) || data.length === 0) {
+    throw new Error("Input cannot be empty");
+  }
+  const list = (Array.isArray(recipients) ? recipients : [recipients]).map((r) => String(r || "").trim()).filter(Boolean);
+  if (list.length === 0) {
+    throw new Error("Add at least one recipient public key");
+  }
+  if (list.length > 255) {
+    throw new Error("At most 255 recipients are supported");
+  }
+
+  const parsed = [];
+  for (const [i, text] of list.entries()) {
+    try {
+      parsed.push(await parsePublicKey(text));
+    } catch (err) {
+      throw new Error(`Recipient ${i + 1}: ${err.message}`);
+    }
+  }
+
+  return encryptWithKeySlots(data, keyLength, async (contentKey) => {
+    const slots = [];
+    for (const recipient of parsed) {
+      slots.push(await sealSlot(recipient, contentKey));
+    }
+    return slots;
+  }, opts);
+}
+
+/**
+ * Decrypt a key-slot envelope with a private key string.
+ * @param {string} encString
+ * @param {string} privateKey
+ * @param {{onProgress?:(done:number, total:number)=>void}} opts
+ * @returns {Promise<Uint8Array>}
+ */
+export async function decryptBytesWithKey(encString, privateKey, opts = {}) {
+  ensureWebCrypto();
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+  if (typeof encString !== "string" || encString.trim() === "") {
+    throw new Error("Encrypted input cannot be empty");
+  }
+  if (typeof privateKey !== "string" || privateKey.trim() === "") {
+    throw new Error("Private key cannot be empty");
+  }
+
+  const bytes = decodeEnvelopeString(encString);
+  const parsed = bytes ? parseEnvelope(bytes) : null;
+  const slotTypes = Object.values(CURVE_INFO).map((info) => info.slotType);
+  const keySlots = parsed && parsed.slots ? parsed.slots.filter((slot) => slotTypes.includes(slot.type)) : [];
+  if (keySlots.length === 0) {
+    throw new Error("This message is password-protected; decrypt it with its password");
+  }
+
+  const identity = await parsePrivateKey(privateKey);
+  let contentKeyBytes = null;
+  for (const [i, slot] of keySlots.entries()) {
+    onProgress(i, keySlots.length);
+    contentKeyBytes = await openSlot(identity, slot);
+    if (contentKeyBytes) break;
+  }
+  if (!contentKeyBytes) {
+    throw new Error("Decryption failed: this private key is not a recipient of the message");
+  }
+
+  const out = await decryptWithContentKey(parsed, contentKeyBytes);
+  onProgress(keySlots.length, keySlots.length);
+  return out;
+}
+
+/**
+ * Encrypt UTF-8 text to one or more recipient public keys.
+ * @param {string} plaintext
+ * @param {string[]} recipients
+ * @param {{keyLength?:number, encoding?:string, comment?:string}} opts
+ * @returns {Promise<string>}
+ */
+export async function encryptTextForRecipients(plaintext, recipients, opts = {}) {
+  if (typeof plaintext !== "string" || plaintext.trim() === "") {
+    throw new Error("Plaintext cannot be empty");
+  }
+  const ptBytes = enc.encode(plaintext);
+  try {
+    return await encryptBytesForRecipients(ptBytes, recipients, opts);
+  } finally {
+    // Zeroize plaintext bytes ASAP
+    wipeBytes(ptBytes);
+  }
+}
+
+/**
+ * Decrypt a key-slot envelope to UTF-8 text with a private key string.
+ * @param {string} encString
+ * @param {string} privateKey
+ * @param {object} opts
+ * @returns {Promise<string>}
+ */
+export async function decryptTextWithKey(encString, privateKey, opts = {}) {
+  const bytes = await decryptBytesWithKey(encString, privateKey, opts);
+  const plaintext = dec.decode(bytes);
+  wipeBytes(bytes);
+  return plaintext;
+}
@@ -0,0 +1,287 @@
+// src/qr/common.js
+// QR code (ISO/IEC 18004) tables and geometry shared by the encoder and decoder: error correction block
+// layout, GF(256) arithmetic for Reed-Solomon, format/version information and the module placement order.
+
+export const EC_LEVELS = Object.freeze({ L: "L", M: "M", Q: "Q", H: "H" });
+
+// Format information bits for each level
+export const EC_FORMAT_BITS = Object.freeze({ L: 1, M: 0, Q: 3, H: 2 });
+
+// Error correction codewords per block and number of blocks, by level and version (index 0 unused)
+const ECC_PER_BLOCK = {
+  L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+const NUM_BLOCKS = {
+  L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+/**
+ * Side length in modules.
+ * @param {number} version
+ * @returns {number}
+ */
+export function sizeOf(version) {
+  return version * 4 + 17;
+}
+
+/**
+ * Data modules left after function patterns (and format/version information).
+ * @param {number} version
+ * @returns {number}
+ */
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Block layout for a version and level.
+ * @param {number} version
+ * @param {string} level
+ * @returns {{totalCodewords:number, dataCodewords:number, eccPerBlock:number, numBlocks:number}}
+ */
+export function blockLayout(version, level) {
+  const totalCodewords = Math.floor(rawDataModules(version) / 8);
+  const eccPerBlock = ECC_PER_BLOCK[level][version];
+  const numBlocks = NUM_BLOCKS[level][version];
+  return { totalCodewords, dataCodewords: totalCodewords - eccPerBlock * numBlocks, eccPerBlock, numBlocks };
+}
+
+/**
+ * Centre coordinates of alignment patterns along one axis.
+ * @param {number} version
+ * @returns {number[]}
+ */
+export function alignmentPositions(version) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = sizeOf(version) - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+// ── GF(256) with x^8 + x^4 + x^3 + x^2 + 1 (0x11d), generator 2 ──
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+export function gfMul(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+export function gfDiv(a, b) {
+  if (b === 0) throw new Error("GF(256) division by zero");
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+export function gfPow2(n) {
+  return EXP[((n % 255) + 255) % 255];
+}
+
+// ── Format and version information ──
+
+/**
+ * 15-bit format information (BCH(15,5), masked) for a level and mask.
+ * @param {string} level
+ * @param {number} mask
+ * @returns {number}
+ */
+export function formatBits(level, mask) {
+  const data = (EC_FORMAT_BITS[level] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+/**
+ * 18-bit version information (BCH(18,6)) for versions 7 and up.
+ * @param {number} version
+ * @returns {number}
+ */
+export function versionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (version << 12) | rem;
+}
+
+/**
+ * Coordinates [x, y] of the two format information copies, bit 0 first.
+ * @param {number} size
+ * @returns {[number, number][][]}
+ */
+export function formatPositions(size) {
+  const first = [];
+  const second = [];
+  for (let i = 0; i <= 5; i++) first.push([8, i]);
+  first.push([8, 7], [8, 8], [7, 8]);
+  for (let i = 9; i < 15; i++) first.push([14 - i, 8]);
+  for (let i = 0; i < 8; i++) second.push([size - 1 - i, 8]);
+  for (let i = 8; i < 15; i++) second.push([8, size - 15 + i]);
+  return [first, second];
+}
+
+/**
+ * Coordinates [x, y] of the two version information copies, bit 0 first.
+ * @param {number} size
+ * @returns {[number, number][][]}
+ */
+export function versionPositions(size) {
+  const first = [];
+  const second = [];
+  for (let i = 0; i < 18; i++) {
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    first.push([a, b]);
+    second.push([b, a]);
+  }
+  return [first, second];
+}
+
+/**
+ * Mask condition: true where the module is inverted.
+ * @param {number} mask
+ * @param {number} x - column
+ * @param {number} y - row
+ * @returns {boolean}
+ */
+export function maskBit(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    case 7: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default: throw new Error("Invalid QR mask");
+  }
+}
+
+/**
+ * Map of function-pattern modules (finders, separators, timing, alignment, format and version areas, dark
+ * module): 1 where data may not be placed. Index y * size + x.
+ * @param {number} version
+ * @returns {Uint8Array}
+ */
+export function functionPatternMap(version) {
+  const size = sizeOf(version);
+  const map = new Uint8Array(size * size);
+  const mark = (x, y, w, h) => {
+    for (let dy = 0; dy < h; dy++) {
+      for (let dx = 0; dx < w; dx++) {
+        const px = x + dx;
+        const py = y + dy;
+        if (px >= 0 && py >= 0 && px < size && py < size) map[py * size + px] = 1;
+      }
+    }
+  };
+
+  // Finders with separators, and the format areas beside them
+  mark(0, 0, 9, 9);
+  mark(size - 8, 0, 8, 9);
+  mark(0, size - 8, 9, 8);
+  // Timing patterns
+  mark(6, 0, 1, size);
+  mark(0, 6, size, 1);
+  // Alignment patterns, except where they would overlap the finders
+  const align = alignmentPositions(version);
+  const last = align.length - 1;
+  align.forEach((cy, i) => {
+    align.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      mark(cx - 2, cy - 2, 5, 5);
+    });
+  });
+  // Version information
+  if (version >= 7) {
+    mark(size - 11, 0, 3, 6);
+    mark(0, size - 11, 6, 3);
+  }
+  return map;
+}
+
+/**
+ * Data module coordinates in placement order (two-column zigzag from the bottom right).
+ * @param {number} version
+ * @returns {Int32Array} flattened indices y * size + x
+ */
+export function dataModuleOrder(version) {
+  const size = sizeOf(version);
+  const fn = functionPatternMap(version);
+  const order = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!fn[y * size + x]) order.push(y * size + x);
+      }
+    }
+  }
+  return Int32Array.from(order);
+}
+
+/**
+ * Split data codewords into blocks as laid out for a version and level.
+ * @param {{totalCodewords:number, dataCodewords:number, eccPerBlock:number, numBlocks:number}} layout
+ * @returns {number[]} data codewords per block
+ */
+export function blockDataLengths(layout) {
+  const { totalCodewords, eccPerBlock, numBlocks } = layout;
+  const numShort = numBlocks - (totalCodewords % numBlocks);
+  const shortLen = Math.floor(totalCodewords / numBlocks) - eccPerBlock;
+  const lengths = [];
+  for (let i = 0; i < numBlocks; i++) lengths.push(i < numShort ? shortLen : shortLen + 1);
+  return lengths;
+}
+
+// Characters of alphanumeric mode, in value order
+export const ALPHANUMERIC = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+export const MODES = Object.freeze({ NUMERIC: 1, ALPHANUMERIC: 2, BYTE: 4, ECI: 7, KANJI: 8 });
+
+/**
+ * Width of the character count field.
+ * @param {number} mode
+ * @param {number} version
+ * @returns {number}
+ */
+export function charCountBits(mode, version) {
+  const band = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+  switch (mode) {
+    case MODES.NUMERIC: return [10, 12, 14][band];
+    case MODES.ALPHANUMERIC: return [9, 11, 13][band];
+    case MODES.BYTE: return [8, 16, 16][band];
+    case MODES.KANJI: return [8, 10, 12][band];
+    default: throw new Error("Unsupported QR mode");
+  }
+}
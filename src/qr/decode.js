@@ -0,0 +1,708 @@
+// src/qr/decode.js
+// QR code decoder: RGBA pixels → text. Locally adaptive binarization, finder and alignment pattern search,
+// perspective sampling, then format/version information, unmasking and Reed-Solomon error correction.
+// Finds every code in the image, so a photo or screenshot of several codes reads in one go.
+
+import {
+  EC_LEVELS, MIN_VERSION, MAX_VERSION, ALPHANUMERIC, MODES,
+  sizeOf, blockLayout, blockDataLengths, dataModuleOrder,
+  formatBits, versionBits, formatPositions, versionPositions, maskBit, charCountBits,
+  gfMul, gfDiv, gfPow2
+} from "./common.js";
+
+const utf8 = new TextDecoder("utf-8", { fatal: true });
+const latin1 = new TextDecoder("latin1");
+
+// Finder candidates kept, and decode attempts made, per image
+const MAX_CANDIDATES = 48;
+const MAX_ATTEMPTS = 60;
+
+// ── Binarization ──
+
+function toGray(image) {
+  const { data, width, height } = image;
+  const gray = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    const lum = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+    // Composite over white, so transparent pixels read as light
+    const alpha = data[p + 3];
+    gray[i] = 255 - (((255 - lum) * alpha) / 255 | 0);
+  }
+  return gray;
+}
+
+// Block-based local thresholding (8×8 blocks, threshold from the 5×5 neighbourhood of blocks); flat blocks
+// borrow their neighbours' level so large uniform areas do not turn to noise. 1 = dark.
+function binarize(gray, width, height) {
+  const bits = new Uint8Array(width * height);
+  const BLOCK = 8;
+  if (width < BLOCK * 5 || height < BLOCK * 5) {
+    let min = 255;
+    let max = 0;
+    for (const g of gray) {
+      if (g < min) min = g;
+      if (g > max) max = g;
+    }
+    const threshold = (min + max) >> 1;
+    for (let i = 0; i < gray.length; i++) bits[i] = gray[i] < threshold ? 1 : 0;
+    return bits;
+  }
+
+  const bw = Math.ceil(width / BLOCK);
+  const bh = Math.ceil(height / BLOCK);
+  const levels = new Float64Array(bw * bh);
+  for (let by = 0; by < bh; by++) {
+    const y0 = Math.min(by * BLOCK, height - BLOCK);
+    for (let bx = 0; bx < bw; bx++) {
+      const x0 = Math.min(bx * BLOCK, width - BLOCK);
+      let sum = 0;
+      let min = 255;
+      let max = 0;
+      for (let y = y0; y < y0 + BLOCK; y++) {
+        for (let x = x0; x < x0 + BLOCK; x++) {
+          const g = gray[y * width + x];
+          sum += g;
+          if (g < min) min = g;
+          if (g > max) max = g;
+        }
+      }
+      let level = sum / (BLOCK * BLOCK);
+      if (max - min <= 24) {
+        level = min / 2;
+        if (bx > 0 && by > 0) {
+          const neighbours = (levels[(by - 1) * bw + bx] + 2 * levels[by * bw + bx - 1] + levels[(by - 1) * bw + bx - 1]) / 4;
+          if (min < neighbours) level = neighbours;
+        }
+      }
+      levels[by * bw + bx] = level;
+    }
+  }
+
+  for (let by = 0; by < bh; by++) {
+    const y0 = Math.min(by * BLOCK, height - BLOCK);
+    const cy = Math.min(Math.max(by, 2), bh - 3);
+    for (let bx = 0; bx < bw; bx++) {
+      const x0 = Math.min(bx * BLOCK, width - BLOCK);
+      const cx = Math.min(Math.max(bx, 2), bw - 3);
+      let sum = 0;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) sum += levels[(cy + dy) * bw + cx + dx];
+      }
+      const threshold = sum / 25;
+      for (let y = y0; y < y0 + BLOCK; y++) {
+        for (let x = x0; x < x0 + BLOCK; x++) bits[y * width + x] = gray[y * width + x] <= threshold ? 1 : 0;
+      }
+    }
+  }
+  return bits;
+}
+
+// ── Finder patterns (1:1:3:1:1 dark/light runs) ──
+
+function isFinderRatio(counts) {
+  let total = 0;
+  for (const c of counts) {
+    if (c === 0) return false;
+    total += c;
+  }
+  if (total < 7) return false;
+  const module = total / 7;
+  const variance = module / 2;
+  return Math.abs(module - counts[0]) < variance &&
+    Math.abs(module - counts[1]) < variance &&
+    Math.abs(3 * module - counts[2]) < 3 * variance &&
+    Math.abs(module - counts[3]) < variance &&
+    Math.abs(module - counts[4]) < variance;
+}
+
+// Count the five runs through (cx, cy) along a unit step; returns the pattern centre offset and total length
+function crossCheck(bits, width, height, cx, cy, stepX, stepY, maxCount) {
+  const at = (k) => {
+    const x = cx + k * stepX;
+    const y = cy + k * stepY;
+    if (x < 0 || y < 0 || x >= width || y >= height) return -1;
+    return bits[y * width + x];
+  };
+  const counts = [0, 0, 0, 0, 0];
+  let k = 0;
+  while (at(k) === 1) {
+    counts[2]++;
+    k--;
+  }
+  if (at(k) === -1) return null;
+  while (at(k) === 0 && counts[1] <= maxCount) {
+    counts[1]++;
+    k--;
+  }
+  if (at(k) === -1 || counts[1] > maxCount) return null;
+  while (at(k) === 1 && counts[0] <= maxCount) {
+    counts[0]++;
+    k--;
+  }
+  if (counts[0] > maxCount) return null;
+
+  k = 1;
+  while (at(k) === 1) {
+    counts[2]++;
+    k++;
+  }
+  if (at(k) === -1) return null;
+  while (at(k) === 0 && counts[3] <= maxCount) {
+    counts[3]++;
+    k++;
+  }
+  if (at(k) === -1 || counts[3] > maxCount) return null;
+  while (at(k) === 1 && counts[4] <= maxCount) {
+    counts[4]++;
+    k++;
+  }
+  if (counts[4] > maxCount || !isFinderRatio(counts)) return null;
+  const total = counts.reduce((a, b) => a + b, 0);
+  return { offset: k - counts[4] - counts[3] - counts[2] / 2, total };
+}
+
+function addCandidate(candidates, x, y, moduleSize) {
+  for (const c of candidates) {
+    if (Math.abs(c.x - x) <= moduleSize && Math.abs(c.y - y) <= moduleSize &&
+      Math.abs(c.moduleSize - moduleSize) <= Math.max(1, c.moduleSize)) {
+      const n = c.count + 1;
+      c.x = (c.x * c.count + x) / n;
+      c.y = (c.y * c.count + y) / n;
+      c.moduleSize = (c.moduleSize * c.count + moduleSize) / n;
+      c.count = n;
+      return;
+    }
+  }
+  candidates.push({ x, y, moduleSize, count: 1 });
+}
+
+function findFinders(bits, width, height) {
+  const candidates = [];
+  const check = (counts, x, y) => {
+    if (!isFinderRatio(counts)) return;
+    const total = counts.reduce((a, b) => a + b, 0);
+    const cx = Math.floor(x - counts[4] - counts[3] - counts[2] / 2);
+    const vertical = crossCheck(bits, width, height, cx, y, 0, 1, counts[2]);
+    if (!vertical || 5 * Math.abs(vertical.total - total) >= 2 * total) return;
+    const cy = Math.floor(y + vertical.offset);
+    const horizontal = crossCheck(bits, width, height, cx, cy, 1, 0, counts[2]);
+    if (!horizontal || 5 * Math.abs(horizontal.total - total) >= 2 * total) return;
+    addCandidate(candidates, cx + horizontal.offset + 0.5, cy + 0.5, (vertical.total + horizontal.total) / 14);
+  };
+
+  for (let y = 0; y < height; y++) {
+    const counts = [0, 0, 0, 0, 0];
+    let state = 0;
+    for (let x = 0; x < width; x++) {
+      if (bits[y * width + x]) {
+        if (state & 1) state++;
+        counts[state]++;
+      } else if (state & 1) {
+        counts[state]++;
+      } else if (state === 4) {
+        check(counts, x, y);
+        counts[0] = counts[2];
+        counts[1] = counts[3];
+        counts[2] = counts[4];
+        counts[3] = 1;
+        counts[4] = 0;
+        state = 3;
+      } else {
+        state++;
+        counts[state]++;
+      }
+    }
+    if (state === 4) check(counts, width, y);
+  }
+  return candidates;
+}
+
+// Plausible finder triples, best first, each oriented as [top-left, top-right, bottom-left]
+function finderTriples(candidates) {
+  let pool = candidates.filter((c) => c.count >= 2);
+  if (pool.length < 3) pool = candidates.slice();
+  pool.sort((a, b) => b.count - a.count);
+  pool = pool.slice(0, MAX_CANDIDATES);
+
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const triples = [];
+  for (let i = 0; i < pool.length; i++) {
+    for (let j = i + 1; j < pool.length; j++) {
+      for (let k = j + 1; k < pool.length; k++) {
+        const group = [pool[i], pool[j], pool[k]];
+        const sizes = group.map((c) => c.moduleSize);
+        const moduleSize = (sizes[0] + sizes[1] + sizes[2]) / 3;
+        const sizeSpread = (Math.max(...sizes) - Math.min(...sizes)) / Math.max(...sizes);
+        if (sizeSpread > 0.5) continue;
+
+        // The corner opposite the longest side is the top-left finder
+        const sides = [
+          { d: dist(group[1], group[2]), corner: 0 },
+          { d: dist(group[0], group[2]), corner: 1 },
+          { d: dist(group[0], group[1]), corner: 2 }
+        ].sort((a, b) => a.d - b.d);
+        const [a, b, c] = sides;
+        if (a.d < 10 * moduleSize || b.d > (MAX_VERSION * 4 + 17) * moduleSize) continue;
+        const rightAngle = Math.abs(c.d * c.d - a.d * a.d - b.d * b.d) / (c.d * c.d);
+        const isosceles = (b.d - a.d) / b.d;
+        if (rightAngle > 0.5 || isosceles > 0.5) continue;
+
+        const topLeft = group[c.corner];
+        let [p, q] = group.filter((_, n) => n !== c.corner);
+        // In image coordinates (y down) top-right × bottom-left turns clockwise
+        if ((p.x - topLeft.x) * (q.y - topLeft.y) - (p.y - topLeft.y) * (q.x - topLeft.x) < 0) [p, q] = [q, p];
+        triples.push({ finders: [topLeft, p, q], moduleSize, score: sizeSpread + rightAngle + isosceles });
+      }
+    }
+  }
+  return triples.sort((x, y) => x.score - y.score);
+}
+
+// ── Geometry ──
+
+function squareToQuad(x0, y0, x1, y1, x2, y2, x3, y3) {
+  const dx3 = x0 - x1 + x2 - x3;
+  const dy3 = y0 - y1 + y2 - y3;
+  if (dx3 === 0 && dy3 === 0) {
+    return [x1 - x0, x2 - x1, x0, y1 - y0, y2 - y1, y0, 0, 0, 1];
+  }
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const den = dx1 * dy2 - dx2 * dy1;
+  const a13 = (dx3 * dy2 - dx2 * dy3) / den;
+  const a23 = (dx1 * dy3 - dx3 * dy1) / den;
+  return [x1 - x0 + a13 * x1, x3 - x0 + a23 * x3, x0, y1 - y0 + a13 * y1, y3 - y0 + a23 * y3, y0, a13, a23, 1];
+}
+
+function adjoint([a11, a21, a31, a12, a22, a32, a13, a23, a33]) {
+  return [
+    a22 * a33 - a23 * a32, a23 * a31 - a21 * a33, a21 * a32 - a22 * a31,
+    a13 * a32 - a12 * a33, a11 * a33 - a13 * a31, a12 * a31 - a11 * a32,
+    a12 * a23 - a13 * a22, a13 * a21 - a11 * a23, a11 * a22 - a12 * a21
+  ];
+}
+
+function times([a11, a21, a31, a12, a22, a32, a13, a23, a33], [b11, b21, b31, b12, b22, b32, b13, b23, b33]) {
+  return [
+    a11 * b11 + a21 * b12 + a31 * b13, a11 * b21 + a21 * b22 + a31 * b23, a11 * b31 + a21 * b32 + a31 * b33,
+    a12 * b11 + a22 * b12 + a32 * b13, a12 * b21 + a22 * b22 + a32 * b23, a12 * b31 + a22 * b32 + a32 * b33,
+    a13 * b11 + a23 * b12 + a33 * b13, a13 * b21 + a23 * b22 + a33 * b23, a13 * b31 + a23 * b32 + a33 * b33
+  ];
+}
+
+// Perspective transform taking the source quadrilateral (module coordinates) onto the destination (pixels)
+function quadToQuad(src, dst) {
+  return times(squareToQuad(...dst), adjoint(squareToQuad(...src)));
+}
+
+function transform(m, x, y) {
+  const den = m[6] * x + m[7] * y + m[8];
+  return [(m[0] * x + m[1] * y + m[2]) / den, (m[3] * x + m[4] * y + m[5]) / den];
+}
+
+// Look for the bottom-right alignment pattern (dark centre, light ring, dark ring) near its expected spot,
+// stepping along the symbol's own axes so rotation does not matter
+function findAlignment(bits, width, height, estimate, u, v, moduleSize) {
+  const at = (x, y) => {
+    const px = Math.round(x);
+    const py = Math.round(y);
+    return px >= 0 && py >= 0 && px < width && py < height ? bits[py * width + px] : 0;
+  };
+  const matches = (x, y) => {
+    if (!at(x, y)) return false;
+    for (const [i, j] of [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+      if (at(x + i * u[0] + j * v[0], y + i * u[1] + j * v[1])) return false;
+      if (!at(x + 2 * (i * u[0] + j * v[0]), y + 2 * (i * u[1] + j * v[1]))) return false;
+    }
+    return true;
+  };
+
+  for (const allowance of [4, 8, 16]) {
+    const radius = Math.ceil(allowance * moduleSize);
+    let best = null;
+    for (let y = Math.max(0, Math.floor(estimate[1] - radius)); y <= Math.min(height - 1, estimate[1] + radius); y++) {
+      for (let x = Math.max(0, Math.floor(estimate[0] - radius)); x <= Math.min(width - 1, estimate[0] + radius); x++) {
+        if (!matches(x, y)) continue;
+        const d = Math.hypot(x - estimate[0], y - estimate[1]);
+        if (!best || d < best.d) best = { x, y, d };
+      }
+    }
+    if (best) {
+      // Centre of the matching blob around the nearest hit
+      let sx = 0;
+      let sy = 0;
+      let n = 0;
+      const r = Math.ceil(moduleSize);
+      for (let y = best.y - r; y <= best.y + r; y++) {
+        for (let x = best.x - r; x <= best.x + r; x++) {
+          if (matches(x, y)) {
+            sx += x;
+            sy += y;
+            n++;
+          }
+        }
+      }
+      return [sx / n + 0.5, sy / n + 0.5];
+    }
+  }
+  return null;
+}
+
+function sampleGrid(bits, width, height, finders, dimension) {
+  const [tl, tr, bl] = finders;
+  const size = dimension;
+  let src;
+  let dst;
+  const bottomRight = [tr.x - tl.x + bl.x, tr.y - tl.y + bl.y];
+
+  let alignment = null;
+  if (size > sizeOf(MIN_VERSION)) {
+    const correction = 1 - 3 / (size - 7);
+    const estimate = [tl.x + correction * (bottomRight[0] - tl.x), tl.y + correction * (bottomRight[1] - tl.y)];
+    const u = [(tr.x - tl.x) / (size - 7), (tr.y - tl.y) / (size - 7)];
+    const v = [(bl.x - tl.x) / (size - 7), (bl.y - tl.y) / (size - 7)];
+    alignment = findAlignment(bits, width, height, estimate, u, v, Math.hypot(...u));
+  }
+  if (alignment) {
+    src = [3.5, 3.5, size - 3.5, 3.5, size - 6.5, size - 6.5, 3.5, size - 3.5];
+    dst = [tl.x, tl.y, tr.x, tr.y, alignment[0], alignment[1], bl.x, bl.y];
+  } else {
+    src = [3.5, 3.5, size - 3.5, 3.5, size - 3.5, size - 3.5, 3.5, size - 3.5];
+    dst = [tl.x, tl.y, tr.x, tr.y, bottomRight[0], bottomRight[1], bl.x, bl.y];
+  }
+  const m = quadToQuad(src, dst);
+
+  const grid = new Uint8Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const [px, py] = transform(m, x + 0.5, y + 0.5);
+      const ix = Math.floor(px);
+      const iy = Math.floor(py);
+      if (ix >= 0 && iy >= 0 && ix < width && iy < height) grid[y * size + x] = bits[iy * width + ix];
+    }
+  }
+  return grid;
+}
+
+// ── Symbol decoding ──
+
+function popcount(n) {
+  let c = 0;
+  for (; n; n &= n - 1) c++;
+  return c;
+}
+
+function readBits(grid, size, positions) {
+  let value = 0;
+  positions.forEach(([x, y], i) => {
+    value |= grid[y * size + x] << i;
+  });
+  return value;
+}
+
+function readFormat(grid, size) {
+  let best = null;
+  for (const copy of formatPositions(size)) {
+    const read = readBits(grid, size, copy);
+    for (const level of Object.keys(EC_LEVELS)) {
+      for (let mask = 0; mask < 8; mask++) {
+        const distance = popcount(read ^ formatBits(level, mask));
+        if (!best || distance < best.distance) best = { level, mask, distance };
+      }
+    }
+  }
+  return best.distance <= 3 ? best : null;
+}
+
+function readVersion(grid, size) {
+  let best = null;
+  for (const copy of versionPositions(size)) {
+    const read = readBits(grid, size, copy);
+    for (let version = 7; version <= MAX_VERSION; version++) {
+      const distance = popcount(read ^ versionBits(version));
+      if (!best || distance < best.distance) best = { version, distance };
+    }
+  }
+  return best.distance <= 3 ? best.version : 0;
+}
+
+// Reed-Solomon correction in place (generator roots 2^0 …); throws if the block cannot be corrected
+function correctBlock(block, eccLength) {
+  const n = block.length;
+  const syndromes = new Uint8Array(eccLength);
+  let clean = true;
+  for (let j = 0; j < eccLength; j++) {
+    const root = gfPow2(j);
+    let s = 0;
+    for (let i = 0; i < n; i++) s = gfMul(s, root) ^ block[i];
+    syndromes[j] = s;
+    if (s) clean = false;
+  }
+  if (clean) return;
+
+  // Berlekamp-Massey: error locator polynomial, lowest coefficient first
+  let locator = [1];
+  let previous = [1];
+  let errors = 0;
+  let shift = 1;
+  let lastDiscrepancy = 1;
+  for (let k = 0; k < eccLength; k++) {
+    let d = syndromes[k];
+    for (let i = 1; i <= errors; i++) d ^= gfMul(locator[i] || 0, syndromes[k - i]);
+    if (d === 0) {
+      shift++;
+      continue;
+    }
+    const saved = locator.slice();
+    const coef = gfDiv(d, lastDiscrepancy);
+    for (let i = 0; i < previous.length; i++) {
+      while (locator.length <= i + shift) locator.push(0);
+      locator[i + shift] ^= gfMul(coef, previous[i]);
+    }
+    if (2 * errors <= k) {
+      errors = k + 1 - errors;
+      previous = saved;
+      lastDiscrepancy = d;
+      shift = 1;
+    } else {
+      shift++;
+    }
+  }
+
+  const evaluate = (poly, x) => {
+    let acc = 0;
+    for (let i = poly.length - 1; i >= 0; i--) acc = gfMul(acc, x) ^ poly[i];
+    return acc;
+  };
+  const positions = [];
+  for (let i = 0; i < n; i++) {
+    if (evaluate(locator, gfPow2(-i)) === 0) positions.push(i);
+  }
+  if (positions.length !== errors || 2 * errors > eccLength) {
+    throw new Error("Too many errors");
+  }
+
+  // Forney: magnitudes from the error evaluator Ω = S·Λ mod x^ecc and the derivative Λ'
+  const evaluator = new Array(eccLength).fill(0);
+  for (let i = 0; i < eccLength; i++) {
+    for (let j = 0; j <= i && j < locator.length; j++) evaluator[i] ^= gfMul(syndromes[i - j], locator[j]);
+  }
+  const derivative = locator.map((c, i) => (i % 2 === 1 ? c : 0)).slice(1);
+  for (const i of positions) {
+    const inverse = gfPow2(-i);
+    const magnitude = gfMul(gfPow2(i), gfDiv(evaluate(evaluator, inverse), evaluate(derivative, inverse)));
+    block[n - 1 - i] ^= magnitude;
+  }
+
+  for (let j = 0; j < eccLength; j++) {
+    const root = gfPow2(j);
+    let s = 0;
+    for (let i = 0; i < n; i++) s = gfMul(s, root) ^ block[i];
+    if (s) throw new Error("Too many errors");
+  }
+}
+
+function readCodewords(grid, version, level, mask) {
+  const size = sizeOf(version);
+  const layout = blockLayout(version, level);
+  const order = dataModuleOrder(version);
+  const raw = new Uint8Array(layout.totalCodewords);
+  for (let i = 0; i < layout.totalCodewords * 8; i++) {
+    const idx = order[i];
+    const bit = grid[idx] ^ (maskBit(mask, idx % size, Math.floor(idx / size)) ? 1 : 0);
+    raw[i >>> 3] |= bit << (7 - (i & 7));
+  }
+
+  const lengths = blockDataLengths(layout);
+  const blocks = lengths.map((length) => new Uint8Array(length + layout.eccPerBlock));
+  let o = 0;
+  const longest = lengths[lengths.length - 1];
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach((block, b) => {
+      if (i < lengths[b]) block[i] = raw[o++];
+    });
+  }
+  for (let i = 0; i < layout.eccPerBlock; i++) {
+    blocks.forEach((block, b) => {
+      block[lengths[b] + i] = raw[o++];
+    });
+  }
+
+  const data = new Uint8Array(layout.dataCodewords);
+  let d = 0;
+  blocks.forEach((block, b) => {
+    correctBlock(block, layout.eccPerBlock);
+    data.set(block.subarray(0, lengths[b]), d);
+    d += lengths[b];
+  });
+  return data;
+}
+
+function parseSegments(data, version) {
+  let pos = 0;
+  const remaining = () => data.length * 8 - pos;
+  const read = (n) => {
+    if (n > remaining()) throw new Error("Truncated QR data");
+    let value = 0;
+    for (let i = 0; i < n; i++, pos++) value = (value << 1) | ((data[pos >>> 3] >>> (7 - (pos & 7))) & 1);
+    return value;
+  };
+
+  const bytes = [];
+  while (remaining() >= 4) {
+    const mode = read(4);
+    if (mode === 0) break;
+    if (mode === MODES.NUMERIC) {
+      let count = read(charCountBits(mode, version));
+      for (; count >= 3; count -= 3) bytes.push(...String(read(10)).padStart(3, "0").split("").map((c) => c.charCodeAt(0)));
+      if (count === 2) bytes.push(...String(read(7)).padStart(2, "0").split("").map((c) => c.charCodeAt(0)));
+      if (count === 1) bytes.push(String(read(4)).charCodeAt(0));
+    } else if (mode === MODES.ALPHANUMERIC) {
+      let count = read(charCountBits(mode, version));
+      for (; count >= 2; count -= 2) {
+        const pair = read(11);
+        bytes.push(ALPHANUMERIC.charCodeAt(Math.floor(pair / 45)), ALPHANUMERIC.charCodeAt(pair % 45));
+      }
+      if (count === 1) bytes.push(ALPHANUMERIC.charCodeAt(read(6)));
+    } else if (mode === MODES.BYTE) {
+      const count = read(charCountBits(mode, version));
+      for (let i = 0; i < count; i++) bytes.push(read(8));
+    } else if (mode === MODES.ECI) {
+      // Character set designator; the text is taken as UTF-8 regardless
+      const first = read(8);
+      if ((first & 0xc0) === 0x80) read(8);
+      else if ((first & 0xe0) === 0xc0) read(16);
+    } else if (mode === 3) {
+      read(16); // structured append header
+    } else if (mode === 5) {
+      // FNC1, first position: no payload
+    } else if (mode === 9) {
+      read(8); // FNC1, second position
+    } else {
+      throw new Error("Unsupported QR data mode");
+    }
+  }
+
+  const out = Uint8Array.from(bytes);
+  try {
+    return utf8.decode(out);
+  } catch {
+    return latin1.decode(out);
+  }
+}
+
+function decodeGrid(grid, version) {
+  const size = sizeOf(version);
+  const format = readFormat(grid, size);
+  if (!format) throw new Error("Unreadable format information");
+  return parseSegments(readCodewords(grid, version, format.level, format.mask), version);
+}
+
+// Module size measured from a finder centre towards another point: the finder's outer edge is 3.5 modules
+// out. Run lengths along image rows overestimate it when the code is rotated; this does not.
+function moduleSizeAlong(bits, width, height, from, to) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const sx = (to.x - from.x) / length;
+  const sy = (to.y - from.y) / length;
+  let transitions = 0;
+  let previous = 1;
+  for (let d = 0; d < length; d += 0.5) {
+    const x = Math.floor(from.x + sx * d);
+    const y = Math.floor(from.y + sy * d);
+    if (x < 0 || y < 0 || x >= width || y >= height) return null;
+    const bit = bits[y * width + x];
+    if (bit !== previous) {
+      transitions++;
+      previous = bit;
+      // dark centre → light ring → dark ring → light separator
+      if (transitions === 3) return d / 3.5;
+    }
+  }
+  return null;
+}
+
+function estimateModuleSize(bits, width, height, [tl, tr, bl], fallback) {
+  const sizes = [[tl, tr], [tr, tl], [tl, bl], [bl, tl]]
+    .map(([from, to]) => moduleSizeAlong(bits, width, height, from, to))
+    .filter((s) => s !== null && s > 0);
+  return sizes.length > 0 ? sizes.reduce((a, b) => a + b, 0) / sizes.length : fallback;
+}
+
+function decodeAt(bits, width, height, triple) {
+  const [tl, tr, bl] = triple.finders;
+  const moduleSize = estimateModuleSize(bits, width, height, triple.finders, triple.moduleSize);
+  const estimate = (Math.hypot(tr.x - tl.x, tr.y - tl.y) + Math.hypot(bl.x - tl.x, bl.y - tl.y)) / (2 * moduleSize) + 7;
+  let dimension = Math.round(estimate);
+  // Valid sizes are 4k + 1
+  dimension += [1, 0, -1, 2][dimension & 3];
+  const tried = new Set();
+  for (const size of [dimension, dimension - 4, dimension + 4]) {
+    let version = (size - 17) / 4;
+    if (version < MIN_VERSION || version > MAX_VERSION || tried.has(version)) continue;
+    tried.add(version);
+    try {
+      let grid = sampleGrid(bits, width, height, triple.finders, size);
+      if (version >= 7) {
+        const read = readVersion(grid, size);
+        if (read && read !== version) {
+          version = read;
+          tried.add(version);
+          grid = sampleGrid(bits, width, height, triple.finders, sizeOf(version));
+        }
+      }
+      return decodeGrid(grid, version);
+    } catch {
+      // Try the next size
+    }
+  }
+  return null;
+}
+
+function scan(bits, width, height) {
+  const found = [];
+  const used = new Set();
+  let attempts = 0;
+  for (const triple of finderTriples(findFinders(bits, width, height))) {
+    if (attempts >= MAX_ATTEMPTS) break;
+    if (triple.finders.some((f) => used.has(f))) continue;
+    attempts++;
+    const text = decodeAt(bits, width, height, triple);
+    if (text !== null) {
+      found.push(text);
+      triple.finders.forEach((f) => used.add(f));
+    }
+  }
+  return found;
+}
+
+/**
+ * Decode every QR code in an image.
+ * @param {{data:Uint8ClampedArray, width:number, height:number}} image - RGBA pixels, e.g. ImageData
+ * @returns {string[]} decoded texts, possibly empty
+ */
+export function decodeQrCodes(image) {
+  const { width, height } = image;
+  const bits = binarize(toGray(image), width, height);
+  const found = scan(bits, width, height);
+  if (found.length > 0) return found;
+
+  // Light-on-dark codes (e.g. screenshots in a dark theme)
+  for (let i = 0; i < bits.length; i++) bits[i] ^= 1;
+  return scan(bits, width, height);
+}
+
+/**
+ * Decode the first QR code found in an image.
+ * @param {{data:Uint8ClampedArray, width:number, height:number}} image
+ * @returns {string}
+ * @throws {Error} if no readable QR code is found
+ */
+export function decodeQr(image) {
+  const [text] = decodeQrCodes(image);
+  if (text === undefined) {
+    throw new Error("No readable QR code found in the image");
+  }
+  return text;
+}
@@ -0,0 +1,308 @@
+// src/qr/encode.js
+// QR code encoder: text → module matrix. Alphanumeric mode when the text allows it, UTF-8 bytes otherwise;
+// Reed-Solomon error correction and the lowest-penalty mask, as specified by ISO/IEC 18004.
+
+import {
+  EC_LEVELS, MIN_VERSION, MAX_VERSION, ALPHANUMERIC, MODES,
+  sizeOf, blockLayout, blockDataLengths, alignmentPositions, functionPatternMap, dataModuleOrder,
+  formatBits, versionBits, formatPositions, versionPositions, maskBit, charCountBits, gfMul
+} from "./common.js";
+
+const enc = new TextEncoder();
+
+const PAD_BYTES = [0xec, 0x11];
+
+function isAlphanumeric(text) {
+  for (const ch of text) {
+    if (!ALPHANUMERIC.includes(ch)) return false;
+  }
+  return true;
+}
+
+// Bits of the single segment for the text, without the character count field (its width depends on version)
+function segmentFor(text) {
+  if (isAlphanumeric(text)) {
+    const bits = [];
+    for (let i = 0; i + 1 < text.length; i += 2) {
+      pushBits(bits, ALPHANUMERIC.indexOf(text[i]) * 45 + ALPHANUMERIC.indexOf(text[i + 1]), 11);
+    }
+    if (text.length % 2 === 1) pushBits(bits, ALPHANUMERIC.indexOf(text[text.length - 1]), 6);
+    return { mode: MODES.ALPHANUMERIC, count: text.length, bits };
+  }
+  const bytes = enc.encode(text);
+  const bits = [];
+  bytes.forEach((b) => pushBits(bits, b, 8));
+  return { mode: MODES.BYTE, count: bytes.length, bits };
+}
+
+function pushBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+}
+
+function segmentBitLength(segment, version) {
+  const countBits = charCountBits(segment.mode, version);
+  if (segment.count >= 1 << countBits) return Infinity;
+  return 4 + countBits + segment.bits.length;
+}
+
+/**
+ * Smallest version that holds the text at the given level, or 0 if none up to maxVersion does.
+ * @param {string} text
+ * @param {{level?:string, maxVersion?:number}} opts
+ * @returns {number}
+ */
+export function fitVersion(text, opts = {}) {
+  const level = opts.level || EC_LEVELS.M;
+  const maxVersion = Math.min(opts.maxVersion || MAX_VERSION, MAX_VERSION);
+  const segment = segmentFor(String(text));
+  for (let version = MIN_VERSION; version <= maxVersion; version++) {
+    if (segmentBitLength(segment, version) <= blockLayout(version, level).dataCodewords * 8) return version;
+  }
+  return 0;
+}
+
+function dataCodewords(segment, version, level) {
+  const capacity = blockLayout(version, level).dataCodewords;
+  const bits = [];
+  pushBits(bits, segment.mode, 4);
+  pushBits(bits, segment.count, charCountBits(segment.mode, version));
+  for (const bit of segment.bits) bits.push(bit);
+
+  // Terminator, then zero bits to a byte boundary, then alternating pad bytes
+  const capacityBits = capacity * 8;
+  for (let i = 0; i < 4 && bits.length < capacityBits; i++) bits.push(0);
+  while (bits.length % 8 !== 0) bits.push(0);
+
+  const out = new Uint8Array(capacity);
+  for (let i = 0; i < bits.length; i += 8) {
+    let b = 0;
+    for (let j = 0; j < 8; j++) b = (b << 1) | bits[i + j];
+    out[i / 8] = b;
+  }
+  for (let i = bits.length / 8, p = 0; i < capacity; i++, p ^= 1) out[i] = PAD_BYTES[p];
+  return out;
+}
+
+// Reed-Solomon generator polynomial with roots 2^0 … 2^(degree-1), leading coefficient omitted
+function rsGenerator(degree) {
+  const result = new Uint8Array(degree);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, generator) {
+  const result = new Uint8Array(generator.length);
+  for (const b of data) {
+    const factor = b ^ result[0];
+    result.copyWithin(0, 1);
+    result[result.length - 1] = 0;
+    for (let i = 0; i < result.length; i++) result[i] ^= gfMul(generator[i], factor);
+  }
+  return result;
+}
+
+// Split data into blocks, append error correction and interleave
+function addErrorCorrection(data, version, level) {
+  const layout = blockLayout(version, level);
+  const generator = rsGenerator(layout.eccPerBlock);
+  const blocks = [];
+  let offset = 0;
+  for (const length of blockDataLengths(layout)) {
+    const block = data.subarray(offset, offset + length);
+    blocks.push({ data: block, ecc: rsRemainder(block, generator) });
+    offset += length;
+  }
+
+  const out = new Uint8Array(layout.totalCodewords);
+  let o = 0;
+  const longest = blocks[blocks.length - 1].data.length;
+  for (let i = 0; i < longest; i++) {
+    for (const block of blocks) {
+      if (i < block.data.length) out[o++] = block.data[i];
+    }
+  }
+  for (let i = 0; i < layout.eccPerBlock; i++) {
+    for (const block of blocks) out[o++] = block.ecc[i];
+  }
+  return out;
+}
+
+// Function patterns (everything but data, format and version bits)
+function drawFunctionPatterns(modules, version) {
+  const size = sizeOf(version);
+  const set = (x, y, dark) => {
+    if (x >= 0 && y >= 0 && x < size && y < size) modules[y * size + x] = dark ? 1 : 0;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(cx + dx, cy + dy, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const align = alignmentPositions(version);
+  const last = align.length - 1;
+  align.forEach((cy, i) => {
+    align.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+  // The dark module beside the lower format copy
+  set(8, size - 8, true);
+}
+
+function drawFormatAndVersion(modules, version, level, mask) {
+  const size = sizeOf(version);
+  const bits = formatBits(level, mask);
+  for (const copy of formatPositions(size)) {
+    copy.forEach(([x, y], i) => {
+      modules[y * size + x] = (bits >>> i) & 1;
+    });
+  }
+  if (version >= 7) {
+    const vbits = versionBits(version);
+    for (const copy of versionPositions(size)) {
+      copy.forEach(([x, y], i) => {
+        modules[y * size + x] = (vbits >>> i) & 1;
+      });
+    }
+  }
+}
+
+// ── Mask penalty (ISO/IEC 18004 §7.8.3) ──
+
+function runPenalty(line) {
+  let penalty = 0;
+  let run = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      run++;
+    } else {
+      if (run >= 5) penalty += run - 2;
+      run = 1;
+    }
+  }
+  // Finder-like 1:1:3:1:1 with four light modules on either side (outside the symbol counts as light)
+  const at = (i) => (i >= 0 && i < line.length ? line[i] : 0);
+  for (let i = -4; i < line.length; i++) {
+    if (at(i) && !at(i + 1) && at(i + 2) && at(i + 3) && at(i + 4) && !at(i + 5) && at(i + 6)) {
+      const before = !at(i - 1) && !at(i - 2) && !at(i - 3) && !at(i - 4);
+      const after = !at(i + 7) && !at(i + 8) && !at(i + 9) && !at(i + 10);
+      if (before) penalty += 40;
+      if (after) penalty += 40;
+    }
+  }
+  return penalty;
+}
+
+function maskPenalty(modules, size) {
+  let penalty = 0;
+  const row = new Uint8Array(size);
+  const col = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      row[j] = modules[i * size + j];
+      col[j] = modules[j * size + i];
+    }
+    penalty += runPenalty(row) + runPenalty(col);
+  }
+  for (let y = 0; y + 1 < size; y++) {
+    for (let x = 0; x + 1 < size; x++) {
+      const c = modules[y * size + x];
+      if (c === modules[y * size + x + 1] && c === modules[(y + 1) * size + x] && c === modules[(y + 1) * size + x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+  let dark = 0;
+  for (let i = 0; i < modules.length; i++) dark += modules[i];
+  penalty += Math.floor(Math.abs((dark * 100) / modules.length - 50) / 5) * 10;
+  return penalty;
+}
+
+/**
+ * Encode text as a QR code.
+ * @param {string} text
+ * @param {{level?:string, minVersion?:number, maxVersion?:number, mask?:number}} opts
+ * @returns {{version:number, size:number, modules:Uint8Array}} modules: 1 = dark, index y * size + x
+ * @throws {Error} if the text does not fit
+ */
+export function encodeQr(text, opts = {}) {
+  const level = opts.level || EC_LEVELS.M;
+  if (!EC_LEVELS[level]) {
+    throw new Error("Unsupported QR error correction level");
+  }
+  const str = String(text);
+  const fitted = fitVersion(str, { level, maxVersion: opts.maxVersion });
+  if (fitted === 0) {
+    throw new Error("Text is too long for a single QR code");
+  }
+  const version = Math.max(fitted, opts.minVersion || MIN_VERSION);
+  const size = sizeOf(version);
+
+  const codewords = addErrorCorrection(dataCodewords(segmentFor(str), version, level), version, level);
+
+  const base = new Uint8Array(size * size);
+  drawFunctionPatterns(base, version);
+  const order = dataModuleOrder(version);
+  for (let i = 0; i < order.length; i++) {
+    // Remainder bits past the last codeword stay light
+    const byte = i >>> 3 < codewords.length ? codewords[i >>> 3] : 0;
+    base[order[i]] = (byte >>> (7 - (i & 7))) & 1;
+  }
+
+  const isFunction = functionPatternMap(version);
+  let best = null;
+  const masks = Number.isInteger(opts.mask) ? [opts.mask] : [0, 1, 2, 3, 4, 5, 6, 7];
+  for (const mask of masks) {
+    const modules = base.slice();
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y * size + x] && maskBit(mask, x, y)) modules[y * size + x] ^= 1;
+      }
+    }
+    drawFormatAndVersion(modules, version, level, mask);
+    const penalty = masks.length === 1 ? 0 : maskPenalty(modules, size);
+    if (!best || penalty < best.penalty) best = { modules, penalty };
+  }
+  return { version, size, modules: best.modules };
+}
+
+/**
+ * SVG path data for the dark modules, one unit per module, offset by a quiet zone. Horizontal runs are
+ * merged so the path stays short.
+ * @param {{size:number, modules:Uint8Array}} qr
+ * @param {number} margin - quiet zone in modules (the standard asks for 4)
+ * @returns {string}
+ */
+export function qrPathData(qr, margin = 4) {
+  const { size, modules } = qr;
+  let d = "";
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!modules[y * size + x]) continue;
+      let run = 1;
+      while (x + run < size && modules[y * size + x + run]) run++;
+      d += `M${x + margin} ${y + margin}h${run}v1h-${run}z`;
+      x += run - 1;
+    }
+  }
+  return d;
+}
@@ -0,0 +1,125 @@
+// src/qr/parts.js
+// Carry a ciphertext in one or more QR codes. Text that fits one code is stored as is; longer text is cut
+// into numbered parts "CRQR:<i>/<n>:<crc>:<chunk>", where the CRC-24 of the whole text confirms that the
+// reassembled parts belong together and arrived intact.
+
+import { crc24 } from "../armor.js";
+import { EC_LEVELS } from "./common.js";
+import { fitVersion } from "./encode.js";
+
+const enc = new TextEncoder();
+
+export const QR_PART_PREFIX = "CRQR";
+// Level M survives smudges and glare; past version 20 (97×97 modules) codes get hard to scan off a screen
+export const QR_LEVEL = EC_LEVELS.M;
+export const QR_MAX_VERSION = 20;
+export const MAX_QR_PARTS = 32;
+
+const PART_PATTERN = /^CRQR:(\d{1,2})\/(\d{1,2}):([0-9A-F]{6}):/;
+
+function checksumOf(text) {
+  return crc24(enc.encode(text)).toString(16).toUpperCase().padStart(6, "0");
+}
+
+/**
+ * The same ciphertext in a form that packs densely into QR codes: hex is uppercased so alphanumeric mode
+ * (5.5 bits per character instead of 8) applies. Decryption accepts hex in either case.
+ * @param {string} text
+ * @returns {string}
+ */
+export function qrFriendly(text) {
+  const trimmed = String(text || "").trim();
+  return /^[0-9a-f:]+$/.test(trimmed) ? trimmed.toUpperCase() : trimmed;
+}
+
+/**
+ * Payloads for the QR codes that carry a ciphertext, in order.
+ * @param {string} text
+ * @returns {string[]}
+ * @throws {Error} if the text is empty or would need more than MAX_QR_PARTS codes
+ */
+export function splitForQr(text) {
+  const friendly = qrFriendly(text);
+  if (friendly === "") {
+    throw new Error("Nothing to put in a QR code");
+  }
+  const fits = (payload) => fitVersion(payload, { level: QR_LEVEL, maxVersion: QR_MAX_VERSION }) !== 0;
+  if (fits(friendly) && !PART_PATTERN.test(friendly)) {
+    return [friendly];
+  }
+
+  // Split on code points so multi-byte characters (e.g. in an armor comment) stay whole
+  const chars = Array.from(friendly);
+  const checksum = checksumOf(friendly);
+  for (let total = 2; total <= MAX_QR_PARTS; total++) {
+    const chunkLength = Math.ceil(chars.length / total);
+    const payloads = [];
+    for (let i = 0; i < total; i++) {
+      const chunk = chars.slice(i * chunkLength, (i + 1) * chunkLength).join("");
+      payloads.push(`${QR_PART_PREFIX}:${i + 1}/${total}:${checksum}:${chunk}`);
+    }
+    if (payloads.every(fits)) return payloads;
+  }
+  throw new Error(`Too long for ${MAX_QR_PARTS} QR codes; save the ciphertext as a file instead`);
+}
+
+/**
+ * Parse a QR payload written by splitForQr.
+ * @param {string} payload
+ * @returns {{index:number, total:number, checksum:string, chunk:string}|null} null for a whole ciphertext
+ */
+export function parseQrPart(payload) {
+  const match = PART_PATTERN.exec(String(payload || ""));
+  if (!match) return null;
+  const index = Number(match[1]);
+  const total = Number(match[2]);
+  if (total < 2 || index < 1 || index > total) {
+    throw new Error("Invalid QR part number");
+  }
+  return { index, total, checksum: match[3], chunk: payload.slice(match[0].length) };
+}
+
+/**
+ * Reassemble parts (in any order, duplicates allowed) into the ciphertext.
+ * @param {string[]} payloads - part payloads of one ciphertext
+ * @returns {{text:string|null, total:number, missing:number[]}} text is null until every part is present
+ * @throws {Error} if the parts come from different ciphertexts or the result fails its checksum
+ */
+export function joinQrParts(payloads) {
+  const parts = payloads.map((payload) => {
+    const part = parseQrPart(payload);
+    if (!part) {
+      throw new Error("Not a CRCrypt QR code part");
+    }
+    return part;
+  });
+  if (parts.length === 0) {
+    throw new Error("No QR code parts to join");
+  }
+  const { total, checksum } = parts[0];
+  if (parts.some((p) => p.total !== total || p.checksum !== checksum)) {
+    throw new Error("These QR codes belong to different ciphertexts");
+  }
+
+  const chunks = new Map();
+  for (const part of parts) {
+    if (chunks.has(part.index) && chunks.get(part.index) !== part.chunk) {
+      throw new Error(`QR code part ${part.index} of ${total} was read two different ways`);
+    }
+    chunks.set(part.index, part.chunk);
+  }
+  const missing = [];
+  for (let i = 1; i <= total; i++) {
+    if (!chunks.has(i)) missing.push(i);
+  }
+  if (missing.length > 0) {
+    return { text: null, total, missing };
+  }
+
+  let text = "";
+  for (let i = 1; i <= total; i++) text += chunks.get(i);
+  if (checksumOf(text) !== checksum) {
+    throw new Error("The reassembled QR code parts fail their checksum");
+  }
+  return { text, total, missing };
+}
@@ -0,0 +1,97 @@
+// src/rawkey.js
+// Raw symmetric keys for password-less encryption: generation and the two text forms, hex and JWK
+// (RFC 7517, kty "oct"). crypto.js takes the key bytes in place of a password and runs no KDF.
+
+import { toHex, fromHex } from "./utils/hex.js";
+import { toBase64Url, fromBase64Url } from "./utils/codec.js";
+import { randomBytes } from "./crypto.js";
+
+export const RAW_KEY_LENGTHS = Object.freeze([16, 24, 32]);
+
+export const RAW_KEY_FORMATS = Object.freeze({
+  HEX: "hex",
+  JWK: "jwk"
+});
+
+/**
+ * A new random key.
+ * @param {number} [length] - bytes: 16, 24 or 32 (default; AES-256 and the ChaCha20 modes)
+ * @returns {Uint8Array}
+ */
+export function generateRawKey(length = 32) {
+  checkLength(length);
+  return randomBytes(length);
+}
+
+/**
+ * Write a key as lowercase hex or as a one-line JWK. The JWK names no `alg`, since one key works with every
+ * cipher of its length; Web Crypto's importKey("jwk", ...) accepts it for any AES mode.
+ * @param {Uint8Array} key
+ * @param {string} [format] - one of RAW_KEY_FORMATS (default hex)
+ * @returns {string}
+ */
+export function formatRawKey(key, format = RAW_KEY_FORMATS.HEX) {
+  checkLength(key.length);
+  if (format === RAW_KEY_FORMATS.HEX) {
+    return toHex(key);
+  }
+  if (format !== RAW_KEY_FORMATS.JWK) {
+    throw new Error(`Unsupported key format: ${format}`);
+  }
+  return JSON.stringify({ kty: "oct", k: toBase64Url(key), ext: true, key_ops: ["encrypt", "decrypt"] });
+}
+
+/**
+ * Read a key pasted or loaded as hex (whitespace ignored) or as a JWK object.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function parseRawKey(text) {
+  const trimmed = String(text || "").trim();
+  if (trimmed === "") {
+    throw new Error("Key cannot be empty");
+  }
+  const key = trimmed.startsWith("{") ? parseJwk(trimmed) : parseHex(trimmed);
+  checkLength(key.length);
+  return key;
+}
+
+function parseHex(text) {
+  const hex = text.replace(/\s+/g, "");
+  if (!/^[0-9a-fA-F]*$/.test(hex) || hex.length % 2 !== 0) {
+    throw new Error("Not a key: expected hex digits or a JWK");
+  }
+  return fromHex(hex.toLowerCase());
+}
+
+function parseJwk(text) {
+  let jwk;
+  try {
+    jwk = JSON.parse(text);
+  } catch {
+    throw new Error("Invalid JWK: not JSON");
+  }
+  if (!jwk || jwk.kty !== "oct" || typeof jwk.k !== "string") {
+    throw new Error('Invalid JWK: expected a symmetric key (kty "oct")');
+  }
+  let key;
+  try {
+    key = fromBase64Url(jwk.k);
+  } catch {
+    throw new Error("Invalid JWK: k is not Base64url");
+  }
+  const bits = typeof jwk.alg === "string" ? /^A(128|192|256)/.exec(jwk.alg) : null;
+  if (bits && Number(bits[1]) !== key.length * 8) {
+    throw new Error(`Invalid JWK: alg ${jwk.alg} doesn't match its ${key.length * 8}-bit key`);
+  }
+  if (Array.isArray(jwk.key_ops) && !["encrypt", "decrypt"].some((op) => jwk.key_ops.includes(op))) {
+    throw new Error("Invalid JWK: key_ops allow neither encrypt nor decrypt");
+  }
+  return key;
+}
+
+function checkLength(length) {
+  if (!RAW_KEY_LENGTHS.includes(length)) {
+    throw new Error("Keys must be 128, 192 or 256 bits (16, 24 or 32 bytes)");
+  }
+}
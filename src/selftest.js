@@ -0,0 +1,194 @@
+// src/selftest.js
+// Known-answer tests for what encryptText relies on: PBKDF2-SHA256 (the RFC 7914 §11 vectors), AES-CBC /
+// AES-GCM at every key size in the envelope and the legacy format, and AES-256-CBC-HMAC-SHA256 (HKDF key
+// split included), AES-256-CTR, ChaCha20-Poly1305 and XChaCha20-Poly1305 in the envelope. The expected
+// ciphertexts were computed with OpenSSL, not with this code, so a browser whose Web Crypto misbehaves, or a
+// change that breaks the pure-JS ChaCha20, fails here.
+
+import { ALGORITHMS, FORMATS, KDFS, TEST_MODE, encryptText, decryptText } from "./crypto.js";
+import { toHex, fromHex } from "./utils/hex.js";
+
+const enc = new TextEncoder();
+
+const PBKDF2_VECTORS = [
+  {
+    password: "passwd", salt: "salt", iterations: 1,
+    expected: "55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc" +
+      "49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783"
+  },
+  {
+    password: "Password", salt: "NaCl", iterations: 80000,
+    expected: "4ddcd8f60b98be21830cee5ef22701f9641a4418d04c0414aeff08876b34ab56" +
+      "a1d425a1225833549adb841b51c9b3176a272bdebba1d078478f62b397f33c8d"
+  }
+];
+
+// Fixed inputs for the cipher vectors: salt 00 01 … 1f, IV a0 a1 … (16 bytes for CBC and CTR, 12 for GCM and
+// ChaCha20, 24 for XChaCha20)
+const PASSWORD = "CRCrypt self-test";
+const PLAINTEXT = "Known answer ✓";
+const ITERATIONS = 1000;
+const SALT = Uint8Array.from({ length: 32 }, (_, i) => i);
+const IVS = {
+  [ALGORITHMS.AES_CBC]: Uint8Array.from({ length: 16 }, (_, i) => 0xa0 + i),
+  [ALGORITHMS.AES_GCM]: Uint8Array.from({ length: 12 }, (_, i) => 0xa0 + i),
+  [ALGORITHMS.AES_CBC_HMAC]: Uint8Array.from({ length: 16 }, (_, i) => 0xa0 + i),
+  [ALGORITHMS.AES_CTR]: Uint8Array.from({ length: 16 }, (_, i) => 0xa0 + i),
+  [ALGORITHMS.CHACHA20_POLY1305]: Uint8Array.from({ length: 12 }, (_, i) => 0xa0 + i),
+  [ALGORITHMS.XCHACHA20_POLY1305]: Uint8Array.from({ length: 24 }, (_, i) => 0xa0 + i)
+};
+
+const ALGORITHM_IDS = {
+  [ALGORITHMS.AES_CBC]: "01",
+  [ALGORITHMS.AES_GCM]: "02",
+  [ALGORITHMS.AES_CBC_HMAC]: "03",
+  [ALGORITHMS.AES_CTR]: "04",
+  [ALGORITHMS.CHACHA20_POLY1305]: "05",
+  [ALGORITHMS.XCHACHA20_POLY1305]: "06"
+};
+
+// The envelope and legacy formats share the ciphertext; only the GCM tag differs, since the envelope
+// authenticates its header
+const CIPHER_VECTORS = [
+  { algorithm: ALGORITHMS.AES_CBC, keyLength: 16, ciphertext: "b9628986695a334e983c6cabf30842ce94768c4d39454d80f442846af550def3" },
+  { algorithm: ALGORITHMS.AES_CBC, keyLength: 24, ciphertext: "8ef9fa24214f42d163696e7774ecf6aa890d72772bb9c30759294ccd4d1d2ac6" },
+  { algorithm: ALGORITHMS.AES_CBC, keyLength: 32, ciphertext: "3e3b56f0c6db48539e4588023ea4e695b3d9a3dd50c97f22780fa9f1b2e46899" },
+  {
+    algorithm: ALGORITHMS.AES_GCM, keyLength: 16, ciphertext: "5e8f9ebf05505eff77b485b89f024cf0",
+    legacyTag: "432c6df8750478331e868f92e94e773c", envelopeTag: "942547a1dceb1bbbc3e2fd8b0a2b7bcf"
+  },
+  {
+    algorithm: ALGORITHMS.AES_GCM, keyLength: 24, ciphertext: "fd6238442804f9ebdae7d6f6fe19764f",
+    legacyTag: "2113abc77f30a474d0106c15b897895e", envelopeTag: "d9a20e925a649d341a78a0a6e5adadb8"
+  },
+  {
+    algorithm: ALGORITHMS.AES_GCM, keyLength: 32, ciphertext: "93c181b364c06a1ac693f0e441272078",
+    legacyTag: "c270360e2946b3dd5f7c7bd2eb4c68df", envelopeTag: "36caed0f0543b33a9f7be44200501614"
+  },
+  {
+    algorithm: ALGORITHMS.AES_CBC_HMAC, keyLength: 32, envelopeOnly: true,
+    ciphertext: "69998ceef436eb16e1dd483c05edd1aa4f3551b97169411724b35e2453a29fca",
+    envelopeTag: "f410594b476240e3c54adf35a5f06db9051e7ccabd287c8a641a4fa0c1442660"
+  },
+  { algorithm: ALGORITHMS.AES_CTR, keyLength: 32, envelopeOnly: true, ciphertext: "0eb0304dfce3cf3436fe58471ea4a4b8" },
+  {
+    algorithm: ALGORITHMS.CHACHA20_POLY1305, keyLength: 32, envelopeOnly: true,
+    ciphertext: "e6a6ebd172841ed20c15245feffd2f2f", envelopeTag: "f5846729c6ccf93bb5ac568e608a082c"
+  },
+  {
+    algorithm: ALGORITHMS.XCHACHA20_POLY1305, keyLength: 32, envelopeOnly: true,
+    ciphertext: "27a4fb05d291cef91386b71b16baec93", envelopeTag: "af02e10e84538aa0cd24f3e788d6b6b5"
+  }
+];
+
+function byteHex(n) {
+  return n.toString(16).padStart(2, "0");
+}
+
+// Envelope written out field by field (layout in envelope.js), independently of encodeEnvelopeHeader
+function expectedEnvelope({ algorithm, keyLength, ciphertext, envelopeTag = "" }) {
+  const iv = IVS[algorithm];
+  return "43524352" + "01" + "00" + ALGORITHM_IDS[algorithm] +
+    "01" + "04" + ITERATIONS.toString(16).padStart(8, "0") +
+    byteHex(keyLength) + byteHex(SALT.length) + toHex(SALT) + byteHex(iv.length) + toHex(iv) +
+    ciphertext + envelopeTag;
+}
+
+function expectedLegacy({ algorithm, ciphertext, legacyTag }) {
+  const parts = [toHex(SALT), toHex(IVS[algorithm]), ciphertext];
+  if (legacyTag) parts.push(legacyTag);
+  return parts.join(":");
+}
+
+function cipherName({ algorithm, keyLength }) {
+  return algorithm.startsWith("AES-") ? `AES-${keyLength * 8}-${algorithm.slice(4)}` : algorithm;
+}
+
+async function pbkdf2Check({ password, salt, iterations, expected }) {
+  const baseKey = await globalThis.crypto.subtle.importKey("raw", enc.encode(password), { name: "PBKDF2" }, false, ["deriveBits"]);
+  const bits = await globalThis.crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt: enc.encode(salt), iterations, hash: "SHA-256" },
+    baseKey,
+    (expected.length / 2) * 8
+  );
+  const actual = toHex(new Uint8Array(bits));
+  if (actual !== expected) {
+    throw new Error("Derived key differs from the expected value");
+  }
+}
+
+async function cipherCheck(vector, format) {
+  const expected = format === FORMATS.ENVELOPE ? expectedEnvelope(vector) : expectedLegacy(vector);
+  const actual = await encryptText(PLAINTEXT, PASSWORD, {
+    algorithm: vector.algorithm,
+    keyLength: vector.keyLength,
+    ivLength: IVS[vector.algorithm].length,
+    saltLength: SALT.length,
+    kdf: KDFS.PBKDF2,
+    iterations: ITERATIONS,
+    format,
+    [TEST_MODE]: { salt: SALT, iv: IVS[vector.algorithm] }
+  });
+  if (actual !== expected) {
+    throw new Error("Ciphertext differs from the expected value");
+  }
+  const decrypted = await decryptText(expected, PASSWORD, { iterations: ITERATIONS, keyLength: vector.keyLength });
+  if (decrypted !== PLAINTEXT) {
+    throw new Error("Decrypting the expected ciphertext gave different text");
+  }
+}
+
+// An authenticated ciphertext with one flipped bit must not decrypt
+async function tamperCheck(vector) {
+  const bytes = fromHex(expectedEnvelope(vector));
+  bytes[bytes.length - 1] ^= 0x01;
+  try {
+    await decryptText(toHex(bytes), PASSWORD);
+  } catch {
+    return;
+  }
+  throw new Error("A modified ciphertext decrypted without error");
+}
+
+/**
+ * The known-answer checks, in the order they run.
+ * @returns {{name:string, run:()=>Promise<void>}[]}
+ */
+export function selfTestChecks() {
+  const checks = PBKDF2_VECTORS.map((vector) => ({
+    name: `PBKDF2-SHA256, ${vector.iterations.toLocaleString("en-US")} iteration${vector.iterations === 1 ? "" : "s"}`,
+    run: () => pbkdf2Check(vector)
+  }));
+  for (const vector of CIPHER_VECTORS) {
+    checks.push({ name: `${cipherName(vector)} envelope`, run: () => cipherCheck(vector, FORMATS.ENVELOPE) });
+    if (!vector.envelopeOnly) {
+      checks.push({ name: `${cipherName(vector)} legacy`, run: () => cipherCheck(vector, FORMATS.LEGACY) });
+    }
+  }
+  for (const vector of CIPHER_VECTORS.filter((v) => v.envelopeTag && v.keyLength === 32)) {
+    checks.push({ name: `${cipherName(vector)} rejects a modified tag`, run: () => tamperCheck(vector) });
+  }
+  return checks;
+}
+
+/**
+ * Run every known-answer check. Never throws; failures are reported per check.
+ * @returns {Promise<{passed:boolean, results:{name:string, ok:boolean, error?:string}[], elapsedMs:number}>}
+ */
+export async function runSelfTest() {
+  const started = performance.now();
+  const results = [];
+  for (const check of selfTestChecks()) {
+    try {
+      await check.run();
+      results.push({ name: check.name, ok: true });
+    } catch (err) {
+      results.push({ name: check.name, ok: false, error: err?.message || String(err) });
+    }
+  }
+  return {
+    passed: results.every((r) => r.ok),
+    results,
+    elapsedMs: Math.round(performance.now() - started)
+  };
+}
@@ -0,0 +1,268 @@
+// src/shamir.js
+// Shamir secret sharing over GF(256): split a secret into N labelled, checksummed shares, any M of which
+// rebuild it. Runs entirely in memory; shares are returned as strings and nothing is stored.
+
+import { randomBytes, wipeBytes } from "./crypto.js";
+import { encodeKeyString, decodeKeyString } from "./keystring.js";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder("utf-8", { fatal: true });
+
+// Share strings (see keystring.js): "crshare-<x>of<n>-<hex(set id | threshold | y bytes | checksum)>"
+const SHARE_PREFIX = "crshare";
+const SET_ID_LENGTH = 4;
+const SECRET_CHECK_LENGTH = 4;
+export const MAX_SHARES = 255;
+export const MAX_SECRET_LENGTH = 4096;
+
+// GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1 and generator 3
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+function gfMul(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function gfDiv(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+// Lagrange basis values at x = 0 for the given share x coordinates
+function lagrangeAtZero(xs) {
+  return xs.map((xi, i) => {
+    let num = 1;
+    let den = 1;
+    xs.forEach((xj, j) => {
+      if (i === j) return;
+      num = gfMul(num, xj);
+      den = gfMul(den, xi ^ xj);
+    });
+    return gfDiv(num, den);
+  });
+}
+
+function interpolate(points, basis) {
+  const length = points[0].y.length;
+  const out = new Uint8Array(length);
+  for (let k = 0; k < length; k++) {
+    let acc = 0;
+    points.forEach((p, i) => {
+      acc ^= gfMul(p.y[k], basis[i]);
+    });
+    out[k] = acc;
+  }
+  return out;
+}
+
+// Evaluate the share polynomial for byte position k at x (Horner, highest coefficient first)
+function evaluate(coefficients, k, x, threshold) {
+  let acc = 0;
+  for (let c = threshold - 1; c >= 0; c--) {
+    acc = gfMul(acc, x) ^ coefficients[c][k];
+  }
+  return acc;
+}
+
+async function secretCheck(secret) {
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", secret));
+  return digest.slice(0, SECRET_CHECK_LENGTH);
+}
+
+/**
+ * Split a secret into `shares` share strings, any `threshold` of which rebuild it. A short SHA-256 check of
+ * the secret is shared along with it (so it reveals nothing on its own) and verified by combineShares.
+ * @param {Uint8Array} secret
+ * @param {{threshold:number, shares:number}} opts
+ * @returns {Promise<string[]>}
+ */
+export async function splitSecret(secret, opts = {}) {
+  const threshold = Number(opts.threshold);
+  const count = Number(opts.shares);
+  if (!(secret instanceof Uint8Array) || secret.length === 0) {
+    throw new Error("Secret cannot be empty");
+  }
+  if (secret.length > MAX_SECRET_LENGTH) {
+    throw new Error(`Secret must be at most ${MAX_SECRET_LENGTH} bytes`);
+  }
+  if (!Number.isInteger(count) || count < 2 || count > MAX_SHARES) {
+    throw new Error(`Number of shares must be between 2 and ${MAX_SHARES}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > count) {
+    throw new Error("Threshold must be at least 2 and no more than the number of shares");
+  }
+
+  // The shared value is secret | check
+  const value = new Uint8Array(secret.length + SECRET_CHECK_LENGTH);
+  value.set(secret, 0);
+  value.set(await secretCheck(secret), secret.length);
+
+  // coefficients[0] is the value itself; the rest are random
+  const coefficients = [value];
+  for (let c = 1; c < threshold; c++) coefficients.push(randomBytes(value.length));
+
+  const setId = randomBytes(SET_ID_LENGTH);
+  const out = [];
+  try {
+    for (let x = 1; x <= count; x++) {
+      const payload = new Uint8Array(SET_ID_LENGTH + 1 + value.length);
+      payload.set(setId, 0);
+      payload[SET_ID_LENGTH] = threshold;
+      for (let k = 0; k < value.length; k++) {
+        payload[SET_ID_LENGTH + 1 + k] = evaluate(coefficients, k, x, threshold);
+      }
+      out.push(await encodeKeyString(SHARE_PREFIX, `${x}of${count}`, payload));
+      wipeBytes(payload);
+    }
+    return out;
+  } finally {
+    // Hygiene: zeroize polynomial coefficients (including the secret copy)
+    coefficients.forEach((c) => wipeBytes(c));
+  }
+}
+
+/**
+ * Parse and checksum-verify one share string.
+ * @param {string} text
+ * @returns {Promise<{x:number, count:number, threshold:number, setId:string, y:Uint8Array}>}
+ */
+export async function parseShare(text) {
+  const { tag, payload } = await decodeKeyString(SHARE_PREFIX, text, "share");
+  const match = /^(\d+)of(\d+)$/.exec(tag);
+  if (!match) {
+    throw new Error("Invalid share label");
+  }
+  const x = Number(match[1]);
+  const count = Number(match[2]);
+  if (x < 1 || x > count || count > MAX_SHARES) {
+    throw new Error("Invalid share label");
+  }
+  if (payload.length <= SET_ID_LENGTH + 1 + SECRET_CHECK_LENGTH) {
+    throw new Error("Invalid share length");
+  }
+  const threshold = payload[SET_ID_LENGTH];
+  if (threshold < 2 || threshold > count) {
+    throw new Error("Invalid share threshold");
+  }
+  const setId = Array.from(payload.subarray(0, SET_ID_LENGTH), (b) => b.toString(16).padStart(2, "0")).join("");
+  return { x, count, threshold, setId, y: payload.slice(SET_ID_LENGTH + 1) };
+}
+
+/**
+ * Rebuild a secret from share strings. Needs at least the threshold number of distinct shares from the same
+ * split; extra shares are checked for consistency, and the rebuilt secret is checked against its shared
+ * SHA-256 check.
+ * @param {string[]} shareStrings
+ * @returns {Promise<Uint8Array>}
+ */
+export async function combineShares(shareStrings) {
+  const list = (Array.isArray(shareStrings) ? shareStrings : []).map((s) => String(s || "").trim()).filter(Boolean);
+  if (list.length === 0) {
+    throw new Error("Enter the shares to combine");
+  }
+
+  const shares = [];
+  for (const [i, text] of list.entries()) {
+    try {
+      shares.push(await parseShare(text));
+    } catch (err) {
+      throw new Error(`Share ${i + 1}: ${err.message}`);
+    }
+  }
+
+  const first = shares[0];
+  if (shares.some((s) => s.setId !== first.setId || s.threshold !== first.threshold ||
+    s.count !== first.count || s.y.length !== first.y.length)) {
+    throw new Error("These shares come from different splits");
+  }
+  const seen = new Set();
+  for (const s of shares) {
+    if (seen.has(s.x)) {
+      throw new Error(`Share ${s.x} of ${s.count} was entered twice`);
+    }
+    seen.add(s.x);
+  }
+  if (shares.length < first.threshold) {
+    throw new Error(`Need at least ${first.threshold} of ${first.count} shares; got ${shares.length}`);
+  }
+
+  const points = shares.slice(0, first.threshold);
+  const value = interpolate(points, lagrangeAtZero(points.map((p) => p.x)));
+
+  try {
+    // Any extra shares must lie on the same polynomial
+    for (const extra of shares.slice(first.threshold)) {
+      const xs = points.map((p) => p.x);
+      const basis = xs.map((xi, i) => {
+        let num = 1;
+        let den = 1;
+        xs.forEach((xj, j) => {
+          if (i === j) return;
+          num = gfMul(num, extra.x ^ xj);
+          den = gfMul(den, xi ^ xj);
+        });
+        return gfDiv(num, den);
+      });
+      const expected = interpolate(points, basis);
+      const consistent = expected.every((b, k) => b === extra.y[k]);
+      wipeBytes(expected);
+      if (!consistent) {
+        throw new Error(`Share ${extra.x} of ${extra.count} does not match the others`);
+      }
+    }
+
+    const secret = value.slice(0, value.length - SECRET_CHECK_LENGTH);
+    const check = await secretCheck(secret);
+    if (!check.every((b, i) => b === value[secret.length + i])) {
+      wipeBytes(secret);
+      throw new Error("Combined secret failed its check; a share is damaged");
+    }
+    return secret;
+  } finally {
+    // Hygiene: zeroize share material
+    wipeBytes(value);
+    shares.forEach((s) => wipeBytes(s.y));
+  }
+}
+
+/**
+ * Split UTF-8 text into share strings.
+ * @param {string} text
+ * @param {{threshold:number, shares:number}} opts
+ * @returns {Promise<string[]>}
+ */
+export async function splitText(text, opts = {}) {
+  if (typeof text !== "string" || text.length === 0) {
+    throw new Error("Secret cannot be empty");
+  }
+  const bytes = enc.encode(text);
+  try {
+    return await splitSecret(bytes, opts);
+  } finally {
+    wipeBytes(bytes);
+  }
+}
+
+/**
+ * Rebuild UTF-8 text from share strings.
+ * @param {string[]} shareStrings
+ * @returns {Promise<string>}
+ */
+export async function combineText(shareStrings) {
+  const bytes = await combineShares(shareStrings);
+  try {
+    return dec.decode(bytes);
+  } catch {
+    throw new Error("The combined secret is binary, not text");
+  } finally {
+    wipeBytes(bytes);
+  }
+}
@@ -0,0 +1,288 @@
+// src/sign.js
+// Detached signatures: ECDSA P-256 (SHA-256) and Ed25519 signing keypairs as compact strings, signing and
+// verifying text or files. Signatures cover the exact bytes signed; nothing is stored.
+
+import { wipeBytes } from "./crypto.js";
+import {
+  encodeKeyString,
+  decodeKeyString,
+  fingerprintKey,
+  compressP256,
+  decompressP256,
+} from "./keystring.js";
+import { toBase64Url, fromBase64Url } from "./utils/codec.js";
+
+const enc = new TextEncoder();
+
+export const SIGNATURE_SCHEMES = Object.freeze({
+  ECDSA_P256: "ECDSA-P256",
+  ED25519: "Ed25519"
+});
+
+// Key and signature strings (see keystring.js)
+const VERIFY_PREFIX = "crvk";
+const SIGNING_PREFIX = "crsk";
+const SIGNATURE_PREFIX = "crsig";
+
+const SCHEME_INFO = Object.freeze({
+  "ECDSA-P256": { tag: "p256", publicLength: 33, scalarLength: 32, signatureLength: 64 },
+  Ed25519: { tag: "ed25519", publicLength: 32, scalarLength: 32, signatureLength: 64 }
+});
+
+function ensureWebCrypto() {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error("Web Crypto API not available in this environment");
+  }
+}
+
+function schemeInfo(scheme) {
+  const info = SCHEME_INFO[scheme];
+  if (!info) {
+    throw new Error(`Unsupported signature scheme: ${scheme}`);
+  }
+  return info;
+}
+
+function schemeByTag(tag) {
+  return Object.keys(SCHEME_INFO).find((scheme) => SCHEME_INFO[scheme].tag === tag) || null;
+}
+
+function keyAlgorithm(scheme) {
+  return scheme === SIGNATURE_SCHEMES.ED25519 ? { name: "Ed25519" } : { name: "ECDSA", namedCurve: "P-256" };
+}
+
+function signAlgorithm(scheme) {
+  return scheme === SIGNATURE_SCHEMES.ED25519 ? { name: "Ed25519" } : { name: "ECDSA", hash: "SHA-256" };
+}
+
+// Decode a key or signature string and resolve its scheme tag
+async function decodeSchemeString(prefix, text, what) {
+  const { tag, payload } = await decodeKeyString(prefix, text, what);
+  const scheme = schemeByTag(tag);
+  if (!scheme) {
+    throw new Error(`Unsupported signature scheme in ${what}`);
+  }
+  return { scheme, payload };
+}
+
+async function exportPublic(scheme, key) {
+  const raw = new Uint8Array(await globalThis.crypto.subtle.exportKey("raw", key));
+  return scheme === SIGNATURE_SCHEMES.ECDSA_P256 ? compressP256(raw) : raw;
+}
+
+async function importPublic(scheme, publicBytes) {
+  const raw = scheme === SIGNATURE_SCHEMES.ECDSA_P256 ? decompressP256(publicBytes) : publicBytes;
+  try {
+    return await globalThis.crypto.subtle.importKey("raw", raw, keyAlgorithm(scheme), true, ["verify"]);
+  } catch {
+    throw new Error(`Invalid ${scheme} public key, or ${scheme} is not supported by this browser`);
+  }
+}
+
+/**
+ * Parse and verify a public (verification) key string.
+ * @param {string} text
+ * @returns {Promise<{scheme:string, publicBytes:Uint8Array, key:CryptoKey}>}
+ */
+export async function parseVerifyKey(text) {
+  ensureWebCrypto();
+  const { scheme, payload } = await decodeSchemeString(VERIFY_PREFIX, text, "verification key");
+  if (payload.length !== schemeInfo(scheme).publicLength) {
+    throw new Error("Invalid verification key length");
+  }
+  return { scheme, publicBytes: payload, key: await importPublic(scheme, payload) };
+}
+
+/**
+ * Parse and verify a signing (private) key string. The string embeds the public key, which JWK import needs.
+ * @param {string} text
+ * @returns {Promise<{scheme:string, publicBytes:Uint8Array, key:CryptoKey}>}
+ */
+export async function parseSigningKey(text) {
+  ensureWebCrypto();
+  const { scheme, payload } = await decodeSchemeString(SIGNING_PREFIX, text, "signing key");
+  const info = schemeInfo(scheme);
+  if (payload.length !== info.scalarLength + info.publicLength) {
+    throw new Error("Invalid signing key length");
+  }
+  const d = payload.subarray(0, info.scalarLength);
+  const publicBytes = payload.slice(info.scalarLength);
+
+  let jwk;
+  if (scheme === SIGNATURE_SCHEMES.ECDSA_P256) {
+    const raw = decompressP256(publicBytes);
+    jwk = { kty: "EC", crv: "P-256", x: toBase64Url(raw.subarray(1, 33)), y: toBase64Url(raw.subarray(33)), d: toBase64Url(d) };
+  } else {
+    jwk = { kty: "OKP", crv: "Ed25519", x: toBase64Url(publicBytes), d: toBase64Url(d) };
+  }
+
+  try {
+    const key = await globalThis.crypto.subtle.importKey("jwk", jwk, keyAlgorithm(scheme), false, ["sign"]);
+    return { scheme, publicBytes, key };
+  } catch {
+    throw new Error(`Invalid ${scheme} signing key, or ${scheme} is not supported by this browser`);
+  } finally {
+    // Hygiene: zeroize decoded key material
+    jwk.d = "";
+    wipeBytes(payload);
+  }
+}
+
+/**
+ * Short fingerprint of a verification key for out-of-band comparison.
+ * @param {string} publicKey
+ * @returns {Promise<string>} e.g. "ed25519:3f2a 91c0 7b4e d815"
+ */
+export async function verifyKeyFingerprint(publicKey) {
+  const { scheme, publicBytes } = await parseVerifyKey(publicKey);
+  return fingerprintKey(schemeInfo(scheme).tag, publicBytes);
+}
+
+/**
+ * Generate a signing keypair. The signing key string must be kept secret; the app never stores it.
+ * @param {{scheme?:string}} opts - scheme "ECDSA-P256" (default) or "Ed25519"
+ * @returns {Promise<{scheme:string, publicKey:string, privateKey:string, fingerprint:string}>}
+ */
+export async function generateSigningKeyPair(opts = {}) {
+  ensureWebCrypto();
+  const scheme = opts.scheme || SIGNATURE_SCHEMES.ECDSA_P256;
+  const info = schemeInfo(scheme);
+
+  let pair;
+  try {
+    pair = await globalThis.crypto.subtle.generateKey(keyAlgorithm(scheme), true, ["sign", "verify"]);
+  } catch {
+    throw new Error(`${scheme} is not supported by this browser`);
+  }
+
+  const publicBytes = await exportPublic(scheme, pair.publicKey);
+  const jwk = await globalThis.crypto.subtle.exportKey("jwk", pair.privateKey);
+  const d = fromBase64Url(jwk.d);
+  jwk.d = "";
+
+  const payload = new Uint8Array(info.scalarLength + info.publicLength);
+  payload.set(d, 0);
+  payload.set(publicBytes, info.scalarLength);
+
+  const publicKey = await encodeKeyString(VERIFY_PREFIX, info.tag, publicBytes);
+  const privateKey = await encodeKeyString(SIGNING_PREFIX, info.tag, payload);
+
+  // Hygiene: zeroize private scalar copies
+  wipeBytes(d);
+  wipeBytes(payload);
+
+  return { scheme, publicKey, privateKey, fingerprint: await fingerprintKey(info.tag, publicBytes) };
+}
+
+/**
+ * Produce a detached signature over bytes.
+ * @param {Uint8Array} data
+ * @param {string} privateKey - signing key string
+ * @param {object} opts
+ * @returns {Promise<string>} signature string "crsig-<scheme>-…"
+ */
+export async function signBytes(data, privateKey, opts = {}) {
+  ensureWebCrypto();
+  if (!(data instanceof Uint8Array)) {
+    throw new Error("Input must be bytes");
+  }
+  if (typeof privateKey !== "string" || privateKey.trim() === "") {
+    throw new Error("Signing key cannot be empty");
+  }
+  const { scheme, key } = await parseSigningKey(privateKey);
+  const signature = new Uint8Array(await globalThis.crypto.subtle.sign(signAlgorithm(scheme), key, data));
+  return encodeKeyString(SIGNATURE_PREFIX, schemeInfo(scheme).tag, signature);
+}
+
+/**
+ * Check a detached signature over bytes. Malformed keys or signatures throw; a well-formed signature that
+ * does not match resolves with valid: false.
+ * @param {Uint8Array} data
+ * @param {string} signature - signature string
+ * @param {string} publicKey - verification key string
+ * @param {object} opts
+ * @returns {Promise<{valid:boolean, scheme:string, fingerprint:string}>}
+ */
+export async function verifyBytes(data, signature, publicKey, opts = {}) {
+  ensureWebCrypto();
+  if (!(data instanceof Uint8Array)) {
+    throw new Error("Input must be bytes");
+  }
+  if (typeof signature !== "string" || signature.trim() === "") {
+    throw new Error("Signature cannot be empty");
+  }
+  if (typeof publicKey !== "string" || publicKey.trim() === "") {
+    throw new Error("Verification key cannot be empty");
+  }
+
+  const sig = await decodeSchemeString(SIGNATURE_PREFIX, signature, "signature");
+  const signer = await parseVerifyKey(publicKey);
+  if (sig.scheme !== signer.scheme) {
+    throw new Error(`Signature is ${sig.scheme} but the verification key is ${signer.scheme}`);
+  }
+  if (sig.payload.length !== schemeInfo(sig.scheme).signatureLength) {
+    throw new Error("Invalid signature length");
+  }
+
+  const valid = await globalThis.crypto.subtle.verify(signAlgorithm(signer.scheme), signer.key, sig.payload, data);
+  return {
+    valid,
+    scheme: signer.scheme,
+    fingerprint: await fingerprintKey(schemeInfo(signer.scheme).tag, signer.publicBytes)
+  };
+}
+
+/**
+ * Sign UTF-8 text exactly as given.
+ * @param {string} text
+ * @param {string} privateKey
+ * @param {object} opts
+ * @returns {Promise<string>}
+ */
+export async function signText(text, privateKey, opts = {}) {
+  if (typeof text !== "string" || text.length === 0) {
+    throw new Error("Message cannot be empty");
+  }
+  return signBytes(enc.encode(text), privateKey, opts);
+}
+
+/**
+ * Verify a detached signature over UTF-8 text.
+ * @param {string} text
+ * @param {string} signature
+ * @param {string} publicKey
+ * @param {object} opts
+ * @returns {Promise<{valid:boolean, scheme:string, fingerprint:string}>}
+ */
+export async function verifyText(text, signature, publicKey, opts = {}) {
+  if (typeof text !== "string" || text.length === 0) {
+    throw new Error("Message cannot be empty");
+  }
+  return verifyBytes(enc.encode(text), signature, publicKey, opts);
+}
+
+/**
+ * Sign a file's contents. The file is read into memory, since ECDSA and Ed25519 in Web Crypto
+ * take the whole message at once.
+ * @param {Blob} file
+ * @param {string} privateKey
+ * @param {object} opts
+ * @returns {Promise<string>}
+ */
+export async function signFile(file, privateKey, opts = {}) {
+  const data = new Uint8Array(await file.arrayBuffer());
+  return signBytes(data, privateKey, opts);
+}
+
+/**
+ * Verify a detached signature over a file's contents.
+ * @param {Blob} file
+ * @param {string} signature
+ * @param {string} publicKey
+ * @param {object} opts
+ * @returns {Promise<{valid:boolean, scheme:string, fingerprint:string}>}
+ */
+export async function verifyFile(file, signature, publicKey, opts = {}) {
+  const data = new Uint8Array(await file.arrayBuffer());
+  return verifyBytes(data, signature, publicKey, opts);
+}
@@ -0,0 +1,411 @@
+// src/stream.js
+// Chunked, authenticated streaming format for large files (per-chunk AES-GCM, PBKDF2-SHA256, Argon2id or scrypt key).
+// Input is consumed as a ReadableStream and output is produced as one; only a chunk or two is ever in memory.
+//
+// Layout (all integers big-endian):
+//   header  = magic "CRS1" | version u8 | [flags u8] | kdfId u8 | kdfParamsLen u8 | kdfParams (as in src/envelope.js)
+//             | keyLength u8 | saltLength u8 | salt | chunkSize u32 | noncePrefix (7 bytes)
+// Version 2 adds the flags byte (KEYFILE: a keyfile was mixed into the key derivation). Streams without flags
+// are still written as version 1, which earlier releases read.
+//   record  = length u32 | AES-GCM ciphertext + 16-byte tag
+// Record 0 carries the original file name; records 1..n carry the data. Each record's 12-byte nonce is
+// noncePrefix | counter u32 | finalFlag u8, and the header is authenticated as additional data, so
+// reordered, truncated, extended or header-tampered streams fail to decrypt.
+
+import { DEFAULTS, deriveKey, resolveKdf, randomBytes, wipeBytes } from "./crypto.js";
+import { encodeKdfParams, decodeKdfParams } from "./envelope.js";
+import { FormatError, ParameterError, KeyfileError, AuthenticationError } from "./errors.js";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder("utf-8");
+
+const STREAM_MAGIC = Uint8Array.from([0x43, 0x52, 0x53, 0x31]); // "CRS1"
+const STREAM_VERSION = 1;
+const STREAM_VERSION_FLAGS = 2;
+const STREAM_FLAGS = Object.freeze({ KEYFILE: 0x01 });
+const NONCE_PREFIX_LEN = 7;
+const TAG_LEN = 16;
+const MAX_NAME_BYTES = 1024;
+const MAX_COUNTER = 0xffffffff;
+
+export const STREAM_DEFAULTS = Object.freeze({
+  chunkSize: 1024 * 1024, // 1 MiB of plaintext per record
+  minChunkSize: 16 * 1024,
+  maxChunkSize: 16 * 1024 * 1024
+});
+
+/**
+ * True if the bytes start with the streaming format magic.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isStreamFormat(bytes) {
+  return bytes instanceof Uint8Array &&
+    bytes.length >= STREAM_MAGIC.length &&
+    STREAM_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+function writeU32(out, offset, value) {
+  out[offset] = (value >>> 24) & 0xff;
+  out[offset + 1] = (value >>> 16) & 0xff;
+  out[offset + 2] = (value >>> 8) & 0xff;
+  out[offset + 3] = value & 0xff;
+}
+
+function readU32(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+/**
+ * Serialize the stream header.
+ * @returns {Uint8Array}
+ */
+function buildHeader({ kdf, keyLength, salt, chunkSize, noncePrefix, flags }) {
+  const { id: kdfId, params: kdfParams } = encodeKdfParams(kdf);
+
+  const flagsLength = flags ? 1 : 0;
+  const out = new Uint8Array(4 + 3 + flagsLength + kdfParams.length + 2 + salt.length + 4 + NONCE_PREFIX_LEN);
+  let o = 0;
+  out.set(STREAM_MAGIC, o); o += 4;
+  if (flags) {
+    out[o++] = STREAM_VERSION_FLAGS;
+    out[o++] = flags;
+  } else {
+    out[o++] = STREAM_VERSION;
+  }
+  out[o++] = kdfId;
+  out[o++] = kdfParams.length;
+  out.set(kdfParams, o); o += kdfParams.length;
+  out[o++] = keyLength;
+  out[o++] = salt.length;
+  out.set(salt, o); o += salt.length;
+  writeU32(out, o, chunkSize); o += 4;
+  out.set(noncePrefix, o);
+  return out;
+}
+
+function chunkNonce(noncePrefix, counter, isFinal) {
+  if (counter > MAX_COUNTER) {
+    throw new Error("Stream too long: chunk counter exhausted");
+  }
+  const nonce = new Uint8Array(12);
+  nonce.set(noncePrefix, 0);
+  writeU32(nonce, NONCE_PREFIX_LEN, counter);
+  nonce[11] = isFinal ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Wrap a ReadableStream in a reader that can return exact byte counts.
+ * @param {ReadableStream<Uint8Array>} stream
+ */
+function createByteReader(stream) {
+  const reader = stream.getReader();
+  let buffered = [];
+  let bufferedLen = 0;
+  let done = false;
+
+  async function fill(n) {
+    while (bufferedLen < n && !done) {
+      const { value, done: isDone } = await reader.read();
+      if (isDone) {
+        done = true;
+      } else if (value && value.length) {
+        const bytes = value instanceof Uint8Array ? value : new Uint8Array(value);
+        buffered.push(bytes);
+        bufferedLen += bytes.length;
+      }
+    }
+  }
+
+  function take(n) {
+    const out = new Uint8Array(n);
+    let o = 0;
+    while (o < n) {
+      const head = buffered[0];
+      const need = n - o;
+      if (head.length <= need) {
+        out.set(head, o);
+        o += head.length;
+        buffered.shift();
+      } else {
+        out.set(head.subarray(0, need), o);
+        buffered[0] = head.subarray(need);
+        o += need;
+      }
+    }
+    bufferedLen -= n;
+    return out;
+  }
+
+  return {
+    /** Read up to n bytes; fewer only at end of stream. */
+    async read(n) {
+      await fill(n);
+      return take(Math.min(n, bufferedLen));
+    },
+    /** Read exactly n bytes or throw. */
+    async readExactly(n, what) {
+      await fill(n);
+      if (bufferedLen < n) {
+        throw new FormatError(`Encrypted stream is truncated (${what})`);
+      }
+      return take(n);
+    },
+    /** True once the source is exhausted and nothing is buffered. */
+    async atEnd() {
+      await fill(1);
+      return bufferedLen === 0;
+    },
+    cancel() {
+      buffered = [];
+      bufferedLen = 0;
+      return reader.cancel().catch(() => {});
+    }
+  };
+}
+
+/**
+ * Turn an async generator of byte chunks into a ReadableStream.
+ * @param {AsyncGenerator<Uint8Array>} gen
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function toReadableStream(gen) {
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await gen.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (err) {
+        controller.error(err);
+      }
+    },
+    async cancel() {
+      await gen.return();
+    }
+  });
+}
+
+async function sealRecord(key, header, noncePrefix, counter, isFinal, plaintext) {
+  const iv = chunkNonce(noncePrefix, counter, isFinal);
+  const buf = await globalThis.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: header, tagLength: 128 },
+    key,
+    plaintext
+  );
+  const sealed = new Uint8Array(buf);
+  const record = new Uint8Array(4 + sealed.length);
+  writeU32(record, 0, sealed.length);
+  record.set(sealed, 4);
+  return record;
+}
+
+async function openRecord(key, header, noncePrefix, counter, isFinal, sealed) {
+  const iv = chunkNonce(noncePrefix, counter, isFinal);
+  const buf = await globalThis.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv, additionalData: header, tagLength: 128 },
+    key,
+    sealed
+  );
+  return new Uint8Array(buf);
+}
+
+/**
+ * Encrypt a byte stream into the chunked format.
+ * Key derivation happens before this resolves, so parameter errors surface immediately.
+ * @param {ReadableStream<Uint8Array>} source
+ * @param {string} password
+ * @param {{name?:string, size?:number, keyLength?:number, saltLength?:number, chunkSize?:number,
+ *          kdf?:string, iterations?:number, memory?:number, time?:number, parallelism?:number,
+ *          keyfile?:Uint8Array, onProgress?:(done:number, total:number)=>void}} opts - keyfile: see hashKeyfile
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function encryptStream(source, password, opts = {}) {
+  const kdf = resolveKdf(opts);
+  const keyLength = Number(opts.keyLength || DEFAULTS.keyLength);
+  const saltLength = Number(opts.saltLength || DEFAULTS.saltLength);
+  const chunkSize = Number(opts.chunkSize || STREAM_DEFAULTS.chunkSize);
+  const total = Number(opts.size) || 0;
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+
+  if (!source || typeof source.getReader !== "function") {
+    throw new Error("Input must be a ReadableStream");
+  }
+  if (password instanceof Uint8Array) {
+    throw new Error(".crcrypt files are password-based; raw keys are for text envelopes");
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize < STREAM_DEFAULTS.minChunkSize || chunkSize > STREAM_DEFAULTS.maxChunkSize) {
+    throw new Error("Chunk size must be between 16 KiB and 16 MiB");
+  }
+  if (!Number.isInteger(saltLength) || saltLength < 16 || saltLength > 64) {
+    throw new Error("Salt length must be between 16 and 64 bytes");
+  }
+
+  const salt = randomBytes(saltLength);
+  const noncePrefix = randomBytes(NONCE_PREFIX_LEN);
+  const keyfile = opts.keyfile || undefined;
+  const key = await deriveKey(password, salt, kdf, keyLength, "AES-GCM", undefined, keyfile);
+  const header = buildHeader({ kdf, keyLength, salt, chunkSize, noncePrefix, flags: keyfile ? STREAM_FLAGS.KEYFILE : 0 });
+
+  let nameBytes = enc.encode(opts.name || "");
+  if (nameBytes.length > MAX_NAME_BYTES) nameBytes = nameBytes.slice(0, MAX_NAME_BYTES);
+
+  const input = createByteReader(source);
+
+  async function* records() {
+    try {
+      yield header.slice();
+      yield await sealRecord(key, header, noncePrefix, 0, false, nameBytes);
+
+      let counter = 1;
+      let processed = 0;
+      let pending = await input.read(chunkSize);
+      onProgress(0, total);
+      while (true) {
+        const isFinal = await input.atEnd();
+        const record = await sealRecord(key, header, noncePrefix, counter, isFinal, pending);
+        processed += pending.length;
+        // Hygiene: zeroize plaintext chunk once sealed
+        wipeBytes(pending);
+        onProgress(processed, total);
+        yield record;
+        if (isFinal) break;
+        counter += 1;
+        pending = await input.read(chunkSize);
+      }
+    } finally {
+      await input.cancel();
+    }
+  }
+
+  return toReadableStream(records());
+}
+
+/**
+ * Decrypt a chunked-format byte stream.
+ * Resolves once the header and file name record are authenticated (so a wrong password fails
+ * before any output is produced); the returned stream errors if later records are tampered or missing.
+ * @param {ReadableStream<Uint8Array>} source
+ * @param {string} password
+ * @param {{size?:number, keyfile?:Uint8Array, onProgress?:(done:number, total:number)=>void}} opts
+ * @returns {Promise<{name:string, stream:ReadableStream<Uint8Array>}>}
+ */
+export async function decryptStream(source, password, opts = {}) {
+  const total = Number(opts.size) || 0;
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+
+  if (!source || typeof source.getReader !== "function") {
+    throw new Error("Input must be a ReadableStream");
+  }
+  if (password instanceof Uint8Array) {
+    throw new Error(".crcrypt files are password-based; raw keys are for text envelopes");
+  }
+
+  const input = createByteReader(source);
+  let header;
+  let key;
+  let noncePrefix;
+  let chunkSize;
+  let name;
+  let consumedBase;
+
+  try {
+    // Parse header
+    const magic = await input.readExactly(5, "header");
+    if (!isStreamFormat(magic)) {
+      throw new FormatError("Not a CRCrypt stream");
+    }
+    if (magic[4] !== STREAM_VERSION && magic[4] !== STREAM_VERSION_FLAGS) {
+      throw new ParameterError(`Unsupported stream version ${magic[4]}`);
+    }
+    const flags = magic[4] === STREAM_VERSION_FLAGS ? await input.readExactly(1, "header") : new Uint8Array(0);
+    const flagBits = flags.length ? flags[0] : 0;
+    if (flagBits & ~STREAM_FLAGS.KEYFILE) {
+      throw new ParameterError("The file uses stream features this version doesn't support");
+    }
+    if ((flagBits & STREAM_FLAGS.KEYFILE) && !opts.keyfile) {
+      throw new KeyfileError("This file needs its keyfile as well as the password");
+    }
+    const kdfHead = await input.readExactly(2, "header");
+    const kdfParams = await input.readExactly(kdfHead[1], "header");
+    const kdf = decodeKdfParams(kdfHead[0], kdfParams);
+    const lens = await input.readExactly(2, "header");
+    const keyLength = lens[0];
+    const salt = await input.readExactly(lens[1], "header");
+    const tail = await input.readExactly(4 + NONCE_PREFIX_LEN, "header");
+    chunkSize = readU32(tail, 0);
+    noncePrefix = tail.slice(4);
+
+    if (salt.length < 16 || chunkSize < STREAM_DEFAULTS.minChunkSize || chunkSize > STREAM_DEFAULTS.maxChunkSize) {
+      throw new FormatError("Invalid stream header");
+    }
+
+    const parts = [magic, flags, kdfHead, kdfParams, lens, salt, tail];
+    header = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let o = 0;
+    for (const part of parts) {
+      header.set(part, o);
+      o += part.length;
+    }
+
+    const keyfile = flagBits & STREAM_FLAGS.KEYFILE ? opts.keyfile : undefined;
+    key = await deriveKey(password, salt, kdf, keyLength, "AES-GCM", undefined, keyfile);
+
+    // Record 0: file name. Authenticates the password before any output is produced.
+    const nameLen = readU32(await input.readExactly(4, "name record"), 0);
+    if (nameLen < TAG_LEN || nameLen > MAX_NAME_BYTES + TAG_LEN) {
+      throw new FormatError("Invalid stream header");
+    }
+    const sealedName = await input.readExactly(nameLen, "name record");
+    try {
+      name = dec.decode(await openRecord(key, header, noncePrefix, 0, false, sealedName));
+    } catch {
+      throw new AuthenticationError();
+    }
+    consumedBase = header.length + 4 + nameLen;
+  } catch (err) {
+    await input.cancel();
+    throw err;
+  }
+
+  async function* records() {
+    try {
+      let counter = 1;
+      let processed = consumedBase;
+      onProgress(processed, total);
+      while (true) {
+        const len = readU32(await input.readExactly(4, "record length"), 0);
+        if (len < TAG_LEN || len > chunkSize + TAG_LEN) {
+          throw new FormatError("Encrypted stream is corrupted (bad record length)");
+        }
+        const sealed = await input.readExactly(len, "record");
+        const isFinal = await input.atEnd();
+        let plain;
+        try {
+          plain = await openRecord(key, header, noncePrefix, counter, isFinal, sealed);
+        } catch {
+          // Either tampered data, reordered records, or a stream cut off at a record boundary
+          throw new AuthenticationError(isFinal
+            ? "Encrypted stream is truncated or corrupted"
+            : "Encrypted stream is corrupted or reordered");
+        }
+        processed += 4 + len;
+        onProgress(processed, total);
+        yield plain;
+        if (isFinal) break;
+        counter += 1;
+        if (counter > MAX_COUNTER) {
+          throw new Error("Stream too long: chunk counter exhausted");
+        }
+      }
+    } finally {
+      await input.cancel();
+    }
+  }
+
+  return { name, stream: toReadableStream(records()) };
+}
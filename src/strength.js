@@ -0,0 +1,605 @@
+// src/strength.js
+// Password strength estimation in the spirit of zxcvbn: the password is covered by the cheapest run of guessable
+// patterns (common passwords, dictionary words, leetspeak, keyboard walks, sequences, repeats, dates), and the
+// product of their guess counts estimates how many tries an attacker who knows those patterns needs.
+
+import { WORDLIST } from "./wordlist.js";
+
+// Most common leaked passwords, most frequent first; the rank is the guess count
+const COMMON_PASSWORDS = `
+password 123456 123456789 qwerty 12345678 111111 1234567890 1234567 iloveyou 000000 abc123 password1 123123
+admin letmein welcome monkey dragon 654321 sunshine princess football baseball master shadow michael superman
+qwertyuiop 666666 121212 trustno1 starwars whatever charlie jordan freedom passw0rd hello login secret
+computer tigger soccer jessica ashley daniel babygirl lovely nicole michelle jennifer hunter buster pepper
+batman thomas robert andrew joshua hannah amanda ginger summer flower cookie killer matrix yankees maggie
+chocolate butterfly purple angel liverpool justin loveme friends chelsea family forever george samantha
+mustang access hockey ranger harley orange banana cheese internet corvette silver taylor anthony matthew
+dallas austin thunder pokemon naruto asdfgh zxcvbn qazwsx changeme default guest test crcrypt abcdef
+`.trim().split(/\s+/);
+
+// Patterns are searched in chunks of this many characters; past MAX_LOG2 bits the rest is not examined
+const CHUNK_LENGTH = 100;
+const MAX_LOG2 = 256;
+const MIN_WORD_LENGTH = 3;
+const MIN_GUESSES_SINGLE_CHAR = 10;
+const MIN_GUESSES_MULTI_CHAR = 50;
+// Every extra pattern in the cover costs at least this factor, so long runs of tiny matches don't look cheap
+const MIN_GUESSES_PER_EXTRA_MATCH = 10000;
+const MIN_YEAR_SPACE = 20;
+const REFERENCE_YEAR = new Date().getFullYear();
+const SEPARATOR_GUESSES = 33;
+
+// PBKDF2-HMAC-SHA256 iterations per second for an offline attacker with a few current GPUs
+export const OFFLINE_ITERATIONS_PER_SECOND = 1e10;
+
+export const STRENGTH_LABELS = Object.freeze(["Weak", "Fair", "Good", "Strong", "Very Strong"]);
+// log10 of the guesses needed for scores 1-4
+const SCORE_THRESHOLDS = [8, 11, 14, 18];
+
+const RANKED = new Map();
+COMMON_PASSWORDS.forEach((word, i) => {
+  if (!RANKED.has(word)) RANKED.set(word, { rank: i + 1, common: true });
+});
+for (const word of WORDLIST) {
+  if (!RANKED.has(word)) RANKED.set(word, { rank: WORDLIST.length, common: false });
+}
+const MAX_WORD_LENGTH = Math.max(...Array.from(RANKED.keys(), (word) => word.length));
+
+const LEET = {
+  a: "4@", b: "8", c: "({[<", e: "3", g: "69", i: "1!|", l: "1|7", o: "0", s: "$5", t: "+7", x: "%", z: "2"
+};
+const UNLEET = new Map();
+for (const [letter, chars] of Object.entries(LEET)) {
+  for (const ch of chars) UNLEET.set(ch, (UNLEET.get(ch) || "") + letter);
+}
+const MAX_LEET_CANDIDATES = 32;
+
+// Keyboard layouts: [unshifted row, shifted row, horizontal offset of the first key in key widths]
+const QWERTY_ROWS = [
+  ["`1234567890-=", "~!@#$%^&*()_+", 0],
+  ["qwertyuiop[]\\", "QWERTYUIOP{}|", 1.5],
+  ["asdfghjkl;'", "ASDFGHJKL:\"", 1.75],
+  ["zxcvbnm,./", "ZXCVBNM<>?", 2.25]
+];
+const KEYPAD_ROWS = [
+  ["/*-", "", 1],
+  ["789", "", 0],
+  ["456", "", 0],
+  ["123", "", 0],
+  ["0.", "", 0.5]
+];
+
+function keyboardGraph(rows) {
+  const keys = new Map();
+  const positions = [];
+  rows.forEach(([plain, shifted, offset], row) => {
+    Array.from(plain).forEach((ch, col) => {
+      const position = { row, x: offset + col };
+      positions.push(position);
+      keys.set(ch, { position, shifted: false });
+      if (shifted[col]) keys.set(shifted[col], { position, shifted: true });
+    });
+  });
+  let edges = 0;
+  for (const a of positions) {
+    for (const b of positions) {
+      if (a !== b && adjacent(a, b)) edges++;
+    }
+  }
+  return { keys, starts: positions.length, degree: edges / positions.length };
+}
+
+function adjacent(a, b) {
+  return Math.abs(a.row - b.row) <= 1 && Math.abs(a.x - b.x) <= 1;
+}
+
+const GRAPHS = [
+  { name: "qwerty", ...keyboardGraph(QWERTY_ROWS) },
+  { name: "keypad", ...keyboardGraph(KEYPAD_ROWS) }
+];
+
+// ── Combinatorics ──
+
+function nCk(n, k) {
+  if (k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+}
+
+function log2Factorial(n) {
+  let result = 0;
+  for (let i = 2; i <= n; i++) result += Math.log2(i);
+  return result;
+}
+
+// log2(2^a + 2^b)
+function log2Add(a, b) {
+  const hi = Math.max(a, b);
+  return hi + Math.log2(1 + 2 ** (Math.min(a, b) - hi));
+}
+
+// Ways to place the U uppercase letters among the token's letters (first-letter and all-caps count as 2)
+function uppercaseVariations(token) {
+  if (!/[A-Z]/.test(token)) return 1;
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || !/[a-z]/.test(token)) return 2;
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) variations += nCk(upper + lower, i);
+  return variations;
+}
+
+function leetVariations(token, subs) {
+  const lower = token.toLowerCase();
+  let variations = 1;
+  for (const [ch, letter] of subs) {
+    const subbed = lower.split(ch).length - 1;
+    const unsubbed = lower.split(letter).length - 1;
+    if (unsubbed === 0) {
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(subbed, unsubbed); i++) possibilities += nCk(subbed + unsubbed, i);
+      variations *= possibilities;
+    }
+  }
+  return variations;
+}
+
+// ── Matchers ──
+// Each returns {pattern, i, j, token, guesses, ...} with the token at password.slice(i, j)
+
+function dictionaryMatches(password) {
+  const lower = password.replace(/[A-Z]/g, (c) => c.toLowerCase());
+  const out = [];
+  const add = (i, j, word, extra = {}) => {
+    const { rank, common } = RANKED.get(word);
+    const token = password.slice(i, j);
+    let guesses = rank * uppercaseVariations(token);
+    if (extra.reversed) guesses *= 2;
+    if (extra.subs) guesses *= leetVariations(token, extra.subs);
+    out.push({ pattern: "dictionary", i, j, token, guesses, word, rank, common, ...extra });
+  };
+
+  for (let i = 0; i < lower.length; i++) {
+    for (let j = i + MIN_WORD_LENGTH; j <= Math.min(lower.length, i + MAX_WORD_LENGTH); j++) {
+      const token = lower.slice(i, j);
+      if (RANKED.has(token)) add(i, j, token);
+
+      const reversed = Array.from(token).reverse().join("");
+      if (token.length > MIN_WORD_LENGTH && reversed !== token && RANKED.has(reversed)) {
+        add(i, j, reversed, { reversed: true });
+      }
+
+      for (const { word, subs } of unleet(token)) {
+        if (RANKED.has(word)) add(i, j, word, { leet: true, subs });
+      }
+    }
+  }
+  return out;
+}
+
+// Candidate plain spellings of a token with leetspeak characters in it
+function unleet(token) {
+  if (!Array.from(token).some((ch) => UNLEET.has(ch))) return [];
+  let candidates = [{ word: "", subs: new Map() }];
+  for (const ch of token) {
+    const letters = UNLEET.get(ch);
+    if (!letters) {
+      candidates.forEach((c) => { c.word += ch; });
+      continue;
+    }
+    const next = [];
+    for (const c of candidates) {
+      for (const letter of letters) {
+        const existing = c.subs.get(ch);
+        if (existing && existing !== letter) continue;
+        if (next.length < MAX_LEET_CANDIDATES) {
+          next.push({ word: c.word + letter, subs: new Map(c.subs).set(ch, letter) });
+        }
+      }
+    }
+    candidates = next;
+  }
+  return candidates;
+}
+
+function charClass(ch) {
+  if (ch >= "a" && ch <= "z") return "lower";
+  if (ch >= "A" && ch <= "Z") return "upper";
+  if (ch >= "0" && ch <= "9") return "digit";
+  return null;
+}
+
+// abc, 4321, xyz: runs that step by one through letters or digits
+function sequenceMatches(password) {
+  const out = [];
+  let i = 0;
+  while (i < password.length - 1) {
+    const cls = charClass(password[i]);
+    const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+    let j = i + 1;
+    if (cls && Math.abs(delta) === 1) {
+      while (
+        j < password.length &&
+        charClass(password[j]) === cls &&
+        password.charCodeAt(j) - password.charCodeAt(j - 1) === delta
+      ) {
+        j++;
+      }
+    }
+    if (j - i >= 3) {
+      const token = password.slice(i, j);
+      const base = "aAzZ019".includes(token[0]) ? 4 : cls === "digit" ? 10 : 26;
+      out.push({
+        pattern: "sequence", i, j, token,
+        guesses: base * token.length * (delta < 0 ? 2 : 1), ascending: delta > 0
+      });
+      i = j - 1;
+    } else {
+      i++;
+    }
+  }
+  return out;
+}
+
+// qwerty, asdf, 7896: each key next to the previous one on a keyboard or keypad
+function spatialMatches(password) {
+  const out = [];
+  for (const graph of GRAPHS) {
+    let i = 0;
+    while (i < password.length - 2) {
+      let j = i + 1;
+      let turns = 0;
+      let direction = null;
+      while (j < password.length) {
+        const a = graph.keys.get(password[j - 1]);
+        const b = graph.keys.get(password[j]);
+        if (!a || !b || a.position === b.position || !adjacent(a.position, b.position)) break;
+        const next = `${b.position.row - a.position.row},${Math.sign(b.position.x - a.position.x)}`;
+        if (next !== direction) {
+          turns++;
+          direction = next;
+        }
+        j++;
+      }
+      if (j - i >= 3) {
+        const token = password.slice(i, j);
+        out.push({ pattern: "spatial", i, j, token, graph: graph.name, turns, guesses: spatialGuesses(token, turns, graph) });
+        i = j;
+      } else {
+        i++;
+      }
+    }
+  }
+  return out;
+}
+
+function spatialGuesses(token, turns, graph) {
+  const length = token.length;
+  let guesses = 0;
+  for (let i = 2; i <= length; i++) {
+    for (let j = 1; j <= Math.min(turns, i - 1); j++) {
+      guesses += nCk(i - 1, j - 1) * graph.starts * graph.degree ** j;
+    }
+  }
+  const shifted = Array.from(token).filter((ch) => graph.keys.get(ch).shifted).length;
+  if (shifted > 0) {
+    const unshifted = length - shifted;
+    if (unshifted === 0) {
+      guesses *= 2;
+    } else {
+      let variations = 0;
+      for (let i = 1; i <= Math.min(shifted, unshifted); i++) variations += nCk(shifted + unshifted, i);
+      guesses *= variations;
+    }
+  }
+  return guesses;
+}
+
+// aaa, abcabc: a unit repeated back to back, costed as the unit times the repeat count
+function repeatMatches(password, memo) {
+  const out = [];
+  for (let i = 0; i < password.length - 1; i++) {
+    let shortest = null;
+    let longest = null;
+    for (let unit = 1; i + unit * 2 <= password.length; unit++) {
+      const base = password.slice(i, i + unit);
+      let count = 1;
+      while (password.startsWith(base, i + unit * count)) count++;
+      if (count < 2) continue;
+      const found = { base, count, end: i + unit * count };
+      if (!shortest) shortest = found;
+      if (!longest || found.end > longest.end) longest = found;
+    }
+    for (const found of new Set([shortest, longest])) {
+      if (!found) continue;
+      const { guesses } = analyze(found.base, memo);
+      out.push({
+        pattern: "repeat", i, j: found.end, token: password.slice(i, found.end),
+        base: found.base, count: found.count, guesses: guesses * found.count
+      });
+    }
+  }
+  return out;
+}
+
+function yearGuesses(year) {
+  return Math.max(Math.abs(year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+}
+
+function expandYear(text) {
+  const value = Number(text);
+  if (text.length === 4) return value >= 1900 && value <= 2099 ? value : null;
+  if (text.length === 2) return value > 50 ? 1900 + value : 2000 + value;
+  return null;
+}
+
+// Day, month and year in any of the usual orders, or null
+function readDate(parts) {
+  // Indexes of [day, month, year] in parts for y-m-d, d-m-y, m-d-y and y-d-m
+  const orders = [[2, 1, 0], [0, 1, 2], [1, 0, 2], [1, 2, 0]];
+  let best = null;
+  for (const [d, m, y] of orders) {
+    const year = expandYear(parts[y]);
+    const day = Number(parts[d]);
+    const month = Number(parts[m]);
+    if (year === null || parts[d].length > 2 || parts[m].length > 2) continue;
+    if (day < 1 || day > 31 || month < 1 || month > 12) continue;
+    if (best === null || yearGuesses(year) < yearGuesses(best)) best = year;
+  }
+  return best;
+}
+
+// 1987, 24.12.1990, 19900612, 6/12/90
+function dateMatches(password) {
+  const out = [];
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 4; j <= Math.min(password.length, i + 10); j++) {
+      const token = password.slice(i, j);
+      if (/^\d{4}$/.test(token) && expandYear(token) !== null) {
+        out.push({ pattern: "year", i, j, token, guesses: yearGuesses(Number(token)) });
+      }
+
+      let year = null;
+      let separated = false;
+      const withSeparator = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+      if (withSeparator) {
+        year = readDate([withSeparator[1], withSeparator[3], withSeparator[4]]);
+        separated = true;
+      } else if (/^\d{4,8}$/.test(token)) {
+        for (let a = 1; a < token.length - 1 && year === null; a++) {
+          for (let b = a + 1; b < token.length && year === null; b++) {
+            year = readDate([token.slice(0, a), token.slice(a, b), token.slice(b)]);
+          }
+        }
+      }
+      if (year !== null) {
+        out.push({ pattern: "date", i, j, token, year, guesses: 365 * yearGuesses(year) * (separated ? 4 : 1) });
+      }
+    }
+  }
+  return out;
+}
+
+// ── Search ──
+
+const CLASS_SIZES = { lower: 26, upper: 26, digit: 10, symbol: 33, other: 100 };
+
+function bruteforceClass(ch) {
+  return charClass(ch) || (ch >= " " && ch <= "~" ? "symbol" : "other");
+}
+
+// Cheapest cover of the password by matches and brute-forced spans, minimising
+// l! · Π guesses + MIN_GUESSES_PER_EXTRA_MATCH^(l-1) over the number of pieces l
+function analyze(password, memo) {
+  if (memo.has(password)) return memo.get(password);
+  const n = password.length;
+  if (n === 0) return { log2: 0, guesses: 1, sequence: [] };
+
+  const byEnd = Array.from({ length: n + 1 }, () => []);
+  const matches = [
+    ...dictionaryMatches(password),
+    ...sequenceMatches(password),
+    ...spatialMatches(password),
+    ...repeatMatches(password, memo),
+    ...dateMatches(password)
+  ];
+  for (const match of matches) {
+    if (match.j - match.i < n) {
+      match.guesses = Math.max(match.guesses, match.j - match.i === 1 ? MIN_GUESSES_SINGLE_CHAR : MIN_GUESSES_MULTI_CHAR);
+    }
+    match.log2 = Math.log2(match.guesses);
+    byEnd[match.j].push(match);
+  }
+
+  // Prefix counts per character class, for the alphabet size of any brute-forced span
+  const classes = Object.keys(CLASS_SIZES);
+  const prefix = classes.map(() => new Uint16Array(n + 1));
+  for (let k = 0; k < n; k++) {
+    const cls = bruteforceClass(password[k]);
+    classes.forEach((c, ci) => { prefix[ci][k + 1] = prefix[ci][k] + (c === cls ? 1 : 0); });
+  }
+  const bruteforce = (i, j) => {
+    let cardinality = 0;
+    classes.forEach((c, ci) => {
+      if (prefix[ci][j] > prefix[ci][i]) cardinality += CLASS_SIZES[c];
+    });
+    return { pattern: "bruteforce", i, j, token: password.slice(i, j), log2: (j - i) * Math.log2(cardinality) };
+  };
+
+  // best[j]: pieces count → cheapest {log2, match, prev} covering password.slice(0, j)
+  const best = Array.from({ length: n + 1 }, () => new Map());
+  best[0].set(0, { log2: 0 });
+  for (let j = 1; j <= n; j++) {
+    const candidates = byEnd[j].slice();
+    for (let i = 0; i < j; i++) candidates.push(bruteforce(i, j));
+    for (const match of candidates) {
+      for (const [count, entry] of best[match.i]) {
+        const log2 = entry.log2 + match.log2;
+        const current = best[j].get(count + 1);
+        if (!current || log2 < current.log2) best[j].set(count + 1, { log2, match, prev: count });
+      }
+    }
+  }
+
+  let result = null;
+  for (const [count, entry] of best[n]) {
+    const log2 = log2Add(log2Factorial(count) + entry.log2, (count - 1) * Math.log2(MIN_GUESSES_PER_EXTRA_MATCH));
+    if (!result || log2 < result.log2) result = { log2, count };
+  }
+  const sequence = [];
+  for (let j = n, count = result.count; j > 0;) {
+    const entry = best[j].get(count);
+    sequence.unshift(entry.match);
+    j = entry.match.i;
+    count = entry.prev;
+  }
+  const analysis = { log2: result.log2, guesses: 2 ** result.log2, sequence };
+  memo.set(password, analysis);
+  return analysis;
+}
+
+// A passphrase with one consistent separator is costed word by word plus one guess at the separator
+function analyzeSeparated(password, memo) {
+  let best = analyze(password, memo);
+  const separators = new Set(password.match(/[^A-Za-z0-9]/g) || []);
+  for (const separator of separators) {
+    const parts = password.split(separator);
+    if (parts.length < 2 || parts.includes("")) continue;
+    const analyses = parts.map((part) => analyze(part, memo));
+    const log2 = Math.log2(SEPARATOR_GUESSES) + analyses.reduce((sum, a) => sum + a.log2, 0);
+    if (log2 < best.log2) best = { log2, sequence: analyses.flatMap((a) => a.sequence) };
+  }
+  return best;
+}
+
+// ── Feedback ──
+
+function feedbackFor(score, sequence) {
+  if (score >= 3) return { warning: "", suggestions: [] };
+  const suggestions = ["Add another word or two; uncommon words are better"];
+  const patterns = sequence.filter((m) => m.pattern !== "bruteforce");
+  if (patterns.length === 0) {
+    return { warning: "", suggestions: ["Use a few words and avoid common phrases", ...suggestions] };
+  }
+  const longest = patterns.reduce((a, b) => (b.token.length > a.token.length ? b : a));
+  let warning = "";
+  switch (longest.pattern) {
+    case "dictionary":
+      if (longest.common) {
+        warning = longest.rank <= 10 ? "This is a top-10 common password" : "This is a very common password";
+      } else if (sequence.length === 1) {
+        warning = "A single word is easy to guess";
+      }
+      if (/^[A-Z][^A-Z]+$/.test(longest.token)) suggestions.push("Capitalizing the first letter doesn't help much");
+      else if (!/[a-z]/.test(longest.token) && /[A-Z]/.test(longest.token)) suggestions.push("All-uppercase is almost as easy to guess as all-lowercase");
+      if (longest.reversed) suggestions.push("Reversed words aren't much harder to guess");
+      if (longest.leet) suggestions.push("Predictable substitutions like '@' instead of 'a' don't help much");
+      break;
+    case "spatial":
+      warning = longest.turns === 1 ? "Straight rows of keys are easy to guess" : "Short keyboard patterns are easy to guess";
+      suggestions.push("Use a longer keyboard pattern with more turns");
+      break;
+    case "repeat":
+      warning = longest.base.length === 1
+        ? "Repeats like \"aaa\" are easy to guess"
+        : "Repeats like \"abcabc\" are only slightly harder to guess than \"abc\"";
+      suggestions.push("Avoid repeated words and characters");
+      break;
+    case "sequence":
+      warning = "Sequences like abc or 6543 are easy to guess";
+      suggestions.push("Avoid sequences");
+      break;
+    case "year":
+      warning = "Recent years are easy to guess";
+      suggestions.push("Avoid years that are associated with you");
+      break;
+    case "date":
+      warning = "Dates are often easy to guess";
+      suggestions.push("Avoid dates and years that are associated with you");
+      break;
+  }
+  return { warning, suggestions };
+}
+
+/**
+ * Estimate how many guesses an attacker needs for a password.
+ * Long passwords are searched for patterns 100 characters at a time.
+ * @param {string} password
+ * @returns {{guesses:number, log2:number, score:number, label:string, sequence:object[],
+ *   feedback:{warning:string, suggestions:string[]}}} score 0-4, label from STRENGTH_LABELS
+ */
+export function estimateStrength(password) {
+  const text = String(password || "");
+  const memo = new Map();
+  let log2 = 0;
+  const sequence = [];
+  for (let i = 0; i === 0 || (i < text.length && log2 < MAX_LOG2); i += CHUNK_LENGTH) {
+    const analysis = analyzeSeparated(text.slice(i, i + CHUNK_LENGTH), memo);
+    log2 += analysis.log2;
+    sequence.push(...analysis.sequence);
+  }
+
+  const log10 = log2 * Math.log10(2);
+  const score = SCORE_THRESHOLDS.filter((threshold) => log10 >= threshold).length;
+  return {
+    guesses: 2 ** log2,
+    log2,
+    score,
+    label: STRENGTH_LABELS[score],
+    sequence,
+    feedback: text === "" ? { warning: "", suggestions: [] } : feedbackFor(score, sequence)
+  };
+}
+
+/**
+ * Seconds for an offline attacker to try every candidate up to the password, when each guess costs one
+ * PBKDF2 derivation with the given iteration count.
+ * @param {number} guesses
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {number}
+ */
+export function crackTimeSeconds(guesses, iterations) {
+  return (guesses * Math.max(1, iterations)) / OFFLINE_ITERATIONS_PER_SECOND;
+}
+
+const DURATION_UNITS = [
+  ["year", 365.2425 * 86400],
+  ["month", 30.436875 * 86400],
+  ["day", 86400],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1]
+];
+
+/**
+ * Human-readable duration, e.g. "3 days" or "more than 10,000 years".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  if (!(seconds >= 1)) return "less than a second";
+  if (seconds >= 10000 * DURATION_UNITS[0][1]) return "more than 10,000 years";
+  for (const [unit, size] of DURATION_UNITS) {
+    if (seconds >= size) {
+      const count = Math.round(seconds / size);
+      return `${count.toLocaleString("en-US")} ${unit}${count === 1 ? "" : "s"}`;
+    }
+  }
+  return "less than a second";
+}
+
+const SUPERSCRIPT = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+/**
+ * Guess count for display: exact below a million, a power of ten above.
+ * @param {number} guesses
+ * @returns {string}
+ */
+export function formatGuesses(guesses) {
+  if (guesses < 1e6) return Math.round(guesses).toLocaleString("en-US");
+  const exponent = Number.isFinite(guesses) ? Math.round(Math.log10(guesses)) : 300;
+  return `10${Array.from(String(exponent), (d) => SUPERSCRIPT[d]).join("")}`;
+}
@@ -2,7 +2,47 @@
 // UI logic for CRCrypt Web SPA. Zero-persistence, offline-only.
 // No storage APIs used; all state is ephemeral in memory.
 
-import { encryptText, decryptText, DEFAULTS } from "./crypto.js";
+import {
+  DEFAULTS,
+  ERROR_CODES,
+  KDFS,
+  MAX_BATCH_ENTRIES,
+  MAX_RECOVERY_CANDIDATES,
+  hashKeyfile,
+  generateKeyfile,
+  wipeBytes
+} from "./crypto.js";
+import { AUTHENTICATED_ALGORITHMS, inspectCiphertext } from "./envelope.js";
+import { SIGNATURE_SCHEMES } from "./sign.js";
+import { RAW_KEY_FORMATS, generateRawKey, formatRawKey, parseRawKey } from "./rawkey.js";
+import { BATCH_FORMATS, parseBatch, formatBatch, fitBatchResults } from "./batch.js";
+import { generatePassphrase, generatePassword } from "./passphrase.js";
+import { runSelfTest } from "./selftest.js";
+import { estimateStrength, crackTimeSeconds, formatDuration, formatGuesses } from "./strength.js";
+import {
+  encryptText,
+  decryptText,
+  recoverLegacyParams,
+  addPasswordSlot,
+  removePasswordSlot,
+  encryptTextBatch,
+  decryptTextBatch,
+  encryptFile,
+  decryptFile,
+  generateKeyPair,
+  encryptTextForRecipients,
+  decryptTextWithKey,
+  generateSigningKeyPair,
+  signText,
+  verifyText,
+  signFile,
+  verifyFile,
+  splitText,
+  combineText,
+} from "./crypto-client.js";
+import { encodeQr, qrPathData } from "./qr/encode.js";
+import { decodeQrCodes } from "./qr/decode.js";
+import { QR_LEVEL, QR_MAX_VERSION, splitForQr, parseQrPart, joinQrParts } from "./qr/parts.js";
 
 const $ = (sel) => document.querySelector(sel);
 const el = (id) => document.getElementById(id);
@@ -12,31 +52,207 @@ const refs = {
   // Tabs
   tabEncrypt: null,
   tabDecrypt: null,
+  tabBatch: null,
+  tabShares: null,
+  tabSign: null,
+  tabKeys: null,
   encryptPanel: null,
   decryptPanel: null,
+  batchPanel: null,
+  sharesPanel: null,
+  signPanel: null,
+  keysPanel: null,
   modeIndicator: null,
   // Encrypt form
   encryptForm: null,
+  encryptSourceRadios: null,
+  plaintextGroup: null,
   plaintextInput: null,
+  labelGroup: null,
+  labelInput: null,
+  encryptFileGroup: null,
+  encryptFileInput: null,
+  encryptDropzone: null,
+  encryptFileName: null,
+  encryptKeyModeRadios: null,
+  encryptPasswordFields: null,
+  recipientsGroup: null,
+  encryptRawKeyGroup: null,
+  encryptRawKeyInput: null,
+  encryptRawKeyFileInput: null,
+  recipientsInput: null,
   passwordInput: null,
   passwordConfirmInput: null,
+  keyfileInput: null,
+  keyfileName: null,
+  keyfileGenerateBtn: null,
+  keyfileRemoveBtn: null,
+  extraPasswords: null,
+  addPasswordBtn: null,
   strengthBar: null,
   strengthLabel: null,
+  strengthHint: null,
+  strengthEstimate: null,
+  strengthFeedback: null,
+  generatorToggle: null,
+  generatorPanel: null,
+  generatorModeRadios: null,
+  passphraseOptions: null,
+  characterOptions: null,
+  generatorWords: null,
+  generatorSeparator: null,
+  generatorDigit: null,
+  generatorSymbol: null,
+  generatorLength: null,
+  generatorLower: null,
+  generatorUpper: null,
+  generatorDigits: null,
+  generatorSymbols: null,
+  generatedPassword: null,
+  generatorEntropy: null,
+  regenerateBtn: null,
+  useGeneratedBtn: null,
   advSaltLen: null,
   advIvLen: null,
+  advKdf: null,
+  kdfGroups: null,
   advIterations: null,
+  advArgonMemory: null,
+  advArgonTime: null,
+  advArgonParallelism: null,
+  advScryptN: null,
+  advScryptR: null,
+  advScryptP: null,
   advKeyLen: null,
   advAlgo: null,
+  advFormat: null,
+  advEncoding: null,
+  advArmorComment: null,
+  encodingGroups: null,
   encryptBtn: null,
   cipherOutput: null,
+  cipherOutputNote: null,
   copyCipherBtn: null,
+  showQrBtn: null,
+  qrOutput: null,
+  qrOutputHelp: null,
+  qrCodes: null,
   // Decrypt form
   decryptForm: null,
+  decryptSourceRadios: null,
+  cipherInputGroup: null,
   cipherInput: null,
+  cipherInputHelp: null,
+  cipherLabel: null,
+  cipherLabelText: null,
+  cipherLabelHelp: null,
+  qrImageInput: null,
+  qrImportStatus: null,
+  decryptFileGroup: null,
+  decryptFileInput: null,
+  decryptDropzone: null,
+  decryptFileName: null,
+  decryptKeyModeRadios: null,
+  decryptPasswordGroup: null,
   decryptPasswordInput: null,
+  privateKeyGroup: null,
+  privateKeyInput: null,
+  privateKeyFileInput: null,
+  decryptRawKeyGroup: null,
+  decryptRawKeyInput: null,
+  decryptRawKeyFileInput: null,
+  decryptKeyfileGroup: null,
+  decryptKeyfileInput: null,
+  decryptKeyfileName: null,
+  decryptKeyfileRemoveBtn: null,
+  recoveryGroup: null,
+  recoveryToggle: null,
+  recoveryPanel: null,
+  recoveryIterations: null,
+  recoveryKeyInputs: null,
+  recoveryStatus: null,
+  recoveryApplyBtn: null,
+  recoveryCancelBtn: null,
+  recoverBtn: null,
+  slotsGroup: null,
+  slotsToggle: null,
+  slotsPanel: null,
+  newSlotPasswordInput: null,
+  addSlotBtn: null,
+  removeSlotBtn: null,
   decryptBtn: null,
   plainOutput: null,
   copyPlainBtn: null,
+  // Batch panel
+  batchForm: null,
+  batchActionRadios: null,
+  batchInput: null,
+  batchFormat: null,
+  batchPasswordInput: null,
+  batchPasswordConfirmGroup: null,
+  batchPasswordConfirmInput: null,
+  batchBtn: null,
+  batchOutput: null,
+  copyBatchBtn: null,
+  downloadBatchBtn: null,
+  batchFailures: null,
+  // Split panel
+  sharesForm: null,
+  shareActionRadios: null,
+  splitFields: null,
+  secretInput: null,
+  shareThreshold: null,
+  shareCount: null,
+  combineFields: null,
+  sharesInput: null,
+  shareBtn: null,
+  sharesOutputCard: null,
+  sharesOutput: null,
+  copySharesBtn: null,
+  downloadSharesBtn: null,
+  secretOutputCard: null,
+  secretOutput: null,
+  copySecretBtn: null,
+  // Sign panel
+  signForm: null,
+  signActionRadios: null,
+  signSourceRadios: null,
+  signMessageGroup: null,
+  signMessageInput: null,
+  signFileGroup: null,
+  signFileInput: null,
+  signDropzone: null,
+  signFileName: null,
+  signingKeyGroup: null,
+  signingKeyInput: null,
+  signingKeyFileInput: null,
+  verifyFields: null,
+  verifyKeyInput: null,
+  signatureInput: null,
+  signBtn: null,
+  signatureOutputCard: null,
+  signatureOutput: null,
+  copySignatureBtn: null,
+  verifyResult: null,
+  verifyResultTitle: null,
+  verifyResultDetail: null,
+  // Keys panel
+  keysForm: null,
+  keyCurve: null,
+  generateKeyBtn: null,
+  publicKeyOutput: null,
+  copyPublicKeyBtn: null,
+  keyFingerprint: null,
+  privateKeyOutput: null,
+  copyPrivateKeyBtn: null,
+  downloadPrivateKeyBtn: null,
+  publicKeyCard: null,
+  privateKeyCard: null,
+  rawKeyCard: null,
+  rawKeyFormatRadios: null,
+  rawKeyOutput: null,
+  copyRawKeyBtn: null,
+  downloadRawKeyBtn: null,
   // Footer
   clearBtn: null,
   noticeText: null,
@@ -47,8 +263,27 @@ const refs = {
   settingsTrigger: null,
   settingsModal: null,
   settingsClose: null,
+  selfTestStatus: null,
+  selfTestFailures: null,
+  selfTestBtn: null,
 };
 
+// Files picked or dropped in file mode (memory only, cleared after each run)
+const selectedFiles = {
+  encrypt: null,
+  decrypt: null,
+  sign: null,
+};
+
+// Keyfiles chosen for each form, kept only as { name, digest } and cleared after each run like passwords
+const keyfiles = {
+  encrypt: null,
+  decrypt: null,
+};
+
+// The last raw key generated in the Keys panel; Clear All wipes it
+let generatedRawKey = null;
+
 // ── Toast System ──────────────────────────────────────────────
 function ensureToastContainer() {
   let container = $(".toast-container");
@@ -74,7 +309,11 @@ function showToast(message, type = "info") {
     info: '<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>',
   };
 
-  toast.innerHTML = `${iconMap[type] || iconMap.info}<span>${message}</span>`;
+  // Message may contain file names; insert as text, never as HTML
+  toast.innerHTML = iconMap[type] || iconMap.info;
+  const text = document.createElement("span");
+  text.textContent = message;
+  toast.appendChild(text);
   container.appendChild(toast);
 
   // Auto-dismiss after 3.5s
@@ -101,32 +340,208 @@ export function initUI() {
   // Bind refs
   refs.tabEncrypt = el("tabEncrypt");
   refs.tabDecrypt = el("tabDecrypt");
+  refs.tabBatch = el("tabBatch");
+  refs.tabShares = el("tabShares");
+  refs.tabSign = el("tabSign");
+  refs.tabKeys = el("tabKeys");
   refs.encryptPanel = el("encryptPanel");
   refs.decryptPanel = el("decryptPanel");
+  refs.batchPanel = el("batchPanel");
+  refs.sharesPanel = el("sharesPanel");
+  refs.signPanel = el("signPanel");
+  refs.keysPanel = el("keysPanel");
   refs.modeIndicator = $(".mode-indicator");
 
   refs.encryptForm = el("encryptForm");
+  refs.encryptSourceRadios = Array.from(document.querySelectorAll('input[name="encryptSource"]'));
+  refs.plaintextGroup = el("plaintextGroup");
   refs.plaintextInput = el("plaintextInput");
+  refs.labelGroup = el("labelGroup");
+  refs.labelInput = el("labelInput");
+  refs.encryptFileGroup = el("encryptFileGroup");
+  refs.encryptFileInput = el("encryptFileInput");
+  refs.encryptDropzone = el("encryptDropzone");
+  refs.encryptFileName = el("encryptFileName");
+  refs.encryptKeyModeRadios = Array.from(document.querySelectorAll('input[name="encryptKeyMode"]'));
+  refs.encryptPasswordFields = el("encryptPasswordFields");
+  refs.recipientsGroup = el("recipientsGroup");
+  refs.encryptRawKeyGroup = el("encryptRawKeyGroup");
+  refs.encryptRawKeyInput = el("encryptRawKeyInput");
+  refs.encryptRawKeyFileInput = el("encryptRawKeyFileInput");
+  refs.recipientsInput = el("recipientsInput");
   refs.passwordInput = el("passwordInput");
   refs.passwordConfirmInput = el("passwordConfirmInput");
+  refs.keyfileInput = el("keyfileInput");
+  refs.keyfileName = el("keyfileName");
+  refs.keyfileGenerateBtn = el("keyfileGenerateBtn");
+  refs.keyfileRemoveBtn = el("keyfileRemoveBtn");
+  refs.extraPasswords = el("extraPasswords");
+  refs.addPasswordBtn = el("addPasswordBtn");
   refs.strengthBar = el("strengthBar");
   refs.strengthLabel = el("strengthLabel");
+  refs.strengthHint = el("strengthHint");
+  refs.strengthEstimate = el("strengthEstimate");
+  refs.strengthFeedback = el("strengthFeedback");
+  refs.generatorToggle = el("generatorToggle");
+  refs.generatorPanel = el("generatorPanel");
+  refs.generatorModeRadios = Array.from(document.querySelectorAll('input[name="generatorMode"]'));
+  refs.passphraseOptions = el("passphraseOptions");
+  refs.characterOptions = el("characterOptions");
+  refs.generatorWords = el("generatorWords");
+  refs.generatorSeparator = el("generatorSeparator");
+  refs.generatorDigit = el("generatorDigit");
+  refs.generatorSymbol = el("generatorSymbol");
+  refs.generatorLength = el("generatorLength");
+  refs.generatorLower = el("generatorLower");
+  refs.generatorUpper = el("generatorUpper");
+  refs.generatorDigits = el("generatorDigits");
+  refs.generatorSymbols = el("generatorSymbols");
+  refs.generatedPassword = el("generatedPassword");
+  refs.generatorEntropy = el("generatorEntropy");
+  refs.regenerateBtn = el("regenerateBtn");
+  refs.useGeneratedBtn = el("useGeneratedBtn");
   refs.advSaltLen = el("advSaltLen");
   refs.advIvLen = el("advIvLen");
+  refs.advKdf = el("advKdf");
+  refs.kdfGroups = Array.from(document.querySelectorAll("[data-kdf]"));
   refs.advIterations = el("advIterations");
+  refs.advArgonMemory = el("advArgonMemory");
+  refs.advArgonTime = el("advArgonTime");
+  refs.advArgonParallelism = el("advArgonParallelism");
+  refs.advScryptN = el("advScryptN");
+  refs.advScryptR = el("advScryptR");
+  refs.advScryptP = el("advScryptP");
   refs.advKeyLen = el("advKeyLen");
   refs.advAlgo = el("advAlgo");
+  refs.advFormat = el("advFormat");
+  refs.advEncoding = el("advEncoding");
+  refs.advArmorComment = el("advArmorComment");
+  refs.encodingGroups = Array.from(document.querySelectorAll("[data-encoding]"));
   refs.encryptBtn = el("encryptBtn");
   refs.cipherOutput = el("cipherOutput");
+  refs.cipherOutputNote = el("cipherOutputNote");
   refs.copyCipherBtn = el("copyCipherBtn");
+  refs.showQrBtn = el("showQrBtn");
+  refs.qrOutput = el("qrOutput");
+  refs.qrOutputHelp = el("qrOutputHelp");
+  refs.qrCodes = el("qrCodes");
 
   refs.decryptForm = el("decryptForm");
+  refs.decryptSourceRadios = Array.from(document.querySelectorAll('input[name="decryptSource"]'));
+  refs.cipherInputGroup = el("cipherInputGroup");
   refs.cipherInput = el("cipherInput");
+  refs.cipherInputHelp = el("cipherInputHelp");
+  refs.cipherLabel = el("cipherLabel");
+  refs.cipherLabelText = el("cipherLabelText");
+  refs.cipherLabelHelp = el("cipherLabelHelp");
+  refs.qrImageInput = el("qrImageInput");
+  refs.qrImportStatus = el("qrImportStatus");
+  refs.decryptFileGroup = el("decryptFileGroup");
+  refs.decryptFileInput = el("decryptFileInput");
+  refs.decryptDropzone = el("decryptDropzone");
+  refs.decryptFileName = el("decryptFileName");
+  refs.decryptKeyModeRadios = Array.from(document.querySelectorAll('input[name="decryptKeyMode"]'));
+  refs.decryptPasswordGroup = el("decryptPasswordGroup");
   refs.decryptPasswordInput = el("decryptPasswordInput");
+  refs.privateKeyGroup = el("privateKeyGroup");
+  refs.privateKeyInput = el("privateKeyInput");
+  refs.privateKeyFileInput = el("privateKeyFileInput");
+  refs.decryptRawKeyGroup = el("decryptRawKeyGroup");
+  refs.decryptRawKeyInput = el("decryptRawKeyInput");
+  refs.decryptRawKeyFileInput = el("decryptRawKeyFileInput");
+  refs.decryptKeyfileGroup = el("decryptKeyfileGroup");
+  refs.decryptKeyfileInput = el("decryptKeyfileInput");
+  refs.decryptKeyfileName = el("decryptKeyfileName");
+  refs.decryptKeyfileRemoveBtn = el("decryptKeyfileRemoveBtn");
+  refs.recoveryGroup = el("recoveryGroup");
+  refs.recoveryToggle = el("recoveryToggle");
+  refs.recoveryPanel = el("recoveryPanel");
+  refs.recoveryIterations = el("recoveryIterations");
+  refs.recoveryKeyInputs = [el("recoveryKey256"), el("recoveryKey192"), el("recoveryKey128")];
+  refs.recoveryStatus = el("recoveryStatus");
+  refs.recoveryApplyBtn = el("recoveryApplyBtn");
+  refs.recoveryCancelBtn = el("recoveryCancelBtn");
+  refs.recoverBtn = el("recoverBtn");
+  refs.slotsGroup = el("slotsGroup");
+  refs.slotsToggle = el("slotsToggle");
+  refs.slotsPanel = el("slotsPanel");
+  refs.newSlotPasswordInput = el("newSlotPasswordInput");
+  refs.addSlotBtn = el("addSlotBtn");
+  refs.removeSlotBtn = el("removeSlotBtn");
   refs.decryptBtn = el("decryptBtn");
   refs.plainOutput = el("plainOutput");
   refs.copyPlainBtn = el("copyPlainBtn");
 
+  refs.batchForm = el("batchForm");
+  refs.batchActionRadios = Array.from(document.querySelectorAll('input[name="batchAction"]'));
+  refs.batchInput = el("batchInput");
+  refs.batchFormat = el("batchFormat");
+  refs.batchPasswordInput = el("batchPasswordInput");
+  refs.batchPasswordConfirmGroup = el("batchPasswordConfirmGroup");
+  refs.batchPasswordConfirmInput = el("batchPasswordConfirmInput");
+  refs.batchBtn = el("batchBtn");
+  refs.batchOutput = el("batchOutput");
+  refs.copyBatchBtn = el("copyBatchBtn");
+  refs.downloadBatchBtn = el("downloadBatchBtn");
+  refs.batchFailures = el("batchFailures");
+
+  refs.sharesForm = el("sharesForm");
+  refs.shareActionRadios = Array.from(document.querySelectorAll('input[name="shareAction"]'));
+  refs.splitFields = el("splitFields");
+  refs.secretInput = el("secretInput");
+  refs.shareThreshold = el("shareThreshold");
+  refs.shareCount = el("shareCount");
+  refs.combineFields = el("combineFields");
+  refs.sharesInput = el("sharesInput");
+  refs.shareBtn = el("shareBtn");
+  refs.sharesOutputCard = el("sharesOutputCard");
+  refs.sharesOutput = el("sharesOutput");
+  refs.copySharesBtn = el("copySharesBtn");
+  refs.downloadSharesBtn = el("downloadSharesBtn");
+  refs.secretOutputCard = el("secretOutputCard");
+  refs.secretOutput = el("secretOutput");
+  refs.copySecretBtn = el("copySecretBtn");
+
+  refs.signForm = el("signForm");
+  refs.signActionRadios = Array.from(document.querySelectorAll('input[name="signAction"]'));
+  refs.signSourceRadios = Array.from(document.querySelectorAll('input[name="signSource"]'));
+  refs.signMessageGroup = el("signMessageGroup");
+  refs.signMessageInput = el("signMessageInput");
+  refs.signFileGroup = el("signFileGroup");
+  refs.signFileInput = el("signFileInput");
+  refs.signDropzone = el("signDropzone");
+  refs.signFileName = el("signFileName");
+  refs.signingKeyGroup = el("signingKeyGroup");
+  refs.signingKeyInput = el("signingKeyInput");
+  refs.signingKeyFileInput = el("signingKeyFileInput");
+  refs.verifyFields = el("verifyFields");
+  refs.verifyKeyInput = el("verifyKeyInput");
+  refs.signatureInput = el("signatureInput");
+  refs.signBtn = el("signBtn");
+  refs.signatureOutputCard = el("signatureOutputCard");
+  refs.signatureOutput = el("signatureOutput");
+  refs.copySignatureBtn = el("copySignatureBtn");
+  refs.verifyResult = el("verifyResult");
+  refs.verifyResultTitle = el("verifyResultTitle");
+  refs.verifyResultDetail = el("verifyResultDetail");
+
+  refs.keysForm = el("keysForm");
+  refs.keyCurve = el("keyCurve");
+  refs.generateKeyBtn = el("generateKeyBtn");
+  refs.publicKeyOutput = el("publicKeyOutput");
+  refs.copyPublicKeyBtn = el("copyPublicKeyBtn");
+  refs.keyFingerprint = el("keyFingerprint");
+  refs.privateKeyOutput = el("privateKeyOutput");
+  refs.copyPrivateKeyBtn = el("copyPrivateKeyBtn");
+  refs.downloadPrivateKeyBtn = el("downloadPrivateKeyBtn");
+  refs.publicKeyCard = el("publicKeyCard");
+  refs.privateKeyCard = el("privateKeyCard");
+  refs.rawKeyCard = el("rawKeyCard");
+  refs.rawKeyFormatRadios = Array.from(document.querySelectorAll('input[name="rawKeyFormat"]'));
+  refs.rawKeyOutput = el("rawKeyOutput");
+  refs.copyRawKeyBtn = el("copyRawKeyBtn");
+  refs.downloadRawKeyBtn = el("downloadRawKeyBtn");
+
   refs.clearBtn = el("clearBtn");
   refs.noticeText = el("noticeText");
 
@@ -135,18 +550,27 @@ export function initUI() {
   refs.settingsTrigger = el("settingsTrigger");
   refs.settingsModal = el("settingsModal");
   refs.settingsClose = el("settingsClose");
+  refs.selfTestStatus = el("selfTestStatus");
+  refs.selfTestFailures = el("selfTestFailures");
+  refs.selfTestBtn = el("selfTestBtn");
 
   // Wire events
   refs.tabEncrypt.addEventListener("click", () => handleModeSwitch("encrypt"));
   refs.tabDecrypt.addEventListener("click", () => handleModeSwitch("decrypt"));
+  refs.tabBatch.addEventListener("click", () => handleModeSwitch("batch"));
+  refs.tabShares.addEventListener("click", () => handleModeSwitch("shares"));
+  refs.tabSign.addEventListener("click", () => handleModeSwitch("sign"));
+  refs.tabKeys.addEventListener("click", () => handleModeSwitch("keys"));
 
   refs.passwordInput.addEventListener("input", () => updateStrengthMeter(refs.passwordInput.value));
   refs.passwordInput.addEventListener("change", () => updateStrengthMeter(refs.passwordInput.value));
 
   refs.encryptForm.addEventListener("submit", handleEncryptSubmit);
+  refs.addPasswordBtn.addEventListener("click", addExtraPasswordField);
   refs.copyCipherBtn.addEventListener("click", () => copyOutput(refs.cipherOutput.value, refs.copyCipherBtn));
 
   refs.decryptForm.addEventListener("submit", handleDecryptSubmit);
+  refs.cipherInput.addEventListener("input", updateCiphertextInfo);
   refs.copyPlainBtn.addEventListener("click", () => copyOutput(refs.plainOutput.value, refs.copyPlainBtn));
 
   refs.clearBtn.addEventListener("click", clearAll);
@@ -156,89 +580,1475 @@ export function initUI() {
     btn.addEventListener("click", () => togglePasswordVisibility(btn));
   });
 
+  initFileMode();
+  initKeyModes();
+  initKeyfiles();
+  initRecovery();
+  initKeySlots();
+  initPasswordGenerator();
+  initQrCodes();
+  initBatchPanel();
+  initSharesPanel();
+  initSignPanel();
+  initKeysPanel();
   initThemeToggle();
   initFontSizeControls();
   initAdvancedSettings();
   initSettingsModal();
+  initSelfTest();
   registerServiceWorker();
 
-  // Initial strength meter state
+  // Initial strength meter and tab indicator state
   updateStrengthMeter("");
+  updateModeIndicator("encrypt");
+}
+
+// ── Password Visibility Toggle ────────────────────────────────
+function togglePasswordVisibility(btn) {
+  const wrapper = btn.closest(".input-wrapper");
+  if (!wrapper) return;
+  const input = wrapper.querySelector("input");
+  if (!input) return;
+
+  const isPassword = input.type === "password";
+  input.type = isPassword ? "text" : "password";
+
+  // Swap icon: eye (show) ↔ eye-off (hide)
+  if (isPassword) {
+    btn.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17.94 17.94A10.07 10.07 0 0112 20c-7 0-11-8-11-8a18.45 18.45 0 015.06-5.94M9.9 4.24A9.12 9.12 0 0112 4c7 0 11 8 11 8a18.5 18.5 0 01-2.16 3.19m-6.72-1.07a3 3 0 11-4.24-4.24"/><line x1="1" y1="1" x2="23" y2="23"/></svg>';
+    btn.setAttribute("aria-label", "Hide password");
+  } else {
+    btn.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>';
+    btn.setAttribute("aria-label", "Show password");
+  }
+
+  input.focus();
+}
+
+// ── Mode Switch ───────────────────────────────────────────────
+function modeTabs() {
+  return [
+    { mode: "encrypt", tab: refs.tabEncrypt, panel: refs.encryptPanel },
+    { mode: "decrypt", tab: refs.tabDecrypt, panel: refs.decryptPanel },
+    { mode: "batch", tab: refs.tabBatch, panel: refs.batchPanel },
+    { mode: "shares", tab: refs.tabShares, panel: refs.sharesPanel },
+    { mode: "sign", tab: refs.tabSign, panel: refs.signPanel },
+    { mode: "keys", tab: refs.tabKeys, panel: refs.keysPanel },
+  ];
+}
+
+function handleModeSwitch(mode) {
+  const tabs = modeTabs();
+
+  tabs.forEach(({ mode: m, tab, panel }) => {
+    const active = m === mode;
+    tab.setAttribute("aria-selected", String(active));
+    tab.tabIndex = active ? 0 : -1;
+    panel.hidden = !active;
+    if (active) tab.focus();
+  });
+
+  updateModeIndicator(mode);
+}
+
+// Size and slide the indicator under the active tab (read by styles.css)
+function updateModeIndicator(mode) {
+  if (!refs.modeIndicator) return;
+  const tabs = modeTabs();
+  const index = Math.max(0, tabs.findIndex((t) => t.mode === mode));
+  refs.modeIndicator.style.setProperty("--tab-count", String(tabs.length));
+  refs.modeIndicator.style.setProperty("--tab-index", String(index));
+}
+
+// ── Encrypt ───────────────────────────────────────────────────
+async function handleEncryptSubmit(ev) {
+  ev.preventDefault();
+
+  const isFile = isFileSource(refs.encryptSourceRadios);
+  const keyMode = getSelectedRadioValue(refs.encryptKeyModeRadios, "password");
+  const usePassword = keyMode === "password";
+  const useRecipients = keyMode === "recipients";
+  const useRawKey = keyMode === "rawKey";
+  const plaintext = isFile ? "" : sanitizeInput(refs.plaintextInput.value);
+  const password = refs.passwordInput.value ?? "";
+  const passwordConfirm = refs.passwordConfirmInput.value ?? "";
+  const recipients = refs.recipientsInput.value.split(/\s+/).filter(Boolean);
+  const extraPasswords = usePassword ? readExtraPasswords() : [];
+
+  if (isFile && !selectedFiles.encrypt) {
+    announce("Choose a file to encrypt", "error");
+    refs.encryptFileInput.focus();
+    return;
+  }
+  if (!isFile && plaintext.length === 0) {
+    announce("Plaintext cannot be empty", "error");
+    refs.plaintextInput.focus();
+    return;
+  }
+  if (useRecipients && isFile) {
+    announce("Public-key encryption currently supports text only", "error");
+    return;
+  }
+  if (useRecipients && recipients.length === 0) {
+    announce("Add at least one recipient public key", "error");
+    refs.recipientsInput.focus();
+    return;
+  }
+  if (useRawKey && isFile) {
+    announce("Raw keys currently support text only", "error");
+    return;
+  }
+  if (useRawKey && refs.encryptRawKeyInput.value.trim() === "") {
+    announce("Key cannot be empty", "error");
+    refs.encryptRawKeyInput.focus();
+    return;
+  }
+  if (usePassword && password.trim() === "") {
+    announce("Password cannot be empty", "error");
+    refs.passwordInput.focus();
+    return;
+  }
+  if (usePassword && password !== passwordConfirm) {
+    announce("Passwords must match", "error");
+    refs.passwordConfirmInput.setAttribute("aria-invalid", "true");
+    refs.passwordConfirmInput.focus();
+    return;
+  } else {
+    refs.passwordConfirmInput.removeAttribute("aria-invalid");
+  }
+  if (extraPasswords.length > 0) {
+    if (isFile) {
+      announce("Several passwords currently support text only", "error");
+      return;
+    }
+    if (extraPasswords.some((p) => p.trim() === "")) {
+      announce("Fill in or remove the empty extra password", "error");
+      return;
+    }
+    if (new Set([password, ...extraPasswords]).size !== extraPasswords.length + 1) {
+      announce("Each password must be different", "error");
+      return;
+    }
+  }
+
+  const { ok, settings, message } = validateAdvancedSettings(readAdvancedSettings());
+  if (!ok) {
+    announce(message || "Invalid Advanced Settings", "error");
+    return;
+  }
+
+  // The keyfile sits with the password fields, so only password encryption uses it
+  const keyfile = usePassword ? keyfiles.encrypt : null;
+  if (keyfile && extraPasswords.length > 0) {
+    announce("A keyfile works with a single password; remove the extra passwords or the keyfile", "error");
+    return;
+  }
+  if (keyfile && !isFile && settings.format !== "envelope") {
+    announce("A keyfile needs the versioned envelope format", "error");
+    return;
+  }
+
+  // Key-slot envelopes (several passwords, public keys) are always AES-GCM, which authenticates the label
+  const label = isFile ? "" : refs.labelInput.value.trim();
+  if (label && !useRecipients && extraPasswords.length === 0) {
+    if (settings.format !== "envelope") {
+      announce("A label needs the versioned envelope format", "error");
+      refs.labelInput.focus();
+      return;
+    }
+    if (!AUTHENTICATED_ALGORITHMS.includes(settings.algorithm)) {
+      announce(`${settings.cliAlgorithm} can't authenticate a label; choose GCM, CBC + HMAC-SHA256 or ChaCha20 in Advanced Settings`, "error");
+      refs.labelInput.focus();
+      return;
+    }
+  }
+
+  let rawKey = null;
+  if (useRawKey) {
+    const { key, error } = readEncryptRawKey(settings);
+    if (error) {
+      announce(error, "error");
+      refs.encryptRawKeyInput.focus();
+      return;
+    }
+    rawKey = key;
+  }
+
+  // Busy state
+  refs.encryptBtn.disabled = true;
+  refs.encryptBtn.setAttribute("aria-busy", "true");
+  refs.encryptBtn.querySelector("span").textContent = "Encrypting...";
+
+  const onProgress = (done, total) => showBusyProgress(refs.encryptBtn, "Encrypting", done, total);
+
+  try {
+    // Work runs in the crypto worker; secrets are cleared from the form as soon as it is dispatched
+    let job;
+    if (useRecipients) {
+      job = encryptTextForRecipients(plaintext, recipients, {
+        keyLength: settings.keyLength,
+        encoding: settings.encoding,
+        comment: settings.comment,
+        label,
+        onProgress,
+      });
+    } else if (useRawKey) {
+      job = encryptText(plaintext, rawKey, { ...settings, label, onProgress });
+    } else if (isFile) {
+      job = encryptFile(selectedFiles.encrypt, password, { ...settings, keyfile: keyfile?.digest, onProgress });
+    } else {
+      // Several passwords produce a key-slot envelope that any one of them opens
+      const secret = extraPasswords.length > 0 ? [password, ...extraPasswords] : password;
+      job = encryptText(plaintext, secret, { ...settings, label, keyfile: keyfile?.digest, onProgress });
+    }
+    clearEncryptSecrets();
+
+    if (isFile) {
+      const { name, stream } = await job;
+      await saveStream(stream, name);
+      announce(keyfile
+        ? `Encrypted file saved as ${name}; decrypting it needs ${keyfile.name} as well as the password`
+        : `Encrypted file saved as ${name}`, "success");
+    } else {
+      refs.cipherOutput.value = await job;
+      refs.cipherOutputNote.hidden = !keyfile;
+      hideQrCodes();
+      announce(keyfile ? `Encryption completed; decrypting needs ${keyfile.name} too` : "Encryption completed", "success");
+    }
+  } catch (err) {
+    announce(err?.message || "Encryption failed", "error");
+  } finally {
+    clearEncryptSecrets();
+    wipeBytes(rawKey);
+
+    refs.encryptBtn.disabled = false;
+    refs.encryptBtn.removeAttribute("aria-busy");
+    refs.encryptBtn.querySelector("span").textContent = "Encrypt";
+
+    // Reset password toggles
+    resetPasswordToggles(refs.encryptForm);
+  }
+}
+
+// Parse the encrypt form's raw key: { key } when it fits the Advanced Settings, otherwise { error }
+function readEncryptRawKey(settings) {
+  let key;
+  try {
+    key = parseRawKey(refs.encryptRawKeyInput.value);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (settings.format !== "envelope") {
+    wipeBytes(key);
+    return { error: "A raw key needs the versioned envelope format" };
+  }
+  if (key.length !== settings.keyLength) {
+    const bits = key.length * 8;
+    wipeBytes(key);
+    return { error: `This is a ${bits}-bit key; choose a ${bits}-bit algorithm in Advanced Settings` };
+  }
+  return { key };
+}
+
+// ── Decrypt ───────────────────────────────────────────────────
+async function handleDecryptSubmit(ev) {
+  ev.preventDefault();
+
+  const isFile = isFileSource(refs.decryptSourceRadios);
+  const keyMode = getSelectedRadioValue(refs.decryptKeyModeRadios, "password");
+  const usePassword = keyMode === "password";
+  const usePrivateKey = keyMode === "privateKey";
+  const useRawKey = keyMode === "rawKey";
+  const encString = isFile ? "" : sanitizeInput(refs.cipherInput.value);
+  const password = refs.decryptPasswordInput.value ?? "";
+  const privateKey = sanitizeInput(refs.privateKeyInput.value);
+
+  if (isFile && !selectedFiles.decrypt) {
+    announce("Choose a .crcrypt file to decrypt", "error");
+    refs.decryptFileInput.focus();
+    return;
+  }
+  if (!isFile && encString.length === 0) {
+    announce("Encrypted input cannot be empty", "error");
+    refs.cipherInput.focus();
+    return;
+  }
+  if (usePrivateKey && isFile) {
+    announce("Public-key decryption currently supports text only", "error");
+    return;
+  }
+  if (usePrivateKey && privateKey.length === 0) {
+    announce("Private key cannot be empty", "error");
+    refs.privateKeyInput.focus();
+    return;
+  }
+  if (useRawKey && isFile) {
+    announce("Raw keys currently support text only", "error");
+    return;
+  }
+  let rawKey = null;
+  if (useRawKey) {
+    try {
+      rawKey = parseRawKey(refs.decryptRawKeyInput.value);
+    } catch (err) {
+      announce(err.message, "error");
+      refs.decryptRawKeyInput.focus();
+      return;
+    }
+  }
+  if (usePassword && password.trim() === "") {
+    announce("Password cannot be empty", "error");
+    refs.decryptPasswordInput.focus();
+    return;
+  }
+  // Caught here so the pasted ciphertext and password aren't cleared by a run that can't succeed
+  if (!isFile && usePassword && !keyfiles.decrypt && inspectCiphertext(encString).keyfile) {
+    announce("This ciphertext needs its keyfile; choose it under Keyfile", "error");
+    refs.decryptKeyfileInput.focus();
+    return;
+  }
+
+  const { ok, settings, message } = validateAdvancedSettings(readAdvancedSettings());
+  if (!ok) {
+    wipeBytes(rawKey);
+    announce(message || "Invalid Advanced Settings", "error");
+    return;
+  }
+
+  // Busy state
+  refs.decryptBtn.disabled = true;
+  refs.decryptBtn.setAttribute("aria-busy", "true");
+  refs.decryptBtn.querySelector("span").textContent = "Decrypting...";
+
+  const onProgress = (done, total) => showBusyProgress(refs.decryptBtn, "Decrypting", done, total);
+  const keyfile = usePassword ? keyfiles.decrypt : null;
+  const opts = { iterations: settings.iterations, keyfile: keyfile?.digest, onProgress };
+  const label = isFile ? null : inspectCiphertext(encString).label;
+  let verifiedLabel = null;
+
+  try {
+    // Work runs in the crypto worker; secrets are cleared from the form as soon as it is dispatched
+    let job;
+    if (usePrivateKey) {
+      job = decryptTextWithKey(encString, privateKey, { onProgress });
+    } else if (useRawKey) {
+      job = decryptText(encString, rawKey, { onProgress });
+    } else if (isFile) {
+      job = decryptFile(selectedFiles.decrypt, password, opts);
+    } else {
+      job = decryptText(encString, password, opts);
+    }
+    clearDecryptSecrets();
+
+    if (isFile) {
+      const { name, stream } = await job;
+      await saveStream(stream, name);
+      announce(`Decrypted file saved as ${name}`, "success");
+    } else {
+      refs.plainOutput.value = await job;
+      verifiedLabel = label;
+      announce(label ? "Decryption completed; the label is authentic" : "Decryption completed", "success");
+    }
+  } catch (err) {
+    const legacy = !isFile && usePassword && inspectCiphertext(encString).format === "legacy";
+    announce(decryptErrorMessage(err, { isFile, usePrivateKey, useRawKey, legacy, keyfile: Boolean(keyfile) }), "error");
+  } finally {
+    clearDecryptSecrets();
+    wipeBytes(rawKey);
+    // The label stays in view once decryption has vouched for it
+    if (verifiedLabel) showCiphertextLabel(verifiedLabel, true);
+
+    refs.decryptBtn.disabled = false;
+    refs.decryptBtn.removeAttribute("aria-busy");
+    refs.decryptBtn.querySelector("span").textContent = "Decrypt";
+
+    // Reset password toggles
+    resetPasswordToggles(refs.decryptForm);
+  }
+}
+
+// What to do about a failed decryption, by error code (see errors.js). The wording depends only on the
+// code and the kind of input, so every wrong password reads the same.
+function decryptErrorMessage(err, { isFile, usePrivateKey, useRawKey, legacy, keyfile }) {
+  switch (err?.code) {
+    case ERROR_CODES.AUTHENTICATION:
+      if (usePrivateKey) return "Decryption failed: wrong private key, or the ciphertext was changed";
+      if (useRawKey) return "Decryption failed: wrong key, or the ciphertext was changed";
+      if (keyfile) {
+        return `Decryption failed: wrong password or keyfile, or the ${isFile ? "file" : "ciphertext"} was changed`;
+      }
+      if (isFile) return "Decryption failed: wrong password, or the file was changed or cut short";
+      if (legacy) {
+        return "Decryption failed: wrong password or iterations, or the ciphertext was changed. " +
+          "salt:iv:ciphertext input doesn't record its iterations; set them in Advanced Settings, or use Try several to search for them";
+      }
+      return "Decryption failed: wrong password, or the ciphertext was changed";
+    case ERROR_CODES.FORMAT:
+      return `${err.message}. ${isFile ? "Check that this is the whole .crcrypt file" : "Check that the whole ciphertext was pasted"}`;
+    case ERROR_CODES.ENCODING:
+      return `${err.message}. The text changed while it was copied; copy it again from the original`;
+    case ERROR_CODES.PARAMETER:
+      return `${err.message}. ${legacy
+        ? "Check that the salt, IV and ciphertext are complete and in that order"
+        : "It may come from a newer version of CRCrypt, or have been altered"}`;
+    case ERROR_CODES.KEYFILE:
+      return `${err.message}. Choose it under Keyfile and try again`;
+    default:
+      return err?.message || "Decryption failed";
+  }
+}
+
+// Hygiene: clear passwords, plaintext fields and the selected file
+function clearEncryptSecrets() {
+  refs.passwordInput.value = "";
+  refs.passwordConfirmInput.value = "";
+  refs.encryptRawKeyInput.value = "";
+  clearExtraPasswords();
+  refs.plaintextInput.value = "";
+  setSelectedFile("encrypt", null);
+  setKeyfile("encrypt", null);
+  closeGenerator();
+}
+
+// Hygiene: clear password, private or raw key, enc input and the selected file
+function clearDecryptSecrets() {
+  refs.decryptPasswordInput.value = "";
+  refs.privateKeyInput.value = "";
+  refs.decryptRawKeyInput.value = "";
+  refs.cipherInput.value = "";
+  setSelectedFile("decrypt", null);
+  setKeyfile("decrypt", null);
+  updateCiphertextInfo();
+}
+
+function resetPasswordToggles(form) {
+  if (!form) return;
+  form.querySelectorAll('input[type="text"][data-was-password]').forEach((input) => {
+    input.type = "password";
+    input.removeAttribute("data-was-password");
+  });
+}
+
+// ── Parameter Recovery ────────────────────────────────────────
+// Legacy ciphertexts don't record their iterations or key length. Recovery tries a list of them in the
+// worker, one PBKDF2 run per iteration count, and reports what worked so it can go into Advanced Settings.
+
+const RECOVERY_RANGE_STEP = 1000;
+
+let recoveryAbort = null;   // AbortController of the running search
+let recoveredParams = null; // { iterations, keyLength, algorithm } of the last success
+
+function initRecovery() {
+  refs.recoveryToggle.addEventListener("click", toggleRecovery);
+  refs.recoverBtn.addEventListener("click", handleRecovery);
+  refs.recoveryCancelBtn.addEventListener("click", () => {
+    if (recoveryAbort) recoveryAbort.abort();
+  });
+  refs.recoveryApplyBtn.addEventListener("click", applyRecoveredParams);
+  updateRecoveryVisibility();
+}
+
+function updateRecoveryVisibility() {
+  const usePassword = getSelectedRadioValue(refs.decryptKeyModeRadios, "password") === "password";
+  refs.recoveryGroup.hidden = isFileSource(refs.decryptSourceRadios) || !usePassword;
+}
+
+function toggleRecovery() {
+  const open = refs.recoveryPanel.hidden;
+  refs.recoveryPanel.hidden = !open;
+  refs.recoveryToggle.setAttribute("aria-expanded", String(open));
+}
+
+function resetRecovery() {
+  if (recoveryAbort) recoveryAbort.abort();
+  recoveredParams = null;
+  refs.recoveryPanel.hidden = true;
+  refs.recoveryToggle.setAttribute("aria-expanded", "false");
+  refs.recoveryStatus.textContent = "";
+  refs.recoveryApplyBtn.hidden = true;
+}
+
+// "1000, 50000-100000 by 10000" → [1000, 50000, 60000, ..., 100000], duplicates dropped, order kept
+function parseIterationList(text) {
+  const counts = new Set();
+  for (const item of String(text).split(",").map((s) => s.trim()).filter(Boolean)) {
+    const match = /^(\d+)(?:\s*-\s*(\d+)(?:\s+by\s+(\d+))?)?$/i.exec(item);
+    if (!match) {
+      throw new Error(`"${item}" is not an iteration count or a range like 10000-100000 by 5000`);
+    }
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    const step = match[3] ? Number(match[3]) : RECOVERY_RANGE_STEP;
+    if (start < 1 || end < start || step < 1) {
+      throw new Error(`"${item}" is not a valid range`);
+    }
+    for (let n = start; n <= end; n += step) {
+      counts.add(n);
+      if (counts.size > MAX_RECOVERY_CANDIDATES) {
+        throw new Error(`At most ${MAX_RECOVERY_CANDIDATES.toLocaleString("en-US")} iteration counts can be tried at once`);
+      }
+    }
+  }
+  if (counts.size === 0) {
+    throw new Error("Enter the iteration counts to try");
+  }
+  return Array.from(counts);
+}
+
+function describeLegacyCipher({ keyLength, algorithm }) {
+  return `AES-${keyLength * 8}-${algorithm.replace("AES-", "")}`;
+}
+
+async function handleRecovery() {
+  const encString = sanitizeInput(refs.cipherInput.value);
+  const password = refs.decryptPasswordInput.value ?? "";
+
+  if (encString.length === 0) {
+    announce("Encrypted input cannot be empty", "error");
+    refs.cipherInput.focus();
+    return;
+  }
+  if (inspectCiphertext(encString).format !== "legacy") {
+    announce("Recovery is for legacy salt:iv:ciphertext input; envelopes record their own parameters", "error");
+    return;
+  }
+  if (password.trim() === "") {
+    announce("Password cannot be empty", "error");
+    refs.decryptPasswordInput.focus();
+    return;
+  }
+  let iterations;
+  try {
+    iterations = parseIterationList(refs.recoveryIterations.value);
+  } catch (err) {
+    announce(err.message, "error");
+    refs.recoveryIterations.focus();
+    return;
+  }
+  const keyLengths = refs.recoveryKeyInputs.filter((input) => input.checked).map((input) => Number(input.value));
+  if (keyLengths.length === 0) {
+    announce("Choose at least one key length to try", "error");
+    return;
+  }
+
+  // Busy state; Decrypt waits too, since both use the form's password
+  recoveryAbort = new AbortController();
+  recoveredParams = null;
+  refs.recoveryApplyBtn.hidden = true;
+  refs.recoveryCancelBtn.hidden = false;
+  refs.recoverBtn.disabled = true;
+  refs.decryptBtn.disabled = true;
+  refs.recoverBtn.setAttribute("aria-busy", "true");
+  refs.recoverBtn.querySelector("span").textContent = "Recovering...";
+  const counts = `${iterations.length} iteration count${iterations.length === 1 ? "" : "s"}`;
+  const lengths = `${keyLengths.length} key length${keyLengths.length === 1 ? "" : "s"}`;
+  refs.recoveryStatus.textContent = `Trying ${counts} with ${lengths}...`;
+
+  const onProgress = (done, total) => showBusyProgress(refs.recoverBtn, "Recovering", done, total);
+
+  try {
+    // Secrets are cleared from the form as soon as the search is dispatched
+    const job = recoverLegacyParams(encString, password, { iterations, keyLengths, onProgress, signal: recoveryAbort.signal });
+    clearDecryptSecrets();
+
+    const result = await job;
+    refs.plainOutput.value = result.plaintext;
+    recoveredParams = { iterations: result.iterations, keyLength: result.keyLength, algorithm: result.algorithm };
+    const found = `${result.iterations.toLocaleString("en-US")} iterations, ${describeLegacyCipher(result)}`;
+    refs.recoveryStatus.textContent = `Decrypted with ${found}`;
+    refs.recoveryApplyBtn.hidden = false;
+    announce(`Decrypted with ${found}`, "success");
+  } catch (err) {
+    if (err?.name === "AbortError") {
+      refs.recoveryStatus.textContent = "Cancelled";
+      announce("Recovery cancelled", "info");
+    } else if (err?.code === ERROR_CODES.AUTHENTICATION) {
+      refs.recoveryStatus.textContent = `None of the ${counts} with ${lengths} worked`;
+      announce(`${err.message}. Check the password, or try other iteration counts`, "error");
+    } else {
+      refs.recoveryStatus.textContent = "";
+      announce(decryptErrorMessage(err, { isFile: false, usePrivateKey: false, legacy: true }), "error");
+    }
+  } finally {
+    clearDecryptSecrets();
+    recoveryAbort = null;
+
+    refs.recoveryCancelBtn.hidden = true;
+    refs.recoverBtn.disabled = false;
+    refs.decryptBtn.disabled = false;
+    refs.recoverBtn.removeAttribute("aria-busy");
+    refs.recoverBtn.querySelector("span").textContent = "Recover";
+
+    // Reset password toggles
+    resetPasswordToggles(refs.decryptForm);
+  }
+}
+
+// Put the recovered parameters into Advanced Settings, which legacy input is decrypted with
+function applyRecoveredParams() {
+  if (!recoveredParams) return;
+  const { iterations } = recoveredParams;
+  refs.advKdf.value = KDFS.PBKDF2;
+  refs.advAlgo.value = describeLegacyCipher(recoveredParams);
+  updateKdfSettings();
+  updateAlgorithmSettings();
+
+  const min = Number(refs.advIterations.min);
+  const max = Number(refs.advIterations.max);
+  if (iterations < min || iterations > max) {
+    announce(`Set ${refs.advAlgo.value}. Advanced Settings take ${min.toLocaleString("en-US")}–${max.toLocaleString("en-US")} iterations, ` +
+      `so use recovery with ${iterations.toLocaleString("en-US")} for input like this`, "info");
+    return;
+  }
+  refs.advIterations.value = String(iterations);
+  announce(`Advanced Settings now use ${iterations.toLocaleString("en-US")} iterations and ${refs.advAlgo.value}`, "success");
+}
+
+// ── Key Slots ─────────────────────────────────────────────────
+// A message encrypted with several passwords keeps its content key in one slot per password. A password
+// that opens it can add another slot, and any password can take its own slot out; the content is never
+// re-encrypted, and the updated ciphertext replaces the one in Encrypted Input.
+
+function initKeySlots() {
+  refs.slotsToggle.addEventListener("click", toggleKeySlots);
+  refs.addSlotBtn.addEventListener("click", () => handleSlotChange(true));
+  refs.removeSlotBtn.addEventListener("click", () => handleSlotChange(false));
+  updateSlotsVisibility();
+}
+
+// Shown for pasted text with at least one password slot, while decrypting with a password
+function updateSlotsVisibility(info = inspectCiphertext(refs.cipherInput.value.trim())) {
+  const usePassword = getSelectedRadioValue(refs.decryptKeyModeRadios, "password") === "password";
+  const hasPasswordSlot = info.format === "envelope" && Boolean(info.slots?.includes("PASSWORD"));
+  refs.slotsGroup.hidden = isFileSource(refs.decryptSourceRadios) || !usePassword || !hasPasswordSlot;
+}
+
+function toggleKeySlots() {
+  const open = refs.slotsPanel.hidden;
+  refs.slotsPanel.hidden = !open;
+  refs.slotsToggle.setAttribute("aria-expanded", String(open));
+}
+
+function resetKeySlots() {
+  refs.newSlotPasswordInput.value = "";
+  refs.slotsPanel.hidden = true;
+  refs.slotsToggle.setAttribute("aria-expanded", "false");
+}
+
+async function handleSlotChange(add) {
+  const encString = sanitizeInput(refs.cipherInput.value);
+  const password = refs.decryptPasswordInput.value ?? "";
+  const newPassword = refs.newSlotPasswordInput.value ?? "";
+  const btn = add ? refs.addSlotBtn : refs.removeSlotBtn;
+  const label = add ? "Add Password" : "Remove Password";
+
+  if (password.trim() === "") {
+    announce(add ? "Enter a password that already opens the message" : "Enter the password to remove", "error");
+    refs.decryptPasswordInput.focus();
+    return;
+  }
+  let settings;
+  if (add) {
+    if (newPassword.trim() === "") {
+      announce("New password cannot be empty", "error");
+      refs.newSlotPasswordInput.focus();
+      return;
+    }
+    const validated = validateAdvancedSettings(readAdvancedSettings());
+    if (!validated.ok) {
+      announce(validated.message || "Invalid Advanced Settings", "error");
+      return;
+    }
+    settings = validated.settings;
+  }
+
+  // Busy state; Decrypt waits too, since both use the form's password
+  btn.disabled = true;
+  refs.decryptBtn.disabled = true;
+  btn.setAttribute("aria-busy", "true");
+  btn.querySelector("span").textContent = add ? "Adding..." : "Removing...";
+
+  const onProgress = (done, total) => showBusyProgress(btn, add ? "Adding" : "Removing", done, total);
+
+  try {
+    // Passwords are cleared from the form as soon as the job is dispatched; the ciphertext stays
+    const job = add
+      ? addPasswordSlot(encString, password, newPassword, { ...settings, onProgress })
+      : removePasswordSlot(encString, password, { onProgress });
+    refs.decryptPasswordInput.value = "";
+    refs.newSlotPasswordInput.value = "";
+
+    refs.cipherInput.value = await job;
+    updateCiphertextInfo();
+    announce(add
+      ? "Password added: the ciphertext in Encrypted Input now opens with it too. Copy it to replace the old one"
+      : "Password removed: the ciphertext in Encrypted Input no longer opens with it. Copy it to replace the old one", "success");
+  } catch (err) {
+    announce(decryptErrorMessage(err, { isFile: false, usePrivateKey: false, legacy: false }), "error");
+  } finally {
+    refs.decryptPasswordInput.value = "";
+    refs.newSlotPasswordInput.value = "";
+
+    btn.disabled = false;
+    refs.decryptBtn.disabled = false;
+    btn.removeAttribute("aria-busy");
+    btn.querySelector("span").textContent = label;
+
+    // Reset password toggles
+    resetPasswordToggles(refs.decryptForm);
+  }
+}
+
+// ── QR Codes ──────────────────────────────────────────────────
+// Ciphertexts go out as inline SVG (the CSP allows no data: or blob: images) and come back from image
+// files read through a canvas; decoding runs locally, the camera is never used.
+const SVG_NS = "http://www.w3.org/2000/svg";
+const QR_MARGIN = 4;
+// Large photos are scaled down before decoding; codes stay several pixels per module at this size
+const QR_IMAGE_MAX_SIDE = 2000;
+
+// Payloads of a split ciphertext read so far, until every part is in
+let qrPendingParts = [];
+
+function initQrCodes() {
+  refs.showQrBtn.addEventListener("click", toggleQrCodes);
+  refs.qrImageInput.addEventListener("change", handleQrImages);
+}
+
+function toggleQrCodes() {
+  if (!refs.qrOutput.hidden) {
+    hideQrCodes();
+    return;
+  }
+  const text = refs.cipherOutput.value.trim();
+  if (text === "") {
+    announce("Nothing to show; encrypt some text first", "info");
+    return;
+  }
+
+  let payloads;
+  try {
+    payloads = splitForQr(text);
+  } catch (err) {
+    announce(err?.message || "Could not make QR codes", "error");
+    return;
+  }
+  refs.qrCodes.replaceChildren(...payloads.map((payload, i) => renderQrFigure(payload, i + 1, payloads.length)));
+  refs.qrOutputHelp.textContent = payloads.length === 1
+    ? "Scan it, or save a screenshot and read it back in the Decrypt tab"
+    : `Split into ${payloads.length} codes. Scan or photograph them all, in any order; the Decrypt tab puts them back together`;
+  refs.qrOutput.hidden = false;
+  refs.showQrBtn.setAttribute("aria-expanded", "true");
+}
+
+function hideQrCodes() {
+  refs.qrOutput.hidden = true;
+  refs.qrCodes.replaceChildren();
+  refs.showQrBtn.setAttribute("aria-expanded", "false");
+}
+
+function renderQrFigure(payload, index, total) {
+  const qr = encodeQr(payload, { level: QR_LEVEL, maxVersion: QR_MAX_VERSION });
+  const extent = String(qr.size + QR_MARGIN * 2);
+  const label = total === 1 ? "QR code of the ciphertext" : `QR code, part ${index} of ${total}`;
+
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("viewBox", `0 0 ${extent} ${extent}`);
+  svg.setAttribute("shape-rendering", "crispEdges");
+  svg.setAttribute("role", "img");
+  svg.setAttribute("aria-label", label);
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("width", extent);
+  background.setAttribute("height", extent);
+  background.setAttribute("fill", "#fff");
+  const modules = document.createElementNS(SVG_NS, "path");
+  modules.setAttribute("d", qrPathData(qr, QR_MARGIN));
+  modules.setAttribute("fill", "#000");
+  svg.append(background, modules);
+
+  const figure = document.createElement("figure");
+  figure.className = "qr-code";
+  figure.append(svg);
+  if (total > 1) {
+    const caption = document.createElement("figcaption");
+    caption.textContent = `Part ${index} of ${total}`;
+    figure.append(caption);
+  }
+  return figure;
+}
+
+async function readQrImage(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const scale = Math.min(1, QR_IMAGE_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    return decodeQrCodes(ctx.getImageData(0, 0, width, height));
+  } finally {
+    bitmap.close();
+  }
+}
+
+async function handleQrImages() {
+  const files = Array.from(refs.qrImageInput.files || []);
+  refs.qrImageInput.value = "";
+  if (files.length === 0) return;
+
+  const payloads = [];
+  for (const file of files) {
+    try {
+      payloads.push(...(await readQrImage(file)));
+    } catch {
+      announce(`Could not open ${file.name} as an image`, "error");
+      return;
+    }
+  }
+  if (payloads.length === 0) {
+    announce(files.length === 1 ? "No readable QR code found in the image" : "No readable QR code found in the images", "error");
+    return;
+  }
+
+  try {
+    const whole = payloads.find((payload) => parseQrPart(payload) === null);
+    if (whole !== undefined) {
+      resetQrImport();
+      setCipherInput(whole);
+      announce("Read the ciphertext from the QR code", "success");
+      return;
+    }
+
+    // Parts of a different ciphertext than the ones read before start over
+    const first = parseQrPart(payloads[0]);
+    const kept = qrPendingParts.filter((payload) => {
+      const part = parseQrPart(payload);
+      return part.checksum === first.checksum && part.total === first.total;
+    });
+    const { text, total, missing } = joinQrParts(kept.concat(payloads));
+    if (text === null) {
+      qrPendingParts = kept.concat(payloads);
+      const status = `Read ${total - missing.length} of ${total} parts; still missing ${missing.join(", ")}.`;
+      refs.qrImportStatus.textContent = status;
+      announce(status, "info");
+      return;
+    }
+    resetQrImport();
+    setCipherInput(text);
+    announce(`Put the ciphertext back together from ${total} QR codes`, "success");
+  } catch (err) {
+    announce(err?.message || "Could not read the QR codes", "error");
+  }
+}
+
+function resetQrImport() {
+  qrPendingParts = [];
+  refs.qrImportStatus.textContent = "";
+}
+
+function setCipherInput(text) {
+  refs.cipherInput.value = text;
+  updateCiphertextInfo();
+}
+
+// ── Extra Passwords ───────────────────────────────────────────
+const MAX_EXTRA_PASSWORDS = 8;
+let extraPasswordSeq = 0;
+
+function addExtraPasswordField() {
+  const count = refs.extraPasswords.children.length;
+  if (count >= MAX_EXTRA_PASSWORDS) {
+    announce(`At most ${MAX_EXTRA_PASSWORDS + 1} passwords from here`, "info");
+    return;
+  }
+
+  const id = `extraPassword${++extraPasswordSeq}`;
+  const group = document.createElement("div");
+  group.className = "input-group";
+
+  const label = document.createElement("label");
+  label.className = "input-label";
+  label.htmlFor = id;
+  group.appendChild(label);
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "input-wrapper";
+  const input = document.createElement("input");
+  input.id = id;
+  input.type = "password";
+  input.className = "input";
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.setAttribute("autocapitalize", "off");
+  input.setAttribute("data-extra-password", "");
+  wrapper.appendChild(input);
+
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "input-icon-btn";
+  remove.setAttribute("aria-label", "Remove this password");
+  remove.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>';
+  remove.addEventListener("click", () => {
+    group.remove();
+    renumberExtraPasswords();
+    refs.addPasswordBtn.focus();
+  });
+  wrapper.appendChild(remove);
+  group.appendChild(wrapper);
+
+  refs.extraPasswords.appendChild(group);
+  renumberExtraPasswords();
+  input.focus();
+}
+
+function renumberExtraPasswords() {
+  const groups = Array.from(refs.extraPasswords.children);
+  groups.forEach((group, i) => {
+    group.querySelector("label").textContent = `Additional Password ${i + 1}`;
+  });
+  refs.extraPasswords.hidden = groups.length === 0;
+}
+
+function readExtraPasswords() {
+  return Array.from(refs.extraPasswords.querySelectorAll("input[data-extra-password]")).map((input) => input.value ?? "");
+}
+
+// Hygiene: drop extra password fields along with their values
+function clearExtraPasswords() {
+  refs.extraPasswords.querySelectorAll("input").forEach((input) => {
+    input.value = "";
+  });
+  refs.extraPasswords.replaceChildren();
+  refs.extraPasswords.hidden = true;
+}
+
+// ── Password Generator ────────────────────────────────────────
+function initPasswordGenerator() {
+  refs.generatorToggle.addEventListener("click", toggleGenerator);
+  refs.generatorModeRadios.forEach((r) => {
+    r.addEventListener("change", () => {
+      updateGeneratorVisibility();
+      generateIntoPanel();
+    });
+  });
+  [
+    refs.generatorWords, refs.generatorSeparator, refs.generatorDigit, refs.generatorSymbol,
+    refs.generatorLength, refs.generatorLower, refs.generatorUpper, refs.generatorDigits, refs.generatorSymbols,
+  ].forEach((input) => input.addEventListener("change", generateIntoPanel));
+  refs.regenerateBtn.addEventListener("click", generateIntoPanel);
+  refs.useGeneratedBtn.addEventListener("click", useGeneratedPassword);
+  updateGeneratorVisibility();
+}
+
+function isPassphraseMode() {
+  return getSelectedRadioValue(refs.generatorModeRadios, "passphrase") === "passphrase";
+}
+
+function updateGeneratorVisibility() {
+  const passphrase = isPassphraseMode();
+  refs.passphraseOptions.hidden = !passphrase;
+  refs.characterOptions.hidden = passphrase;
+}
+
+function toggleGenerator() {
+  if (!refs.generatorPanel.hidden) {
+    closeGenerator();
+    return;
+  }
+  refs.generatorPanel.hidden = false;
+  refs.generatorToggle.setAttribute("aria-expanded", "true");
+  generateIntoPanel();
+}
+
+// Hygiene: a generated password only lives in the panel until it is used or the panel closes
+function closeGenerator() {
+  refs.generatorPanel.hidden = true;
+  refs.generatorToggle.setAttribute("aria-expanded", "false");
+  refs.generatedPassword.value = "";
+  refs.generatorEntropy.textContent = "";
+}
+
+function generateIntoPanel() {
+  try {
+    const { password, entropy } = isPassphraseMode()
+      ? generatePassphrase({
+        words: Number(refs.generatorWords.value),
+        separator: refs.generatorSeparator.value,
+        digit: refs.generatorDigit.checked,
+        symbol: refs.generatorSymbol.checked,
+      })
+      : generatePassword({
+        length: Number(refs.generatorLength.value),
+        lower: refs.generatorLower.checked,
+        upper: refs.generatorUpper.checked,
+        digits: refs.generatorDigits.checked,
+        symbols: refs.generatorSymbols.checked,
+      });
+    refs.generatedPassword.value = password;
+    refs.generatorEntropy.textContent = `${entropy.toFixed(1)} bits of entropy`;
+    refs.generatorEntropy.classList.remove("error");
+  } catch (err) {
+    refs.generatedPassword.value = "";
+    refs.generatorEntropy.textContent = err?.message || "Could not generate a password";
+    refs.generatorEntropy.classList.add("error");
+  }
+}
+
+function useGeneratedPassword() {
+  const password = refs.generatedPassword.value;
+  if (!password) {
+    announce("Generate a password first", "info");
+    return;
+  }
+  refs.passwordInput.value = password;
+  refs.passwordConfirmInput.value = password;
+  refs.passwordConfirmInput.removeAttribute("aria-invalid");
+  updateStrengthMeter(password);
+  closeGenerator();
+  announce("Password filled in. Keep a copy somewhere safe; it cannot be recovered", "success");
+}
+
+// ── Password Strength ─────────────────────────────────────────
+const STRENGTH_CLASSES = ["s-0", "s-25", "s-50", "s-75", "s-100"];
+
+function updateStrengthMeter(password) {
+  const result = estimateStrength(password);
+
+  refs.strengthLabel.textContent = password ? `Strength: ${result.label}` : "Strength: —";
+  refs.strengthBar.classList.remove(...STRENGTH_CLASSES);
+  refs.strengthBar.classList.add(STRENGTH_CLASSES[result.score]);
+
+  refs.strengthHint.hidden = !password;
+  if (!password) {
+    refs.strengthEstimate.textContent = "";
+    refs.strengthFeedback.textContent = "";
+    return;
+  }
+  refs.strengthEstimate.textContent = `About ${formatGuesses(result.guesses)} guesses; ${crackTimeText(result.guesses)}.`;
+  const { warning, suggestions } = result.feedback;
+  refs.strengthFeedback.textContent = [warning, ...suggestions].filter(Boolean).map((s) => `${s}.`).join(" ");
+}
+
+// Offline attack on a stolen ciphertext: one key derivation per guess at the configured PBKDF2 cost
+function crackTimeText(guesses) {
+  if (refs.advKdf && refs.advKdf.value !== "PBKDF2-SHA256") {
+    return `memory-hard ${refs.advKdf.value} makes offline guessing slower than PBKDF2`;
+  }
+  const parsed = Number.parseInt(refs.advIterations.value, 10);
+  const iterations = Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULTS.iterations;
+  const time = formatDuration(crackTimeSeconds(guesses, iterations));
+  return `${time} to crack offline at ${iterations.toLocaleString("en-US")} PBKDF2 iterations`;
+}
+
+// ── Copy to Clipboard ─────────────────────────────────────────
+async function copyOutput(text, btn) {
+  const trimmed = (text ?? "").trim();
+  if (trimmed.length === 0) {
+    announce("Nothing to copy", "info");
+    return;
+  }
+  try {
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
+      await navigator.clipboard.writeText(trimmed);
+    } else {
+      const ta = document.createElement("textarea");
+      ta.value = trimmed;
+      ta.setAttribute("readonly", "");
+      ta.style.position = "absolute";
+      ta.style.left = "-9999px";
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand("copy");
+      document.body.removeChild(ta);
+    }
+
+    // Visual feedback on button
+    if (btn) {
+      const originalHTML = btn.innerHTML;
+      btn.innerHTML = '<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg><span>Copied!</span>';
+      btn.style.color = "var(--success)";
+      setTimeout(() => {
+        btn.innerHTML = originalHTML;
+        btn.style.color = "";
+      }, 2000);
+    }
+
+    announce("Copied to clipboard", "success");
+  } catch {
+    announce("Copy failed", "error");
+  }
+}
+
+// ── Clear All ─────────────────────────────────────────────────
+function clearAll() {
+  if (refs.encryptForm) refs.encryptForm.reset();
+  if (refs.decryptForm) refs.decryptForm.reset();
+
+  if (refs.batchForm) refs.batchForm.reset();
+  if (refs.sharesForm) refs.sharesForm.reset();
+  if (refs.signForm) refs.signForm.reset();
+  if (refs.keysForm) refs.keysForm.reset();
+
+  refs.cipherOutput.value = "";
+  refs.cipherOutputNote.hidden = true;
+  refs.plainOutput.value = "";
+  hideQrCodes();
+  resetQrImport();
+  refs.batchOutput.value = "";
+  showBatchFailures([]);
+  refs.sharesOutput.value = "";
+  refs.secretOutput.value = "";
+  refs.signatureOutput.value = "";
+  clearExtraPasswords();
+  showVerifyResult(null);
+  clearKeyOutputs();
+
+  setSelectedFile("encrypt", null);
+  setSelectedFile("decrypt", null);
+  setSelectedFile("sign", null);
+  setKeyfile("encrypt", null);
+  setKeyfile("decrypt", null);
+  updateSourceVisibility();
+  updateKeyModeVisibility();
+  updateGeneratorVisibility();
+  closeGenerator();
+  resetRecovery();
+  resetKeySlots();
+  updateBatchVisibility();
+  updateSharesVisibility();
+  updateSignVisibility();
+
+  // Reset Advanced Settings to defaults
+  if (refs.advAlgo) refs.advAlgo.value = "AES-256-CBC";
+  if (refs.advFormat) refs.advFormat.value = DEFAULTS.format;
+  if (refs.advEncoding) refs.advEncoding.value = DEFAULTS.encoding;
+  if (refs.advArmorComment) refs.advArmorComment.value = "";
+  refs.advSaltLen.value = String(DEFAULTS.saltLength);
+  refs.advIterations.value = String(DEFAULTS.iterations);
+  refs.advKeyLen.value = String(DEFAULTS.keyLength);
+  resetKdfSettings();
+
+  updateAlgorithmSettings();
+  updateKdfSettings();
+  updateEncodingSettings();
+  updateCiphertextInfo();
+  updateStrengthMeter("");
+
+  // Reset all password inputs to password type
+  document.querySelectorAll('input[type="text"][data-was-password]').forEach((input) => {
+    input.type = "password";
+  });
+
+  announce("Cleared all fields and memory", "success");
+}
+
+// ── File Mode ─────────────────────────────────────────────────
+const DROPZONE_PROMPTS = {
+  encrypt: "Drop a file here or click to choose",
+  decrypt: "Drop a .crcrypt file here or click to choose",
+  sign: "Drop a file here or click to choose",
+};
+
+function initFileMode() {
+  refs.encryptSourceRadios.concat(refs.decryptSourceRadios).forEach((r) => {
+    r.addEventListener("change", updateSourceVisibility);
+  });
+  bindDropzone("encrypt", refs.encryptDropzone, refs.encryptFileInput);
+  bindDropzone("decrypt", refs.decryptDropzone, refs.decryptFileInput);
+  updateSourceVisibility();
+}
+
+function updateSourceVisibility() {
+  const encryptIsFile = isFileSource(refs.encryptSourceRadios);
+  refs.plaintextGroup.hidden = encryptIsFile;
+  refs.labelGroup.hidden = encryptIsFile;
+  refs.encryptFileGroup.hidden = !encryptIsFile;
+
+  const decryptIsFile = isFileSource(refs.decryptSourceRadios);
+  refs.cipherInputGroup.hidden = decryptIsFile;
+  refs.cipherLabel.hidden = decryptIsFile || refs.cipherLabelText.textContent === "";
+  refs.decryptFileGroup.hidden = !decryptIsFile;
+  updateRecoveryVisibility();
+  updateSlotsVisibility();
+}
+
+function isFileSource(radios) {
+  return getSelectedRadioValue(radios, "text") === "file";
+}
+
+function bindDropzone(kind, zone, input) {
+  input.addEventListener("change", () => {
+    setSelectedFile(kind, input.files && input.files[0]);
+  });
+
+  zone.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    zone.classList.add("dropzone--active");
+  });
+  zone.addEventListener("dragleave", () => {
+    zone.classList.remove("dropzone--active");
+  });
+  zone.addEventListener("drop", (e) => {
+    e.preventDefault();
+    zone.classList.remove("dropzone--active");
+    const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+    if (file) setSelectedFile(kind, file);
+  });
+}
+
+function setSelectedFile(kind, file) {
+  const zone = refs[`${kind}Dropzone`];
+  const input = refs[`${kind}FileInput`];
+  const label = refs[`${kind}FileName`];
+
+  selectedFiles[kind] = file || null;
+  if (file) {
+    label.textContent = `${file.name} (${formatBytes(file.size)})`;
+    zone.classList.add("dropzone--filled");
+  } else {
+    label.textContent = DROPZONE_PROMPTS[kind];
+    zone.classList.remove("dropzone--filled");
+    input.value = "";
+  }
+}
+
+/**
+ * Write a stream to disk. Uses the File System Access API when available so large files
+ * never sit in memory; otherwise collects the stream into a Blob and downloads it.
+ */
+async function saveStream(stream, filename) {
+  if (typeof window.showSaveFilePicker === "function") {
+    let handle = null;
+    try {
+      handle = await window.showSaveFilePicker({ suggestedName: filename });
+    } catch (err) {
+      if (err && err.name === "AbortError") {
+        await stream.cancel();
+        throw new Error("Save cancelled");
+      }
+      // Picker unavailable here (e.g. user activation expired): fall back to a download
+    }
+    if (handle) {
+      const writable = await handle.createWritable();
+      await stream.pipeTo(writable);
+      return;
+    }
+  }
+  const blob = await new Response(stream).blob();
+  downloadBlob(blob, filename);
+}
+
+function showBusyProgress(btn, verb, done, total) {
+  const label = btn.querySelector("span");
+  if (!label) return;
+  if (total > 0) {
+    const pct = Math.min(100, Math.floor((done / total) * 100));
+    label.textContent = `${verb}... ${pct}%`;
+  } else {
+    label.textContent = `${verb}... ${formatBytes(done)}`;
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.hidden = true;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a moment to start the download before releasing memory
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ── Key Modes ─────────────────────────────────────────────────
+function initKeyModes() {
+  refs.encryptKeyModeRadios.concat(refs.decryptKeyModeRadios).forEach((r) => {
+    r.addEventListener("change", updateKeyModeVisibility);
+  });
+
+  bindKeyTextLoader(refs.privateKeyFileInput, refs.privateKeyInput);
+  bindKeyTextLoader(refs.encryptRawKeyFileInput, refs.encryptRawKeyInput);
+  bindKeyTextLoader(refs.decryptRawKeyFileInput, refs.decryptRawKeyInput);
+  updateKeyModeVisibility();
+}
+
+// Key text files are read straight into the field; nothing is kept besides the textarea value
+function bindKeyTextLoader(fileInput, target) {
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    if (file.size > 4096) {
+      announce("That file is too large to be a CRCrypt key", "error");
+      return;
+    }
+    try {
+      target.value = (await file.text()).trim();
+      announce(`Loaded key from ${file.name}`, "info");
+    } catch {
+      announce("Could not read the key file", "error");
+    }
+  });
+}
+
+// ── Keyfiles ──────────────────────────────────────────────────
+// Files are hashed on selection (hashKeyfile) and only the digest is kept and sent to the worker
+const MAX_KEYFILE_BYTES = 64 * 1024 * 1024;
+const KEYFILE_DOWNLOAD_NAME = "crcrypt.key";
+
+function initKeyfiles() {
+  bindKeyfileHasher("encrypt", refs.keyfileInput);
+  bindKeyfileHasher("decrypt", refs.decryptKeyfileInput);
+  refs.keyfileRemoveBtn.addEventListener("click", () => setKeyfile("encrypt", null));
+  refs.decryptKeyfileRemoveBtn.addEventListener("click", () => setKeyfile("decrypt", null));
+  refs.keyfileGenerateBtn.addEventListener("click", handleGenerateKeyfile);
+}
+
+function bindKeyfileHasher(kind, fileInput) {
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    if (file.size > MAX_KEYFILE_BYTES) {
+      announce("Keyfiles are limited to 64 MiB", "error");
+      return;
+    }
+    let bytes = null;
+    try {
+      bytes = new Uint8Array(await file.arrayBuffer());
+      setKeyfile(kind, { name: file.name, digest: await hashKeyfile(bytes) });
+      announce(`Keyfile ${file.name} selected`, "info");
+    } catch (err) {
+      announce(err?.message || "Could not read the keyfile", "error");
+    } finally {
+      // Hygiene: only the digest is kept
+      wipeBytes(bytes);
+    }
+  });
 }
 
-// ── Password Visibility Toggle ────────────────────────────────
-function togglePasswordVisibility(btn) {
-  const wrapper = btn.closest(".input-wrapper");
-  if (!wrapper) return;
-  const input = wrapper.querySelector("input");
-  if (!input) return;
-
-  const isPassword = input.type === "password";
-  input.type = isPassword ? "text" : "password";
+function setKeyfile(kind, keyfile) {
+  const name = kind === "encrypt" ? refs.keyfileName : refs.decryptKeyfileName;
+  const removeBtn = kind === "encrypt" ? refs.keyfileRemoveBtn : refs.decryptKeyfileRemoveBtn;
+  keyfiles[kind] = keyfile || null;
+  name.textContent = keyfile ? keyfile.name : "None";
+  removeBtn.hidden = !keyfile;
+}
 
-  // Swap icon: eye (show) ↔ eye-off (hide)
-  if (isPassword) {
-    btn.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17.94 17.94A10.07 10.07 0 0112 20c-7 0-11-8-11-8a18.45 18.45 0 015.06-5.94M9.9 4.24A9.12 9.12 0 0112 4c7 0 11 8 11 8a18.5 18.5 0 01-2.16 3.19m-6.72-1.07a3 3 0 11-4.24-4.24"/><line x1="1" y1="1" x2="23" y2="23"/></svg>';
-    btn.setAttribute("aria-label", "Hide password");
-  } else {
-    btn.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>';
-    btn.setAttribute("aria-label", "Show password");
+// Download a new random keyfile and select it for the next encryption
+async function handleGenerateKeyfile() {
+  const bytes = generateKeyfile();
+  try {
+    downloadBlob(new Blob([bytes], { type: "application/octet-stream" }), KEYFILE_DOWNLOAD_NAME);
+    setKeyfile("encrypt", { name: KEYFILE_DOWNLOAD_NAME, digest: await hashKeyfile(bytes) });
+    announce(`Keyfile saved as ${KEYFILE_DOWNLOAD_NAME} and selected. Keep a copy: nothing encrypted with it opens without it`, "success");
+  } finally {
+    // Hygiene: the Blob holds its own copy
+    wipeBytes(bytes);
   }
+}
 
-  input.focus();
+function updateKeyModeVisibility() {
+  const encryptMode = getSelectedRadioValue(refs.encryptKeyModeRadios, "password");
+  refs.encryptPasswordFields.hidden = encryptMode !== "password";
+  refs.recipientsGroup.hidden = encryptMode !== "recipients";
+  refs.encryptRawKeyGroup.hidden = encryptMode !== "rawKey";
+
+  const decryptMode = getSelectedRadioValue(refs.decryptKeyModeRadios, "password");
+  refs.decryptPasswordGroup.hidden = decryptMode !== "password";
+  refs.decryptKeyfileGroup.hidden = decryptMode !== "password";
+  refs.privateKeyGroup.hidden = decryptMode !== "privateKey";
+  refs.decryptRawKeyGroup.hidden = decryptMode !== "rawKey";
+  updateRecoveryVisibility();
+  updateSlotsVisibility();
 }
 
-// ── Mode Switch ───────────────────────────────────────────────
-function handleModeSwitch(mode) {
-  const isEncrypt = mode === "encrypt";
+function selectDecryptKeyMode(value) {
+  const radio = refs.decryptKeyModeRadios.find((r) => r.value === value);
+  if (radio && !radio.checked) {
+    radio.checked = true;
+    updateKeyModeVisibility();
+  }
+}
 
-  refs.tabEncrypt.setAttribute("aria-selected", String(isEncrypt));
-  refs.tabDecrypt.setAttribute("aria-selected", String(!isEncrypt));
+// ── Batch ─────────────────────────────────────────────────────
+// Many values, one password: the worker derives the key once per run (see encryptTextBatch)
+const BATCH_DOWNLOAD_NAMES = {
+  [BATCH_FORMATS.KEY_VALUE]: "crcrypt-batch.env",
+  [BATCH_FORMATS.LINES]: "crcrypt-batch.txt",
+  [BATCH_FORMATS.CSV]: "crcrypt-batch.csv",
+};
 
-  refs.tabEncrypt.tabIndex = isEncrypt ? 0 : -1;
-  refs.tabDecrypt.tabIndex = !isEncrypt ? 0 : -1;
+function initBatchPanel() {
+  refs.batchActionRadios.forEach((r) => r.addEventListener("change", updateBatchVisibility));
+  refs.batchForm.addEventListener("submit", handleBatchSubmit);
+  refs.copyBatchBtn.addEventListener("click", () => copyOutput(refs.batchOutput.value, refs.copyBatchBtn));
+  refs.downloadBatchBtn.addEventListener("click", () => {
+    const list = refs.batchOutput.value;
+    if (!list) {
+      announce("Run a batch first", "info");
+      return;
+    }
+    const name = BATCH_DOWNLOAD_NAMES[refs.batchFormat.value] || BATCH_DOWNLOAD_NAMES[BATCH_FORMATS.LINES];
+    downloadBlob(new Blob([`${list}\n`], { type: "text/plain" }), name);
+  });
+  updateBatchVisibility();
+}
 
-  // Animate mode indicator
-  if (refs.modeIndicator) {
-    refs.modeIndicator.setAttribute("data-active", isEncrypt ? "encrypt" : "decrypt");
-  }
+function isBatchDecrypt() {
+  return getSelectedRadioValue(refs.batchActionRadios, "encrypt") === "decrypt";
+}
 
-  if (isEncrypt) {
-    refs.encryptPanel.hidden = false;
-    refs.decryptPanel.hidden = true;
-    refs.tabEncrypt.focus();
-  } else {
-    refs.encryptPanel.hidden = true;
-    refs.decryptPanel.hidden = false;
-    refs.tabDecrypt.focus();
-  }
+function updateBatchVisibility() {
+  const decrypt = isBatchDecrypt();
+  refs.batchPasswordConfirmGroup.hidden = decrypt;
+  refs.batchBtn.querySelector("span").textContent = decrypt ? "Decrypt All" : "Encrypt All";
 }
 
-// ── Encrypt ───────────────────────────────────────────────────
-async function handleEncryptSubmit(ev) {
+async function handleBatchSubmit(ev) {
   ev.preventDefault();
 
-  const plaintext = sanitizeInput(refs.plaintextInput.value);
-  const password = refs.passwordInput.value ?? "";
-  const passwordConfirm = refs.passwordConfirmInput.value ?? "";
+  const decrypt = isBatchDecrypt();
+  const label = decrypt ? "Decrypt All" : "Encrypt All";
+  const format = refs.batchFormat.value;
+  const password = refs.batchPasswordInput.value ?? "";
+  const passwordConfirm = refs.batchPasswordConfirmInput.value ?? "";
 
-  if (plaintext.length === 0) {
-    announce("Plaintext cannot be empty", "error");
-    refs.plaintextInput.focus();
+  let entries;
+  try {
+    entries = parseBatch(refs.batchInput.value, format);
+  } catch (err) {
+    announce(err.message, "error");
+    refs.batchInput.focus();
+    return;
+  }
+  const blank = entries.find((entry) => entry.value.trim() === "");
+  if (blank) {
+    announce(`Line ${blank.line} has no value`, "error");
+    refs.batchInput.focus();
+    return;
+  }
+  if (entries.length > MAX_BATCH_ENTRIES) {
+    announce(`A batch holds at most ${MAX_BATCH_ENTRIES.toLocaleString("en-US")} entries; split the list`, "error");
     return;
   }
   if (password.trim() === "") {
     announce("Password cannot be empty", "error");
-    refs.passwordInput.focus();
+    refs.batchPasswordInput.focus();
     return;
   }
-  if (password !== passwordConfirm) {
+  if (!decrypt && password !== passwordConfirm) {
     announce("Passwords must match", "error");
-    refs.passwordConfirmInput.setAttribute("aria-invalid", "true");
-    refs.passwordConfirmInput.focus();
+    refs.batchPasswordConfirmInput.setAttribute("aria-invalid", "true");
+    refs.batchPasswordConfirmInput.focus();
     return;
   } else {
-    refs.passwordConfirmInput.removeAttribute("aria-invalid");
+    refs.batchPasswordConfirmInput.removeAttribute("aria-invalid");
   }
 
   const { ok, settings, message } = validateAdvancedSettings(readAdvancedSettings());
@@ -246,195 +2056,369 @@ async function handleEncryptSubmit(ev) {
     announce(message || "Invalid Advanced Settings", "error");
     return;
   }
+  if (!decrypt && settings.encoding === "armor" && format !== BATCH_FORMATS.CSV) {
+    announce("Armored ciphertexts span several lines; choose CSV or another output encoding", "error");
+    return;
+  }
 
   // Busy state
-  refs.encryptBtn.disabled = true;
-  refs.encryptBtn.setAttribute("aria-busy", "true");
-  refs.encryptBtn.querySelector("span").textContent = "Encrypting...";
+  refs.batchBtn.disabled = true;
+  refs.batchBtn.setAttribute("aria-busy", "true");
+  refs.batchBtn.querySelector("span").textContent = decrypt ? "Decrypting..." : "Encrypting...";
+
+  const onProgress = (done, total) => showBusyProgress(refs.batchBtn, decrypt ? "Decrypting" : "Encrypting", done, total);
+  const values = entries.map((entry) => entry.value);
 
   try {
-    const encString = await encryptText(plaintext, password, settings);
-    refs.cipherOutput.value = encString;
-    announce("Encryption completed", "success");
+    // Hygiene: the list and password leave the form as soon as the job is dispatched
+    const job = decrypt
+      ? decryptTextBatch(values, password, { iterations: settings.iterations, onProgress })
+      : encryptTextBatch(values, password, { ...settings, onProgress });
+    clearBatchSecrets();
+
+    if (decrypt) {
+      const results = fitBatchResults(await job, format);
+      const failures = [];
+      results.forEach((result, i) => {
+        if (!result.error) return;
+        const legacy = inspectCiphertext(values[i]).format === "legacy";
+        const { line, name } = entries[i];
+        const reason = decryptErrorMessage(result.error, { isFile: false, usePrivateKey: false, legacy, keyfile: false });
+        failures.push(`Line ${line}${name ? ` (${name})` : ""}: ${reason}`);
+      });
+      refs.batchOutput.value = formatBatch(entries.map(({ name }, i) => ({ name, value: results[i].plaintext ?? "" })), format);
+      showBatchFailures(failures);
+      announce(failures.length > 0
+        ? `Decrypted ${results.length - failures.length} of ${results.length} entries; the failures are listed under Results`
+        : `Decrypted ${results.length} entries`, failures.length > 0 ? "error" : "success");
+    } else {
+      const ciphertexts = await job;
+      refs.batchOutput.value = formatBatch(entries.map(({ name }, i) => ({ name, value: ciphertexts[i] })), format);
+      showBatchFailures([]);
+      announce(`Encrypted ${ciphertexts.length} entries`, "success");
+    }
   } catch (err) {
-    announce(err?.message || "Encryption failed", "error");
+    announce(err?.message || (decrypt ? "Decryption failed" : "Encryption failed"), "error");
   } finally {
-    // Hygiene: clear passwords and plaintext fields
-    refs.passwordInput.value = "";
-    refs.passwordConfirmInput.value = "";
-    refs.plaintextInput.value = "";
+    clearBatchSecrets();
 
-    refs.encryptBtn.disabled = false;
-    refs.encryptBtn.removeAttribute("aria-busy");
-    refs.encryptBtn.querySelector("span").textContent = "Encrypt";
+    refs.batchBtn.disabled = false;
+    refs.batchBtn.removeAttribute("aria-busy");
+    refs.batchBtn.querySelector("span").textContent = label;
 
     // Reset password toggles
-    resetPasswordToggles(refs.encryptForm);
+    resetPasswordToggles(refs.batchForm);
   }
 }
 
-// ── Decrypt ───────────────────────────────────────────────────
-async function handleDecryptSubmit(ev) {
-  ev.preventDefault();
+function showBatchFailures(failures) {
+  refs.batchFailures.replaceChildren(...failures.map((text) => {
+    const item = document.createElement("li");
+    item.textContent = text;
+    return item;
+  }));
+  refs.batchFailures.hidden = failures.length === 0;
+}
 
-  const encString = sanitizeInput(refs.cipherInput.value);
-  const password = refs.decryptPasswordInput.value ?? "";
+// Hygiene: clear the list and passwords
+function clearBatchSecrets() {
+  refs.batchInput.value = "";
+  refs.batchPasswordInput.value = "";
+  refs.batchPasswordConfirmInput.value = "";
+}
 
-  if (encString.length === 0) {
-    announce("Encrypted input cannot be empty", "error");
-    refs.cipherInput.focus();
+// ── Split / Combine ───────────────────────────────────────────
+function initSharesPanel() {
+  refs.shareActionRadios.forEach((r) => r.addEventListener("change", updateSharesVisibility));
+  refs.sharesForm.addEventListener("submit", handleSharesSubmit);
+  refs.copySharesBtn.addEventListener("click", () => copyOutput(refs.sharesOutput.value, refs.copySharesBtn));
+  refs.copySecretBtn.addEventListener("click", () => copyOutput(refs.secretOutput.value, refs.copySecretBtn));
+  refs.downloadSharesBtn.addEventListener("click", () => {
+    const shares = refs.sharesOutput.value.trim();
+    if (!shares) {
+      announce("Split a secret first", "info");
+      return;
+    }
+    downloadBlob(new Blob([`${shares}\n`], { type: "text/plain" }), "crcrypt-shares.txt");
+  });
+  updateSharesVisibility();
+}
+
+function isCombineAction() {
+  return getSelectedRadioValue(refs.shareActionRadios, "split") === "combine";
+}
+
+function updateSharesVisibility() {
+  const combine = isCombineAction();
+  refs.splitFields.hidden = combine;
+  refs.combineFields.hidden = !combine;
+  refs.sharesOutputCard.hidden = combine;
+  refs.secretOutputCard.hidden = !combine;
+  refs.shareBtn.querySelector("span").textContent = combine ? "Combine Shares" : "Split Secret";
+}
+
+async function handleSharesSubmit(ev) {
+  ev.preventDefault();
+
+  const combine = isCombineAction();
+  const label = combine ? "Combine Shares" : "Split Secret";
+  // Split exactly as entered: passwords may start or end with spaces
+  const secret = refs.secretInput.value;
+  const shares = refs.sharesInput.value.split(/\s+/).filter(Boolean);
+  const threshold = parseInt(refs.shareThreshold.value, 10);
+  const count = parseInt(refs.shareCount.value, 10);
+
+  if (!combine && secret.trim().length === 0) {
+    announce("Secret cannot be empty", "error");
+    refs.secretInput.focus();
     return;
   }
-  if (password.trim() === "") {
-    announce("Password cannot be empty", "error");
-    refs.decryptPasswordInput.focus();
+  if (!combine && !(Number.isInteger(count) && count >= 2 && count <= 255)) {
+    announce("Total shares must be between 2 and 255", "error");
+    refs.shareCount.focus();
     return;
   }
-
-  const { ok, settings, message } = validateAdvancedSettings(readAdvancedSettings());
-  if (!ok) {
-    announce(message || "Invalid Advanced Settings", "error");
+  if (!combine && !(Number.isInteger(threshold) && threshold >= 2 && threshold <= count)) {
+    announce("Shares needed must be at least 2 and no more than the total", "error");
+    refs.shareThreshold.focus();
+    return;
+  }
+  if (combine && shares.length === 0) {
+    announce("Paste the shares to combine", "error");
+    refs.sharesInput.focus();
     return;
   }
 
   // Busy state
-  refs.decryptBtn.disabled = true;
-  refs.decryptBtn.setAttribute("aria-busy", "true");
-  refs.decryptBtn.querySelector("span").textContent = "Decrypting...";
+  refs.shareBtn.disabled = true;
+  refs.shareBtn.setAttribute("aria-busy", "true");
+  refs.shareBtn.querySelector("span").textContent = combine ? "Combining..." : "Splitting...";
 
   try {
-    const plaintext = await decryptText(encString, password, {
-      iterations: settings.iterations,
-    });
-    refs.plainOutput.value = plaintext;
-    announce("Decryption completed", "success");
+    if (combine) {
+      refs.secretOutput.value = await combineText(shares);
+      announce("Secret recovered", "success");
+    } else {
+      // Hygiene: the secret leaves the form as soon as the job is dispatched
+      const job = splitText(secret, { threshold, shares: count });
+      refs.secretInput.value = "";
+      refs.sharesOutput.value = (await job).join("\n");
+      announce(`Split into ${count} shares; any ${threshold} rebuild the secret`, "success");
+    }
   } catch (err) {
-    announce(err?.message || "Decryption failed", "error");
+    announce(err?.message || `${combine ? "Combine" : "Split"} failed`, "error");
   } finally {
-    // Hygiene: clear password and enc input
-    refs.decryptPasswordInput.value = "";
-    refs.cipherInput.value = "";
-
-    refs.decryptBtn.disabled = false;
-    refs.decryptBtn.removeAttribute("aria-busy");
-    refs.decryptBtn.querySelector("span").textContent = "Decrypt";
+    refs.secretInput.value = "";
 
-    // Reset password toggles
-    resetPasswordToggles(refs.decryptForm);
+    refs.shareBtn.disabled = false;
+    refs.shareBtn.removeAttribute("aria-busy");
+    refs.shareBtn.querySelector("span").textContent = label;
   }
 }
 
-function resetPasswordToggles(form) {
-  if (!form) return;
-  form.querySelectorAll('input[type="text"][data-was-password]').forEach((input) => {
-    input.type = "password";
-    input.removeAttribute("data-was-password");
+// ── Sign / Verify ─────────────────────────────────────────────
+function initSignPanel() {
+  refs.signActionRadios.concat(refs.signSourceRadios).forEach((r) => {
+    r.addEventListener("change", updateSignVisibility);
   });
+  bindDropzone("sign", refs.signDropzone, refs.signFileInput);
+  bindKeyTextLoader(refs.signingKeyFileInput, refs.signingKeyInput);
+  refs.signForm.addEventListener("submit", handleSignSubmit);
+  refs.copySignatureBtn.addEventListener("click", () => copyOutput(refs.signatureOutput.value, refs.copySignatureBtn));
+  updateSignVisibility();
 }
 
-// ── Password Strength ─────────────────────────────────────────
-function updateStrengthMeter(password) {
-  const len = password.length;
-  const hasLower = /[a-z]/.test(password);
-  const hasUpper = /[A-Z]/.test(password);
-  const hasDigit = /\d/.test(password);
-  const hasSymbol = /[^A-Za-z0-9]/.test(password);
-
-  let score = 0;
-  if (len >= 12) score += 1;
-  if (len >= 16) score += 1;
-  if (hasLower) score += 1;
-  if (hasUpper) score += 1;
-  if (hasDigit) score += 1;
-  if (hasSymbol) score += 1;
-
-  const pct = Math.min(100, Math.round((score / 6) * 100));
-  let label, cls;
-
-  if (pct < 25) {
-    label = "Weak";
-    cls = "s-0";
-  } else if (pct < 50) {
-    label = "Fair";
-    cls = "s-25";
-  } else if (pct < 75) {
-    label = "Good";
-    cls = "s-50";
-  } else if (pct < 90) {
-    label = "Strong";
-    cls = "s-75";
-  } else {
-    label = "Very Strong";
-    cls = "s-100";
-  }
+function isVerifyAction() {
+  return getSelectedRadioValue(refs.signActionRadios, "sign") === "verify";
+}
 
-  refs.strengthLabel.textContent = `Strength: ${label}`;
-  refs.strengthBar.classList.remove("s-0", "s-25", "s-50", "s-75", "s-100");
-  refs.strengthBar.classList.add(cls);
+function updateSignVisibility() {
+  const verify = isVerifyAction();
+  refs.signingKeyGroup.hidden = verify;
+  refs.verifyFields.hidden = !verify;
+  refs.signatureOutputCard.hidden = verify;
+  refs.signBtn.querySelector("span").textContent = verify ? "Verify" : "Sign";
+  showVerifyResult(null);
+
+  const isFile = isFileSource(refs.signSourceRadios);
+  refs.signMessageGroup.hidden = isFile;
+  refs.signFileGroup.hidden = !isFile;
 }
 
-// ── Copy to Clipboard ─────────────────────────────────────────
-async function copyOutput(text, btn) {
-  const trimmed = (text ?? "").trim();
-  if (trimmed.length === 0) {
-    announce("Nothing to copy", "info");
+async function handleSignSubmit(ev) {
+  ev.preventDefault();
+
+  const verify = isVerifyAction();
+  const isFile = isFileSource(refs.signSourceRadios);
+  const message = isFile ? "" : sanitizeInput(refs.signMessageInput.value);
+  const signingKey = sanitizeInput(refs.signingKeyInput.value);
+  const publicKey = sanitizeInput(refs.verifyKeyInput.value);
+  const signature = sanitizeInput(refs.signatureInput.value);
+  const verb = verify ? "Verify" : "Sign";
+
+  if (isFile && !selectedFiles.sign) {
+    announce(`Choose a file to ${verb.toLowerCase()}`, "error");
+    refs.signFileInput.focus();
+    return;
+  }
+  if (!isFile && message.length === 0) {
+    announce("Message cannot be empty", "error");
+    refs.signMessageInput.focus();
+    return;
+  }
+  if (!verify && signingKey.length === 0) {
+    announce("Signing key cannot be empty", "error");
+    refs.signingKeyInput.focus();
+    return;
+  }
+  if (verify && publicKey.length === 0) {
+    announce("Enter the signer's public key", "error");
+    refs.verifyKeyInput.focus();
+    return;
+  }
+  if (verify && signature.length === 0) {
+    announce("Signature cannot be empty", "error");
+    refs.signatureInput.focus();
     return;
   }
+
+  // Busy state
+  refs.signBtn.disabled = true;
+  refs.signBtn.setAttribute("aria-busy", "true");
+  refs.signBtn.querySelector("span").textContent = verify ? "Verifying..." : "Signing...";
+  showVerifyResult(null);
+
   try {
-    if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
-      await navigator.clipboard.writeText(trimmed);
+    if (verify) {
+      const result = isFile
+        ? await verifyFile(selectedFiles.sign, signature, publicKey)
+        : await verifyText(message, signature, publicKey);
+      showVerifyResult(result);
+      announce(result.valid ? "Signature is valid" : "Signature is NOT valid", result.valid ? "success" : "error");
     } else {
-      const ta = document.createElement("textarea");
-      ta.value = trimmed;
-      ta.setAttribute("readonly", "");
-      ta.style.position = "absolute";
-      ta.style.left = "-9999px";
-      document.body.appendChild(ta);
-      ta.select();
-      document.execCommand("copy");
-      document.body.removeChild(ta);
+      // Hygiene: the signing key leaves the form as soon as the job is dispatched
+      const job = isFile ? signFile(selectedFiles.sign, signingKey) : signText(message, signingKey);
+      refs.signingKeyInput.value = "";
+      refs.signatureOutput.value = await job;
+      announce("Signature created", "success");
     }
+  } catch (err) {
+    announce(err?.message || `${verb} failed`, "error");
+  } finally {
+    refs.signingKeyInput.value = "";
 
-    // Visual feedback on button
-    if (btn) {
-      const originalHTML = btn.innerHTML;
-      btn.innerHTML = '<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg><span>Copied!</span>';
-      btn.style.color = "var(--success)";
-      setTimeout(() => {
-        btn.innerHTML = originalHTML;
-        btn.style.color = "";
-      }, 2000);
-    }
+    refs.signBtn.disabled = false;
+    refs.signBtn.removeAttribute("aria-busy");
+    refs.signBtn.querySelector("span").textContent = verb;
+  }
+}
 
-    announce("Copied to clipboard", "success");
-  } catch {
-    announce("Copy failed", "error");
+// Pass/fail banner for a verification result; null hides it
+function showVerifyResult(result) {
+  refs.verifyResult.classList.remove("verify-result--valid", "verify-result--invalid");
+  if (!result) {
+    refs.verifyResult.hidden = true;
+    return;
   }
+  refs.verifyResult.classList.add(result.valid ? "verify-result--valid" : "verify-result--invalid");
+  refs.verifyResultTitle.textContent = result.valid ? "✓ Valid signature" : "✗ Invalid signature";
+  refs.verifyResultDetail.textContent = result.valid
+    ? `Signed by ${result.fingerprint} (${result.scheme}). Compare this fingerprint with the signer's`
+    : "The message was changed, or it was not signed by this key";
+  refs.verifyResult.hidden = false;
 }
 
-// ── Clear All ─────────────────────────────────────────────────
-function clearAll() {
-  if (refs.encryptForm) refs.encryptForm.reset();
-  if (refs.decryptForm) refs.decryptForm.reset();
+// ── Keys Panel ────────────────────────────────────────────────
+function initKeysPanel() {
+  refs.keysForm.addEventListener("submit", handleGenerateKeySubmit);
+  refs.copyPublicKeyBtn.addEventListener("click", () => copyOutput(refs.publicKeyOutput.value, refs.copyPublicKeyBtn));
+  refs.copyPrivateKeyBtn.addEventListener("click", () => copyOutput(refs.privateKeyOutput.value, refs.copyPrivateKeyBtn));
+  refs.downloadPrivateKeyBtn.addEventListener("click", () => {
+    const key = refs.privateKeyOutput.value.trim();
+    if (!key) {
+      announce("Generate a keypair first", "info");
+      return;
+    }
+    const name = key.startsWith("crsk-") ? "crcrypt-signing.crkey" : "crcrypt-private.crkey";
+    downloadBlob(new Blob([`${key}\n`], { type: "text/plain" }), name);
+  });
 
-  refs.cipherOutput.value = "";
-  refs.plainOutput.value = "";
+  refs.keyCurve.addEventListener("change", updateKeyTypeVisibility);
+  refs.rawKeyFormatRadios.forEach((r) => r.addEventListener("change", showRawKey));
+  refs.copyRawKeyBtn.addEventListener("click", () => copyOutput(refs.rawKeyOutput.value, refs.copyRawKeyBtn));
+  refs.downloadRawKeyBtn.addEventListener("click", () => {
+    if (!generatedRawKey) {
+      announce("Generate a key first", "info");
+      return;
+    }
+    downloadBlob(new Blob([`${formatRawKey(generatedRawKey, RAW_KEY_FORMATS.JWK)}\n`], { type: "application/jwk+json" }), RAW_KEY_DOWNLOAD_NAME);
+  });
+  updateKeyTypeVisibility();
+}
 
-  // Reset Advanced Settings to defaults
-  if (refs.advAlgo) refs.advAlgo.value = "AES-256-CBC";
-  refs.advSaltLen.value = String(DEFAULTS.saltLength);
-  refs.advIterations.value = String(DEFAULTS.iterations);
-  refs.advKeyLen.value = String(DEFAULTS.keyLength);
+// Raw key types in the Key Type list are "raw-<bytes>"; they swap the keypair cards for the raw key card
+const RAW_KEY_TYPE_PREFIX = "raw-";
+const RAW_KEY_DOWNLOAD_NAME = "crcrypt-key.jwk";
 
-  updateAlgorithmSettings();
-  updateStrengthMeter("");
+function isRawKeyType(type) {
+  return type.startsWith(RAW_KEY_TYPE_PREFIX);
+}
 
-  // Reset all password inputs to password type
-  document.querySelectorAll('input[type="text"][data-was-password]').forEach((input) => {
-    input.type = "password";
-  });
+function updateKeyTypeVisibility() {
+  const raw = isRawKeyType(refs.keyCurve.value);
+  refs.publicKeyCard.hidden = raw;
+  refs.privateKeyCard.hidden = raw;
+  refs.rawKeyCard.hidden = !raw;
+  refs.generateKeyBtn.querySelector("span").textContent = raw ? "Generate Key" : "Generate Keypair";
+}
 
-  announce("Cleared all fields and memory", "success");
+// The generated key is kept as bytes so the Hex / JWK choice can redisplay it
+function showRawKey() {
+  const format = getSelectedRadioValue(refs.rawKeyFormatRadios, RAW_KEY_FORMATS.HEX);
+  refs.rawKeyOutput.value = generatedRawKey ? formatRawKey(generatedRawKey, format) : "";
+}
+
+async function handleGenerateKeySubmit(ev) {
+  ev.preventDefault();
+
+  refs.generateKeyBtn.disabled = true;
+  refs.generateKeyBtn.setAttribute("aria-busy", "true");
+  refs.generateKeyBtn.querySelector("span").textContent = "Generating...";
+
+  try {
+    const type = refs.keyCurve.value;
+    if (isRawKeyType(type)) {
+      wipeBytes(generatedRawKey);
+      generatedRawKey = generateRawKey(Number(type.slice(RAW_KEY_TYPE_PREFIX.length)));
+      showRawKey();
+      announce("Key generated. Keep it secret: it opens everything encrypted with it", "success");
+      return;
+    }
+    const isSigning = Object.values(SIGNATURE_SCHEMES).includes(type);
+    const { publicKey, privateKey, fingerprint } = isSigning
+      ? await generateSigningKeyPair({ scheme: type })
+      : await generateKeyPair({ curve: type });
+    refs.publicKeyOutput.value = publicKey;
+    refs.privateKeyOutput.value = privateKey;
+    refs.keyFingerprint.textContent = `Fingerprint: ${fingerprint}`;
+    announce("Keypair generated. Save the private key somewhere safe", "success");
+  } catch (err) {
+    announce(err?.message || "Key generation failed", "error");
+  } finally {
+    refs.generateKeyBtn.disabled = false;
+    refs.generateKeyBtn.removeAttribute("aria-busy");
+    updateKeyTypeVisibility();
+  }
+}
+
+// Hygiene: drop generated keys from the page
+function clearKeyOutputs() {
+  refs.publicKeyOutput.value = "";
+  refs.privateKeyOutput.value = "";
+  wipeBytes(generatedRawKey);
+  generatedRawKey = null;
+  refs.rawKeyOutput.value = "";
+  refs.keyFingerprint.textContent = "Fingerprint: —";
 }
 
 // ── Theme Toggle ──────────────────────────────────────────────
@@ -475,6 +2459,39 @@ function setFontScale(scale) {
   document.documentElement.setAttribute("data-font", scale);
 }
 
+// ── Self-Test ─────────────────────────────────────────────────
+function initSelfTest() {
+  refs.selfTestBtn.addEventListener("click", () => runSelfTestAndReport(true));
+  // On load a pass stays quiet; a failure is announced
+  runSelfTestAndReport(false);
+}
+
+async function runSelfTestAndReport(manual) {
+  refs.selfTestBtn.disabled = true;
+  refs.selfTestStatus.classList.remove("error");
+  refs.selfTestStatus.textContent = "Running self-test...";
+
+  const { passed, results, elapsedMs } = await runSelfTest();
+  const failures = results.filter((r) => !r.ok);
+  refs.selfTestFailures.replaceChildren(...failures.map((f) => {
+    const item = document.createElement("li");
+    item.textContent = `${f.name}: ${f.error}`;
+    return item;
+  }));
+  refs.selfTestFailures.hidden = passed;
+  refs.selfTestBtn.disabled = false;
+
+  if (passed) {
+    refs.selfTestStatus.textContent = `All ${results.length} known-answer tests passed in ${elapsedMs} ms`;
+    if (manual) announce("Self-test passed", "success");
+    return;
+  }
+  refs.selfTestStatus.classList.add("error");
+  refs.selfTestStatus.textContent =
+    `${failures.length} of ${results.length} known-answer tests failed; this browser's Web Crypto gives wrong results`;
+  announce("Self-test failed: don't rely on this browser for encryption. Details in Settings", "error");
+}
+
 // ── Advanced Settings ─────────────────────────────────────────
 function initAdvancedSettings() {
   refs.advSaltLen.value = String(DEFAULTS.saltLength);
@@ -482,6 +2499,9 @@ function initAdvancedSettings() {
   refs.advIterations.value = String(DEFAULTS.iterations);
   refs.advKeyLen.value = String(DEFAULTS.keyLength);
   if (refs.advAlgo) refs.advAlgo.value = "AES-256-CBC";
+  if (refs.advFormat) refs.advFormat.value = DEFAULTS.format;
+  if (refs.advEncoding) refs.advEncoding.value = DEFAULTS.encoding;
+  resetKdfSettings();
 
   try {
     refs.advSaltLen.disabled = false;
@@ -489,12 +2509,49 @@ function initAdvancedSettings() {
     refs.advIterations.disabled = false;
     refs.advKeyLen.disabled = false;
     if (refs.advAlgo) refs.advAlgo.disabled = false;
+    if (refs.advFormat) refs.advFormat.disabled = false;
+    if (refs.advEncoding) refs.advEncoding.disabled = false;
 
     refs.advAlgo.addEventListener("change", updateAlgorithmSettings);
+    refs.advKdf.addEventListener("change", () => {
+      updateKdfSettings();
+      updateStrengthMeter(refs.passwordInput.value);
+    });
+    refs.advIterations.addEventListener("input", () => updateStrengthMeter(refs.passwordInput.value));
+    refs.advEncoding.addEventListener("change", updateEncodingSettings);
     updateAlgorithmSettings();
+    updateKdfSettings();
+    updateEncodingSettings();
   } catch {}
 }
 
+function resetKdfSettings() {
+  if (!refs.advKdf) return;
+  refs.advKdf.value = DEFAULTS.kdf;
+  refs.advArgonMemory.value = String(DEFAULTS.memory / 1024);
+  refs.advArgonTime.value = String(DEFAULTS.time);
+  refs.advArgonParallelism.value = String(DEFAULTS.parallelism);
+  refs.advScryptN.value = String(DEFAULTS.N);
+  refs.advScryptR.value = String(DEFAULTS.r);
+  refs.advScryptP.value = String(DEFAULTS.p);
+}
+
+function updateKdfSettings() {
+  if (!refs.advKdf) return;
+  // Show only the parameter fields of the selected KDF
+  refs.kdfGroups.forEach((group) => {
+    group.hidden = group.dataset.kdf !== refs.advKdf.value;
+  });
+}
+
+function updateEncodingSettings() {
+  if (!refs.advEncoding) return;
+  // The armor comment only applies to armored output
+  refs.encodingGroups.forEach((group) => {
+    group.hidden = group.dataset.encoding !== refs.advEncoding.value;
+  });
+}
+
 function readAdvancedSettings() {
   const saltLen = Number.parseInt(refs.advSaltLen.value ?? String(DEFAULTS.saltLength), 10);
   const ivLen = Number.parseInt(refs.advIvLen.value ?? String(DEFAULTS.ivLength), 10);
@@ -502,8 +2559,18 @@ function readAdvancedSettings() {
   const iterNum = Number.parseInt(iterStr, 10);
   const keyLen = Number.parseInt(refs.advKeyLen.value ?? String(DEFAULTS.keyLength), 10);
   const algo = refs.advAlgo.value ?? "AES-256-CBC";
-
-  const webAlgo = algo.includes("GCM") ? "AES-GCM" : "AES-CBC";
+  const format = refs.advFormat ? refs.advFormat.value : DEFAULTS.format;
+  const encoding = refs.advEncoding ? refs.advEncoding.value : DEFAULTS.encoding;
+  const comment = encoding === "armor" && refs.advArmorComment ? refs.advArmorComment.value.trim() : "";
+  const kdf = refs.advKdf ? refs.advKdf.value : DEFAULTS.kdf;
+  const memoryMiB = Number.parseInt(refs.advArgonMemory?.value ?? String(DEFAULTS.memory / 1024), 10);
+  const time = Number.parseInt(refs.advArgonTime?.value ?? String(DEFAULTS.time), 10);
+  const parallelism = Number.parseInt(refs.advArgonParallelism?.value ?? String(DEFAULTS.parallelism), 10);
+  const scryptN = Number.parseInt(refs.advScryptN?.value ?? String(DEFAULTS.N), 10);
+  const scryptR = Number.parseInt(refs.advScryptR?.value ?? String(DEFAULTS.r), 10);
+  const scryptP = Number.parseInt(refs.advScryptP?.value ?? String(DEFAULTS.p), 10);
+
+  const { algorithm: webAlgo } = algorithmChoice(algo);
 
   return {
     saltLength: Number.isFinite(saltLen) && saltLen > 0 ? saltLen : DEFAULTS.saltLength,
@@ -512,6 +2579,16 @@ function readAdvancedSettings() {
     keyLength: Number.isFinite(keyLen) && keyLen > 0 ? keyLen : DEFAULTS.keyLength,
     algorithm: webAlgo,
     cliAlgorithm: algo,
+    format,
+    encoding,
+    comment,
+    kdf,
+    memory: (Number.isFinite(memoryMiB) && memoryMiB > 0 ? memoryMiB : DEFAULTS.memory / 1024) * 1024, // KiB
+    time: Number.isFinite(time) && time > 0 ? time : DEFAULTS.time,
+    parallelism: Number.isFinite(parallelism) && parallelism > 0 ? parallelism : DEFAULTS.parallelism,
+    N: Number.isFinite(scryptN) && scryptN > 0 ? scryptN : DEFAULTS.N,
+    r: Number.isFinite(scryptR) && scryptR > 0 ? scryptR : DEFAULTS.r,
+    p: Number.isFinite(scryptP) && scryptP > 0 ? scryptP : DEFAULTS.p,
   };
 }
 
@@ -525,18 +2602,78 @@ function validateAdvancedSettings(_vals) {
     }
     refs.advSaltLen.removeAttribute("aria-invalid");
 
-    const expectedIvLength = settings.algorithm === "AES-GCM" ? 12 : 16;
+    const expectedIvLength = algorithmChoice(settings.cliAlgorithm).ivLength;
     if (settings.ivLength !== expectedIvLength) {
       refs.advIvLen.setAttribute("aria-invalid", "true");
       return { ok: false, settings, message: `${settings.algorithm} requires ${expectedIvLength}-byte IV` };
     }
     refs.advIvLen.removeAttribute("aria-invalid");
 
-    if (settings.iterations < 10000 || settings.iterations > 1000000) {
-      refs.advIterations.setAttribute("aria-invalid", "true");
-      return { ok: false, settings, message: "Iterations must be between 10,000 and 1,000,000" };
+    if (!["AES-CBC", "AES-GCM"].includes(settings.algorithm) && settings.format !== "envelope") {
+      refs.advFormat.setAttribute("aria-invalid", "true");
+      return { ok: false, settings, message: `${settings.cliAlgorithm} requires the versioned envelope format` };
+    }
+    if (refs.advFormat) refs.advFormat.removeAttribute("aria-invalid");
+
+    if (settings.kdf !== KDFS.PBKDF2 && settings.format !== "envelope") {
+      refs.advKdf.setAttribute("aria-invalid", "true");
+      return { ok: false, settings, message: `${settings.kdf} requires the versioned envelope format` };
+    }
+    if (refs.advKdf) refs.advKdf.removeAttribute("aria-invalid");
+
+    if (settings.encoding !== "hex" && settings.format !== "envelope") {
+      refs.advEncoding.setAttribute("aria-invalid", "true");
+      return { ok: false, settings, message: "The legacy format is hex only; choose Hex or the envelope format" };
+    }
+    if (refs.advEncoding) refs.advEncoding.removeAttribute("aria-invalid");
+
+    if (settings.kdf === KDFS.ARGON2ID) {
+      if (settings.memory < 8 * 1024 || settings.memory > 1024 * 1024) {
+        refs.advArgonMemory.setAttribute("aria-invalid", "true");
+        return { ok: false, settings, message: "Argon2id memory must be between 8 and 1024 MiB" };
+      }
+      refs.advArgonMemory.removeAttribute("aria-invalid");
+
+      if (settings.time < 1 || settings.time > 10) {
+        refs.advArgonTime.setAttribute("aria-invalid", "true");
+        return { ok: false, settings, message: "Argon2id passes must be between 1 and 10" };
+      }
+      refs.advArgonTime.removeAttribute("aria-invalid");
+
+      if (settings.parallelism < 1 || settings.parallelism > 8) {
+        refs.advArgonParallelism.setAttribute("aria-invalid", "true");
+        return { ok: false, settings, message: "Argon2id parallelism must be between 1 and 8" };
+      }
+      refs.advArgonParallelism.removeAttribute("aria-invalid");
+    } else if (settings.kdf === KDFS.SCRYPT) {
+      if (settings.N < 1024 || settings.N > 1048576 || (settings.N & (settings.N - 1)) !== 0) {
+        refs.advScryptN.setAttribute("aria-invalid", "true");
+        return { ok: false, settings, message: "scrypt N must be a power of two between 2^10 and 2^20" };
+      }
+      refs.advScryptN.removeAttribute("aria-invalid");
+
+      if (settings.r < 1 || settings.r > 32) {
+        refs.advScryptR.setAttribute("aria-invalid", "true");
+        return { ok: false, settings, message: "scrypt r must be between 1 and 32" };
+      }
+      if (128 * settings.N * settings.r > 1024 * 1024 * 1024) {
+        refs.advScryptR.setAttribute("aria-invalid", "true");
+        return { ok: false, settings, message: "scrypt memory (128 × N × r) must not exceed 1 GiB" };
+      }
+      refs.advScryptR.removeAttribute("aria-invalid");
+
+      if (settings.p < 1 || settings.p > 16) {
+        refs.advScryptP.setAttribute("aria-invalid", "true");
+        return { ok: false, settings, message: "scrypt p must be between 1 and 16" };
+      }
+      refs.advScryptP.removeAttribute("aria-invalid");
+    } else {
+      if (settings.iterations < 10000 || settings.iterations > 1000000) {
+        refs.advIterations.setAttribute("aria-invalid", "true");
+        return { ok: false, settings, message: "Iterations must be between 10,000 and 1,000,000" };
+      }
+      refs.advIterations.removeAttribute("aria-invalid");
     }
-    refs.advIterations.removeAttribute("aria-invalid");
 
     const validKeyLengths = [16, 24, 32];
     if (!validKeyLengths.includes(settings.keyLength)) {
@@ -663,16 +2800,102 @@ function getSelectedRadioValue(radios, fallback) {
   return picked ? picked.value : fallback;
 }
 
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1024 * 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(n / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
 function sanitizeInput(text) {
   if (typeof text !== "string") return "";
   return text.trim();
 }
 
+// Describe a pasted ciphertext's public parameters under the decrypt input
+function updateCiphertextInfo() {
+  if (!refs.cipherInputHelp) return;
+  const text = refs.cipherInput.value.trim();
+  const info = text ? inspectCiphertext(text) : { format: "empty" };
+  showCiphertextLabel(info.label);
+  updateSlotsVisibility(info);
+
+  if (info.format === "envelope" && info.slots) {
+    const bits = info.keyLength * 8;
+    const passwords = info.slots.filter((type) => type === "PASSWORD").length;
+    const keys = info.slots.length - passwords;
+    const parts = [];
+    if (passwords > 0) parts.push(`${passwords} password${passwords === 1 ? "" : "s"}`);
+    if (keys > 0) parts.push(`${keys} public key${keys === 1 ? "" : "s"}`);
+    const lead = info.slots.length === 1 ? "opens with" : "opens with any of";
+    refs.cipherInputHelp.textContent =
+      `${describeEnvelope(info)} · AES-${bits}-GCM · ${lead} ${parts.join(" or ")}`;
+    if (passwords === 0) selectDecryptKeyMode("privateKey");
+  } else if (info.format === "envelope") {
+    const bits = info.keyLength * 8;
+    const cipher = info.algorithm.startsWith("AES-") ? `AES-${bits}-${info.algorithm.replace("AES-", "")}` : info.algorithm;
+    refs.cipherInputHelp.textContent =
+      `${describeEnvelope(info)} · ${cipher} · ${describeKdf(info.kdf)}${info.keyfile ? " · keyfile required" : ""}`;
+    if (info.kdf.name === "raw") selectDecryptKeyMode("rawKey");
+  } else if (info.format === "legacy") {
+    refs.cipherInputHelp.textContent =
+      `Legacy ${info.algorithm} format · uses the iterations from Advanced Settings`;
+  } else if (info.format === "damaged") {
+    refs.cipherInputHelp.textContent = info.message;
+  } else if (info.format === "unknown") {
+    refs.cipherInputHelp.textContent = "Unrecognized format";
+  } else {
+    refs.cipherInputHelp.textContent =
+      "Envelopes carry their own parameters; legacy input uses the iterations from Advanced Settings";
+  }
+}
+
+// The pasted ciphertext's public label, shown before any password is asked for. It is only known to be
+// authentic once decryption succeeds.
+function showCiphertextLabel(label, verified = false) {
+  if (!refs.cipherLabel) return;
+  refs.cipherLabelText.textContent = label || "";
+  refs.cipherLabelHelp.textContent = verified
+    ? "Authentic: decryption confirmed this label wasn't changed"
+    : "Stored in clear with the ciphertext; decryption fails if it was changed";
+  refs.cipherLabel.hidden = !label || isFileSource(refs.decryptSourceRadios);
+}
+
+// Text encodings other than the default hex are named in the ciphertext info line
+const ENCODING_LABELS = { base64: "Base64", base64url: "Base64url", base32: "Base32", armor: "armored" };
+
+function describeEnvelope(info) {
+  const label = ENCODING_LABELS[info.encoding];
+  return label ? `Envelope v${info.version} (${label})` : `Envelope v${info.version}`;
+}
+
+function describeKdf(kdf) {
+  if (kdf.name === "raw") {
+    return "raw key, no KDF";
+  }
+  if (kdf.name === KDFS.ARGON2ID) {
+    return `${kdf.name}, ${formatBytes(kdf.memory * 1024)}, ${kdf.time} passes, ${kdf.parallelism} lane${kdf.parallelism === 1 ? "" : "s"}`;
+  }
+  if (kdf.name === KDFS.SCRYPT) {
+    return `${kdf.name}, N=${kdf.N}, r=${kdf.r}, p=${kdf.p}`;
+  }
+  return `${kdf.name}, ${kdf.iterations.toLocaleString("en-US")} iterations`;
+}
+
+// The cipher behind an Advanced Settings algorithm choice, and the IV (nonce) length it requires
+function algorithmChoice(value) {
+  if (value.includes("XChaCha20")) return { algorithm: "XChaCha20-Poly1305", ivLength: 24 };
+  if (value.includes("ChaCha20")) return { algorithm: "ChaCha20-Poly1305", ivLength: 12 };
+  if (value.includes("GCM")) return { algorithm: "AES-GCM", ivLength: 12 };
+  if (value.includes("HMAC")) return { algorithm: "AES-CBC-HMAC-SHA256", ivLength: 16 };
+  if (value.includes("CTR")) return { algorithm: "AES-CTR", ivLength: 16 };
+  return { algorithm: "AES-CBC", ivLength: 16 };
+}
+
 function updateAlgorithmSettings() {
   const algo = refs.advAlgo.value;
-  const isGCM = algo.includes("GCM");
+  const { ivLength } = algorithmChoice(algo);
 
-  const ivLength = isGCM ? 12 : 16;
   refs.advIvLen.value = String(ivLength);
   refs.advIvLen.setAttribute("min", String(ivLength));
   refs.advIvLen.setAttribute("max", String(ivLength));
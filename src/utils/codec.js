@@ -0,0 +1,172 @@
+// src/utils/codec.js
+// Text encodings for binary output: hex, Base64, Base64url and Base32 (RFC 4648).
+// Decoders are strict about their alphabet and padding so an encoding can be told apart by trial.
+
+import { toHex, fromHex } from "./hex.js";
+import { EncodingError } from "../errors.js";
+
+export const ENCODINGS = Object.freeze({
+  HEX: "hex",             // lowercase hex (default, CLI compatible)
+  BASE64: "base64",       // RFC 4648 §4, padded
+  BASE64URL: "base64url", // RFC 4648 §5, unpadded (URL and filename safe)
+  BASE32: "base32"        // RFC 4648 §6, unpadded; decoding is case-insensitive
+});
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function bytesToBinary(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return bin;
+}
+
+function binaryToBytes(bin) {
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+/**
+ * Padded standard Base64.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+  return btoa(bytesToBinary(bytes));
+}
+
+/**
+ * Decode padded standard Base64.
+ * @param {string} str
+ * @returns {Uint8Array}
+ * @throws {EncodingError} if the input is not padded Base64
+ */
+export function fromBase64(str) {
+  if (typeof str !== "string" || str.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(str)) {
+    throw new EncodingError("Invalid Base64");
+  }
+  return binaryToBytes(atob(str));
+}
+
+/**
+ * Base64url without padding (also the JWK encoding).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode unpadded Base64url.
+ * @param {string} str
+ * @returns {Uint8Array}
+ * @throws {EncodingError} if the input is not unpadded Base64url
+ */
+export function fromBase64Url(str) {
+  if (typeof str !== "string" || str.length % 4 === 1 || !/^[A-Za-z0-9_-]*$/.test(str)) {
+    throw new EncodingError("Invalid Base64url");
+  }
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  return binaryToBytes(atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4)));
+}
+
+/**
+ * Unpadded uppercase Base32.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase32(bytes) {
+  let out = "";
+  let bits = 0;
+  let value = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    value = (value << 8) | bytes[i];
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/**
+ * Decode Base32, in either case, with or without padding.
+ * @param {string} str
+ * @returns {Uint8Array}
+ * @throws {EncodingError} if the input is not Base32
+ */
+export function fromBase32(str) {
+  if (typeof str !== "string") {
+    throw new EncodingError("Invalid Base32");
+  }
+  const clean = str.toUpperCase().replace(/=+$/, "");
+  if (!/^[A-Z2-7]*$/.test(clean) || [1, 3, 6].includes(clean.length % 8)) {
+    throw new EncodingError("Invalid Base32");
+  }
+
+  const out = new Uint8Array(Math.floor((clean.length * 5) / 8));
+  let bits = 0;
+  let value = 0;
+  let o = 0;
+  for (let i = 0; i < clean.length; i++) {
+    value = ((value << 5) | BASE32_ALPHABET.indexOf(clean[i])) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      out[o++] = (value >>> (bits - 8)) & 0xff;
+      bits -= 8;
+    }
+  }
+  // Leftover bits must be zero, as written by a canonical encoder
+  if ((value & ((1 << bits) - 1)) !== 0) {
+    throw new EncodingError("Invalid Base32");
+  }
+  return out;
+}
+
+/**
+ * Encode bytes in the given encoding.
+ * @param {Uint8Array} bytes
+ * @param {string} encoding - one of ENCODINGS
+ * @returns {string}
+ */
+export function encodeBytes(bytes, encoding = ENCODINGS.HEX) {
+  switch (encoding) {
+    case ENCODINGS.HEX:
+      return toHex(bytes);
+    case ENCODINGS.BASE64:
+      return toBase64(bytes);
+    case ENCODINGS.BASE64URL:
+      return toBase64Url(bytes);
+    case ENCODINGS.BASE32:
+      return toBase32(bytes);
+    default:
+      throw new Error("Unsupported output encoding");
+  }
+}
+
+/**
+ * Decode text in the given encoding. Whitespace (e.g. line breaks added in transit) is ignored.
+ * @param {string} text
+ * @param {string} encoding - one of ENCODINGS
+ * @returns {Uint8Array}
+ */
+export function decodeBytes(text, encoding = ENCODINGS.HEX) {
+  const clean = String(text || "").replace(/\s+/g, "");
+  switch (encoding) {
+    case ENCODINGS.HEX:
+      return fromHex(clean);
+    case ENCODINGS.BASE64:
+      return fromBase64(clean);
+    case ENCODINGS.BASE64URL:
+      return fromBase64Url(clean);
+    case ENCODINGS.BASE32:
+      return fromBase32(clean);
+    default:
+      throw new Error("Unsupported output encoding");
+  }
+}
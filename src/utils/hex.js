@@ -2,6 +2,8 @@
 // Hex utilities for ArrayBuffer/Uint8Array conversion.
 // All outputs are lowercase hex strings. No persistence or side effects.
 
+import { EncodingError } from "../errors.js";
+
 /**
  * Convert an ArrayBuffer or Uint8Array to a lowercase hex string.
  * @param {ArrayBuffer|Uint8Array} input
@@ -30,22 +32,22 @@ export function toHex(input) {
  * Validates input is even-length and contains only hex characters.
  * @param {string} hex
  * @returns {Uint8Array}
- * @throws {Error} if the hex string is invalid
+ * @throws {EncodingError} if the hex string is invalid
  */
 export function fromHex(hex) {
   if (typeof hex !== "string") {
-    throw new Error("Hex input must be a string");
+    throw new EncodingError("Hex input must be a string");
   }
   const trimmed = hex.trim();
   if (trimmed.length === 0) {
     return new Uint8Array(0);
   }
   if ((trimmed.length & 1) === 1) {
-    throw new Error("Invalid hex: length must be even");
+    throw new EncodingError("Invalid hex: length must be even");
   }
   // Validate characters
   if (!/^[0-9a-fA-F]+$/.test(trimmed)) {
-    throw new Error("Invalid hex: contains non-hex characters");
+    throw new EncodingError("Invalid hex: contains non-hex characters");
   }
 
   const out = new Uint8Array(trimmed.length / 2);
@@ -2,7 +2,7 @@
 // Service Worker for CRCrypt Web.
 // Offline cache of static assets only. No user data is cached or persisted.
 
-const CACHE_VERSION = "v6";
+const CACHE_VERSION = "v30";
 const CACHE_NAME = `crcrypt-web-${CACHE_VERSION}`;
 const CORE_ASSETS = [
   "index.html",
@@ -10,7 +10,33 @@ const CORE_ASSETS = [
   "manifest.webmanifest",
   "src/ui.js",
   "src/crypto.js",
-  "src/utils/hex.js"
+  "src/crypto-client.js",
+  "src/crypto-worker.js",
+  "src/errors.js",
+  "src/envelope.js",
+  "src/armor.js",
+  "src/batch.js",
+  "src/files.js",
+  "src/stream.js",
+  "src/pubkey.js",
+  "src/sign.js",
+  "src/shamir.js",
+  "src/keystring.js",
+  "src/passphrase.js",
+  "src/rawkey.js",
+  "src/wordlist.js",
+  "src/strength.js",
+  "src/selftest.js",
+  "src/cipher/chacha20poly1305.js",
+  "src/kdf/argon2.js",
+  "src/kdf/blake2b.js",
+  "src/kdf/scrypt.js",
+  "src/qr/common.js",
+  "src/qr/encode.js",
+  "src/qr/decode.js",
+  "src/qr/parts.js",
+  "src/utils/hex.js",
+  "src/utils/codec.js"
 ];
 
 /**
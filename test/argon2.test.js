@@ -0,0 +1,28 @@
+// test/argon2.test.js
+// RFC 9106 Argon2id and RFC 7693 BLAKE2b test vectors for the pure-JS implementations.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { argon2id } from "../src/kdf/argon2.js";
+import { blake2b } from "../src/kdf/blake2b.js";
+import { toHex } from "../src/utils/hex.js";
+
+test("BLAKE2b-512 of \"abc\" (RFC 7693 Appendix A)", () => {
+  assert.equal(
+    toHex(blake2b(new TextEncoder().encode("abc"))),
+    "ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d1" +
+      "7d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923"
+  );
+});
+
+test("Argon2id (RFC 9106 §5.3)", () => {
+  const tag = argon2id(new Uint8Array(32).fill(0x01), new Uint8Array(16).fill(0x02), {
+    memory: 32,
+    time: 3,
+    parallelism: 4,
+    hashLength: 32,
+    secret: new Uint8Array(8).fill(0x03),
+    associatedData: new Uint8Array(12).fill(0x04)
+  });
+  assert.equal(toHex(tag), "0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659");
+});
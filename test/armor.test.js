@@ -0,0 +1,47 @@
+// test/armor.test.js
+// ASCII armor: the OpenPGP CRC-24, round trips through armor and dearmor, and damage in transit.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc24, armor, dearmor } from "../src/armor.js";
+import { ERROR_CODES } from "../src/errors.js";
+
+const DATA = Uint8Array.from({ length: 200 }, (_, i) => (i * 151 + 7) % 256);
+
+test("CRC-24 of \"123456789\" is the CRC-24/OPENPGP check value", () => {
+  assert.equal(crc24(new TextEncoder().encode("123456789")), 0x21cf02);
+  assert.equal(crc24(new Uint8Array(0)), 0xb704ce);
+});
+
+test("armored bytes and headers come back unchanged", () => {
+  for (const length of [0, 1, 47, 48, 49, 200]) {
+    const text = armor(DATA.subarray(0, length), { headers: { Comment: "for Alex" } });
+    const { bytes, headers } = dearmor(text);
+    assert.deepEqual(bytes, DATA.subarray(0, length));
+    assert.deepEqual(headers, { Comment: "for Alex" });
+  }
+});
+
+test("quoting, CRLF line endings and surrounding text are tolerated", () => {
+  const text = armor(DATA).split("\n").map((line) => `> ${line}  `).join("\r\n");
+  assert.deepEqual(dearmor(`Here it is:\r\n${text}\r\nThanks`).bytes, DATA);
+});
+
+test("a corrupted checksum is rejected", () => {
+  const lines = armor(DATA).split("\n");
+  const at = lines.findIndex((line) => line.startsWith("="));
+  lines[at] = "=" + (lines[at][1] === "A" ? "B" : "A") + lines[at].slice(2);
+  assert.throws(() => dearmor(lines.join("\n")), { code: ERROR_CODES.ENCODING, message: /checksum mismatch/ });
+});
+
+test("a changed character in the body is rejected", () => {
+  const lines = armor(DATA).split("\n");
+  lines[2] = (lines[2][0] === "A" ? "B" : "A") + lines[2].slice(1);
+  assert.throws(() => dearmor(lines.join("\n")), { code: ERROR_CODES.ENCODING, message: /checksum mismatch/ });
+});
+
+test("a missing END line or checksum is reported", () => {
+  const lines = armor(DATA).split("\n");
+  assert.throws(() => dearmor(lines.slice(0, -1).join("\n")), { message: /truncated/ });
+  assert.throws(() => dearmor(lines.filter((line) => !line.startsWith("=")).join("\n")), { message: /checksum line is missing/ });
+});
@@ -0,0 +1,49 @@
+// test/batch.test.js
+// Batch mode: every entry is a complete ciphertext that decryptText opens on its own, and a failed entry
+// doesn't stop the others.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ALGORITHMS, KDFS, encryptTextBatch, decryptTextBatch, decryptText } from "../src/crypto.js";
+import { BATCH_FORMATS, fitBatchResults } from "../src/batch.js";
+
+// A cheap KDF keeps the tests fast; the batch logic doesn't depend on it
+const OPTS = { kdf: KDFS.PBKDF2, iterations: 1000 };
+const PLAINTEXTS = ["one", "secret two", "three ✓"];
+
+for (const [algorithm, ivLength] of [
+  [ALGORITHMS.AES_GCM, 12],
+  [ALGORITHMS.AES_CBC_HMAC, 16],
+  [ALGORITHMS.CHACHA20_POLY1305, 12],
+  [ALGORITHMS.XCHACHA20_POLY1305, 24]
+]) {
+  test(`${algorithm} batch entries decrypt one by one and as a batch`, async () => {
+    const opts = { ...OPTS, algorithm, ivLength };
+    const ciphertexts = await encryptTextBatch(PLAINTEXTS, "pw", opts);
+    for (const [i, ciphertext] of ciphertexts.entries()) {
+      assert.equal(await decryptText(ciphertext, "pw"), PLAINTEXTS[i]);
+    }
+    const results = await decryptTextBatch(ciphertexts, "pw");
+    assert.deepEqual(results, PLAINTEXTS.map((plaintext) => ({ plaintext })));
+  });
+}
+
+test("a batch reports a failed entry and decrypts the rest", async () => {
+  const ciphertexts = await encryptTextBatch(PLAINTEXTS, "pw", { ...OPTS, algorithm: ALGORITHMS.CHACHA20_POLY1305, ivLength: 12 });
+  const [other] = await encryptTextBatch(["other"], "not pw", OPTS);
+  const results = await decryptTextBatch([ciphertexts[0], other, ciphertexts[2]], "pw");
+  assert.deepEqual(results[0], { plaintext: PLAINTEXTS[0] });
+  assert.ok(results[1].error);
+  assert.deepEqual(results[2], { plaintext: PLAINTEXTS[2] });
+});
+
+test("a multi-line plaintext fails on its own in a lines or key=value list", async () => {
+  const ciphertexts = await encryptTextBatch(["first\nsecond", "single"], "pw", OPTS);
+  const results = await decryptTextBatch(ciphertexts, "pw");
+  for (const format of [BATCH_FORMATS.LINES, BATCH_FORMATS.KEY_VALUE]) {
+    const fitted = fitBatchResults(results, format);
+    assert.ok(fitted[0].error);
+    assert.deepEqual(fitted[1], { plaintext: "single" });
+  }
+  assert.deepEqual(fitBatchResults(results, BATCH_FORMATS.CSV), results);
+});
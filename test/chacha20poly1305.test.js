@@ -0,0 +1,61 @@
+// test/chacha20poly1305.test.js
+// Published test vectors for the pure-JS ChaCha20-Poly1305 and XChaCha20-Poly1305, and tag rejection.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  chacha20Poly1305Seal,
+  chacha20Poly1305Open,
+  xchacha20Poly1305Seal,
+  xchacha20Poly1305Open
+} from "../src/cipher/chacha20poly1305.js";
+import { ERROR_CODES } from "../src/errors.js";
+import { fromHex, toHex } from "../src/utils/hex.js";
+
+// Shared by both vectors
+const PLAINTEXT = new TextEncoder().encode(
+  "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it."
+);
+const AAD = fromHex("50515253c0c1c2c3c4c5c6c7");
+const KEY = fromHex("808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f");
+
+const VECTORS = [
+  {
+    name: "ChaCha20-Poly1305 (RFC 8439 §2.8.2)",
+    seal: chacha20Poly1305Seal,
+    open: chacha20Poly1305Open,
+    nonce: "070000004041424344454647",
+    ciphertext:
+      "d31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d63dbea45e8ca9671282fafb69da92728b" +
+      "1a71de0a9e060b2905d6a5b67ecd3b3692ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b4831d7bc" +
+      "3ff4def08e4b7a9de576d26586cec64b6116",
+    tag: "1ae10b594f09e26a7e902ecbd0600691"
+  },
+  {
+    name: "XChaCha20-Poly1305 (draft-irtf-cfrg-xchacha-03 §A.3.1)",
+    seal: xchacha20Poly1305Seal,
+    open: xchacha20Poly1305Open,
+    nonce: "404142434445464748494a4b4c4d4e4f5051525354555657",
+    ciphertext:
+      "bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb731c7f1b0b4aa6440bf3a82f4eda7e39" +
+      "ae64c6708c54c216cb96b72e1213b4522f8c9ba40db5d945b11b69b982c1bb9e3f3fac2bc369488f76b2383565d3fff9" +
+      "21f9664c97637da9768812f615c68b13b52e",
+    tag: "c0875924c1c7987947deafd8780acf49"
+  }
+];
+
+for (const { name, seal, open, nonce, ciphertext, tag } of VECTORS) {
+  test(`${name} seals to the published ciphertext and tag`, () => {
+    assert.equal(toHex(seal(KEY, fromHex(nonce), PLAINTEXT, AAD)), ciphertext + tag);
+  });
+
+  test(`${name} opens the published ciphertext`, () => {
+    assert.deepEqual(open(KEY, fromHex(nonce), fromHex(ciphertext + tag), AAD), PLAINTEXT);
+  });
+
+  test(`${name} rejects a tampered tag`, () => {
+    const sealed = fromHex(ciphertext + tag);
+    sealed[sealed.length - 1] ^= 0x01;
+    assert.throws(() => open(KEY, fromHex(nonce), sealed, AAD), { code: ERROR_CODES.AUTHENTICATION });
+  });
+}
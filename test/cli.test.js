@@ -0,0 +1,62 @@
+// test/cli.test.js
+// The command-line tool decrypts text to the same bytes as the web app's decryptText.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { toHex } from "../src/utils/hex.js";
+
+const CLI = fileURLToPath(new URL("../bin/crcrypt.js", import.meta.url));
+
+function crcrypt(args, input) {
+  const child = promisify(execFile)(process.execPath, [CLI, ...args], { encoding: "buffer" });
+  child.child.stdin.end(input);
+  return child;
+}
+
+// Legacy AES-CBC text as earlier web builds wrote it: PKCS#7-padded by hand, then padded again by Web Crypto
+async function doublePaddedLegacy(plaintext, password, iterations) {
+  const data = new TextEncoder().encode(plaintext);
+  const padLen = 16 - (data.length % 16);
+  const padded = new Uint8Array(data.length + padLen).fill(padLen);
+  padded.set(data);
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(32));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  const baseKey = await globalThis.crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveKey"]
+  );
+  const key = await globalThis.crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" }, baseKey, { name: "AES-CBC", length: 256 }, false, ["encrypt"]
+  );
+  const ciphertext = new Uint8Array(await globalThis.crypto.subtle.encrypt({ name: "AES-CBC", iv }, key, padded));
+  return `${toHex(salt)}:${toHex(iv)}:${toHex(ciphertext)}`;
+}
+
+test("legacy AES-CBC text from earlier web builds loses its extra padding block", async () => {
+  const ciphertext = await doublePaddedLegacy("sixteen byte msg", "pw", 10000);
+  const { stdout } = await crcrypt(["decrypt", "-p", "pw", "-i", "10000"], ciphertext);
+  assert.equal(stdout.toString("utf8"), "sixteen byte msg");
+});
+
+test("a binary legacy AES-CBC file ending in padding-like bytes decrypts whole", async () => {
+  const data = Uint8Array.from({ length: 32 }, (_, i) => (i * 37 + 200) % 256);
+  data[31] = 0x01;
+  const { stdout: ciphertext } = await crcrypt(["encrypt", "-p", "pw", "-i", "10000", "-f", "legacy"], data);
+  const { stdout } = await crcrypt(["decrypt", "-p", "pw", "-i", "10000"], ciphertext);
+  assert.deepEqual(new Uint8Array(stdout), data);
+});
+
+test("malformed hex is reported with the library's encoding error", async () => {
+  for (const [input, message] of [
+    ["zz:00112233:44556677", "Invalid hex: contains non-hex characters"],
+    ["abc:00112233:44556677", "Invalid hex: length must be even"]
+  ]) {
+    await assert.rejects(crcrypt(["decrypt", "-p", "pw", "-i", "10000"], input), (err) => {
+      assert.equal(err.code, 1);
+      assert.equal(err.stderr.toString("utf8"), `crcrypt: ${message}\n`);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,80 @@
+// test/codec.test.js
+// RFC 4648 §10 test vectors and round trips for the Base64, Base64url and Base32 codecs.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ENCODINGS,
+  toBase64,
+  fromBase64,
+  toBase64Url,
+  fromBase64Url,
+  toBase32,
+  fromBase32,
+  encodeBytes,
+  decodeBytes
+} from "../src/utils/codec.js";
+import { ERROR_CODES } from "../src/errors.js";
+
+// RFC 4648 §10; Base64url is Base64 with its padding dropped for these inputs
+const VECTORS = [
+  ["", "", ""],
+  ["f", "Zg==", "MY======"],
+  ["fo", "Zm8=", "MZXQ===="],
+  ["foo", "Zm9v", "MZXW6==="],
+  ["foob", "Zm9vYg==", "MZXW6YQ="],
+  ["fooba", "Zm9vYmE=", "MZXW6YTB"],
+  ["foobar", "Zm9vYmFy", "MZXW6YTBOI======"]
+];
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+for (const [input, base64, base32] of VECTORS) {
+  test(`RFC 4648 vectors for "${input}"`, () => {
+    assert.equal(toBase64(bytes(input)), base64);
+    assert.deepEqual(fromBase64(base64), bytes(input));
+    assert.equal(toBase64Url(bytes(input)), base64.replace(/=+$/, ""));
+    assert.deepEqual(fromBase64Url(base64.replace(/=+$/, "")), bytes(input));
+    // Written unpadded; read padded, unpadded and in lowercase
+    assert.equal(toBase32(bytes(input)), base32.replace(/=+$/, ""));
+    assert.deepEqual(fromBase32(base32), bytes(input));
+    assert.deepEqual(fromBase32(base32.replace(/=+$/, "").toLowerCase()), bytes(input));
+  });
+}
+
+test("Base64url uses - and _ where Base64 uses + and /", () => {
+  const data = Uint8Array.from([0xfb, 0xff, 0xbf]);
+  assert.equal(toBase64(data), "+/+/");
+  assert.equal(toBase64Url(data), "-_-_");
+  assert.deepEqual(fromBase64Url("-_-_"), data);
+});
+
+test("every encoding round-trips every byte value", () => {
+  const data = Uint8Array.from({ length: 256 }, (_, i) => i);
+  for (const encoding of Object.values(ENCODINGS)) {
+    for (const length of [0, 1, 2, 3, 4, 5, 31, 256]) {
+      const slice = data.subarray(256 - length);
+      assert.deepEqual(decodeBytes(encodeBytes(slice, encoding), encoding), slice, `${encoding}, ${length} bytes`);
+    }
+  }
+});
+
+test("decoding ignores whitespace added in transit", () => {
+  assert.deepEqual(decodeBytes("Zm9v\nYmFy\n", ENCODINGS.BASE64), bytes("foobar"));
+  assert.deepEqual(decodeBytes("MZXW 6YTB OI", ENCODINGS.BASE32), bytes("foobar"));
+});
+
+test("malformed input is an EncodingError", () => {
+  for (const [decode, text] of [
+    [fromBase64, "Zm9"],
+    [fromBase64, "Zm9v-_=="],
+    [fromBase64Url, "Zm9vY"],
+    [fromBase64Url, "Zm9v+/"],
+    [fromBase32, "MZXW1"],
+    [fromBase32, "MZX"],
+    // Leftover bits that a canonical encoder would have left zero
+    [fromBase32, "MZ"]
+  ]) {
+    assert.throws(() => decode(text), { code: ERROR_CODES.ENCODING }, text);
+  }
+});
@@ -0,0 +1,34 @@
+// test/legacy.test.js
+// Legacy AES-CBC text loses a whole extra padding block from earlier web builds, and nothing else.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ALGORITHMS, FORMATS, KDFS, encryptBytes, decryptText } from "../src/crypto.js";
+
+// A cheap KDF keeps the tests fast; the padding logic doesn't depend on it
+const OPTS = { format: FORMATS.LEGACY, algorithm: ALGORITHMS.AES_CBC, ivLength: 16, kdf: KDFS.PBKDF2, iterations: 1000 };
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+test("a double-padded plaintext loses its extra block of sixteen 0x10 bytes", async () => {
+  // Earlier web builds padded by hand before Web Crypto padded again
+  const data = concat(new TextEncoder().encode("sixteen byte msg"), new Uint8Array(16).fill(16));
+  const ciphertext = await encryptBytes(data, "pw", OPTS);
+  assert.equal(await decryptText(ciphertext, "pw", { iterations: OPTS.iterations }), "sixteen byte msg");
+});
+
+test("a single-padded plaintext ending in padding-like bytes is kept whole", async () => {
+  for (const tail of [[1], [2, 2], [16, 16, 16, 16]]) {
+    const data = concat(new TextEncoder().encode("x".repeat(32 - tail.length)), Uint8Array.from(tail));
+    const ciphertext = await encryptBytes(data, "pw", OPTS);
+    assert.equal(await decryptText(ciphertext, "pw", { iterations: OPTS.iterations }), new TextDecoder().decode(data));
+  }
+});
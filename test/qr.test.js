@@ -0,0 +1,50 @@
+// test/qr.test.js
+// QR codes drawn by the encoder read back through the image decoder, at every error-correction level and
+// on both sides of a version boundary.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EC_LEVELS } from "../src/qr/common.js";
+import { encodeQr, fitVersion } from "../src/qr/encode.js";
+import { decodeQr } from "../src/qr/decode.js";
+
+// RGBA pixels for a code: `scale` pixels per module and the standard 4-module quiet zone
+function render(qr, scale = 4) {
+  const width = (qr.size + 8) * scale;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!qr.modules[y * qr.size + x]) continue;
+      for (let dy = 0; dy < scale; dy++) {
+        for (let dx = 0; dx < scale; dx++) {
+          const p = ((y + 4) * scale + dy) * width + (x + 4) * scale + dx;
+          data.fill(0, p * 4, p * 4 + 3);
+        }
+      }
+    }
+  }
+  return { data, width, height: width };
+}
+
+// Lowercase hex forces byte mode, like a pasted hex ciphertext
+const CIPHERTEXT = "9f86d081884c7d659a2feaa0c55ad015:a3bf4f1b2b0b822cd15d6c15b0f00a08:5e884898da28047151d0e56f8dc6292773603d0d";
+
+for (const level of Object.values(EC_LEVELS)) {
+  test(`level ${level} codes decode to the encoded text`, () => {
+    for (const text of [CIPHERTEXT, "CRQR:1/2:ABC123 $%*+-./", "pässwörd ✓"]) {
+      assert.equal(decodeQr(render(encodeQr(text, { level }))), text);
+    }
+  });
+}
+
+test("payloads on both sides of a version boundary decode", () => {
+  // The longest text that fits version 6 at level M, and one character more (version 7 adds version blocks)
+  let text = "";
+  while (fitVersion(text + "a", { level: EC_LEVELS.M }) <= 6) text += "a";
+  const inside = encodeQr(text, { level: EC_LEVELS.M });
+  const across = encodeQr(text + "a", { level: EC_LEVELS.M });
+  assert.equal(inside.version, 6);
+  assert.equal(across.version, 7);
+  assert.equal(decodeQr(render(inside)), text);
+  assert.equal(decodeQr(render(across)), text + "a");
+});
@@ -0,0 +1,33 @@
+// test/scrypt.test.js
+// scrypt against the RFC 7914 §12 test vectors.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scrypt } from "../src/kdf/scrypt.js";
+import { toHex } from "../src/utils/hex.js";
+
+const enc = new TextEncoder();
+
+const VECTORS = [
+  {
+    password: "", salt: "", N: 16, r: 1, p: 1,
+    expected: "77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442" +
+      "fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906"
+  },
+  {
+    password: "password", salt: "NaCl", N: 1024, r: 8, p: 16,
+    expected: "fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162" +
+      "2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640"
+  }
+];
+
+for (const { password, salt, N, r, p, expected } of VECTORS) {
+  test(`scrypt("${password}", "${salt}", N=${N}, r=${r}, p=${p})`, async () => {
+    const dk = await scrypt(enc.encode(password), enc.encode(salt), { N, r, p, dkLength: 64 });
+    assert.equal(toHex(dk), expected);
+  });
+}
+
+test("scrypt rejects an N that isn't a power of two", async () => {
+  await assert.rejects(scrypt(enc.encode("pw"), enc.encode("salt"), { N: 1000, r: 8, p: 1 }), /power of two/);
+});
@@ -0,0 +1,46 @@
+// test/shamir.test.js
+// Shamir M-of-N sharing: every set of at least M shares recombines the secret, and fewer or repeated
+// shares are refused.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitSecret, combineShares, splitText, combineText } from "../src/shamir.js";
+
+// Every subset of `items` with at least `min` members
+function subsets(items, min) {
+  const out = [];
+  for (let mask = 1; mask < 1 << items.length; mask++) {
+    const subset = items.filter((_, i) => mask & (1 << i));
+    if (subset.length >= min) out.push(subset);
+  }
+  return out;
+}
+
+for (const [threshold, count] of [[2, 2], [2, 3], [3, 5], [5, 5]]) {
+  test(`every subset of ${threshold} or more of ${count} shares recombines the secret`, async () => {
+    const secret = Uint8Array.from({ length: 33 }, (_, i) => (i * 73 + 5) % 256);
+    const shares = await splitSecret(secret, { threshold, shares: count });
+    assert.equal(shares.length, count);
+    for (const subset of subsets(shares, threshold)) {
+      assert.deepEqual(await combineShares(subset.reverse()), secret);
+    }
+  });
+}
+
+test("text survives a split and combine", async () => {
+  const shares = await splitText("correct horse battery staple ✓", { threshold: 2, shares: 3 });
+  assert.equal(await combineText([shares[2], shares[0]]), "correct horse battery staple ✓");
+});
+
+test("fewer shares than the threshold are refused", async () => {
+  const shares = await splitSecret(new TextEncoder().encode("secret"), { threshold: 3, shares: 5 });
+  for (const subset of subsets(shares, 1).filter((subset) => subset.length < 3)) {
+    await assert.rejects(combineShares(subset), /Need at least 3 of 5 shares/);
+  }
+});
+
+test("a share entered twice is refused", async () => {
+  const shares = await splitSecret(new TextEncoder().encode("secret"), { threshold: 2, shares: 3 });
+  await assert.rejects(combineShares([shares[1], shares[1]]), /entered twice/);
+  await assert.rejects(combineShares([shares[0], shares[1], shares[0]]), /entered twice/);
+});